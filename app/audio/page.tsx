@@ -0,0 +1,19 @@
+"use client"
+import { Sidebar } from "@/components/sidebar"
+import { AudioLibrary } from "@/components/audio-library"
+
+export default function AudioPage() {
+  return (
+    <div className="flex h-screen overflow-hidden">
+      <Sidebar />
+      <div className="flex-1 flex flex-col overflow-hidden">
+        <main className="flex-1 overflow-y-auto p-8">
+          <div className="max-w-6xl mx-auto">
+            <h1 className="text-2xl font-semibold text-foreground mb-8">Background Audio</h1>
+            <AudioLibrary />
+          </div>
+        </main>
+      </div>
+    </div>
+  )
+}
@@ -1,12 +1,30 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useRef } from "react"
 import { Sidebar } from "@/components/sidebar"
 import { Header } from "@/components/header"
-import { PlaylistEditor, type VideoItem } from "@/components/playlist-editor"
-import { StreamConfiguration } from "@/components/stream-configuration"
+import { PlaylistEditor, type PlayMode, type VideoItem } from "@/components/playlist-editor"
+import { StreamConfiguration, type TransitionType } from "@/components/stream-configuration"
 import { NowPlaying } from "@/components/now-playing"
+import { StreamHealth } from "@/components/stream-health"
+import { StreamPreview } from "@/components/stream-preview"
+import { PlaylistSwitcher, type PlaylistSummary } from "@/components/playlist-switcher"
+import { PublishPreviewDialog } from "@/components/publish-preview-dialog"
 import { supabase } from "@/lib/supabase"
+import {
+  createPlaylist,
+  deletePlaylist,
+  duplicatePlaylist,
+  getPlaylist,
+  listPlaylists,
+  renamePlaylist,
+  savePlaylistItems,
+  toSummary,
+} from "@/lib/playlists"
+import { diffPlaylist, diffSettings, type PublishSettings, type SettingChange } from "@/lib/publish-diff"
+import { waitForAppliedRevision, type SyncState } from "@/lib/config-ack"
+import { updateStreamConfig } from "@/lib/stream-config"
+import { vpsFetch } from "@/lib/vps"
 import { toast } from "@/hooks/use-toast"
 
 const initialVideos: VideoItem[] = []
@@ -23,6 +41,20 @@ export default function Dashboard() {
   const [isLoading, setIsLoading] = useState(true)
 
   const [audioFile, setAudioFile] = useState<string | null>(null) // State for audio filename
+  const [transitionType, setTransitionType] = useState<TransitionType>("cut")
+  const [transitionDuration, setTransitionDuration] = useState(3)
+  const [playMode, setPlayMode] = useState<PlayMode>("sequential")
+
+  const [playlists, setPlaylists] = useState<PlaylistSummary[]>([])
+  const [selectedPlaylistId, setSelectedPlaylistId] = useState<string | null>(null) // The one in the editor
+  const [activePlaylistId, setActivePlaylistId] = useState<string | null>(null) // The one on air
+  const [savedVideosJson, setSavedVideosJson] = useState("[]") // Editor contents as last loaded/saved
+
+  const [publishedSettings, setPublishedSettings] = useState<PublishSettings>({}) // As last loaded/published
+  const [showPublishPreview, setShowPublishPreview] = useState(false)
+  const [isPublishing, setIsPublishing] = useState(false)
+  const [syncState, setSyncState] = useState<SyncState | null>(null)
+  const latestWrite = useRef(0)
 
   // Load configuration from Supabase on mount
   useEffect(() => {
@@ -50,10 +82,42 @@ export default function Dashboard() {
       setRtmpUrl(data.rtmp_url || "")
       setBitrate(data.bitrate || 8000)
       setAudioEnabled(data.audio_overlay_enabled ?? true)
-      setAudioVolume(data.audio_volume || 35)
+      setAudioVolume(data.audio_volume ?? 35)
       setAudioFile(data.audio_file || null) // Load audio file
-      setVideos(data.playlist || [])
+      setTransitionType(data.transition_type || "cut")
+      setTransitionDuration(Number(data.transition_duration) || 3)
+      setPlayMode(data.play_mode || "sequential")
+      setActivePlaylistId(data.active_playlist_id || null)
       setIsLive(data.is_active || false)
+      setPublishedSettings({
+        stream_key: data.stream_key || "",
+        rtmp_url: data.rtmp_url || "",
+        bitrate: data.bitrate || 8000,
+        audio_overlay_enabled: data.audio_overlay_enabled ?? true,
+        audio_volume: data.audio_volume ?? 35,
+        audio_file: data.audio_file || null,
+        transition_type: data.transition_type || "cut",
+        transition_duration: Number(data.transition_duration) || 3,
+        play_mode: data.play_mode || "sequential",
+        active_playlist_id: data.active_playlist_id || null,
+      })
+
+      try {
+        const list = await listPlaylists()
+        setPlaylists(list.map(toSummary))
+        const initial = list.find((p) => p.id === data.active_playlist_id) || list[0]
+        if (initial) {
+          setSelectedPlaylistId(initial.id)
+          setVideos(initial.items)
+          setSavedVideosJson(JSON.stringify(initial.items))
+        }
+      } catch (err) {
+        toast({
+          title: "Error Loading Playlists",
+          description: err instanceof Error ? err.message : String(err),
+          variant: "destructive"
+        })
+      }
       setIsLoading(false)
     }
 
@@ -79,12 +143,125 @@ export default function Dashboard() {
     setVideos((videos) => videos.map((v) => (v.id === id ? { ...v, ...updates } : v)))
   }
 
-  const handlePublish = async () => {
-    console.log('Publish button clicked')
-    console.log('configId:', configId)
+  const showPlaylistError = (title: string, err: unknown) => {
+    toast({
+      title,
+      description: err instanceof Error ? err.message : String(err),
+      variant: "destructive"
+    })
+  }
+
+  const openPlaylist = async (id: string) => {
+    const playlist = await getPlaylist(id)
+    setSelectedPlaylistId(playlist.id)
+    setVideos(playlist.items)
+    setSavedVideosJson(JSON.stringify(playlist.items))
+  }
+
+  const handleSelectPlaylist = async (id: string) => {
+    if (id === selectedPlaylistId) return
+    if (JSON.stringify(videos) !== savedVideosJson && !window.confirm("Discard unpublished changes to this playlist?")) {
+      return
+    }
+    try {
+      await openPlaylist(id)
+    } catch (err) {
+      showPlaylistError("Error Loading Playlist", err)
+    }
+  }
+
+  const handleCreatePlaylist = async (name: string) => {
+    try {
+      const playlist = await createPlaylist(name)
+      setPlaylists((prev) => [...prev, toSummary(playlist)])
+      await openPlaylist(playlist.id)
+    } catch (err) {
+      showPlaylistError("Create Failed", err)
+    }
+  }
+
+  const handleDuplicatePlaylist = async (id: string, name: string) => {
+    try {
+      const playlist = await duplicatePlaylist(id, name)
+      setPlaylists((prev) => [...prev, toSummary(playlist)])
+      await openPlaylist(playlist.id)
+    } catch (err) {
+      showPlaylistError("Duplicate Failed", err)
+    }
+  }
+
+  const handleRenamePlaylist = async (id: string, name: string) => {
+    try {
+      await renamePlaylist(id, name)
+      setPlaylists((prev) => prev.map((p) => (p.id === id ? { ...p, name } : p)))
+    } catch (err) {
+      showPlaylistError("Rename Failed", err)
+    }
+  }
+
+  const handleDeletePlaylist = async (id: string) => {
+    try {
+      await deletePlaylist(id)
+      const remaining = playlists.filter((p) => p.id !== id)
+      setPlaylists(remaining)
+      const next = remaining.find((p) => p.id === activePlaylistId) || remaining[0]
+      if (next) {
+        await openPlaylist(next.id)
+      } else {
+        setSelectedPlaylistId(null)
+        setVideos([])
+        setSavedVideosJson("[]")
+      }
+    } catch (err) {
+      showPlaylistError("Delete Failed", err)
+    }
+  }
 
+  // Everything Publish writes to stream_config, in the shape the preview diffs
+  const currentSettings: PublishSettings = {
+    stream_key: streamKey,
+    rtmp_url: rtmpUrl,
+    bitrate,
+    audio_overlay_enabled: audioEnabled,
+    audio_volume: audioVolume,
+    audio_file: audioFile,
+    transition_type: transitionType,
+    transition_duration: transitionDuration,
+    play_mode: playMode,
+    active_playlist_id: selectedPlaylistId,
+  }
+
+  const formatSettingValue = (change: SettingChange, value: SettingChange["from"]) => {
+    if (value === null || value === "") return "none"
+    if (change.field === "stream_key") return "••••" + String(value).slice(-4)
+    if (change.field === "active_playlist_id") return playlists.find((p) => p.id === value)?.name || "deleted playlist"
+    if (change.field === "bitrate") return `${value} Kbps`
+    if (change.field === "audio_volume") return `${value}%`
+    if (change.field === "transition_duration") return `${value}s`
+    if (typeof value === "boolean") return value ? "on" : "off"
+    return String(value)
+  }
+
+  // Follows a stream_config write until the VPS acknowledges the revision it produced.
+  // Only the latest write's outcome is shown.
+  const trackApplied = async (revision: number | undefined) => {
+    if (!configId || revision === undefined) return
+    const write = ++latestWrite.current
+    setSyncState("applying")
+    const applied = await waitForAppliedRevision(configId, revision)
+    if (write !== latestWrite.current) return
+    setSyncState(applied ? "applied" : "unconfirmed")
+    if (!applied) {
+      toast({
+        title: "Not Confirmed",
+        description: "The streaming server hasn't confirmed the change yet. Check that it is running.",
+        variant: "destructive"
+      })
+    }
+  }
+
+  const handlePublishClick = () => {
     if (!configId) {
-      console.log('No configId - showing error toast')
       toast({
         title: "Error",
         description: "Configuration not loaded yet.",
@@ -92,21 +269,34 @@ export default function Dashboard() {
       })
       return
     }
+    setShowPublishPreview(true)
+  }
 
-    const { error } = await supabase
-      .from('stream_config')
-      .update({
-        stream_key: streamKey,
-        rtmp_url: rtmpUrl,
-        bitrate,
-        audio_overlay_enabled: audioEnabled,
-        audio_volume: audioVolume,
-        audio_file: audioFile, // Save audio file
-        playlist: videos,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', configId)
+  // No more stop/start around a publish: the VPS applies playlist, play mode, transition
+  // and destination changes live, and only restarts its encoder itself for the settings
+  // in RESTART_FIELDS.
+  const handlePublish = async () => {
+    if (!configId) return
+    setIsPublishing(true)
+    const restartFields = diffSettings(publishedSettings, currentSettings).filter((change) => change.restart)
+
+    // The playlist in the editor is saved first, then becomes the active one
+    if (selectedPlaylistId) {
+      try {
+        const saved = await savePlaylistItems(selectedPlaylistId, videos)
+        setVideos(saved.items)
+        setSavedVideosJson(JSON.stringify(saved.items))
+        setPlaylists((prev) => prev.map((p) => (p.id === saved.id ? toSummary(saved) : p)))
+      } catch (err) {
+        showPlaylistError("Save Failed", err)
+        setIsPublishing(false)
+        return
+      }
+    }
+
+    const { revision, error } = await updateStreamConfig(configId, currentSettings)
 
+    setIsPublishing(false)
     if (error) {
       toast({
         title: "Save Failed",
@@ -115,32 +305,19 @@ export default function Dashboard() {
       })
       return
     }
+    setActivePlaylistId(selectedPlaylistId)
+    setPublishedSettings(currentSettings)
+    setShowPublishPreview(false)
 
-    // If stream is live, restart it to apply playlist changes
-    if (isLive) {
+    if (isLive && restartFields.length > 0) {
       toast({
         title: "Restarting Stream",
-        description: "Applying playlist changes..."
+        description: `Applying ${restartFields.map((change) => change.label.toLowerCase()).join(", ")}...`
       })
-
-      // Stop stream
-      await supabase
-        .from('stream_config')
-        .update({ is_active: false, updated_at: new Date().toISOString() })
-        .eq('id', configId)
-
-      // Wait for VPS to stop the stream
-      await new Promise(resolve => setTimeout(resolve, 3000))
-
-      // Start stream again with new playlist
-      await supabase
-        .from('stream_config')
-        .update({ is_active: true, updated_at: new Date().toISOString() })
-        .eq('id', configId)
-
+    } else if (isLive) {
       toast({
-        title: "Stream Restarted",
-        description: "Playlist changes are now live!"
+        title: "Changes Live",
+        description: "Applied without interrupting the stream."
       })
     } else {
       toast({
@@ -148,6 +325,7 @@ export default function Dashboard() {
         description: "Configuration saved successfully!"
       })
     }
+    trackApplied(revision)
   }
 
   const handleStartStream = async () => {
@@ -160,18 +338,14 @@ export default function Dashboard() {
       return
     }
 
-    const { error } = await supabase
-      .from('stream_config')
-      .update({
-        is_active: true,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', configId)
+    // Through the VPS, which only lets operators start and stop the stream
+    const res = await vpsFetch('/stream/start', { method: 'POST' })
+    const data = await res.json().catch(() => ({}))
 
-    if (error) {
+    if (!res.ok) {
       toast({
         title: "Error",
-        description: error.message,
+        description: data.error || `Request failed (${res.status})`,
         variant: "destructive"
       })
     } else {
@@ -180,6 +354,7 @@ export default function Dashboard() {
         title: "Stream Started",
         description: "Your stream is now live!"
       })
+      trackApplied(data?.revision)
     }
   }
 
@@ -193,18 +368,14 @@ export default function Dashboard() {
       return
     }
 
-    const { error } = await supabase
-      .from('stream_config')
-      .update({
-        is_active: false,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', configId)
+    // Through the VPS, which only lets operators start and stop the stream
+    const res = await vpsFetch('/stream/stop', { method: 'POST' })
+    const data = await res.json().catch(() => ({}))
 
-    if (error) {
+    if (!res.ok) {
       toast({
         title: "Error",
-        description: error.message,
+        description: data.error || `Request failed (${res.status})`,
         variant: "destructive"
       })
     } else {
@@ -213,6 +384,7 @@ export default function Dashboard() {
         title: "Stream Stopped",
         description: "Your stream has ended."
       })
+      trackApplied(data?.revision)
     }
   }
 
@@ -229,7 +401,18 @@ export default function Dashboard() {
       <Sidebar />
 
       <div className="flex-1 flex flex-col overflow-hidden">
-        <Header isLive={isLive} onPublish={handlePublish} />
+        <Header isLive={isLive} onPublish={handlePublishClick} syncState={syncState} />
+        <PublishPreviewDialog
+          open={showPublishPreview}
+          onOpenChange={setShowPublishPreview}
+          isLive={isLive}
+          playlistName={playlists.find((p) => p.id === selectedPlaylistId)?.name || "Untitled"}
+          playlistDiff={diffPlaylist(JSON.parse(savedVideosJson), videos)}
+          settingChanges={diffSettings(publishedSettings, currentSettings)}
+          formatValue={formatSettingValue}
+          isPublishing={isPublishing}
+          onConfirm={handlePublish}
+        />
 
         <main className="flex-1 flex overflow-hidden">
           {/* Left Panel - Playlist Editor */}
@@ -241,6 +424,20 @@ export default function Dashboard() {
               onDelete={handleDelete}
               onUpdate={handleUpdateVideo}
               onAddVideos={handleAddVideos}
+              playMode={playMode}
+              onPlayModeChange={setPlayMode}
+              playlistSwitcher={
+                <PlaylistSwitcher
+                  playlists={playlists}
+                  selectedId={selectedPlaylistId}
+                  activeId={activePlaylistId}
+                  onSelect={handleSelectPlaylist}
+                  onCreate={handleCreatePlaylist}
+                  onDuplicate={handleDuplicatePlaylist}
+                  onRename={handleRenamePlaylist}
+                  onDelete={handleDeletePlaylist}
+                />
+              }
             />
           </div>
 
@@ -254,15 +451,25 @@ export default function Dashboard() {
               audioEnabled={audioEnabled}
               audioVolume={audioVolume}
               audioFile={audioFile}
+              transitionType={transitionType}
+              transitionDuration={transitionDuration}
               onStreamKeyChange={setStreamKey}
               onRtmpUrlChange={setRtmpUrl}
               onBitrateChange={setBitrate}
               onAudioEnabledChange={setAudioEnabled}
               onAudioVolumeChange={setAudioVolume}
               onAudioFileChange={setAudioFile}
+              onTransitionTypeChange={setTransitionType}
+              onTransitionDurationChange={setTransitionDuration}
               onStartStream={handleStartStream}
               onStopStream={handleStopStream}
             />
+            <div className="mt-4">
+              <StreamPreview isLive={isLive} />
+            </div>
+            <div className="mt-4">
+              <StreamHealth isLive={isLive} />
+            </div>
           </div>
         </main>
       </div>
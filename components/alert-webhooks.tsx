@@ -0,0 +1,249 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Switch } from "@/components/ui/switch"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Card, CardContent } from "@/components/ui/card"
+import { BellRing, Plus, Trash2, Eye, EyeOff, Loader2, Send } from "lucide-react"
+import { supabase } from "@/lib/supabase"
+import { updateStreamConfig } from "@/lib/stream-config"
+import { vpsFetch } from "@/lib/vps"
+import { toast } from "@/hooks/use-toast"
+
+export type AlertWebhookFormat = "json" | "discord" | "slack"
+
+export interface AlertWebhook {
+  id: string
+  name: string
+  url: string
+  format: AlertWebhookFormat
+  enabled: boolean
+}
+
+const FORMAT_LABELS: Record<AlertWebhookFormat, string> = {
+  discord: "Discord",
+  slack: "Slack",
+  json: "Generic JSON",
+}
+
+const URL_PLACEHOLDERS: Record<AlertWebhookFormat, string> = {
+  discord: "https://discord.com/api/webhooks/...",
+  slack: "https://hooks.slack.com/services/...",
+  json: "https://example.com/streamflow-alerts",
+}
+
+export function AlertWebhooks() {
+  const [configId, setConfigId] = useState<string | null>(null)
+  const [webhooks, setWebhooks] = useState<AlertWebhook[]>([])
+  const [visibleUrls, setVisibleUrls] = useState<Set<string>>(new Set())
+  const [testingId, setTestingId] = useState<string | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    async function loadWebhooks() {
+      const { data, error } = await supabase.from("stream_config").select("id, alert_webhooks").single()
+
+      if (error) {
+        toast({ title: "Error Loading Alerts", description: error.message, variant: "destructive" })
+      } else {
+        setConfigId(data.id)
+        setWebhooks(data.alert_webhooks || [])
+      }
+      setIsLoading(false)
+    }
+
+    loadWebhooks()
+  }, [])
+
+  const addWebhook = (format: AlertWebhookFormat) => {
+    const id = crypto.randomUUID()
+    setWebhooks((prev) => [...prev, { id, name: FORMAT_LABELS[format], url: "", format, enabled: true }])
+    setVisibleUrls((prev) => new Set(prev).add(id))
+  }
+
+  const updateWebhook = (id: string, updates: Partial<AlertWebhook>) => {
+    setWebhooks((prev) => prev.map((w) => (w.id === id ? { ...w, ...updates } : w)))
+  }
+
+  const removeWebhook = (id: string) => {
+    setWebhooks((prev) => prev.filter((w) => w.id !== id))
+  }
+
+  const toggleUrlVisibility = (id: string) => {
+    setVisibleUrls((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+
+  // Goes through the VPS, so it also proves the server can reach the webhook
+  const handleTest = async (webhook: AlertWebhook) => {
+    setTestingId(webhook.id)
+    try {
+      const res = await vpsFetch("/alerts/test", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ url: webhook.url, format: webhook.format, name: webhook.name }),
+      })
+      const body = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(body.error || `Request failed (${res.status})`)
+      toast({ title: "Test Alert Sent", description: `Check "${webhook.name}" for the message.` })
+    } catch (error) {
+      toast({
+        title: "Test Failed",
+        description: error instanceof Error ? error.message : "Could not send the test alert",
+        variant: "destructive",
+      })
+    } finally {
+      setTestingId(null)
+    }
+  }
+
+  const handleSave = async () => {
+    if (!configId) return
+    setIsSaving(true)
+
+    const { error } = await updateStreamConfig(configId, { alert_webhooks: webhooks })
+
+    setIsSaving(false)
+    if (error) {
+      toast({ title: "Save Failed", description: error.message, variant: "destructive" })
+    } else {
+      toast({ title: "Alerts Saved", description: "The VPS sends alerts to these webhooks from now on." })
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <Card className="bg-card border-border">
+        <CardContent className="p-12 flex items-center justify-center">
+          <Loader2 className="w-6 h-6 animate-spin text-violet-500" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  const addButtons = (Object.keys(FORMAT_LABELS) as AlertWebhookFormat[]).map((format) => (
+    <Button key={format} variant="outline" size="sm" onClick={() => addWebhook(format)}>
+      <Plus className="w-3 h-3 mr-1" />
+      {FORMAT_LABELS[format]}
+    </Button>
+  ))
+
+  return (
+    <Card className="bg-card border-border">
+      {webhooks.length === 0 ? (
+        <CardContent className="p-12">
+          <div className="flex flex-col items-center justify-center text-center">
+            <div className="w-24 h-24 rounded-full bg-secondary flex items-center justify-center mb-6">
+              <BellRing className="w-10 h-10 text-muted-foreground" />
+            </div>
+            <h3 className="text-lg font-medium text-foreground mb-2">No alert webhooks yet</h3>
+            <p className="text-sm text-muted-foreground max-w-md">
+              Get a message when the stream goes down, tracks keep failing, files go missing, the playlist runs empty,
+              the disk fills up or an upload cannot be processed, and again when it recovers.
+            </p>
+            <div className="flex flex-wrap justify-center gap-2 mt-6">{addButtons}</div>
+            {configId && (
+              <Button variant="ghost" onClick={handleSave} disabled={isSaving} className="mt-3 text-muted-foreground">
+                Save
+              </Button>
+            )}
+          </div>
+        </CardContent>
+      ) : (
+        <CardContent className="p-6 space-y-4">
+          <p className="text-sm text-muted-foreground">
+            Each alert is sent once when it starts and once when it clears. At most 10 go out a minute, and one that
+            keeps coming back waits 10 minutes before it is sent again.
+          </p>
+
+          {webhooks.map((webhook) => (
+            <div key={webhook.id} className="rounded-lg border border-border p-4 space-y-3">
+              <div className="flex items-center gap-3">
+                <Switch
+                  checked={webhook.enabled}
+                  onCheckedChange={(enabled) => updateWebhook(webhook.id, { enabled })}
+                />
+                <Input
+                  value={webhook.name}
+                  onChange={(e) => updateWebhook(webhook.id, { name: e.target.value })}
+                  className="bg-secondary border-border max-w-xs"
+                />
+                <Select
+                  value={webhook.format}
+                  onValueChange={(format) => updateWebhook(webhook.id, { format: format as AlertWebhookFormat })}
+                >
+                  <SelectTrigger className="bg-secondary border-border w-40">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {(Object.keys(FORMAT_LABELS) as AlertWebhookFormat[]).map((format) => (
+                      <SelectItem key={format} value={format}>
+                        {FORMAT_LABELS[format]}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => removeWebhook(webhook.id)}
+                  className="ml-auto text-muted-foreground hover:text-destructive"
+                  title="Remove webhook"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+
+              <div className="flex items-center gap-3">
+                <div className="relative flex-1">
+                  <Input
+                    type={visibleUrls.has(webhook.id) ? "text" : "password"}
+                    value={webhook.url}
+                    onChange={(e) => updateWebhook(webhook.id, { url: e.target.value })}
+                    placeholder={URL_PLACEHOLDERS[webhook.format]}
+                    className="bg-secondary border-border pr-10"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => toggleUrlVisibility(webhook.id)}
+                    className="absolute right-3 top-1/2 -translate-y-1/2 text-muted-foreground hover:text-foreground transition-colors"
+                  >
+                    {visibleUrls.has(webhook.id) ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                  </button>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleTest(webhook)}
+                  disabled={!webhook.url || testingId === webhook.id}
+                >
+                  {testingId === webhook.id ? (
+                    <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+                  ) : (
+                    <Send className="w-3 h-3 mr-1" />
+                  )}
+                  Test
+                </Button>
+              </div>
+            </div>
+          ))}
+
+          <div className="flex items-center justify-between pt-2">
+            <div className="flex flex-wrap gap-2">{addButtons}</div>
+            <Button onClick={handleSave} disabled={isSaving} className="bg-violet-600 hover:bg-violet-700 text-white">
+              {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Save Alerts
+            </Button>
+          </div>
+        </CardContent>
+      )}
+    </Card>
+  )
+}
@@ -0,0 +1,483 @@
+"use client"
+
+import { useState, useEffect, useRef } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { CloudRain, Upload, Loader2, Pencil, Trash2, Check, X } from "lucide-react"
+import {
+  deleteAudioTrack,
+  formatAudioDuration,
+  listAudioTracks,
+  SUGGESTED_AUDIO_TAGS,
+  updateAudioTrack,
+  uploadAudioTrack,
+  type AudioBedMode,
+  type AudioTrack,
+} from "@/lib/audio"
+import { listPlaylists, setPlaylistAudioTrack, type Playlist } from "@/lib/playlists"
+import { supabase } from "@/lib/supabase"
+import { updateStreamConfig } from "@/lib/stream-config"
+import { toast } from "@/hooks/use-toast"
+import { cn } from "@/lib/utils"
+
+const MODE_LABELS: Record<AudioBedMode, string> = {
+  single: "One bed on a loop",
+  rotate: "Rotate through the beds",
+  crossfade: "Rotate with crossfades",
+}
+
+const STREAM_BEDS = "stream" // Select value for a playlist without its own bed
+
+function parseTags(value: string) {
+  return [...new Set(value.split(",").map((tag) => tag.trim().toLowerCase()).filter(Boolean))]
+}
+
+function errorMessage(error: unknown, fallback: string) {
+  return error instanceof Error ? error.message : fallback
+}
+
+export function AudioLibrary() {
+  const [tracks, setTracks] = useState<AudioTrack[] | null>(null)
+  const [playlists, setPlaylists] = useState<Playlist[]>([])
+  const [tagFilter, setTagFilter] = useState<string | null>(null)
+
+  // Stream beds (stream_config)
+  const [configId, setConfigId] = useState<string | null>(null)
+  const [bedMode, setBedMode] = useState<AudioBedMode>("single")
+  const [bedIds, setBedIds] = useState<string[]>([])
+  const [bedMinutes, setBedMinutes] = useState("30")
+  const [crossfadeSeconds, setCrossfadeSeconds] = useState("8")
+  const [isSavingBeds, setIsSavingBeds] = useState(false)
+
+  // Upload
+  const fileInputRef = useRef<HTMLInputElement>(null)
+  const [uploadTitle, setUploadTitle] = useState("")
+  const [uploadTags, setUploadTags] = useState("")
+  const [uploadProgress, setUploadProgress] = useState<number | null>(null)
+
+  // Inline edit
+  const [editingId, setEditingId] = useState<string | null>(null)
+  const [editTitle, setEditTitle] = useState("")
+  const [editTags, setEditTags] = useState("")
+
+  useEffect(() => {
+    async function load() {
+      const [library, playlistList, config] = await Promise.allSettled([
+        listAudioTracks(),
+        listPlaylists(),
+        supabase
+          .from("stream_config")
+          .select("id, audio_bed_mode, audio_bed_ids, audio_bed_minutes, audio_bed_crossfade_seconds")
+          .single(),
+      ])
+
+      if (library.status === "fulfilled") setTracks(library.value)
+      else {
+        setTracks([])
+        toast({ title: "Error Loading Library", description: errorMessage(library.reason, "Request failed"), variant: "destructive" })
+      }
+      if (playlistList.status === "fulfilled") setPlaylists(playlistList.value)
+      if (config.status === "fulfilled" && config.value.data) {
+        const data = config.value.data
+        setConfigId(data.id)
+        setBedMode(data.audio_bed_mode || "single")
+        setBedIds(data.audio_bed_ids || [])
+        setBedMinutes(String(data.audio_bed_minutes || 30))
+        setCrossfadeSeconds(String(data.audio_bed_crossfade_seconds || 8))
+      }
+    }
+
+    load()
+  }, [])
+
+  const trackTitle = (id: string) => tracks?.find((track) => track.id === id)?.title
+
+  const toggleBed = (id: string, checked: boolean) => {
+    setBedIds((prev) => (checked ? [...prev, id] : prev.filter((bedId) => bedId !== id)))
+  }
+
+  const handleSaveBeds = async () => {
+    if (!configId) return
+    const minutes = parseInt(bedMinutes, 10)
+    const seconds = parseInt(crossfadeSeconds, 10)
+    if (!(minutes >= 1 && minutes <= 240) || !(seconds >= 1 && seconds <= 30)) {
+      toast({
+        title: "Invalid Timing",
+        description: "Beds play for 1 to 240 minutes each, with crossfades of 1 to 30 seconds.",
+        variant: "destructive",
+      })
+      return
+    }
+
+    setIsSavingBeds(true)
+    const { error } = await updateStreamConfig(configId, {
+      audio_bed_mode: bedMode,
+      audio_bed_ids: bedIds,
+      audio_bed_minutes: minutes,
+      audio_bed_crossfade_seconds: seconds,
+    })
+
+    setIsSavingBeds(false)
+    if (error) {
+      toast({ title: "Save Failed", description: error.message, variant: "destructive" })
+    } else {
+      toast({ title: "Background Audio Saved", description: "The stream switches over within a few seconds, without restarting." })
+    }
+  }
+
+  const handlePlaylistBed = async (playlist: Playlist, value: string) => {
+    const audioTrackId = value === STREAM_BEDS ? null : value
+    try {
+      await setPlaylistAudioTrack(playlist.id, audioTrackId)
+      setPlaylists((prev) => prev.map((p) => (p.id === playlist.id ? { ...p, audio_track_id: audioTrackId } : p)))
+      toast({
+        title: "Playlist Bed Updated",
+        description: audioTrackId
+          ? `"${playlist.name}" now plays over "${trackTitle(audioTrackId)}".`
+          : `"${playlist.name}" now plays over the stream beds.`,
+      })
+    } catch (error) {
+      toast({ title: "Update Failed", description: errorMessage(error, "Request failed"), variant: "destructive" })
+    }
+  }
+
+  const handleUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0]
+    e.target.value = ""
+    if (!file) return
+
+    setUploadProgress(0)
+    try {
+      const track = await uploadAudioTrack(
+        file,
+        { title: uploadTitle.trim(), tags: parseTags(uploadTags) },
+        setUploadProgress,
+      )
+      setTracks((prev) => [track, ...(prev || [])])
+      setUploadTitle("")
+      setUploadTags("")
+      toast({ title: "Upload Complete", description: `"${track.title}" is in the library; its loudness is measured shortly.` })
+    } catch (error) {
+      toast({ title: "Upload Failed", description: errorMessage(error, "Failed to upload audio"), variant: "destructive" })
+    } finally {
+      setUploadProgress(null)
+    }
+  }
+
+  const startEditing = (track: AudioTrack) => {
+    setEditingId(track.id)
+    setEditTitle(track.title)
+    setEditTags(track.tags.join(", "))
+  }
+
+  const handleSaveEdit = async (track: AudioTrack) => {
+    try {
+      const updated = await updateAudioTrack(track.id, { title: editTitle.trim(), tags: parseTags(editTags) })
+      setTracks((prev) => prev?.map((t) => (t.id === track.id ? updated : t)) ?? null)
+      setEditingId(null)
+    } catch (error) {
+      toast({ title: "Save Failed", description: errorMessage(error, "Request failed"), variant: "destructive" })
+    }
+  }
+
+  const handleDelete = async (track: AudioTrack) => {
+    if (!confirm(`Delete "${track.title}"? This will permanently remove the file.`)) return
+    try {
+      await deleteAudioTrack(track.id)
+      setTracks((prev) => prev?.filter((t) => t.id !== track.id) ?? null)
+      setBedIds((prev) => prev.filter((id) => id !== track.id))
+      setPlaylists((prev) => prev.map((p) => (p.audio_track_id === track.id ? { ...p, audio_track_id: null } : p)))
+    } catch (error) {
+      toast({ title: "Delete Failed", description: errorMessage(error, "Request failed"), variant: "destructive" })
+    }
+  }
+
+  if (!tracks) {
+    return (
+      <Card className="bg-card border-border">
+        <CardContent className="p-12 flex items-center justify-center">
+          <Loader2 className="w-6 h-6 animate-spin text-violet-500" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  const allTags = [...new Set([...SUGGESTED_AUDIO_TAGS, ...tracks.flatMap((track) => track.tags)])]
+  const shownTracks = tagFilter ? tracks.filter((track) => track.tags.includes(tagFilter)) : tracks
+
+  return (
+    <div className="space-y-6">
+      {/* Stream beds */}
+      <Card className="bg-card border-border">
+        <CardHeader>
+          <CardTitle className="text-base font-medium">On the stream</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p className="text-sm text-muted-foreground">
+            Beds play under the music at the Background Audio volume on the dashboard, leveled to the same loudness. With
+            none chosen the stream keeps its single background file. Playlists with their own bed (below) replace these
+            while they are on air.
+          </p>
+
+          <div className="grid grid-cols-3 gap-4">
+            <div className="space-y-2">
+              <Label className="text-sm text-muted-foreground">Mode</Label>
+              <Select value={bedMode} onValueChange={(value) => setBedMode(value as AudioBedMode)}>
+                <SelectTrigger className="bg-secondary border-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {(Object.keys(MODE_LABELS) as AudioBedMode[]).map((mode) => (
+                    <SelectItem key={mode} value={mode}>
+                      {MODE_LABELS[mode]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label className="text-sm text-muted-foreground">Minutes per bed</Label>
+              <Input
+                type="number"
+                value={bedMinutes}
+                onChange={(e) => setBedMinutes(e.target.value)}
+                disabled={bedMode === "single"}
+                className="bg-secondary border-border"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label className="text-sm text-muted-foreground">Crossfade (seconds)</Label>
+              <Input
+                type="number"
+                value={crossfadeSeconds}
+                onChange={(e) => setCrossfadeSeconds(e.target.value)}
+                disabled={bedMode !== "crossfade"}
+                className="bg-secondary border-border"
+              />
+            </div>
+          </div>
+
+          {tracks.length === 0 ? (
+            <p className="text-sm text-muted-foreground">Upload a bed below to choose it here.</p>
+          ) : (
+            <div className="grid grid-cols-2 gap-2">
+              {tracks.map((track) => {
+                const position = bedIds.indexOf(track.id)
+                return (
+                  <label
+                    key={track.id}
+                    className="flex items-center gap-3 rounded-lg border border-border px-3 py-2 text-sm cursor-pointer"
+                  >
+                    <Checkbox
+                      checked={position !== -1}
+                      onCheckedChange={(checked) => toggleBed(track.id, checked === true)}
+                    />
+                    <span className="flex-1 truncate">{track.title}</span>
+                    {position !== -1 && bedMode !== "single" && (
+                      <span className="text-xs text-muted-foreground">#{position + 1}</span>
+                    )}
+                  </label>
+                )
+              })}
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <Button
+              onClick={handleSaveBeds}
+              disabled={isSavingBeds || !configId}
+              className="bg-violet-600 hover:bg-violet-700 text-white"
+            >
+              {isSavingBeds && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Save Beds
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Per playlist */}
+      {playlists.length > 0 && (
+        <Card className="bg-card border-border">
+          <CardHeader>
+            <CardTitle className="text-base font-medium">Per playlist</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {playlists.map((playlist) => (
+              <div key={playlist.id} className="flex items-center gap-4">
+                <span className="flex-1 text-sm truncate">{playlist.name}</span>
+                <Select
+                  value={playlist.audio_track_id ?? STREAM_BEDS}
+                  onValueChange={(value) => handlePlaylistBed(playlist, value)}
+                >
+                  <SelectTrigger className="bg-secondary border-border w-64">
+                    <SelectValue>
+                      {playlist.audio_track_id ? trackTitle(playlist.audio_track_id) : "Stream beds"}
+                    </SelectValue>
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={STREAM_BEDS}>Stream beds</SelectItem>
+                    {tracks.map((track) => (
+                      <SelectItem key={track.id} value={track.id}>
+                        {track.title}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Library */}
+      <Card className="bg-card border-border">
+        <CardHeader>
+          <CardTitle className="text-base font-medium">Library</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex items-end gap-3">
+            <div className="space-y-2 flex-1">
+              <Label className="text-sm text-muted-foreground">Title</Label>
+              <Input
+                value={uploadTitle}
+                onChange={(e) => setUploadTitle(e.target.value)}
+                placeholder="Defaults to the file name"
+                className="bg-secondary border-border"
+              />
+            </div>
+            <div className="space-y-2 flex-1">
+              <Label className="text-sm text-muted-foreground">Tags</Label>
+              <Input
+                value={uploadTags}
+                onChange={(e) => setUploadTags(e.target.value)}
+                placeholder="rain, night"
+                className="bg-secondary border-border"
+              />
+            </div>
+            <input ref={fileInputRef} type="file" accept="audio/*" onChange={handleUpload} className="hidden" />
+            <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={uploadProgress !== null}>
+              {uploadProgress !== null ? (
+                <>
+                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                  {uploadProgress}%
+                </>
+              ) : (
+                <>
+                  <Upload className="w-4 h-4 mr-2" />
+                  Upload Audio
+                </>
+              )}
+            </Button>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            {allTags.map((tag) => (
+              <button
+                key={tag}
+                type="button"
+                onClick={() => setTagFilter(tagFilter === tag ? null : tag)}
+                className={cn(
+                  "px-2.5 py-1 rounded-full text-xs font-medium transition-colors",
+                  tagFilter === tag ? "bg-violet-600 text-white" : "bg-secondary text-muted-foreground hover:text-foreground",
+                )}
+              >
+                {tag}
+              </button>
+            ))}
+          </div>
+
+          {shownTracks.length === 0 ? (
+            <div className="flex flex-col items-center justify-center text-center py-8">
+              <CloudRain className="w-8 h-8 text-muted-foreground mb-3" />
+              <p className="text-sm text-muted-foreground">
+                {tagFilter ? `Nothing tagged "${tagFilter}" yet.` : "No background audio yet."}
+              </p>
+            </div>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Title</TableHead>
+                  <TableHead>Tags</TableHead>
+                  <TableHead className="text-right">Length</TableHead>
+                  <TableHead className="text-right">Loudness</TableHead>
+                  <TableHead className="w-24" />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {shownTracks.map((track) =>
+                  editingId === track.id ? (
+                    <TableRow key={track.id}>
+                      <TableCell>
+                        <Input
+                          value={editTitle}
+                          onChange={(e) => setEditTitle(e.target.value)}
+                          className="bg-secondary border-border h-8"
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Input
+                          value={editTags}
+                          onChange={(e) => setEditTags(e.target.value)}
+                          className="bg-secondary border-border h-8"
+                        />
+                      </TableCell>
+                      <TableCell className="text-right tabular-nums">{formatAudioDuration(track.duration_seconds)}</TableCell>
+                      <TableCell />
+                      <TableCell className="text-right whitespace-nowrap">
+                        <Button variant="ghost" size="icon" onClick={() => handleSaveEdit(track)} title="Save">
+                          <Check className="w-4 h-4" />
+                        </Button>
+                        <Button variant="ghost" size="icon" onClick={() => setEditingId(null)} title="Cancel">
+                          <X className="w-4 h-4" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ) : (
+                    <TableRow key={track.id}>
+                      <TableCell className="max-w-xs truncate" title={track.filename}>
+                        {track.title}
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex flex-wrap gap-1">
+                          {track.tags.map((tag) => (
+                            <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-secondary text-muted-foreground">
+                              {tag}
+                            </span>
+                          ))}
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-right tabular-nums">{formatAudioDuration(track.duration_seconds)}</TableCell>
+                      <TableCell className="text-right tabular-nums text-muted-foreground">
+                        {track.loudness_lufs != null ? `${track.loudness_lufs} LUFS` : "—"}
+                      </TableCell>
+                      <TableCell className="text-right whitespace-nowrap">
+                        <Button variant="ghost" size="icon" onClick={() => startEditing(track)} title="Edit">
+                          <Pencil className="w-4 h-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          onClick={() => handleDelete(track)}
+                          className="text-muted-foreground hover:text-destructive"
+                          title="Delete"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ),
+                )}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,89 @@
+"use client"
+
+import type React from "react"
+
+import { useState, useEffect } from "react"
+import type { Session } from "@supabase/supabase-js"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Loader2 } from "lucide-react"
+import { supabase } from "@/lib/supabase"
+
+// The VPS API only answers signed-in users (their role decides what they may do), so
+// nothing in the dashboard renders without a Supabase session.
+export function AuthGate({ children }: { children: React.ReactNode }) {
+  const [session, setSession] = useState<Session | null | undefined>(undefined) // undefined while checking
+  const [email, setEmail] = useState("")
+  const [password, setPassword] = useState("")
+  const [isSigningIn, setIsSigningIn] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => setSession(data.session))
+    const { data } = supabase.auth.onAuthStateChange((_event, next) => setSession(next))
+    return () => data.subscription.unsubscribe()
+  }, [])
+
+  const handleSignIn = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setIsSigningIn(true)
+    setError(null)
+    const { error } = await supabase.auth.signInWithPassword({ email, password })
+    if (error) setError(error.message)
+    setIsSigningIn(false)
+  }
+
+  if (session === undefined) {
+    return (
+      <div className="flex h-screen items-center justify-center">
+        <Loader2 className="w-5 h-5 animate-spin text-muted-foreground" />
+      </div>
+    )
+  }
+
+  if (session) return <>{children}</>
+
+  return (
+    <div className="flex h-screen items-center justify-center p-6">
+      <Card className="w-full max-w-sm">
+        <CardHeader>
+          <CardTitle>Sign in to StreamFlow</CardTitle>
+          <CardDescription>Use the account your admin set up for you.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSignIn} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="email">Email</Label>
+              <Input
+                id="email"
+                type="email"
+                autoComplete="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="password">Password</Label>
+              <Input
+                id="password"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+            {error && <p className="text-sm text-red-400">{error}</p>}
+            <Button type="submit" className="w-full" disabled={isSigningIn}>
+              {isSigningIn && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Sign in
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
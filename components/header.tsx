@@ -1,14 +1,60 @@
 "use client"
 
+import { useState, useEffect } from "react"
 import { Button } from "@/components/ui/button"
 import { cn } from "@/lib/utils"
+import type { SyncState } from "@/lib/config-ack"
+import { onEventStreamStatus, subscribeToEngineEvent } from "@/lib/events"
+import { vpsFetch } from "@/lib/vps"
+import { Check, Loader2, AlertTriangle } from "lucide-react"
 
 interface HeaderProps {
   isLive: boolean
   onPublish: () => void
+  syncState?: SyncState | null // Whether the VPS has confirmed the last change
 }
 
-export function Header({ isLive, onPublish }: HeaderProps) {
+// Whether the engine is actually broadcasting, pushed over the event stream (polled
+// from /stream/status while it is down). null until the first answer.
+function useEngineStreaming() {
+  const [isStreaming, setIsStreaming] = useState<boolean | null>(null)
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const res = await vpsFetch("/stream/status")
+        if (res.ok) setIsStreaming((await res.json()).isStreaming)
+      } catch (error) {
+        console.error("Error fetching stream status:", error)
+      }
+    }
+
+    let poll: ReturnType<typeof setInterval> | null = null
+    const unsubscribe = subscribeToEngineEvent("stream", (event) => setIsStreaming(event.isStreaming))
+    const unwatch = onEventStreamStatus((connected) => {
+      if (connected && poll) {
+        clearInterval(poll)
+        poll = null
+      } else if (!connected && !poll) {
+        fetchStatus()
+        poll = setInterval(fetchStatus, 10000)
+      }
+    })
+
+    return () => {
+      unsubscribe()
+      unwatch()
+      if (poll) clearInterval(poll)
+    }
+  }, [])
+
+  return isStreaming
+}
+
+export function Header({ isLive, onPublish, syncState }: HeaderProps) {
+  const engineStreaming = useEngineStreaming()
+  const onAir = engineStreaming ?? isLive
+
   return (
     <header className="h-16 border-b border-border bg-card px-6 flex items-center justify-between">
       <div className="flex items-center gap-4">
@@ -18,12 +64,36 @@ export function Header({ isLive, onPublish }: HeaderProps) {
           <div
             className={cn(
               "flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-medium",
-              isLive ? "bg-green-500/10 text-green-400" : "bg-red-500/10 text-red-400",
+              onAir ? "bg-green-500/10 text-green-400" : "bg-red-500/10 text-red-400",
             )}
           >
-            <span className={cn("w-2 h-2 rounded-full animate-pulse", isLive ? "bg-green-400" : "bg-red-400")} />
-            {isLive ? "Live" : "Offline"}
+            <span className={cn("w-2 h-2 rounded-full animate-pulse", onAir ? "bg-green-400" : "bg-red-400")} />
+            {onAir ? "Live" : "Offline"}
           </div>
+          {isLive && engineStreaming === false && (
+            <span className="flex items-center gap-1.5 text-xs text-yellow-400">
+              <Loader2 className="w-3 h-3 animate-spin" />
+              Waiting for the engine…
+            </span>
+          )}
+          {syncState === "applying" && (
+            <span className="flex items-center gap-1.5 text-xs text-muted-foreground">
+              <Loader2 className="w-3 h-3 animate-spin" />
+              Applying…
+            </span>
+          )}
+          {syncState === "applied" && (
+            <span className="flex items-center gap-1.5 text-xs text-green-400">
+              <Check className="w-3 h-3" />
+              Applied
+            </span>
+          )}
+          {syncState === "unconfirmed" && (
+            <span className="flex items-center gap-1.5 text-xs text-yellow-400">
+              <AlertTriangle className="w-3 h-3" />
+              Not confirmed by server
+            </span>
+          )}
         </div>
       </div>
 
@@ -2,11 +2,14 @@
 
 import type React from "react"
 
-import { useState, useCallback, useEffect } from "react"
+import { useState, useCallback, useEffect, useRef } from "react"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
-import { Upload, Search, Grid, List, MoreVertical, Play, Clock, Film, X, Loader2, Trash2 } from "lucide-react"
+import { Upload, Search, Grid, List, MoreVertical, Play, Pause, Clock, Film, X, Loader2, Trash2 } from "lucide-react"
 import { createBrowserClient } from "@supabase/ssr"
+import { vpsFetch } from "@/lib/vps"
+import { createResumableUpload, type ResumableUpload } from "@/lib/resumable-upload"
+import { formatEta, STAGE_LABELS, waitForJob, type TranscodeJob } from "@/lib/jobs"
 
 interface Video {
   id: string
@@ -15,6 +18,9 @@ interface Video {
   duration: string
   size: string
   created_at: string
+  loudness_lufs?: number | null
+  true_peak_dbtp?: number | null
+  loudness_range_lu?: number | null
 }
 
 function getThumbnailUrl(filename: string) {
@@ -36,11 +42,17 @@ export function MediaLibrary() {
   const [isDragging, setIsDragging] = useState(false)
   const [uploadQueue, setUploadQueue] = useState<{
     id: string
-    file: File
-    status: 'pending' | 'uploading' | 'completed' | 'error'
-    progress: number
+    name: string
+    file?: File // Absent for URL imports, which the VPS downloads itself
+    status: 'pending' | 'uploading' | 'processing' | 'completed' | 'error'
+    progress: number // Upload progress; transcode progress is in job
+    paused?: boolean
+    job?: TranscodeJob
+    error?: string
   }[]>([])
   const [isUploading, setIsUploading] = useState(false)
+  const [importUrl, setImportUrl] = useState("")
+  const activeUploads = useRef(new Map<string, ResumableUpload>()) // Queue item id -> its upload
 
   // Auto-refresh when queue is empty and was previously uploading?
   // Actually, we can just refresh after individual uploads or at the end.
@@ -61,71 +73,74 @@ export function MediaLibrary() {
     fetchVideos()
   }, [])
 
+  const refreshVideos = useCallback(async () => {
+    const supabase = getSupabaseClient()
+    const { data } = await supabase
+      .from("videos")
+      .select("*")
+      .order("created_at", { ascending: false })
+
+    if (data) {
+      setVideos(data)
+    }
+  }, [])
+
+  // Follows the VPS transcode of one uploaded file until it is in the library
+  const trackJob = useCallback(async (itemId: string, jobId: string) => {
+    try {
+      const job = await waitForJob(jobId, (update) => {
+        setUploadQueue(prev => prev.map((q) => q.id === itemId ? { ...q, job: update } : q))
+      })
+      if (job.status === 'failed') throw new Error(job.error || 'Transcode failed')
+
+      setUploadQueue(prev => prev.map((q) => q.id === itemId ? { ...q, status: 'completed' } : q))
+      // Refresh list immediately after this file is done
+      await refreshVideos()
+    } catch (error) {
+      console.error("Transcode error:", error)
+      const message = error instanceof Error ? error.message : 'Transcode failed'
+      setUploadQueue(prev => prev.map((q) => q.id === itemId ? { ...q, status: 'error', error: message } : q))
+    }
+  }, [refreshVideos])
+
   const processQueue = useCallback(async (queue: typeof uploadQueue) => {
     setIsUploading(true)
-    let hasUpdates = false
+    // Transcodes run on the VPS while the next file uploads
+    const transcodes: Promise<void>[] = []
 
     for (let i = 0; i < queue.length; i++) {
       const item = queue[i]
-      if (item.status === 'completed') continue
+      if (item.status === 'completed' || !item.file) continue
 
       // Update status to uploading directly in the state
       setUploadQueue(prev => prev.map((q, idx) => idx === i ? { ...q, status: 'uploading', progress: 0 } : q))
 
       try {
-        // Use XMLHttpRequest for upload progress
-        await new Promise<any>((resolve, reject) => {
-          const xhr = new XMLHttpRequest()
-          const formData = new FormData()
-          formData.append('video', item.file)
-
-          xhr.upload.addEventListener('progress', (e) => {
-            if (e.lengthComputable) {
-              const percentComplete = Math.round((e.loaded / e.total) * 100)
-              setUploadQueue(prev => prev.map((q, idx) => idx === i ? { ...q, progress: percentComplete } : q))
-            }
-          })
-
-          xhr.addEventListener('load', () => {
-            if (xhr.status >= 200 && xhr.status < 300) {
-              try {
-                resolve(JSON.parse(xhr.responseText))
-              } catch {
-                resolve({})
-              }
-            } else {
-              reject(new Error(`Upload failed: ${xhr.statusText}`))
-            }
-          })
-
-          xhr.addEventListener('error', () => reject(new Error('Network error')))
-
-          // Use proxy route to VPS
-          xhr.open('POST', 'https://stream.musicalbasics.com/upload')
-          xhr.send(formData)
+        // Chunked and resumable: a dropped connection pauses rather than fails it
+        const upload = createResumableUpload(item.file, ({ uploadedBytes, totalBytes, paused, error }) => {
+          const percentComplete = Math.floor((uploadedBytes / totalBytes) * 100)
+          setUploadQueue(prev => prev.map((q, idx) => idx === i ? { ...q, progress: percentComplete, paused, error: error ?? undefined } : q))
         })
-
-        // Mark as completed
-        setUploadQueue(prev => prev.map((q, idx) => idx === i ? { ...q, status: 'completed', progress: 100 } : q))
-        hasUpdates = true
-
-        // Refresh list immediately after this file is done
-        const supabase = getSupabaseClient()
-        const { data } = await supabase
-          .from("videos")
-          .select("*")
-          .order("created_at", { ascending: false })
-
-        if (data) {
-          setVideos(data)
+        activeUploads.current.set(item.id, upload)
+        let jobId: string
+        try {
+          jobId = (await upload.start()).jobId
+        } finally {
+          activeUploads.current.delete(item.id)
         }
 
+        // Uploaded; the VPS transcodes it in the background
+        setUploadQueue(prev => prev.map((q, idx) => idx === i ? { ...q, status: 'processing', progress: 100, paused: false, error: undefined } : q))
+        transcodes.push(trackJob(item.id, jobId))
+
       } catch (error) {
         console.error("Upload error:", error)
-        setUploadQueue(prev => prev.map((q, idx) => idx === i ? { ...q, status: 'error', progress: 0 } : q))
+        const message = error instanceof Error ? error.message : 'Upload failed'
+        setUploadQueue(prev => prev.map((q, idx) => idx === i ? { ...q, status: 'error', progress: 0, error: message } : q))
       }
     }
 
+    await Promise.all(transcodes)
     setIsUploading(false)
 
     // Auto close only if all completed successfully? Or just leave it open for user to close.
@@ -146,7 +161,7 @@ export function MediaLibrary() {
       // But since we are awaiting the loop, we are effectively at the end.
     })
 
-  }, [])
+  }, [trackJob])
 
 
   const handleFileUpload = useCallback(async (files: FileList | File[]) => {
@@ -159,6 +174,7 @@ export function MediaLibrary() {
 
     const newQueue = fileArray.map(file => ({
       id: Math.random().toString(36).substring(7),
+      name: file.name,
       file,
       status: 'pending' as const,
       progress: 0
@@ -169,6 +185,33 @@ export function MediaLibrary() {
 
   }, [processQueue])
 
+  // Imports a video the VPS downloads itself, from any public HTTPS URL
+  const handleImportUrl = async () => {
+    const url = importUrl.trim()
+    if (!url) return
+
+    setIsUploading(true)
+    try {
+      const response = await vpsFetch('/upload-from-url', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url }),
+      })
+      const body = await response.json().catch(() => ({}))
+      if (!response.ok) throw new Error(body.error || 'Import failed')
+
+      const item = { id: body.jobId, name: url, status: 'processing' as const, progress: 100, job: body.job }
+      setUploadQueue([item])
+      setImportUrl("")
+      await trackJob(item.id, body.jobId)
+    } catch (error) {
+      console.error('Import error:', error)
+      alert(error instanceof Error ? error.message : 'Import failed')
+    } finally {
+      setIsUploading(false)
+    }
+  }
+
   const handleDragOver = useCallback((e: React.DragEvent) => {
     e.preventDefault()
     setIsDragging(true)
@@ -208,7 +251,7 @@ export function MediaLibrary() {
 
     try {
       // Delete from VPS
-      const response = await fetch(`/api/proxy/videos/${video.id}`, {
+      const response = await vpsFetch(`/videos/${video.id}`, {
         method: 'DELETE',
       })
 
@@ -245,6 +288,7 @@ export function MediaLibrary() {
                   if (isUploading) {
                     if (!confirm("Uploads are in progress. Are you sure you want to cancel?")) return
                   }
+                  activeUploads.current.forEach((upload) => upload.cancel())
                   setShowUploadModal(false)
                   setUploadQueue([])
                 }}
@@ -272,6 +316,18 @@ export function MediaLibrary() {
                     Browse Files
                   </span>
                 </label>
+                <div className="flex items-center gap-2 mt-6" onDrop={(e) => e.stopPropagation()}>
+                  <Input
+                    value={importUrl}
+                    onChange={(e) => setImportUrl(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleImportUrl()}
+                    placeholder="Or import from an HTTPS URL"
+                    className="bg-background"
+                  />
+                  <Button variant="secondary" onClick={handleImportUrl} disabled={!importUrl.trim() || isUploading}>
+                    Import
+                  </Button>
+                </div>
               </div>
             ) : (
               <div className="flex-1 overflow-y-auto space-y-2 pr-2">
@@ -287,25 +343,76 @@ export function MediaLibrary() {
                         ) : item.status === 'error' ? (
                           <X className="w-4 h-4 text-red-500 flex-shrink-0" />
                         ) : (
-                          <Loader2 className={`w-4 h-4 text-violet-500 flex-shrink-0 ${item.status === 'uploading' ? 'animate-spin' : ''}`} />
+                          <Loader2 className={`w-4 h-4 text-violet-500 flex-shrink-0 ${(item.status === 'uploading' && !item.paused) || item.status === 'processing' ? 'animate-spin' : ''}`} />
                         )}
-                        <span className="text-sm text-foreground truncate" title={item.file.name}>{item.file.name}</span>
+                        <span className="text-sm text-foreground truncate" title={item.name}>{item.name}</span>
                       </div>
 
-                      <span className="text-xs font-mono text-muted-foreground w-12 text-right">
-                        {item.status === 'pending' ? 'Wait' : item.status === 'error' ? 'Err' : `${item.progress}%`}
-                      </span>
+                      {item.status === 'uploading' && (
+                        <button
+                          onClick={() => {
+                            const upload = activeUploads.current.get(item.id)
+                            if (item.paused) upload?.resume()
+                            else upload?.pause()
+                          }}
+                          className="p-1 mr-1 hover:bg-background rounded"
+                          title={item.paused ? "Resume upload" : "Pause upload"}
+                        >
+                          {item.paused ? (
+                            <Play className="w-3.5 h-3.5 text-muted-foreground" />
+                          ) : (
+                            <Pause className="w-3.5 h-3.5 text-muted-foreground" />
+                          )}
+                        </button>
+                      )}
+                      {item.file && (
+                        <span className="text-xs font-mono text-muted-foreground w-12 text-right">
+                          {item.status === 'pending' ? 'Wait' : item.status === 'error' ? 'Err' : item.paused ? 'Paused' : `${item.progress}%`}
+                        </span>
+                      )}
                     </div>
 
-                    <div className="w-full bg-background rounded-full h-1.5 overflow-hidden">
-                      <div
-                        className={`h-full transition-all duration-300 ${item.status === 'error' ? "bg-red-500" :
-                            item.status === 'completed' ? "bg-green-500" :
-                              "bg-violet-600"
-                          }`}
-                        style={{ width: `${item.status === 'pending' ? 0 : Math.max(0, item.progress)}%` }}
-                      />
-                    </div>
+                    {item.file && (
+                      <div className="w-full bg-background rounded-full h-1.5 overflow-hidden">
+                        <div
+                          className={`h-full transition-all duration-300 ${item.status === 'error' ? "bg-red-500" :
+                              item.status === 'completed' ? "bg-green-500" :
+                                "bg-violet-600"
+                            }`}
+                          style={{ width: `${item.status === 'pending' ? 0 : Math.max(0, item.progress)}%` }}
+                        />
+                      </div>
+                    )}
+
+                    {item.status === 'processing' && (
+                      <div className="mt-2">
+                        <div className="flex items-center justify-between text-xs text-muted-foreground mb-1">
+                          <span>
+                            {item.job?.stage ? STAGE_LABELS[item.job.stage] : 'Queued for transcoding'}
+                          </span>
+                          <span className="font-mono">
+                            {item.job?.stage ? `${Math.round(item.job.percent)}%` : ''}
+                            {item.job?.etaSeconds ? ` · ${formatEta(item.job.etaSeconds)}` : ''}
+                          </span>
+                        </div>
+                        <div className="w-full bg-background rounded-full h-1.5 overflow-hidden">
+                          <div
+                            className="h-full bg-amber-500 transition-all duration-300"
+                            style={{ width: `${item.job?.percent ?? 0}%` }}
+                          />
+                        </div>
+                      </div>
+                    )}
+
+                    {item.status === 'uploading' && item.error && (
+                      <p className="mt-2 text-xs text-yellow-400 truncate" title={item.error}>
+                        Connection lost ({item.error}). Resume to carry on from {item.progress}%.
+                      </p>
+                    )}
+
+                    {item.status === 'error' && item.error && (
+                      <p className="mt-2 text-xs text-red-400 truncate" title={item.error}>{item.error}</p>
+                    )}
                   </div>
                 ))}
               </div>
@@ -395,6 +502,12 @@ export function MediaLibrary() {
                       <span>{item.size}</span>
                       <span>•</span>
                       <span>{formatDate(item.created_at)}</span>
+                      {item.loudness_lufs != null && (
+                        <>
+                          <span>•</span>
+                          <span title={formatLoudnessDetail(item)}>{formatLoudness(item.loudness_lufs)}</span>
+                        </>
+                      )}
                     </div>
                   </div>
                   <button
@@ -417,6 +530,7 @@ export function MediaLibrary() {
                 <th className="text-left p-4 text-sm font-medium text-muted-foreground">Name</th>
                 <th className="text-left p-4 text-sm font-medium text-muted-foreground">Duration</th>
                 <th className="text-left p-4 text-sm font-medium text-muted-foreground">Size</th>
+                <th className="text-left p-4 text-sm font-medium text-muted-foreground">Loudness</th>
                 <th className="text-left p-4 text-sm font-medium text-muted-foreground">Uploaded</th>
                 <th className="w-10"></th>
               </tr>
@@ -444,6 +558,9 @@ export function MediaLibrary() {
                   </td>
                   <td className="p-4 text-sm text-muted-foreground">{item.duration}</td>
                   <td className="p-4 text-sm text-muted-foreground">{item.size}</td>
+                  <td className="p-4 text-sm text-muted-foreground" title={formatLoudnessDetail(item)}>
+                    {item.loudness_lufs != null ? formatLoudness(item.loudness_lufs) : "—"}
+                  </td>
                   <td className="p-4 text-sm text-muted-foreground">{formatDate(item.created_at)}</td>
                   <td className="p-4">
                     <button
@@ -471,3 +588,15 @@ function formatFileSize(bytes: number): string {
   const i = Math.floor(Math.log(bytes) / Math.log(k))
   return Number.parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + " " + sizes[i]
 }
+
+function formatLoudness(lufs: number): string {
+  return `${Number(lufs).toFixed(1)} LUFS`
+}
+
+function formatLoudnessDetail(video: Video): string | undefined {
+  if (video.loudness_lufs == null) return undefined
+  const parts = [`Integrated: ${formatLoudness(video.loudness_lufs)}`]
+  if (video.true_peak_dbtp != null) parts.push(`True peak: ${Number(video.true_peak_dbtp).toFixed(1)} dBTP`)
+  if (video.loudness_range_lu != null) parts.push(`Range: ${Number(video.loudness_range_lu).toFixed(1)} LU`)
+  return parts.join("\n")
+}
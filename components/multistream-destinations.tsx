@@ -0,0 +1,274 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { Card, CardContent } from "@/components/ui/card"
+import { Split, Plus, Trash2, Eye, EyeOff, Loader2 } from "lucide-react"
+import { supabase } from "@/lib/supabase"
+import { updateStreamConfig } from "@/lib/stream-config"
+import { vpsFetch } from "@/lib/vps"
+import { toast } from "@/hooks/use-toast"
+import { cn } from "@/lib/utils"
+
+export interface StreamDestination {
+  id: string
+  name: string
+  rtmp_url: string
+  stream_key: string
+  enabled: boolean
+}
+
+interface DestinationHealth {
+  id: string
+  status: "connecting" | "live" | "failed" | "stalled" | "disabled"
+  restarts: number
+  lastError: string | null
+}
+
+const PRESETS = [
+  { name: "YouTube (backup ingest)", rtmp_url: "rtmp://b.rtmp.youtube.com/live2" },
+  { name: "Twitch", rtmp_url: "rtmp://live.twitch.tv/app" },
+  { name: "Facebook", rtmp_url: "rtmps://live-api-s.facebook.com:443/rtmp" },
+  { name: "Custom RTMP", rtmp_url: "" },
+]
+
+const STATUS_STYLES: Record<DestinationHealth["status"], string> = {
+  live: "bg-green-500/10 text-green-400",
+  connecting: "bg-yellow-500/10 text-yellow-400",
+  failed: "bg-red-500/10 text-red-400",
+  stalled: "bg-red-500/10 text-red-400",
+  disabled: "bg-secondary text-muted-foreground",
+}
+
+export function MultistreamDestinations() {
+  const [configId, setConfigId] = useState<string | null>(null)
+  const [destinations, setDestinations] = useState<StreamDestination[]>([])
+  const [health, setHealth] = useState<Record<string, DestinationHealth>>({})
+  const [visibleKeys, setVisibleKeys] = useState<Set<string>>(new Set())
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    async function loadDestinations() {
+      const { data, error } = await supabase.from("stream_config").select("id, destinations").single()
+
+      if (error) {
+        toast({ title: "Error Loading Destinations", description: error.message, variant: "destructive" })
+      } else {
+        setConfigId(data.id)
+        setDestinations(data.destinations || [])
+      }
+      setIsLoading(false)
+    }
+
+    loadDestinations()
+  }, [])
+
+  // Health is runtime state on the VPS, so it comes from there rather than Supabase
+  useEffect(() => {
+    const fetchHealth = async () => {
+      try {
+        const res = await vpsFetch("/stream/destinations")
+        if (res.ok) {
+          const list: DestinationHealth[] = await res.json()
+          setHealth(Object.fromEntries(list.map((h) => [h.id, h])))
+        }
+      } catch (error) {
+        console.error("Error fetching destination health:", error)
+      }
+    }
+
+    fetchHealth()
+    const interval = setInterval(fetchHealth, 10000)
+    return () => clearInterval(interval)
+  }, [])
+
+  const addDestination = (preset: (typeof PRESETS)[number]) => {
+    setDestinations((prev) => [
+      ...prev,
+      { id: crypto.randomUUID(), name: preset.name, rtmp_url: preset.rtmp_url, stream_key: "", enabled: true },
+    ])
+  }
+
+  const updateDestination = (id: string, updates: Partial<StreamDestination>) => {
+    setDestinations((prev) => prev.map((d) => (d.id === id ? { ...d, ...updates } : d)))
+  }
+
+  const removeDestination = (id: string) => {
+    setDestinations((prev) => prev.filter((d) => d.id !== id))
+  }
+
+  const toggleKeyVisibility = (id: string) => {
+    setVisibleKeys((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+
+  const handleSave = async () => {
+    if (!configId) return
+    setIsSaving(true)
+
+    const { error } = await updateStreamConfig(configId, { destinations })
+
+    setIsSaving(false)
+    if (error) {
+      toast({ title: "Save Failed", description: error.message, variant: "destructive" })
+    } else {
+      toast({ title: "Destinations Saved", description: "The stream will connect to them without restarting." })
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <Card className="bg-card border-border">
+        <CardContent className="p-12 flex items-center justify-center">
+          <Loader2 className="w-6 h-6 animate-spin text-violet-500" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  const primaryHealth = health["primary"]
+
+  return (
+    <Card className="bg-card border-border">
+      {destinations.length === 0 ? (
+        <CardContent className="p-12">
+          <div className="flex flex-col items-center justify-center text-center">
+            <div className="w-24 h-24 rounded-full bg-secondary flex items-center justify-center mb-6">
+              <Split className="w-10 h-10 text-muted-foreground" />
+            </div>
+            <h3 className="text-lg font-medium text-foreground mb-2">No multistreams added yet</h3>
+            <p className="text-sm text-muted-foreground max-w-md">
+              Multistreaming allows you to broadcast to multiple platforms simultaneously from a single stream source.
+            </p>
+            <div className="flex flex-wrap justify-center gap-2 mt-6">
+              {PRESETS.map((preset) => (
+                <Button
+                  key={preset.name}
+                  onClick={() => addDestination(preset)}
+                  className="bg-violet-600 hover:bg-violet-700 text-white"
+                >
+                  <Plus className="w-4 h-4 mr-2" />
+                  {preset.name}
+                </Button>
+              ))}
+            </div>
+            {configId && (
+              <Button variant="ghost" onClick={handleSave} disabled={isSaving} className="mt-3 text-muted-foreground">
+                Save
+              </Button>
+            )}
+          </div>
+        </CardContent>
+      ) : (
+        <CardContent className="p-6 space-y-4">
+          <p className="text-sm text-muted-foreground">
+            These are pushed alongside the primary RTMP URL and stream key from the dashboard
+            {primaryHealth && (
+              <>
+                {" "}
+                (primary: <StatusBadge health={primaryHealth} />)
+              </>
+            )}
+            . A destination that fails is retried on its own; the others keep streaming.
+          </p>
+
+          {destinations.map((destination) => (
+            <div key={destination.id} className="rounded-lg border border-border p-4 space-y-3">
+              <div className="flex items-center gap-3">
+                <Switch
+                  checked={destination.enabled}
+                  onCheckedChange={(enabled) => updateDestination(destination.id, { enabled })}
+                />
+                <Input
+                  value={destination.name}
+                  onChange={(e) => updateDestination(destination.id, { name: e.target.value })}
+                  className="bg-secondary border-border max-w-xs"
+                />
+                {health[destination.id] && <StatusBadge health={health[destination.id]} />}
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => removeDestination(destination.id)}
+                  className="ml-auto text-muted-foreground hover:text-destructive"
+                  title="Remove destination"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label className="text-sm text-muted-foreground">RTMP URL</Label>
+                  <Input
+                    value={destination.rtmp_url}
+                    onChange={(e) => updateDestination(destination.id, { rtmp_url: e.target.value })}
+                    placeholder="rtmp://live.example.com/app"
+                    className="bg-secondary border-border"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label className="text-sm text-muted-foreground">Stream key</Label>
+                  <div className="relative">
+                    <Input
+                      type={visibleKeys.has(destination.id) ? "text" : "password"}
+                      value={destination.stream_key}
+                      onChange={(e) => updateDestination(destination.id, { stream_key: e.target.value })}
+                      className="bg-secondary border-border pr-10"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => toggleKeyVisibility(destination.id)}
+                      className="absolute right-3 top-1/2 -translate-y-1/2 text-muted-foreground hover:text-foreground transition-colors"
+                    >
+                      {visibleKeys.has(destination.id) ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                    </button>
+                  </div>
+                </div>
+              </div>
+
+              {health[destination.id]?.lastError && health[destination.id].status !== "live" && (
+                <p className="text-xs text-red-400 truncate" title={health[destination.id].lastError || undefined}>
+                  {health[destination.id].lastError}
+                </p>
+              )}
+            </div>
+          ))}
+
+          <div className="flex items-center justify-between pt-2">
+            <div className="flex flex-wrap gap-2">
+              {PRESETS.map((preset) => (
+                <Button key={preset.name} variant="outline" size="sm" onClick={() => addDestination(preset)}>
+                  <Plus className="w-3 h-3 mr-1" />
+                  {preset.name}
+                </Button>
+              ))}
+            </div>
+            <Button onClick={handleSave} disabled={isSaving} className="bg-violet-600 hover:bg-violet-700 text-white">
+              {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Save Destinations
+            </Button>
+          </div>
+        </CardContent>
+      )}
+    </Card>
+  )
+}
+
+function StatusBadge({ health }: { health: DestinationHealth }) {
+  return (
+    <span
+      className={cn("inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium", STATUS_STYLES[health.status])}
+      title={health.restarts > 0 ? `${health.restarts} reconnects` : undefined}
+    >
+      {health.status}
+    </span>
+  )
+}
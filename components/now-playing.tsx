@@ -2,23 +2,32 @@
 
 import { useState, useEffect } from "react"
 import { Card } from "@/components/ui/card"
+import { Progress } from "@/components/ui/progress"
 import { Video, SkipForward, SkipBack } from "lucide-react"
+import { vpsFetch } from "@/lib/vps"
+import { onEventStreamStatus, subscribeToEngineEvent } from "@/lib/events"
 
 interface NowPlayingVideo {
     id: string
     title: string
     thumbnail: string
     duration: string
+    durationSeconds: number
     filename: string
 }
 
-interface NowPlayingData {
+export interface NowPlayingData {
     current: NowPlayingVideo | null
     next: NowPlayingVideo | null
     index: number
     total: number
     isStreaming: boolean
+    elapsedSeconds: number
+    remainingSeconds: number | null
     startedAt: string | null
+    nextStartsAt: string | null
+    nextPlaylist?: { id: string | null; name: string } | null
+    bed?: { id: string | null; title: string } | null // Background audio under the music
 }
 
 interface NowPlayingProps {
@@ -28,6 +37,14 @@ interface NowPlayingProps {
 export function NowPlaying({ isLive }: NowPlayingProps) {
     const [data, setData] = useState<NowPlayingData | null>(null)
     const [isLoading, setIsLoading] = useState(false)
+    const [now, setNow] = useState(() => Date.now())
+
+    // Advance the progress bar between polls from the server's startedAt anchor
+    useEffect(() => {
+        if (!isLive) return
+        const tick = setInterval(() => setNow(Date.now()), 1000)
+        return () => clearInterval(tick)
+    }, [isLive])
 
     useEffect(() => {
         if (!isLive) {
@@ -37,7 +54,7 @@ export function NowPlaying({ isLive }: NowPlayingProps) {
 
         const fetchNowPlaying = async () => {
             try {
-                const res = await fetch('/api/proxy/now-playing')
+                const res = await vpsFetch('/now-playing')
                 if (res.ok) {
                     const nowPlaying = await res.json()
                     setData(nowPlaying)
@@ -50,10 +67,24 @@ export function NowPlaying({ isLive }: NowPlayingProps) {
         // Initial fetch
         fetchNowPlaying()
 
-        // Poll every 5 seconds
-        const interval = setInterval(fetchNowPlaying, 5000)
+        // Track changes are pushed as they happen; poll every 5 seconds only while the
+        // event stream is down
+        let poll: ReturnType<typeof setInterval> | null = null
+        const unsubscribe = subscribeToEngineEvent('now-playing', setData)
+        const unwatch = onEventStreamStatus((connected) => {
+            if (connected && poll) {
+                clearInterval(poll)
+                poll = null
+            } else if (!connected && !poll) {
+                poll = setInterval(fetchNowPlaying, 5000)
+            }
+        })
 
-        return () => clearInterval(interval)
+        return () => {
+            unsubscribe()
+            unwatch()
+            if (poll) clearInterval(poll)
+        }
     }, [isLive])
 
     if (!isLive || !data?.isStreaming) {
@@ -74,20 +105,23 @@ export function NowPlaying({ isLive }: NowPlayingProps) {
         return thumbnail
     }
 
+    const durationSeconds = data.current?.durationSeconds || 0
+    const elapsedSeconds = data.startedAt
+        ? Math.min(Math.max(0, (now - new Date(data.startedAt).getTime()) / 1000), durationSeconds || Infinity)
+        : data.elapsedSeconds || 0
+    const progressPercent = durationSeconds ? (elapsedSeconds / durationSeconds) * 100 : 0
 
 
     const handleSkip = async (direction: 'next' | 'previous') => {
         if (isLoading) return
         setIsLoading(true)
         try {
-            await fetch('/api/proxy/control/skip', {
+            await vpsFetch('/control/skip', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ direction })
             })
-            // Optimistic update or just wait for poll? 
-            // Better to wait for poll or just let it refresh naturally.
-            // Maybe slight delay before re-enabling buttons
+            // The new track arrives as a now-playing event; the delay just debounces the buttons
             setTimeout(() => setIsLoading(false), 500)
         } catch (error) {
             console.error('Skip error:', error)
@@ -117,7 +151,10 @@ export function NowPlaying({ isLive }: NowPlayingProps) {
                     <div className="min-w-0 flex-1">
                         <p className="text-xs font-medium text-red-400 uppercase tracking-wide mb-0.5">Now Playing</p>
                         <p className="text-sm font-medium truncate">{data.current?.title || 'Unknown'}</p>
-                        <p className="text-xs text-muted-foreground">{data.current?.duration || '--:--'}</p>
+                        <p className="text-xs text-muted-foreground">
+                            {formatSeconds(elapsedSeconds)} / {durationSeconds ? formatSeconds(durationSeconds) : data.current?.duration || '--:--'}
+                            {data.bed && <span title="Background audio"> · over {data.bed.title}</span>}
+                        </p>
                     </div>
 
                     {/* Controls */}
@@ -144,6 +181,9 @@ export function NowPlaying({ isLive }: NowPlayingProps) {
                         {data.index + 1}/{data.total}
                     </div>
                 </div>
+                {durationSeconds > 0 && (
+                    <Progress value={progressPercent} className="h-1 mt-2 bg-red-500/10 [&>[data-slot=progress-indicator]]:bg-red-500" />
+                )}
             </Card>
 
             {/* Up Next Card */}
@@ -165,9 +205,15 @@ export function NowPlaying({ isLive }: NowPlayingProps) {
                             )}
                         </div>
                         <div className="min-w-0 flex-1">
-                            <p className="text-xs font-medium text-muted-foreground uppercase tracking-wide mb-0.5">Up Next</p>
+                            <p className="text-xs font-medium text-muted-foreground uppercase tracking-wide mb-0.5">
+                                Up Next
+                                {data.nextPlaylist && <span className="normal-case text-violet-400"> · {data.nextPlaylist.name}</span>}
+                            </p>
                             <p className="text-sm font-medium truncate">{data.next.title}</p>
-                            <p className="text-xs text-muted-foreground">{data.next.duration}</p>
+                            <p className="text-xs text-muted-foreground">
+                                {data.next.duration}
+                                {data.nextStartsAt && ` · at ${formatClockTime(data.nextStartsAt)}`}
+                            </p>
                         </div>
                     </div>
                 </Card>
@@ -175,3 +221,15 @@ export function NowPlaying({ isLive }: NowPlayingProps) {
         </div>
     )
 }
+
+function formatSeconds(totalSeconds: number) {
+    const whole = Math.floor(totalSeconds)
+    const hours = Math.floor(whole / 3600)
+    const minutes = Math.floor((whole % 3600) / 60)
+    const seconds = String(whole % 60).padStart(2, '0')
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`
+}
+
+function formatClockTime(iso: string) {
+    return new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+}
@@ -0,0 +1,197 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { ChevronLeft, ChevronRight, Loader2 } from "lucide-react"
+import {
+  formatAirtime,
+  getPlayHistory,
+  getPlayStats,
+  type PlayEndReason,
+  type PlayHistoryPage,
+  type VideoPlayStats,
+} from "@/lib/history"
+import { toast } from "@/hooks/use-toast"
+import { cn } from "@/lib/utils"
+
+const PAGE_SIZE = 50
+
+const END_REASON_STYLES: Record<PlayEndReason | "on_air", string> = {
+  on_air: "bg-red-500/10 text-red-400",
+  finished: "bg-green-500/10 text-green-400",
+  skipped: "bg-yellow-500/10 text-yellow-400",
+  failed: "bg-red-500/10 text-red-400",
+  stopped: "bg-secondary text-muted-foreground",
+}
+
+function formatDateTime(value: string) {
+  return new Date(value).toLocaleString([], { dateStyle: "medium", timeStyle: "short" })
+}
+
+export function PlayHistory() {
+  const [page, setPage] = useState(1)
+  const [history, setHistory] = useState<PlayHistoryPage | null>(null)
+  const [stats, setStats] = useState<VideoPlayStats[] | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    let cancelled = false
+    setIsLoading(true)
+    getPlayHistory(page, PAGE_SIZE)
+      .then((result) => !cancelled && setHistory(result))
+      .catch((error) => toast({ title: "Error Loading History", description: error.message, variant: "destructive" }))
+      .finally(() => !cancelled && setIsLoading(false))
+    return () => {
+      cancelled = true
+    }
+  }, [page])
+
+  useEffect(() => {
+    getPlayStats()
+      .then(setStats)
+      .catch((error) => toast({ title: "Error Loading Play Counts", description: error.message, variant: "destructive" }))
+  }, [])
+
+  const pageCount = history ? Math.max(1, Math.ceil(history.total / history.pageSize)) : 1
+
+  return (
+    <Tabs defaultValue="plays">
+      <TabsList className="mb-4">
+        <TabsTrigger value="plays">Recent plays</TabsTrigger>
+        <TabsTrigger value="videos">By video</TabsTrigger>
+      </TabsList>
+
+      <TabsContent value="plays">
+        <Card className="bg-card border-border">
+          <CardHeader className="flex flex-row items-center justify-between">
+            <CardTitle className="text-base font-medium">
+              {history ? `${history.total} plays` : "Plays"}
+            </CardTitle>
+            <div className="flex items-center gap-2 text-sm text-muted-foreground">
+              {isLoading && <Loader2 className="w-4 h-4 animate-spin" />}
+              Page {page} of {pageCount}
+              <Button
+                variant="outline"
+                size="icon"
+                onClick={() => setPage((p) => p - 1)}
+                disabled={page <= 1 || isLoading}
+                title="Newer"
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </Button>
+              <Button
+                variant="outline"
+                size="icon"
+                onClick={() => setPage((p) => p + 1)}
+                disabled={page >= pageCount || isLoading}
+                title="Older"
+              >
+                <ChevronRight className="w-4 h-4" />
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Started</TableHead>
+                  <TableHead>Track</TableHead>
+                  <TableHead>Playlist</TableHead>
+                  <TableHead className="text-right">On air</TableHead>
+                  <TableHead>Ended</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {history?.items.map((entry) => (
+                  <TableRow key={entry.id}>
+                    <TableCell className="whitespace-nowrap text-muted-foreground">
+                      {formatDateTime(entry.started_at)}
+                    </TableCell>
+                    <TableCell className="max-w-xs truncate" title={entry.title}>
+                      {entry.title}
+                    </TableCell>
+                    <TableCell className="text-muted-foreground">{entry.playlist_name || "—"}</TableCell>
+                    <TableCell className="text-right tabular-nums">
+                      {entry.ended_at
+                        ? formatAirtime((Date.parse(entry.ended_at) - Date.parse(entry.started_at)) / 1000)
+                        : "—"}
+                    </TableCell>
+                    <TableCell>
+                      <span
+                        className={cn(
+                          "inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium",
+                          END_REASON_STYLES[entry.end_reason ?? "on_air"],
+                        )}
+                      >
+                        {entry.end_reason ?? "on air"}
+                      </span>
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {history?.items.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={5} className="text-center text-muted-foreground py-8">
+                      Nothing has been played yet.
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      </TabsContent>
+
+      <TabsContent value="videos">
+        <Card className="bg-card border-border">
+          <CardHeader>
+            <CardTitle className="text-base font-medium">Plays and airtime per video</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {!stats ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="w-5 h-5 animate-spin text-muted-foreground" />
+              </div>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Video</TableHead>
+                    <TableHead className="text-right">Plays</TableHead>
+                    <TableHead className="text-right">Played through</TableHead>
+                    <TableHead className="text-right">Airtime</TableHead>
+                    <TableHead>Last played</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {stats.map((row) => (
+                    <TableRow key={row.video_id ?? "deleted"}>
+                      <TableCell className="max-w-xs truncate" title={row.title}>
+                        {row.video_id ? row.title : <span className="text-muted-foreground">Deleted videos</span>}
+                      </TableCell>
+                      <TableCell className="text-right tabular-nums">{row.play_count}</TableCell>
+                      <TableCell className="text-right tabular-nums">{row.finished_count}</TableCell>
+                      <TableCell className="text-right tabular-nums">{formatAirtime(row.airtime_seconds)}</TableCell>
+                      <TableCell className="whitespace-nowrap text-muted-foreground">
+                        {formatDateTime(row.last_played_at)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  {stats.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={5} className="text-center text-muted-foreground py-8">
+                        Nothing has been played yet.
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      </TabsContent>
+    </Tabs>
+  )
+}
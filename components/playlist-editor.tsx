@@ -4,7 +4,7 @@ import type React from "react"
 import { useState } from "react"
 import { Card } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
-import { Video, Trash2, GripVertical, Plus, Volume2 } from "lucide-react"
+import { Video, Trash2, GripVertical, Plus, Volume2, Scale } from "lucide-react"
 import { VideoPickerModal } from "@/components/video-picker-modal"
 import {
   Popover,
@@ -14,6 +14,9 @@ import {
 import { Slider } from "@/components/ui/slider"
 import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+
+export type PlayMode = "sequential" | "shuffle" | "repeat_one" | "weighted"
 
 export interface VideoItem {
   id: string
@@ -24,6 +27,7 @@ export interface VideoItem {
   filename?: string
   thumbnail_url?: string
   volume?: number
+  weight?: number
 }
 
 interface PlaylistEditorProps {
@@ -32,9 +36,21 @@ interface PlaylistEditorProps {
   onDelete: (id: string) => void
   onUpdate: (id: string, updates: Partial<VideoItem>) => void
   onAddVideos?: (videos: VideoItem[]) => void
+  playMode: PlayMode
+  onPlayModeChange: (mode: PlayMode) => void
+  playlistSwitcher?: React.ReactNode
 }
 
-export function PlaylistEditor({ videos, onReorder, onDelete, onUpdate, onAddVideos }: PlaylistEditorProps) {
+export function PlaylistEditor({
+  videos,
+  onReorder,
+  onDelete,
+  onUpdate,
+  onAddVideos,
+  playMode,
+  onPlayModeChange,
+  playlistSwitcher,
+}: PlaylistEditorProps) {
   const [draggedIndex, setDraggedIndex] = useState<number | null>(null)
   const [dragOverIndex, setDragOverIndex] = useState<number | null>(null)
   const [showPicker, setShowPicker] = useState(false)
@@ -95,8 +111,24 @@ export function PlaylistEditor({ videos, onReorder, onDelete, onUpdate, onAddVid
   return (
     <div className="flex flex-col flex-1 min-h-0">
       <div className="flex items-center justify-between mb-4">
-        <h3 className="text-lg font-semibold text-foreground">Playlist Editor</h3>
-        <span className="text-sm text-muted-foreground">{videos.length} videos</span>
+        <div className="flex items-center gap-3">
+          <h3 className="text-lg font-semibold text-foreground">Playlist Editor</h3>
+          {playlistSwitcher}
+        </div>
+        <div className="flex items-center gap-3">
+          <Select value={playMode} onValueChange={(v) => onPlayModeChange(v as PlayMode)}>
+            <SelectTrigger size="sm" className="w-40">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="sequential">In order</SelectItem>
+              <SelectItem value="shuffle">Shuffle</SelectItem>
+              <SelectItem value="repeat_one">Repeat one</SelectItem>
+              <SelectItem value="weighted">Weighted random</SelectItem>
+            </SelectContent>
+          </Select>
+          <span className="text-sm text-muted-foreground">{videos.length} videos</span>
+        </div>
       </div>
 
       {/* Add from Library Button */}
@@ -161,6 +193,50 @@ export function PlaylistEditor({ videos, onReorder, onDelete, onUpdate, onAddVid
                   <p className="text-sm text-muted-foreground">{video.duration}</p>
                 </div>
 
+                {/* Weight (weighted random only) */}
+                {playMode === "weighted" && (
+                  <Popover>
+                    <PopoverTrigger asChild>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-8 px-2 text-muted-foreground hover:text-foreground"
+                        title="How often this track is picked"
+                      >
+                        <Scale className="w-4 h-4 mr-1.5" />
+                        <span className="text-xs font-mono">×{video.weight ?? 1}</span>
+                      </Button>
+                    </PopoverTrigger>
+                    <PopoverContent className="w-72" side="left">
+                      <div className="grid gap-4">
+                        <div className="space-y-2">
+                          <h4 className="font-medium leading-none">Weight</h4>
+                          <p className="text-sm text-muted-foreground">
+                            A track with weight 2 is picked twice as often as one with weight 1. 0 never plays.
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <Label htmlFor={`weight-${video.id}`} className="text-sm text-muted-foreground">
+                            Weight
+                          </Label>
+                          <Input
+                            id={`weight-${video.id}`}
+                            type="number"
+                            min={0}
+                            max={10}
+                            value={video.weight ?? 1}
+                            onChange={(e) => {
+                              const val = Math.min(10, Math.max(0, parseInt(e.target.value) || 0))
+                              onUpdate(video.id, { weight: val })
+                            }}
+                            className="w-20 h-8 text-right"
+                          />
+                        </div>
+                      </div>
+                    </PopoverContent>
+                  </Popover>
+                )}
+
                 {/* Volume Control */}
                 <Popover>
                   <PopoverTrigger asChild>
@@ -180,7 +256,7 @@ export function PlaylistEditor({ videos, onReorder, onDelete, onUpdate, onAddVid
                       <div className="space-y-2">
                         <h4 className="font-medium leading-none">Volume</h4>
                         <p className="text-sm text-muted-foreground">
-                          Adjust playback volume for this track.
+                          Adjust playback volume for this track. Takes effect the next time it starts on air.
                         </p>
                       </div>
                       <div className="flex items-center gap-4">
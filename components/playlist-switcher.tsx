@@ -0,0 +1,145 @@
+"use client"
+
+import { useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { MoreHorizontal, Plus, Copy, Pencil, Trash2 } from "lucide-react"
+
+export interface PlaylistSummary {
+  id: string
+  name: string
+  itemCount: number
+}
+
+interface PlaylistSwitcherProps {
+  playlists: PlaylistSummary[]
+  selectedId: string | null
+  activeId: string | null
+  onSelect: (id: string) => void
+  onCreate: (name: string) => void
+  onDuplicate: (id: string, name: string) => void
+  onRename: (id: string, name: string) => void
+  onDelete: (id: string) => void
+}
+
+type NameDialog = { mode: "create" | "duplicate" | "rename"; name: string } | null
+
+const DIALOG_TITLES = {
+  create: "New playlist",
+  duplicate: "Duplicate playlist",
+  rename: "Rename playlist",
+}
+
+export function PlaylistSwitcher({
+  playlists,
+  selectedId,
+  activeId,
+  onSelect,
+  onCreate,
+  onDuplicate,
+  onRename,
+  onDelete,
+}: PlaylistSwitcherProps) {
+  const [dialog, setDialog] = useState<NameDialog>(null)
+  const selected = playlists.find((p) => p.id === selectedId)
+
+  const handleConfirm = () => {
+    if (!dialog || !dialog.name.trim()) return
+    const name = dialog.name.trim()
+    if (dialog.mode === "create") onCreate(name)
+    else if (selectedId && dialog.mode === "duplicate") onDuplicate(selectedId, name)
+    else if (selectedId) onRename(selectedId, name)
+    setDialog(null)
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <Select value={selectedId ?? undefined} onValueChange={onSelect}>
+        <SelectTrigger size="sm" className="w-52">
+          <SelectValue placeholder="Select a playlist" />
+        </SelectTrigger>
+        <SelectContent>
+          {playlists.map((playlist) => (
+            <SelectItem key={playlist.id} value={playlist.id}>
+              {playlist.name}
+              {playlist.id === activeId && <span className="text-xs text-green-400">● on air</span>}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="ghost" size="icon" className="h-8 w-8 text-muted-foreground" title="Playlist actions">
+            <MoreHorizontal className="w-4 h-4" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end">
+          <DropdownMenuItem onSelect={() => setDialog({ mode: "create", name: "" })}>
+            <Plus className="w-4 h-4" />
+            New playlist
+          </DropdownMenuItem>
+          <DropdownMenuItem
+            disabled={!selected}
+            onSelect={() => selected && setDialog({ mode: "duplicate", name: `${selected.name} (copy)` })}
+          >
+            <Copy className="w-4 h-4" />
+            Duplicate
+          </DropdownMenuItem>
+          <DropdownMenuItem
+            disabled={!selected}
+            onSelect={() => selected && setDialog({ mode: "rename", name: selected.name })}
+          >
+            <Pencil className="w-4 h-4" />
+            Rename
+          </DropdownMenuItem>
+          <DropdownMenuSeparator />
+          <DropdownMenuItem
+            variant="destructive"
+            disabled={!selected || selected.id === activeId}
+            onSelect={() => {
+              if (selected && window.confirm(`Delete "${selected.name}"? Its schedule blocks are removed too.`)) {
+                onDelete(selected.id)
+              }
+            }}
+          >
+            <Trash2 className="w-4 h-4" />
+            Delete
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Dialog open={dialog !== null} onOpenChange={(open) => !open && setDialog(null)}>
+        <DialogContent className="sm:max-w-sm">
+          <DialogHeader>
+            <DialogTitle>{dialog ? DIALOG_TITLES[dialog.mode] : ""}</DialogTitle>
+          </DialogHeader>
+          <Input
+            autoFocus
+            value={dialog?.name ?? ""}
+            placeholder="Playlist name"
+            onChange={(e) => dialog && setDialog({ ...dialog, name: e.target.value })}
+            onKeyDown={(e) => e.key === "Enter" && handleConfirm()}
+          />
+          <DialogFooter>
+            <Button variant="ghost" onClick={() => setDialog(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleConfirm} disabled={!dialog?.name.trim()}>
+              {dialog?.mode === "rename" ? "Rename" : "Create"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
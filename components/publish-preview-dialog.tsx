@@ -0,0 +1,121 @@
+"use client"
+
+import { Button } from "@/components/ui/button"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { AlertTriangle, Radio, Loader2 } from "lucide-react"
+import { isPlaylistUnchanged, type PlaylistDiff, type SettingChange } from "@/lib/publish-diff"
+
+interface PublishPreviewDialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  isLive: boolean
+  playlistName: string
+  playlistDiff: PlaylistDiff
+  settingChanges: SettingChange[]
+  formatValue: (change: SettingChange, value: SettingChange["from"]) => string
+  isPublishing: boolean
+  onConfirm: () => void
+}
+
+export function PublishPreviewDialog({
+  open,
+  onOpenChange,
+  isLive,
+  playlistName,
+  playlistDiff,
+  settingChanges,
+  formatValue,
+  isPublishing,
+  onConfirm,
+}: PublishPreviewDialogProps) {
+  const restartFields = settingChanges.filter((change) => change.restart)
+  const playlistUnchanged = isPlaylistUnchanged(playlistDiff)
+  const nothingChanged = playlistUnchanged && settingChanges.length === 0
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Publish changes</DialogTitle>
+          <DialogDescription>
+            {isLive ? "Review what will change on air." : "The stream is offline; these apply when it starts."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLive && !nothingChanged && (
+          restartFields.length > 0 ? (
+            <div className="flex items-start gap-3 rounded-lg border border-yellow-500/30 bg-yellow-500/10 p-3 text-sm">
+              <AlertTriangle className="w-4 h-4 mt-0.5 text-yellow-400 flex-shrink-0" />
+              <p className="text-yellow-200">
+                {restartFields.map((change) => change.label).join(", ")} can only change by restarting the stream
+                encoder. Viewers will see a short interruption; the current track picks up where it was.
+              </p>
+            </div>
+          ) : (
+            <div className="flex items-start gap-3 rounded-lg border border-green-500/30 bg-green-500/10 p-3 text-sm">
+              <Radio className="w-4 h-4 mt-0.5 text-green-400 flex-shrink-0" />
+              <p className="text-green-200">
+                Applied live without interrupting the broadcast. The track on air finishes first.
+              </p>
+            </div>
+          )
+        )}
+
+        <div className="max-h-80 overflow-y-auto space-y-4 text-sm">
+          {nothingChanged && <p className="text-muted-foreground">Nothing has changed since the last publish.</p>}
+
+          {!playlistUnchanged && (
+            <div className="space-y-1">
+              <h4 className="font-medium text-foreground">Playlist: {playlistName}</h4>
+              {playlistDiff.added.map((item) => (
+                <p key={`added-${item.id}`} className="text-green-400 truncate">
+                  + {item.title}
+                </p>
+              ))}
+              {playlistDiff.removed.map((item) => (
+                <p key={`removed-${item.id}`} className="text-red-400 truncate">
+                  − {item.title}
+                </p>
+              ))}
+              {playlistDiff.reordered && <p className="text-muted-foreground">↕ Track order changed</p>}
+              {playlistDiff.adjusted.map((item) => (
+                <p key={`adjusted-${item.id}`} className="text-muted-foreground truncate">
+                  {item.title}: {item.changes.join(", ")}
+                </p>
+              ))}
+            </div>
+          )}
+
+          {settingChanges.length > 0 && (
+            <div className="space-y-1">
+              <h4 className="font-medium text-foreground">Settings</h4>
+              {settingChanges.map((change) => (
+                <p key={change.field} className="text-muted-foreground">
+                  {change.label}: {formatValue(change, change.from)} → {formatValue(change, change.to)}
+                  {isLive && change.restart && <span className="text-yellow-400"> (restart)</span>}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="ghost" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={onConfirm} disabled={isPublishing}>
+            {isPublishing && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            {isLive && restartFields.length > 0 ? "Publish and restart" : "Publish"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
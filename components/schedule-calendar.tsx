@@ -0,0 +1,374 @@
+"use client"
+
+import { useState, useEffect, useMemo } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { ToggleGroup, ToggleGroupItem } from "@/components/ui/toggle-group"
+import { CalendarClock, Plus, Trash2, Loader2 } from "lucide-react"
+import { supabase } from "@/lib/supabase"
+import { updateStreamConfig } from "@/lib/stream-config"
+import { toast } from "@/hooks/use-toast"
+import { cn } from "@/lib/utils"
+import type { PlaylistSummary } from "@/components/playlist-switcher"
+import { listPlaylists, toSummary } from "@/lib/playlists"
+import {
+  WEEKDAYS,
+  getUpcomingSegments,
+  getZonedClock,
+  isValidTimeZone,
+  parseClockMinutes,
+  type ScheduleBlock,
+} from "@/lib/schedule"
+
+const PLAYLIST_COLORS = ["bg-violet-600", "bg-emerald-600", "bg-orange-500", "bg-cyan-600", "bg-rose-600", "bg-lime-600"]
+const HOUR_HEIGHT = 24 // px per hour in the week view
+
+const TIME_ZONES: string[] = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : []
+
+/**
+ * Pieces of a block per weekday, splitting blocks that run past midnight
+ */
+function blockPieces(block: ScheduleBlock) {
+  const start = parseClockMinutes(block.start)
+  const end = parseClockMinutes(block.end)
+  if (start === null || end === null) return []
+
+  return block.days.flatMap((day) =>
+    end > start
+      ? [{ day, start, end }]
+      : [
+          { day, start, end: 24 * 60 },
+          ...(end > 0 ? [{ day: (day + 1) % 7, start: 0, end }] : []),
+        ],
+  )
+}
+
+export function ScheduleCalendar() {
+  const [configId, setConfigId] = useState<string | null>(null)
+  const [playlists, setPlaylists] = useState<PlaylistSummary[]>([])
+  const [blocks, setBlocks] = useState<ScheduleBlock[]>([])
+  const [timeZone, setTimeZone] = useState("UTC")
+  const [now, setNow] = useState(() => new Date())
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    async function loadSchedule() {
+      const { data, error } = await supabase
+        .from("stream_config")
+        .select("id, schedule, schedule_timezone")
+        .single()
+
+      if (error) {
+        toast({ title: "Error Loading Schedule", description: error.message, variant: "destructive" })
+      } else {
+        setConfigId(data.id)
+        setBlocks(data.schedule || [])
+        setTimeZone(data.schedule_timezone || Intl.DateTimeFormat().resolvedOptions().timeZone)
+      }
+
+      try {
+        setPlaylists((await listPlaylists()).map(toSummary))
+      } catch (err) {
+        toast({
+          title: "Error Loading Playlists",
+          description: err instanceof Error ? err.message : String(err),
+          variant: "destructive",
+        })
+      }
+      setIsLoading(false)
+    }
+
+    loadSchedule()
+  }, [])
+
+  // Keeps the "now" marker and the upcoming list current
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 60000)
+    return () => clearInterval(interval)
+  }, [])
+
+  const zone = isValidTimeZone(timeZone) ? timeZone : "UTC"
+
+  const upcoming = useMemo(
+    () => getUpcomingSegments(blocks, playlists, zone, now).slice(0, 8),
+    [blocks, playlists, zone, now],
+  )
+
+  const nowClock = getZonedClock(now, zone)
+
+  const formatInZone = (date: Date) =>
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: zone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).format(date)
+
+  const playlistName = (id: string | null) =>
+    id === null ? "Active playlist" : playlists.find((p) => p.id === id)?.name || "Deleted playlist"
+
+  const playlistColor = (id: string) => {
+    const index = playlists.findIndex((p) => p.id === id)
+    return index === -1 ? "bg-secondary" : PLAYLIST_COLORS[index % PLAYLIST_COLORS.length]
+  }
+
+  const addBlock = () => {
+    if (playlists.length === 0) return
+    setBlocks((prev) => [
+      ...prev,
+      {
+        id: crypto.randomUUID(),
+        playlist_id: playlists[0].id,
+        days: [1, 2, 3, 4, 5],
+        start: "09:00",
+        end: "17:00",
+        enabled: true,
+      },
+    ])
+  }
+
+  const updateBlock = (id: string, updates: Partial<ScheduleBlock>) => {
+    setBlocks((prev) => prev.map((b) => (b.id === id ? { ...b, ...updates } : b)))
+  }
+
+  const removeBlock = (id: string) => {
+    setBlocks((prev) => prev.filter((b) => b.id !== id))
+  }
+
+  const handleSave = async () => {
+    if (!configId) return
+    if (!isValidTimeZone(timeZone)) {
+      toast({ title: "Unknown Timezone", description: `"${timeZone}" is not a valid timezone.`, variant: "destructive" })
+      return
+    }
+    setIsSaving(true)
+
+    const { error } = await updateStreamConfig(configId, {
+      schedule: blocks,
+      schedule_timezone: timeZone,
+    })
+
+    setIsSaving(false)
+    if (error) {
+      toast({ title: "Save Failed", description: error.message, variant: "destructive" })
+    } else {
+      toast({ title: "Schedule Saved", description: "Playlist switches happen when the current track ends." })
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <Card className="bg-card border-border">
+        <CardContent className="p-12 flex items-center justify-center">
+          <Loader2 className="w-6 h-6 animate-spin text-violet-500" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Week View */}
+      <Card className="bg-card border-border">
+        <CardHeader className="flex flex-row items-center justify-between space-y-0">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <CalendarClock className="w-5 h-5 text-violet-400" />
+            Week
+          </CardTitle>
+          <div className="flex items-center gap-2">
+            <Label htmlFor="schedule-timezone" className="text-sm text-muted-foreground">
+              Timezone
+            </Label>
+            <Input
+              id="schedule-timezone"
+              list="schedule-timezones"
+              value={timeZone}
+              onChange={(e) => setTimeZone(e.target.value)}
+              className={cn("w-56 bg-secondary border-border", !isValidTimeZone(timeZone) && "border-destructive")}
+            />
+            <datalist id="schedule-timezones">
+              {TIME_ZONES.map((tz) => (
+                <option key={tz} value={tz} />
+              ))}
+            </datalist>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="flex">
+            <div className="w-10 pt-6 text-[10px] text-muted-foreground">
+              {Array.from({ length: 24 }, (_, hour) => (
+                <div key={hour} style={{ height: HOUR_HEIGHT }}>
+                  {hour % 3 === 0 ? `${String(hour).padStart(2, "0")}:00` : ""}
+                </div>
+              ))}
+            </div>
+            <div className="flex-1 grid grid-cols-7 gap-px">
+              {WEEKDAYS.map((label, day) => (
+                <div key={label}>
+                  <div
+                    className={cn(
+                      "h-6 text-center text-xs font-medium",
+                      day === nowClock.weekday ? "text-violet-400" : "text-muted-foreground",
+                    )}
+                  >
+                    {label}
+                  </div>
+                  <div className="relative bg-secondary/40 rounded" style={{ height: 24 * HOUR_HEIGHT }}>
+                    {blocks
+                      .filter((block) => block.enabled !== false)
+                      .flatMap((block) =>
+                        blockPieces(block)
+                          .filter((piece) => piece.day === day)
+                          .map((piece) => (
+                            <div
+                              key={`${block.id}-${piece.start}`}
+                              className={cn(
+                                "absolute inset-x-0.5 rounded px-1 text-[10px] text-white overflow-hidden opacity-90",
+                                playlistColor(block.playlist_id),
+                              )}
+                              style={{
+                                top: (piece.start / 60) * HOUR_HEIGHT,
+                                height: ((piece.end - piece.start) / 60) * HOUR_HEIGHT,
+                              }}
+                              title={`${playlistName(block.playlist_id)} ${block.start}–${block.end}`}
+                            >
+                              {playlistName(block.playlist_id)}
+                            </div>
+                          )),
+                      )}
+                    {day === nowClock.weekday && (
+                      <div
+                        className="absolute inset-x-0 h-0.5 bg-red-500"
+                        style={{ top: (nowClock.minutes / 60) * HOUR_HEIGHT }}
+                      />
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+          <p className="text-xs text-muted-foreground mt-3">
+            Outside every block the active playlist from the dashboard plays. Where blocks overlap, the one higher in the
+            list below wins. Switches wait for the track on air to finish.
+          </p>
+        </CardContent>
+      </Card>
+
+      <div className="grid grid-cols-3 gap-6">
+        {/* Blocks */}
+        <Card className="bg-card border-border col-span-2">
+          <CardHeader className="flex flex-row items-center justify-between space-y-0">
+            <CardTitle className="text-lg">Blocks</CardTitle>
+            <Button variant="outline" size="sm" onClick={addBlock} disabled={playlists.length === 0}>
+              <Plus className="w-3 h-3 mr-1" />
+              Add block
+            </Button>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {blocks.length === 0 && (
+              <p className="text-sm text-muted-foreground">
+                {playlists.length === 0
+                  ? "Create a playlist in the dashboard's playlist editor first, then schedule it here."
+                  : "No blocks yet. The active playlist plays around the clock."}
+              </p>
+            )}
+            {blocks.map((block) => (
+              <div key={block.id} className="rounded-lg border border-border p-3 space-y-3">
+                <div className="flex items-center gap-3">
+                  <Switch checked={block.enabled !== false} onCheckedChange={(enabled) => updateBlock(block.id, { enabled })} />
+                  <span className={cn("w-2.5 h-2.5 rounded-full", playlistColor(block.playlist_id))} />
+                  <Select value={block.playlist_id} onValueChange={(playlist_id) => updateBlock(block.id, { playlist_id })}>
+                    <SelectTrigger size="sm" className="w-48 bg-secondary border-border">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {playlists.map((p) => (
+                        <SelectItem key={p.id} value={p.id}>
+                          {p.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Input
+                    type="time"
+                    value={block.start}
+                    onChange={(e) => updateBlock(block.id, { start: e.target.value })}
+                    className="w-28 h-8 bg-secondary border-border"
+                  />
+                  <span className="text-muted-foreground">–</span>
+                  <Input
+                    type="time"
+                    value={block.end}
+                    onChange={(e) => updateBlock(block.id, { end: e.target.value })}
+                    className="w-28 h-8 bg-secondary border-border"
+                  />
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => removeBlock(block.id)}
+                    className="ml-auto text-muted-foreground hover:text-destructive"
+                    title="Remove block"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+                <ToggleGroup
+                  type="multiple"
+                  variant="outline"
+                  size="sm"
+                  value={block.days.map(String)}
+                  onValueChange={(days) => updateBlock(block.id, { days: days.map(Number).sort() })}
+                >
+                  {WEEKDAYS.map((label, day) => (
+                    <ToggleGroupItem key={label} value={String(day)} className="px-3">
+                      {label}
+                    </ToggleGroupItem>
+                  ))}
+                </ToggleGroup>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+
+        {/* Upcoming */}
+        <Card className="bg-card border-border">
+          <CardHeader>
+            <CardTitle className="text-lg">Coming up</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {upcoming.map((segment, index) => (
+              <div key={segment.start.getTime()} className="flex items-center gap-3 text-sm">
+                <span
+                  className={cn(
+                    "w-2.5 h-2.5 rounded-full flex-shrink-0",
+                    segment.playlistId ? playlistColor(segment.playlistId) : "bg-muted-foreground",
+                  )}
+                />
+                <div className="min-w-0">
+                  <p className="text-foreground truncate">{playlistName(segment.playlistId)}</p>
+                  <p className="text-xs text-muted-foreground font-mono">
+                    {index === 0 ? "now" : formatInZone(segment.start)} → {formatInZone(segment.end)}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      </div>
+
+
+      <div className="flex justify-end">
+        <Button onClick={handleSave} disabled={isSaving || !configId} className="bg-violet-600 hover:bg-violet-700 text-white">
+          {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+          Save Schedule
+        </Button>
+      </div>
+    </div>
+  )
+}
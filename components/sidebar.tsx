@@ -1,19 +1,40 @@
 "use client"
 
 import { cn } from "@/lib/utils"
-import { LayoutDashboard, FolderOpen, Settings, HelpCircle, ChevronDown } from "lucide-react"
+import {
+  LayoutDashboard,
+  FolderOpen,
+  CloudRain,
+  CalendarClock,
+  History,
+  Settings,
+  HelpCircle,
+  ChevronDown,
+  LogOut,
+} from "lucide-react"
 import Link from "next/link"
 import { usePathname } from "next/navigation"
+import { useState, useEffect } from "react"
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
+import { supabase } from "@/lib/supabase"
 
 const navItems = [
   { href: "/", label: "Dashboard", icon: LayoutDashboard },
   { href: "/media", label: "Media Library", icon: FolderOpen },
+  { href: "/audio", label: "Background Audio", icon: CloudRain },
+  { href: "/schedule", label: "Schedule", icon: CalendarClock },
+  { href: "/history", label: "History", icon: History },
   { href: "/settings", label: "Stream Settings", icon: Settings },
   { href: "/help", label: "Help Center", icon: HelpCircle },
 ]
 
 export function Sidebar() {
   const pathname = usePathname()
+  const [email, setEmail] = useState<string | null>(null)
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => setEmail(data.session?.user.email ?? null))
+  }, [])
 
   return (
     <aside className="w-56 bg-sidebar border-r border-sidebar-border flex flex-col h-screen">
@@ -80,16 +101,26 @@ export function Sidebar() {
       </div>
 
       <div className="p-3 border-t border-sidebar-border">
-        <button className="w-full flex items-center gap-3 px-2 py-2 rounded-lg hover:bg-secondary transition-colors">
-          <div className="w-8 h-8 rounded-full bg-violet-600 flex items-center justify-center text-white text-xs font-medium">
-            LY
-          </div>
-          <div className="flex-1 text-left">
-            <p className="text-sm font-medium text-foreground">Lionel Yu</p>
-            <p className="text-xs text-muted-foreground">Your account</p>
-          </div>
-          <ChevronDown className="w-4 h-4 text-muted-foreground" />
-        </button>
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <button className="w-full flex items-center gap-3 px-2 py-2 rounded-lg hover:bg-secondary transition-colors">
+              <div className="w-8 h-8 rounded-full bg-violet-600 flex items-center justify-center text-white text-xs font-medium">
+                LY
+              </div>
+              <div className="flex-1 min-w-0 text-left">
+                <p className="text-sm font-medium text-foreground">Lionel Yu</p>
+                <p className="text-xs text-muted-foreground truncate">{email || "Your account"}</p>
+              </div>
+              <ChevronDown className="w-4 h-4 text-muted-foreground" />
+            </button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="end" className="w-48">
+            <DropdownMenuItem onClick={() => supabase.auth.signOut()}>
+              <LogOut className="w-4 h-4 mr-2" />
+              Sign out
+            </DropdownMenuItem>
+          </DropdownMenuContent>
+        </DropdownMenu>
       </div>
     </aside>
   )
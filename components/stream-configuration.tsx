@@ -1,14 +1,17 @@
 "use client"
 
 import { useState, useRef } from "react"
+import Link from "next/link"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
 import { Slider } from "@/components/ui/slider"
 import { Switch } from "@/components/ui/switch"
-import { Play, Square, Volume2, Music, Eye, EyeOff, Upload, Loader2, Check } from "lucide-react"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Play, Square, Volume2, Music, Eye, EyeOff, Upload, Loader2, Check, Blend } from "lucide-react"
 import { toast } from "@/hooks/use-toast"
+import { getAuthHeaders, VPS_URL } from "@/lib/vps"
 
 interface AudioOverlayCardProps {
   audioEnabled: boolean
@@ -52,10 +55,8 @@ function AudioOverlayCard({
     setIsUploading(true)
     setUploadProgress(0)
 
-    // VPS URL for direct upload (bypasses Vercel proxy to avoid timeout/size limits)
-    const VPS_URL = 'https://stream.musicalbasics.com'
-
     try {
+      const authHeaders = await getAuthHeaders()
       const formData = new FormData()
       formData.append('audio', file)
 
@@ -100,7 +101,9 @@ function AudioOverlayCard({
         xhr.addEventListener('error', () => reject(new Error('Upload failed')))
         xhr.addEventListener('abort', () => reject(new Error('Upload cancelled')))
 
+        // Direct to the VPS (bypasses Vercel proxy to avoid timeout/size limits)
         xhr.open('POST', `${VPS_URL}/upload-audio`)
+        Object.entries(authHeaders).forEach(([name, value]) => xhr.setRequestHeader(name, value))
         xhr.send(formData)
       })
     } catch (error) {
@@ -177,6 +180,9 @@ function AudioOverlayCard({
               Upload Custom Audio
             </Button>
           )}
+          <Link href="/audio" className="block mt-2 text-xs text-muted-foreground hover:text-foreground text-center">
+            Rotate several beds or give playlists their own in the audio library
+          </Link>
         </div>
 
         {/* Volume Slider */}
@@ -199,6 +205,66 @@ function AudioOverlayCard({
   )
 }
 
+export type TransitionType = "cut" | "audio" | "dissolve" | "fade_black"
+
+interface TransitionCardProps {
+  transitionType: TransitionType
+  transitionDuration: number
+  onTransitionTypeChange: (value: TransitionType) => void
+  onTransitionDurationChange: (value: number) => void
+}
+
+function TransitionCard({
+  transitionType,
+  transitionDuration,
+  onTransitionTypeChange,
+  onTransitionDurationChange,
+}: TransitionCardProps) {
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium flex items-center gap-2">
+          <Blend className="w-4 h-4 text-primary" />
+          Transitions
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <Label className="text-xs text-muted-foreground">Between tracks</Label>
+          <Select value={transitionType} onValueChange={(v) => onTransitionTypeChange(v as TransitionType)}>
+            <SelectTrigger className="bg-input">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="cut">Hard cut</SelectItem>
+              <SelectItem value="audio">Audio crossfade</SelectItem>
+              <SelectItem value="dissolve">Crossfade (dissolve)</SelectItem>
+              <SelectItem value="fade_black">Crossfade (fade through black)</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <Label className="text-xs text-muted-foreground">Duration</Label>
+            <span className="text-xs text-muted-foreground">{transitionDuration}s</span>
+          </div>
+          <Slider
+            value={[transitionDuration]}
+            onValueChange={(v) => onTransitionDurationChange(v[0])}
+            min={2}
+            max={10}
+            step={1}
+            disabled={transitionType === "cut"}
+            className="w-full"
+          />
+          <p className="text-xs text-muted-foreground">Skipping a track always cuts immediately.</p>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
 
 interface StreamConfigProps {
   isLive: boolean
@@ -208,12 +274,16 @@ interface StreamConfigProps {
   audioEnabled: boolean
   audioVolume: number
   audioFile: string | null
+  transitionType: TransitionType
+  transitionDuration: number
   onStreamKeyChange: (value: string) => void
   onRtmpUrlChange: (value: string) => void
   onBitrateChange: (value: number) => void
   onAudioEnabledChange: (value: boolean) => void
   onAudioVolumeChange: (value: number) => void
   onAudioFileChange: (file: string | null) => void
+  onTransitionTypeChange: (value: TransitionType) => void
+  onTransitionDurationChange: (value: number) => void
   onStartStream: () => void
   onStopStream: () => void
 }
@@ -226,12 +296,16 @@ export function StreamConfiguration({
   audioEnabled,
   audioVolume,
   audioFile,
+  transitionType,
+  transitionDuration,
   onStreamKeyChange,
   onRtmpUrlChange,
   onBitrateChange,
   onAudioEnabledChange,
   onAudioVolumeChange,
   onAudioFileChange,
+  onTransitionTypeChange,
+  onTransitionDurationChange,
   onStartStream,
   onStopStream,
 }: StreamConfigProps) {
@@ -269,6 +343,14 @@ export function StreamConfiguration({
         onAudioFileChange={onAudioFileChange}
       />
 
+      {/* Transitions */}
+      <TransitionCard
+        transitionType={transitionType}
+        transitionDuration={transitionDuration}
+        onTransitionTypeChange={onTransitionTypeChange}
+        onTransitionDurationChange={onTransitionDurationChange}
+      />
+
       {/* Stream Settings */}
       <Card>
         <CardHeader className="pb-3">
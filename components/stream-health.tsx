@@ -0,0 +1,183 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { CartesianGrid, Line, LineChart, XAxis, YAxis } from "recharts"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { ChartContainer, ChartTooltip, ChartTooltipContent, type ChartConfig } from "@/components/ui/chart"
+import { Activity } from "lucide-react"
+import { vpsFetch } from "@/lib/vps"
+import { cn } from "@/lib/utils"
+
+interface HealthSample {
+  time: string
+  fps: number | null
+  bitrateKbps: number | null
+  speed: number | null
+  droppedFrames: number | null
+  duplicatedFrames: number | null
+  inputQueueBytes: number
+}
+
+interface WatchdogIncident {
+  at: string
+  cause: "exited" | "stalled" | "backpressure"
+  detail: string
+  title: string | null
+  resumeAtSeconds: number | null
+  restartedAt: string | null
+}
+
+interface HealthReport {
+  isStreaming: boolean
+  master: {
+    fps: number | null
+    bitrateKbps: number | null
+    speed: number | null
+    droppedFrames: number
+    duplicatedFrames: number
+    stale: boolean
+  } | null
+  inputQueueBytes: number
+  queueWarnings: number
+  feederRestarts: number
+  trackFailures: { videoId: string; title: string; failures: number; lastError: string }[]
+  secondsSinceLastHandoff: number | null
+  watchdog: {
+    restartPending: boolean
+    consecutiveFailures: number
+    incidents: WatchdogIncident[]
+  }
+  history: HealthSample[]
+}
+
+const chartConfig = {
+  fps: { label: "FPS", color: "var(--chart-1)" },
+  bitrateKbps: { label: "Bitrate (Kbps)", color: "var(--chart-2)" },
+} satisfies ChartConfig
+
+function formatAgo(seconds: number | null) {
+  if (seconds === null) return "—"
+  if (seconds < 60) return `${seconds}s ago`
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m ago`
+}
+
+// Encoder health from the VPS (see STREAM HEALTH in scripts/server.js)
+export function StreamHealth({ isLive }: { isLive: boolean }) {
+  const [report, setReport] = useState<HealthReport | null>(null)
+
+  useEffect(() => {
+    if (!isLive) {
+      setReport(null)
+      return
+    }
+
+    const fetchHealth = async () => {
+      try {
+        const res = await vpsFetch("/stream/health")
+        if (res.ok) setReport(await res.json())
+      } catch (error) {
+        console.error("Error fetching stream health:", error)
+      }
+    }
+
+    fetchHealth()
+    const interval = setInterval(fetchHealth, 5000)
+    return () => clearInterval(interval)
+  }, [isLive])
+
+  if (!isLive || !report) return null
+
+  const master = report.master
+  const speedOk = master?.speed == null || master.speed >= 0.98
+  const stats = [
+    { label: "FPS", value: master?.fps?.toFixed(1) ?? "—" },
+    { label: "Bitrate", value: master?.bitrateKbps != null ? `${Math.round(master.bitrateKbps)} Kbps` : "—" },
+    { label: "Speed", value: master?.speed != null ? `${master.speed.toFixed(2)}×` : "—", warn: !speedOk },
+    { label: "Dropped / dup", value: master ? `${master.droppedFrames} / ${master.duplicatedFrames}` : "—" },
+    { label: "Input queue", value: `${Math.round(report.inputQueueBytes / 1024)} KB`, warn: report.queueWarnings > 0 },
+    { label: "Feeder restarts", value: String(report.feederRestarts), warn: report.feederRestarts > 0 },
+    { label: "Last handoff", value: formatAgo(report.secondsSinceLastHandoff) },
+  ]
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium flex items-center gap-2">
+          <Activity className="w-4 h-4 text-primary" />
+          Stream Health
+          {report.watchdog.restartPending ? (
+            <span className="text-xs font-normal text-yellow-400">
+              Encoder failed, restarting (attempt {report.watchdog.consecutiveFailures})
+            </span>
+          ) : (
+            master?.stale && <span className="text-xs font-normal text-red-400">Encoder stopped reporting</span>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-4 gap-3">
+          {stats.map((stat) => (
+            <div key={stat.label} className="rounded-lg bg-secondary px-3 py-2">
+              <p className="text-[10px] uppercase tracking-wide text-muted-foreground">{stat.label}</p>
+              <p className={cn("text-sm font-medium", stat.warn ? "text-yellow-400" : "text-foreground")}>{stat.value}</p>
+            </div>
+          ))}
+        </div>
+
+        <ChartContainer config={chartConfig} className="aspect-auto h-40 w-full">
+          <LineChart data={report.history} margin={{ left: 0, right: 0 }}>
+            <CartesianGrid vertical={false} />
+            <XAxis
+              dataKey="time"
+              tickLine={false}
+              axisLine={false}
+              minTickGap={48}
+              tickFormatter={(value) => new Date(value).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+            />
+            <YAxis yAxisId="fps" hide domain={[0, "auto"]} />
+            <YAxis yAxisId="bitrate" hide domain={[0, "auto"]} />
+            <ChartTooltip
+              content={<ChartTooltipContent labelFormatter={(value) => new Date(value).toLocaleTimeString()} />}
+            />
+            <Line yAxisId="fps" dataKey="fps" stroke="var(--color-fps)" dot={false} isAnimationActive={false} />
+            <Line
+              yAxisId="bitrate"
+              dataKey="bitrateKbps"
+              stroke="var(--color-bitrateKbps)"
+              dot={false}
+              isAnimationActive={false}
+            />
+          </LineChart>
+        </ChartContainer>
+
+        {report.watchdog.incidents.length > 0 && (
+          <div className="space-y-1 text-xs">
+            <p className="font-medium text-foreground">Encoder recoveries</p>
+            {report.watchdog.incidents
+              .slice(-3)
+              .reverse()
+              .map((incident) => (
+                <p key={incident.at} className="text-muted-foreground truncate" title={incident.detail}>
+                  {new Date(incident.at).toLocaleTimeString()}: {incident.cause} ({incident.detail})
+                  {incident.title && ` during "${incident.title}"`}
+                  {!incident.restartedAt && " · restart pending"}
+                </p>
+              ))}
+          </div>
+        )}
+
+        {report.trackFailures.length > 0 && (
+          <div className="space-y-1 text-xs">
+            <p className="font-medium text-foreground">Tracks that failed</p>
+            {report.trackFailures.slice(0, 5).map((track) => (
+              <p key={track.videoId} className="text-muted-foreground truncate" title={track.lastError}>
+                {track.title}: {track.failures}× ({track.lastError})
+              </p>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,427 @@
+"use client"
+
+import { useState, useEffect, useRef } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { Slider } from "@/components/ui/slider"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Card, CardContent } from "@/components/ui/card"
+import { ImageUp, Loader2 } from "lucide-react"
+import { supabase } from "@/lib/supabase"
+import { updateStreamConfig } from "@/lib/stream-config"
+import { getAuthHeaders, VPS_URL } from "@/lib/vps"
+import { toast } from "@/hooks/use-toast"
+import { logoRestartKey } from "@/lib/publish-diff"
+
+// Branding the VPS draws into the stream (see OVERLAYS in scripts/server.js)
+
+export type LogoPosition = "top-left" | "top-right" | "bottom-left" | "bottom-right"
+export type ClockMode = "off" | "clock" | "countdown"
+
+export interface StreamOverlaySettings {
+  now_playing: { enabled: boolean }
+  logo: { enabled: boolean; file: string | null; position: LogoPosition; opacity: number }
+  clock: { mode: ClockMode; countdown_to: string | null; label: string }
+  ticker: { enabled: boolean; text: string }
+}
+
+const DEFAULT_OVERLAYS: StreamOverlaySettings = {
+  now_playing: { enabled: false },
+  logo: { enabled: false, file: null, position: "top-right", opacity: 0.8 },
+  clock: { mode: "off", countdown_to: null, label: "" },
+  ticker: { enabled: false, text: "" },
+}
+
+const POSITION_LABELS: Record<LogoPosition, string> = {
+  "top-left": "Top left",
+  "top-right": "Top right",
+  "bottom-left": "Bottom left",
+  "bottom-right": "Bottom right",
+}
+
+function withDefaults(saved: Partial<StreamOverlaySettings> | null): StreamOverlaySettings {
+  return {
+    now_playing: { ...DEFAULT_OVERLAYS.now_playing, ...saved?.now_playing },
+    logo: { ...DEFAULT_OVERLAYS.logo, ...saved?.logo },
+    clock: { ...DEFAULT_OVERLAYS.clock, ...saved?.clock },
+    ticker: { ...DEFAULT_OVERLAYS.ticker, ...saved?.ticker },
+  }
+}
+
+// <input type="datetime-local"> works in local time without a zone
+function toLocalInput(iso: string | null) {
+  if (!iso) return ""
+  const date = new Date(iso)
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+function formatClockText(clock: StreamOverlaySettings["clock"], timeZone: string, now: number) {
+  if (clock.mode !== "countdown") {
+    return new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit" }).format(now)
+  }
+  if (!clock.countdown_to) return clock.label
+  const left = Math.max(0, Math.ceil((Date.parse(clock.countdown_to) - now) / 1000))
+  const remaining = `${Math.floor(left / 3600)}:${String(Math.floor((left % 3600) / 60)).padStart(2, "0")}:${String(left % 60).padStart(2, "0")}`
+  return clock.label ? `${clock.label} ${remaining}` : remaining
+}
+
+// Laid out like buildOverlayGraph() on the VPS, scaled down to the preview
+function OverlayPreview({
+  overlays,
+  vertical,
+  timeZone,
+}: {
+  overlays: StreamOverlaySettings
+  vertical: boolean
+  timeZone: string
+}) {
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const width = vertical ? 216 : 480
+  const height = vertical ? 384 : 270
+  const unit = Math.min(width, height)
+  const fontSize = unit / 24
+  const margin = unit / 30
+  const { logo, clock, ticker } = overlays
+  const showLogo = logo.enabled && !!logo.file
+  const [logoY, logoX] = logo.position.split("-")
+  const textStyle = { fontSize, lineHeight: 1.2 }
+
+  return (
+    <div
+      className="relative overflow-hidden rounded-lg border border-border bg-gradient-to-br from-slate-700 via-slate-800 to-slate-950 text-white shrink-0"
+      style={{ width, height }}
+    >
+      {showLogo && (
+        <img
+          src={`${VPS_URL}/overlays/${logo.file}`}
+          alt="Logo"
+          className="absolute"
+          style={{
+            height: unit / 8,
+            opacity: logo.opacity,
+            [logoY]: margin,
+            [logoX]: margin,
+          }}
+        />
+      )}
+      {clock.mode !== "off" && (
+        <span
+          className="absolute bg-black/40"
+          style={{
+            ...textStyle,
+            top: margin,
+            [showLogo && logo.position === "top-left" ? "right" : "left"]: margin,
+            padding: fontSize * 0.3,
+          }}
+        >
+          {formatClockText(clock, timeZone, now)}
+        </span>
+      )}
+      {overlays.now_playing.enabled && (
+        <span
+          className="absolute bg-black/55 max-w-[90%] truncate"
+          style={{ ...textStyle, left: margin, bottom: margin * 3, padding: fontSize * 0.4 }}
+        >
+          Now playing: Example Track
+        </span>
+      )}
+      {ticker.enabled && ticker.text.trim() && (
+        <span
+          className="absolute bg-black/60 whitespace-nowrap"
+          style={{ fontSize: fontSize * 0.8, lineHeight: 1.2, left: margin, bottom: margin / 2, padding: fontSize * 0.32 }}
+        >
+          {ticker.text}
+        </span>
+      )}
+    </div>
+  )
+}
+
+export function StreamOverlays() {
+  const [configId, setConfigId] = useState<string | null>(null)
+  const [isActive, setIsActive] = useState(false)
+  const [overlays, setOverlays] = useState<StreamOverlaySettings>(DEFAULT_OVERLAYS)
+  const [savedLogoKey, setSavedLogoKey] = useState("none")
+  const [vertical, setVertical] = useState(false)
+  const [timeZone, setTimeZone] = useState("UTC")
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [isUploading, setIsUploading] = useState(false)
+  const fileInputRef = useRef<HTMLInputElement>(null)
+
+  useEffect(() => {
+    async function loadOverlays() {
+      const { data, error } = await supabase
+        .from("stream_config")
+        .select("id, is_active, overlays, resolution, schedule_timezone")
+        .single()
+
+      if (error) {
+        toast({ title: "Error Loading Overlays", description: error.message, variant: "destructive" })
+      } else {
+        const loaded = withDefaults(data.overlays)
+        setConfigId(data.id)
+        setIsActive(data.is_active || false)
+        setOverlays(loaded)
+        setSavedLogoKey(logoRestartKey(loaded))
+        setVertical(data.resolution?.endsWith("-vertical") || false)
+        setTimeZone(data.schedule_timezone || "UTC")
+      }
+      setIsLoading(false)
+    }
+
+    loadOverlays()
+  }, [])
+
+  const update = <K extends keyof StreamOverlaySettings>(key: K, changes: Partial<StreamOverlaySettings[K]>) => {
+    setOverlays((prev) => ({ ...prev, [key]: { ...prev[key], ...changes } }))
+  }
+
+  const handleLogoUpload = async (file: File) => {
+    setIsUploading(true)
+    try {
+      const formData = new FormData()
+      formData.append("image", file)
+      const res = await fetch(`${VPS_URL}/upload-overlay`, {
+        method: "POST",
+        headers: await getAuthHeaders(),
+        body: formData,
+      })
+      const body = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(body.error || `Upload failed (${res.status})`)
+      update("logo", { file: body.filename, enabled: true })
+      toast({ title: "Logo Uploaded", description: "Save the overlays to put it on air." })
+    } catch (error) {
+      toast({
+        title: "Upload Failed",
+        description: error instanceof Error ? error.message : "Could not upload the logo",
+        variant: "destructive",
+      })
+    } finally {
+      setIsUploading(false)
+      if (fileInputRef.current) fileInputRef.current.value = ""
+    }
+  }
+
+  const handleSave = async () => {
+    if (!configId) return
+    if (overlays.clock.mode === "countdown" && !overlays.clock.countdown_to) {
+      toast({ title: "Countdown Needs a Time", description: "Pick when the countdown ends.", variant: "destructive" })
+      return
+    }
+
+    const next = {
+      ...overlays,
+      clock: { ...overlays.clock, label: overlays.clock.label.trim() },
+      ticker: { ...overlays.ticker, text: overlays.ticker.text.trim() },
+    }
+    setIsSaving(true)
+
+    const { error } = await updateStreamConfig(configId, { overlays: next })
+
+    setIsSaving(false)
+    if (error) {
+      toast({ title: "Save Failed", description: error.message, variant: "destructive" })
+      return
+    }
+
+    const restarts = logoRestartKey(next) !== savedLogoKey
+    setSavedLogoKey(logoRestartKey(next))
+    toast({
+      title: "Overlays Saved",
+      description:
+        isActive && restarts
+          ? "The stream encoder restarts with the new logo; viewers will see a short interruption."
+          : isActive
+            ? "The stream shows the changes within a second or two."
+            : "The overlays appear when the stream starts.",
+    })
+  }
+
+  if (isLoading) {
+    return (
+      <Card className="bg-card border-border">
+        <CardContent className="p-12 flex items-center justify-center">
+          <Loader2 className="w-6 h-6 animate-spin text-violet-500" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  const { logo, clock, ticker } = overlays
+
+  return (
+    <Card className="bg-card border-border">
+      <CardContent className="p-6">
+        <div className="flex flex-col lg:flex-row gap-6">
+          <div className="space-y-2">
+            <OverlayPreview overlays={overlays} vertical={vertical} timeZone={timeZone} />
+            <p className="text-xs text-muted-foreground">Preview, with an example title</p>
+          </div>
+
+          <div className="flex-1 space-y-6">
+            {/* Now playing */}
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <Label className="text-sm text-foreground">Now playing</Label>
+                <p className="text-xs text-muted-foreground">Lower third with the title, updated at every track.</p>
+              </div>
+              <Switch
+                checked={overlays.now_playing.enabled}
+                onCheckedChange={(enabled) => update("now_playing", { enabled })}
+              />
+            </div>
+
+            {/* Logo */}
+            <div className="space-y-3">
+              <div className="flex items-center justify-between gap-4">
+                <div>
+                  <Label className="text-sm text-foreground">Logo watermark</Label>
+                  <p className="text-xs text-muted-foreground">
+                    {logo.file ? logo.file : "PNG with transparency works best."}
+                  </p>
+                </div>
+                <Switch
+                  checked={logo.enabled}
+                  disabled={!logo.file}
+                  onCheckedChange={(enabled) => update("logo", { enabled })}
+                />
+              </div>
+              <div className="flex flex-wrap items-center gap-3">
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept="image/png,image/jpeg,image/webp"
+                  className="hidden"
+                  onChange={(e) => e.target.files?.[0] && handleLogoUpload(e.target.files[0])}
+                />
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={isUploading}
+                >
+                  {isUploading ? (
+                    <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+                  ) : (
+                    <ImageUp className="w-3 h-3 mr-1" />
+                  )}
+                  {logo.file ? "Replace" : "Upload"}
+                </Button>
+                <Select
+                  value={logo.position}
+                  onValueChange={(position) => update("logo", { position: position as LogoPosition })}
+                >
+                  <SelectTrigger className="bg-secondary border-border w-36">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {(Object.keys(POSITION_LABELS) as LogoPosition[]).map((position) => (
+                      <SelectItem key={position} value={position}>
+                        {POSITION_LABELS[position]}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <div className="flex items-center gap-2 flex-1 min-w-40">
+                  <span className="text-xs text-muted-foreground">Opacity</span>
+                  <Slider
+                    value={[Math.round(logo.opacity * 100)]}
+                    min={5}
+                    max={100}
+                    step={5}
+                    onValueChange={([value]) => update("logo", { opacity: value / 100 })}
+                  />
+                  <span className="text-xs text-muted-foreground w-9 text-right">{Math.round(logo.opacity * 100)}%</span>
+                </div>
+              </div>
+            </div>
+
+            {/* Clock */}
+            <div className="space-y-3">
+              <div className="flex items-center justify-between gap-4">
+                <div>
+                  <Label className="text-sm text-foreground">Clock</Label>
+                  <p className="text-xs text-muted-foreground">
+                    The time in the schedule&apos;s timezone ({timeZone}), or a countdown.
+                  </p>
+                </div>
+                <Select value={clock.mode} onValueChange={(mode) => update("clock", { mode: mode as ClockMode })}>
+                  <SelectTrigger className="bg-secondary border-border w-36">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="off">Off</SelectItem>
+                    <SelectItem value="clock">Clock</SelectItem>
+                    <SelectItem value="countdown">Countdown</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              {clock.mode === "countdown" && (
+                <div className="grid grid-cols-2 gap-3">
+                  <Input
+                    value={clock.label}
+                    onChange={(e) => update("clock", { label: e.target.value })}
+                    placeholder="Label, e.g. Live concert in"
+                    className="bg-secondary border-border"
+                  />
+                  <Input
+                    type="datetime-local"
+                    value={toLocalInput(clock.countdown_to)}
+                    onChange={(e) =>
+                      update("clock", {
+                        countdown_to: e.target.value ? new Date(e.target.value).toISOString() : null,
+                      })
+                    }
+                    className="bg-secondary border-border"
+                  />
+                </div>
+              )}
+            </div>
+
+            {/* Ticker */}
+            <div className="space-y-3">
+              <div className="flex items-center justify-between gap-4">
+                <div>
+                  <Label className="text-sm text-foreground">Ticker</Label>
+                  <p className="text-xs text-muted-foreground">Text scrolling along the bottom of the picture.</p>
+                </div>
+                <Switch checked={ticker.enabled} onCheckedChange={(enabled) => update("ticker", { enabled })} />
+              </div>
+              <Input
+                value={ticker.text}
+                onChange={(e) => update("ticker", { text: e.target.value })}
+                placeholder="New pieces every Friday · Subscribe for more"
+                className="bg-secondary border-border"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="mt-6 flex items-center justify-end gap-3">
+          {isActive && (
+            <span className="text-xs text-muted-foreground">
+              Text overlays change live; changing the logo restarts the live encoder.
+            </span>
+          )}
+          <Button
+            onClick={handleSave}
+            disabled={isSaving || !configId}
+            className="bg-violet-600 hover:bg-violet-700 text-white"
+          >
+            {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            Save Overlays
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,139 @@
+"use client"
+
+import { useState, useEffect, useRef } from "react"
+import type Hls from "hls.js"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Switch } from "@/components/ui/switch"
+import { MonitorPlay, Loader2 } from "lucide-react"
+import { supabase } from "@/lib/supabase"
+import { updateStreamConfig } from "@/lib/stream-config"
+import { getAuthHeaders, VPS_URL } from "@/lib/vps"
+import { toast } from "@/hooks/use-toast"
+
+const RETRY_DELAY_MS = 5000 // The first segments take a few seconds to appear after going live
+
+// What the encoder is sending out, from the VPS's low-bitrate HLS rendition (see the
+// preview in SIMULCAST in scripts/server.js). Seconds behind, rather than YouTube's
+// 10-30. Straight from the VPS, like the event stream, since segments never stop coming.
+export function StreamPreview({ isLive }: { isLive: boolean }) {
+  const videoRef = useRef<HTMLVideoElement>(null)
+  const [configId, setConfigId] = useState<string | null>(null)
+  const [enabled, setEnabled] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [isWaiting, setIsWaiting] = useState(true)
+
+  useEffect(() => {
+    async function loadPreviewSetting() {
+      const { data, error } = await supabase.from("stream_config").select("id, preview_enabled").single()
+      if (error) {
+        console.error("Error loading preview setting:", error)
+        return
+      }
+      setConfigId(data.id)
+      setEnabled(data.preview_enabled !== false)
+    }
+
+    loadPreviewSetting()
+  }, [])
+
+  useEffect(() => {
+    const video = videoRef.current
+    if (!isLive || !enabled || !video) return
+
+    let hls: Hls | null = null
+    let retryTimer: ReturnType<typeof setTimeout> | null = null
+    let cancelled = false
+    setIsWaiting(true)
+
+    // Rebuilt from scratch on any fatal error, which also picks up a refreshed session token
+    const attach = async () => {
+      retryTimer = null
+      const [{ default: HlsPlayer }, headers] = await Promise.all([import("hls.js"), getAuthHeaders()])
+      if (cancelled) return
+      if (!HlsPlayer.isSupported()) {
+        toast({ title: "Preview Unavailable", description: "This browser cannot play HLS.", variant: "destructive" })
+        return
+      }
+
+      const player = new HlsPlayer({
+        liveSyncDurationCount: 2,
+        xhrSetup: (xhr) => {
+          Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+        },
+      })
+      hls = player
+      player.on(HlsPlayer.Events.MANIFEST_PARSED, () => {
+        setIsWaiting(false)
+        video.play().catch(() => {}) // Muted, so autoplay is allowed; a paused player is fine too
+      })
+      player.on(HlsPlayer.Events.ERROR, (_event, data) => {
+        if (!data.fatal) return
+        player.destroy()
+        hls = null
+        setIsWaiting(true)
+        if (!cancelled) retryTimer = setTimeout(attach, RETRY_DELAY_MS)
+      })
+      player.loadSource(`${VPS_URL}/preview/index.m3u8`)
+      player.attachMedia(video)
+    }
+
+    attach()
+    return () => {
+      cancelled = true
+      if (retryTimer) clearTimeout(retryTimer)
+      hls?.destroy()
+    }
+  }, [isLive, enabled])
+
+  const handleToggle = async (next: boolean) => {
+    if (!configId) return
+    setIsSaving(true)
+
+    const { error } = await updateStreamConfig(configId, { preview_enabled: next })
+
+    setIsSaving(false)
+    if (error) {
+      toast({ title: "Save Failed", description: error.message, variant: "destructive" })
+    } else {
+      setEnabled(next)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <CardTitle className="text-sm font-medium flex items-center gap-2">
+          <MonitorPlay className="w-4 h-4 text-primary" />
+          Preview
+          <span className="text-xs font-normal text-muted-foreground">Exactly what is being broadcast</span>
+          <Switch
+            className="ml-auto"
+            checked={enabled}
+            disabled={!configId || isSaving}
+            onCheckedChange={handleToggle}
+            title="Encode the preview on the VPS"
+          />
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {!enabled ? (
+          <p className="text-sm text-muted-foreground">
+            The preview is off. Turn it on to watch the output here, seconds behind the encoder.
+          </p>
+        ) : !isLive ? (
+          <p className="text-sm text-muted-foreground">The preview plays while the stream is live.</p>
+        ) : (
+          <div className="relative aspect-video rounded-lg overflow-hidden bg-black">
+            <video ref={videoRef} className="w-full h-full object-contain" muted playsInline controls />
+            {isWaiting && (
+              <div className="absolute inset-0 flex items-center justify-center gap-2 text-sm text-muted-foreground pointer-events-none">
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Waiting for the preview…
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
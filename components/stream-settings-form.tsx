@@ -1,12 +1,19 @@
 "use client"
 
-import { useState } from "react"
+import { useState, useEffect } from "react"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { Card, CardContent } from "@/components/ui/card"
-import { CheckSquare, Youtube, Info, Split, X } from "lucide-react"
+import { CheckSquare, Youtube, Info, X, Loader2 } from "lucide-react"
+import { MultistreamDestinations } from "@/components/multistream-destinations"
+import { AlertWebhooks } from "@/components/alert-webhooks"
+import { StreamOverlays } from "@/components/stream-overlays"
+import { supabase } from "@/lib/supabase"
+import { updateStreamConfig } from "@/lib/stream-config"
+import { RESTART_FIELDS } from "@/lib/publish-diff"
+import { toast } from "@/hooks/use-toast"
 
 const TAG_COLORS: Record<string, string> = {
   "beautiful classical": "bg-yellow-600",
@@ -19,7 +26,18 @@ const TAG_COLORS: Record<string, string> = {
   yiruma: "bg-gray-500",
 }
 
+// Output formats the VPS can encode (see getOutputFormat in scripts/server.js)
+const FRAME_RATES = ["24", "25", "30", "50", "60"]
+const AUDIO_BITRATES = ["64", "96", "128", "160", "192", "256", "320"]
+
+type SavedSettings = Record<string, string | number>
+
 export function StreamSettingsForm() {
+  const [configId, setConfigId] = useState<string | null>(null)
+  const [isActive, setIsActive] = useState(false)
+  const [saved, setSaved] = useState<SavedSettings>({}) // As last loaded/saved
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
   const [streamName, setStreamName] = useState("24/7 Amazing Piano Music For Work, Relaxation And P")
   const [platform, setPlatform] = useState("youtube")
   const [resolution, setResolution] = useState("1080p-horizontal")
@@ -39,10 +57,93 @@ export function StreamSettingsForm() {
     "yiruma",
   ])
 
+  useEffect(() => {
+    async function loadSettings() {
+      const { data, error } = await supabase
+        .from("stream_config")
+        .select("id, is_active, stream_name, platform, resolution, frame_rate, rtmp_url, bitrate, audio_bitrate")
+        .single()
+
+      if (error) {
+        toast({ title: "Error Loading Settings", description: error.message, variant: "destructive" })
+      } else {
+        setConfigId(data.id)
+        setIsActive(data.is_active || false)
+        // Rows from before orientations existed hold just "1080p"
+        const loadedResolution = data.resolution?.includes("-")
+          ? data.resolution
+          : `${data.resolution || "1080p"}-horizontal`
+        setStreamName(data.stream_name || "")
+        setPlatform(data.platform || "youtube")
+        setResolution(loadedResolution)
+        setFrameRate(String(data.frame_rate || 30))
+        setSourceUrl(data.rtmp_url || "rtmp://a.rtmp.youtube.com/live2")
+        setVideoBitrate(String(data.bitrate || 8000))
+        setAudioBitrate(String(data.audio_bitrate || 128))
+        setSaved({
+          resolution: loadedResolution,
+          frame_rate: data.frame_rate || 30,
+          bitrate: data.bitrate || 8000,
+          audio_bitrate: data.audio_bitrate || 128,
+        })
+      }
+      setIsLoading(false)
+    }
+
+    loadSettings()
+  }, [])
+
   const removeTag = (tagToRemove: string) => {
     setTags(tags.filter((tag) => tag !== tagToRemove))
   }
 
+  const handleSave = async () => {
+    if (!configId) return
+
+    const bitrate = parseInt(videoBitrate, 10)
+    if (!Number.isFinite(bitrate) || bitrate < 500 || bitrate > 51000) {
+      toast({ title: "Invalid Bitrate", description: "Video bitrate must be between 500 and 51000 Kbps.", variant: "destructive" })
+      return
+    }
+    if (!streamName.trim()) {
+      toast({ title: "Stream Name Required", description: "Give the stream a name.", variant: "destructive" })
+      return
+    }
+
+    const settings = {
+      resolution,
+      frame_rate: Number(frameRate),
+      bitrate,
+      audio_bitrate: Number(audioBitrate),
+    }
+    setIsSaving(true)
+
+    const { error } = await updateStreamConfig(configId, {
+      ...settings,
+      stream_name: streamName.trim(),
+      platform,
+      rtmp_url: sourceUrl,
+    })
+
+    setIsSaving(false)
+    if (error) {
+      toast({ title: "Save Failed", description: error.message, variant: "destructive" })
+      return
+    }
+
+    const restarts = Object.entries(settings).some(
+      ([field, value]) => RESTART_FIELDS.includes(field) && saved[field] !== value,
+    )
+    setSaved(settings)
+    toast({
+      title: "Settings Saved",
+      description:
+        isActive && restarts
+          ? "The stream encoder restarts with the new output format; viewers will see a short interruption."
+          : "Your stream settings have been updated.",
+    })
+  }
+
   return (
     <div className="max-w-4xl mx-auto">
       {/* Header */}
@@ -118,10 +219,11 @@ export function StreamSettingsForm() {
                 </SelectTrigger>
                 <SelectContent>
                   <SelectItem value="1080p-horizontal">1080p (Horizontal)</SelectItem>
-                  <SelectItem value="1080p-vertical">1080p (Vertical)</SelectItem>
+                  <SelectItem value="1080p-vertical">1080p (Vertical 9:16)</SelectItem>
                   <SelectItem value="720p-horizontal">720p (Horizontal)</SelectItem>
-                  <SelectItem value="720p-vertical">720p (Vertical)</SelectItem>
+                  <SelectItem value="720p-vertical">720p (Vertical 9:16)</SelectItem>
                   <SelectItem value="480p-horizontal">480p (Horizontal)</SelectItem>
+                  <SelectItem value="480p-vertical">480p (Vertical 9:16)</SelectItem>
                 </SelectContent>
               </Select>
             </div>
@@ -129,11 +231,18 @@ export function StreamSettingsForm() {
             {/* Frame Rate */}
             <div className="space-y-2">
               <Label className="text-sm text-muted-foreground">Frame rate (FPS)</Label>
-              <Input
-                value={frameRate}
-                onChange={(e) => setFrameRate(e.target.value)}
-                className="bg-secondary border-border"
-              />
+              <Select value={frameRate} onValueChange={setFrameRate}>
+                <SelectTrigger className="bg-secondary border-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {FRAME_RATES.map((rate) => (
+                    <SelectItem key={rate} value={rate}>
+                      {rate}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
             </div>
 
             {/* Source URL */}
@@ -168,6 +277,7 @@ export function StreamSettingsForm() {
             <div className="space-y-2">
               <Label className="text-sm text-muted-foreground">Video bitrate (kbps)</Label>
               <Input
+                type="number"
                 value={videoBitrate}
                 onChange={(e) => setVideoBitrate(e.target.value)}
                 className="bg-secondary border-border"
@@ -177,11 +287,18 @@ export function StreamSettingsForm() {
             {/* Audio Bitrate */}
             <div className="space-y-2">
               <Label className="text-sm text-muted-foreground">Audio bitrate (kbps)</Label>
-              <Input
-                value={audioBitrate}
-                onChange={(e) => setAudioBitrate(e.target.value)}
-                className="bg-secondary border-border"
-              />
+              <Select value={audioBitrate} onValueChange={setAudioBitrate}>
+                <SelectTrigger className="bg-secondary border-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {AUDIO_BITRATES.map((rate) => (
+                    <SelectItem key={rate} value={rate}>
+                      {rate}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
             </div>
           </div>
 
@@ -212,25 +329,36 @@ export function StreamSettingsForm() {
             <Button className="bg-violet-600 hover:bg-violet-700 text-white">Click Here</Button>
             <span className="text-sm text-muted-foreground">to update your stream key</span>
           </div>
+
+          <div className="mt-6 flex items-center justify-end gap-3">
+            {isActive && (
+              <span className="text-xs text-muted-foreground">
+                Changing the output format restarts the live encoder.
+              </span>
+            )}
+            <Button
+              onClick={handleSave}
+              disabled={isLoading || isSaving || !configId}
+              className="bg-violet-600 hover:bg-violet-700 text-white"
+            >
+              {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Save Settings
+            </Button>
+          </div>
         </CardContent>
       </Card>
 
+      {/* Overlays Section */}
+      <h2 className="text-xl font-semibold text-foreground mt-8 mb-4">Overlays</h2>
+      <StreamOverlays />
+
       {/* Multistreaming Section */}
       <h2 className="text-xl font-semibold text-foreground mt-8 mb-4">Multistreaming</h2>
-      <Card className="bg-card border-border">
-        <CardContent className="p-12">
-          <div className="flex flex-col items-center justify-center text-center">
-            <div className="w-24 h-24 rounded-full bg-secondary flex items-center justify-center mb-6">
-              <Split className="w-10 h-10 text-muted-foreground" />
-            </div>
-            <h3 className="text-lg font-medium text-foreground mb-2">No multistreams added yet</h3>
-            <p className="text-sm text-muted-foreground max-w-md">
-              Multistreaming allows you to broadcast to multiple platforms simultaneously from a single stream source.
-            </p>
-            <Button className="mt-6 bg-violet-600 hover:bg-violet-700 text-white">Add Multistream</Button>
-          </div>
-        </CardContent>
-      </Card>
+      <MultistreamDestinations />
+
+      {/* Alerts Section */}
+      <h2 className="text-xl font-semibold text-foreground mt-8 mb-4">Alerts</h2>
+      <AlertWebhooks />
     </div>
   )
 }
@@ -0,0 +1,92 @@
+import { getAuthHeaders, vpsFetch, VPS_URL } from '@/lib/vps'
+
+// The background audio library: ambience beds mixed under the music (see the audio
+// routes and BACKGROUND AUDIO BEDS in scripts/server.js).
+
+export type AudioBedMode = 'single' | 'rotate' | 'crossfade'
+
+export interface AudioTrack {
+  id: string
+  filename: string
+  title: string
+  tags: string[]
+  duration_seconds: number | null
+  loudness_lufs: number | null // null until measured, or when the file is silent
+  true_peak_dbtp: number | null
+  file_size: number | null
+  created_at: string
+}
+
+// Offered on upload; any other tag works too
+export const SUGGESTED_AUDIO_TAGS = ['rain', 'fireplace', 'ocean', 'forest', 'wind', 'cafe', 'night']
+
+async function request<T>(path: string, init?: RequestInit): Promise<T> {
+  const res = await vpsFetch(`/audio-tracks${path}`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init?.headers },
+  })
+  const body = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(body.error || `Request failed (${res.status})`)
+  return body
+}
+
+export function listAudioTracks() {
+  return request<AudioTrack[]>('')
+}
+
+export function updateAudioTrack(id: string, updates: { title?: string; tags?: string[] }) {
+  return request<AudioTrack>(`/${id}`, { method: 'PATCH', body: JSON.stringify(updates) })
+}
+
+export function deleteAudioTrack(id: string) {
+  return request<{ success: boolean }>(`/${id}`, { method: 'DELETE' })
+}
+
+/**
+ * Upload a file into the library, straight to the VPS (bypassing the Vercel proxy's
+ * timeout and size limits). onProgress gets 0-100.
+ */
+export async function uploadAudioTrack(
+  file: File,
+  details: { title?: string; tags?: string[] },
+  onProgress?: (percent: number) => void,
+): Promise<AudioTrack> {
+  const authHeaders = await getAuthHeaders()
+  const formData = new FormData()
+  formData.append('audio', file)
+  if (details.title) formData.append('title', details.title)
+  if (details.tags?.length) formData.append('tags', details.tags.join(','))
+
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.upload.addEventListener('progress', (event) => {
+      if (event.lengthComputable) onProgress?.(Math.round((event.loaded / event.total) * 100))
+    })
+    xhr.addEventListener('load', () => {
+      let body: { track?: AudioTrack; error?: string } = {}
+      try {
+        body = JSON.parse(xhr.responseText)
+      } catch {}
+      if (xhr.status >= 200 && xhr.status < 300 && body.track) resolve(body.track)
+      else reject(new Error(body.error || 'Upload failed'))
+    })
+    xhr.addEventListener('error', () => reject(new Error('Upload failed')))
+    xhr.addEventListener('abort', () => reject(new Error('Upload cancelled')))
+
+    xhr.open('POST', `${VPS_URL}/upload-audio`)
+    Object.entries(authHeaders).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+    xhr.send(formData)
+  })
+}
+
+/**
+ * 3725 -> "1:02:05", 95 -> "1:35"
+ */
+export function formatAudioDuration(seconds: number | null) {
+  if (seconds == null) return '—'
+  const whole = Math.round(seconds)
+  const hours = Math.floor(whole / 3600)
+  const minutes = Math.floor((whole % 3600) / 60)
+  const rest = String(whole % 60).padStart(2, '0')
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`
+}
@@ -0,0 +1,54 @@
+import { supabase } from '@/lib/supabase'
+import { subscribeToEngineEvent } from '@/lib/events'
+
+// The VPS writes the stream_config revision it has put into effect back to
+// applied_revision (see acknowledgeConfig in scripts/server.js) and announces it as a
+// config event. Changes normally land within a second; a restart of the encoder takes
+// a few more.
+
+export type SyncState = 'applying' | 'applied' | 'unconfirmed'
+
+const ACK_TIMEOUT_MS = 15000
+
+/**
+ * Resolves true once the engine reports `revision` (or a later one) as applied,
+ * false if it hasn't within `timeoutMs`
+ */
+export function waitForAppliedRevision(configId: string, revision: number, timeoutMs = ACK_TIMEOUT_MS) {
+  return new Promise<boolean>((resolve) => {
+    let settled = false
+    const channel = supabase.channel(`config-ack-${configId}-${revision}`)
+
+    const finish = (applied: boolean) => {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      unsubscribe()
+      supabase.removeChannel(channel)
+      resolve(applied)
+    }
+    const check = (applied: number | null | undefined) => {
+      if (applied != null && applied >= revision) finish(true)
+    }
+    const timer = setTimeout(() => finish(false), timeoutMs)
+    // Whichever reports it first: the engine's event stream or the Realtime update
+    const unsubscribe = subscribeToEngineEvent('config', (event) => check(event.revision))
+
+    channel
+      .on(
+        'postgres_changes',
+        { event: 'UPDATE', schema: 'public', table: 'stream_config', filter: `id=eq.${configId}` },
+        (payload) => check((payload.new as { applied_revision?: number | null }).applied_revision),
+      )
+      .subscribe((status) => {
+        if (status !== 'SUBSCRIBED') return
+        // The ack may have arrived before the subscription did
+        supabase
+          .from('stream_config')
+          .select('applied_revision')
+          .eq('id', configId)
+          .single()
+          .then(({ data }) => check(data?.applied_revision))
+      })
+  })
+}
@@ -0,0 +1,171 @@
+import type { NowPlayingData } from '@/components/now-playing'
+import type { TranscodeJob } from '@/lib/jobs'
+import { getAuthHeaders, VPS_URL } from '@/lib/vps'
+
+// Live engine events from the VPS (see LIVE EVENTS in scripts/server.js). One stream is
+// shared by every subscriber on the page, opened with the first and closed with the last.
+// It connects straight to the VPS, since the Vercel proxy would cut a long-lived response
+// short, and reconnects with backoff, replaying what it missed via Last-Event-ID. Callers
+// watch onEventStreamStatus() to fall back to polling while it is down.
+
+export interface EngineEventMap {
+  stream: { isStreaming: boolean }
+  'now-playing': NowPlayingData
+  skip: { direction: 'next' | 'previous'; index: number }
+  job: TranscodeJob
+  config: { revision: number }
+}
+
+export type EngineEventType = keyof EngineEventMap
+
+type Handler = (data: never) => void
+
+const RECONNECT_BASE_DELAY_MS = 1000
+const RECONNECT_MAX_DELAY_MS = 30000
+const IDLE_TIMEOUT_MS = 45000 // The server pings every 15s; this long without a byte means the stream is dead
+
+const handlers = new Map<EngineEventType, Set<Handler>>()
+const statusListeners = new Set<(connected: boolean) => void>()
+let connected = false
+let controller: AbortController | null = null
+let reconnectTimer: ReturnType<typeof setTimeout> | null = null
+let lastEventId: string | null = null
+let failures = 0
+
+function hasSubscribers() {
+  return statusListeners.size > 0 || [...handlers.values()].some((set) => set.size > 0)
+}
+
+function setConnected(next: boolean) {
+  if (connected === next) return
+  connected = next
+  statusListeners.forEach((listener) => listener(next))
+}
+
+function dispatch(block: string) {
+  let type = 'message'
+  let data = ''
+  for (const line of block.split('\n')) {
+    if (line.startsWith(':')) continue // Comment (heartbeat)
+    const colon = line.indexOf(':')
+    const field = colon === -1 ? line : line.slice(0, colon)
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '')
+    if (field === 'event') type = value
+    else if (field === 'data') data += (data ? '\n' : '') + value
+    else if (field === 'id') lastEventId = value
+  }
+  if (!data) return
+
+  const listeners = handlers.get(type as EngineEventType)
+  if (!listeners?.size) return
+  try {
+    const payload = JSON.parse(data) as never
+    listeners.forEach((handler) => handler(payload))
+  } catch (error) {
+    console.error(`Bad ${type} event:`, error)
+  }
+}
+
+async function connect() {
+  reconnectTimer = null
+  const abort = new AbortController()
+  controller = abort
+  let idleTimer: ReturnType<typeof setTimeout> | null = null
+  const resetIdleTimer = () => {
+    if (idleTimer) clearTimeout(idleTimer)
+    idleTimer = setTimeout(() => abort.abort(), IDLE_TIMEOUT_MS)
+  }
+
+  try {
+    const res = await fetch(`${VPS_URL}/events`, {
+      headers: {
+        Accept: 'text/event-stream',
+        ...(await getAuthHeaders()),
+        ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+      },
+      cache: 'no-store',
+      signal: abort.signal,
+    })
+    if (!res.ok || !res.body) throw new Error(`Event stream failed (${res.status})`)
+
+    failures = 0
+    setConnected(true)
+    resetIdleTimer()
+
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader()
+    let buffer = ''
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) break
+      resetIdleTimer()
+      buffer += value.replace(/\r\n?/g, '\n')
+      let boundary
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        dispatch(buffer.slice(0, boundary))
+        buffer = buffer.slice(boundary + 2)
+      }
+    }
+  } catch (error) {
+    if (!abort.signal.aborted) console.error('Event stream error:', error)
+  } finally {
+    if (idleTimer) clearTimeout(idleTimer)
+  }
+
+  // Closed by the last unsubscribe, not by the network
+  if (controller !== abort) return
+  controller = null
+  setConnected(false)
+
+  if (hasSubscribers()) {
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** failures, RECONNECT_MAX_DELAY_MS)
+    failures++
+    reconnectTimer = setTimeout(connect, delay)
+  }
+}
+
+function ensureConnected() {
+  if (!controller && !reconnectTimer) connect()
+}
+
+function disconnectIfUnused() {
+  if (hasSubscribers()) return
+  if (reconnectTimer) clearTimeout(reconnectTimer)
+  reconnectTimer = null
+  const current = controller
+  controller = null
+  current?.abort()
+  setConnected(false)
+}
+
+/**
+ * Call `handler` for every event of `type`. Returns the unsubscribe function.
+ */
+export function subscribeToEngineEvent<T extends EngineEventType>(
+  type: T,
+  handler: (data: EngineEventMap[T]) => void,
+) {
+  const listeners = handlers.get(type) ?? new Set<Handler>()
+  handlers.set(type, listeners)
+  listeners.add(handler as Handler)
+  ensureConnected()
+
+  return () => {
+    listeners.delete(handler as Handler)
+    disconnectIfUnused()
+  }
+}
+
+/**
+ * Follow whether the stream is connected; `listener` is called right away with the
+ * current state. Returns the unsubscribe function.
+ */
+export function onEventStreamStatus(listener: (connected: boolean) => void) {
+  statusListeners.add(listener)
+  ensureConnected()
+  listener(connected)
+
+  return () => {
+    statusListeners.delete(listener)
+    disconnectIfUnused()
+  }
+}
@@ -0,0 +1,59 @@
+import { vpsFetch } from '@/lib/vps'
+
+// What went on air, recorded by the broadcast engine (see PLAY HISTORY in scripts/server.js).
+
+export type PlayEndReason = 'finished' | 'skipped' | 'failed' | 'stopped'
+
+export interface PlayHistoryEntry {
+  id: string
+  video_id: string | null
+  title: string
+  playlist_id: string | null
+  playlist_name: string | null
+  started_at: string
+  ended_at: string | null // null while on air
+  end_reason: PlayEndReason | null
+  start_offset_seconds: number
+}
+
+export interface PlayHistoryPage {
+  items: PlayHistoryEntry[]
+  page: number
+  pageSize: number
+  total: number
+}
+
+export interface VideoPlayStats {
+  video_id: string | null // null groups plays of videos that have since been deleted
+  title: string
+  play_count: number
+  finished_count: number
+  airtime_seconds: number
+  last_played_at: string
+}
+
+async function request<T>(path: string): Promise<T> {
+  const res = await vpsFetch(`/history${path}`)
+  const body = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(body.error || `Request failed (${res.status})`)
+  return body
+}
+
+export function getPlayHistory(page: number, pageSize = 50) {
+  return request<PlayHistoryPage>(`?page=${page}&pageSize=${pageSize}`)
+}
+
+export function getPlayStats() {
+  return request<VideoPlayStats[]>('/stats')
+}
+
+/**
+ * 5400 -> "1h 30m", 95 -> "1m 35s"
+ */
+export function formatAirtime(seconds: number) {
+  const whole = Math.round(seconds)
+  if (whole < 60) return `${whole}s`
+  const hours = Math.floor(whole / 3600)
+  const minutes = Math.floor((whole % 3600) / 60)
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${whole % 60}s`
+}
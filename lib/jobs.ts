@@ -0,0 +1,91 @@
+import { vpsFetch } from '@/lib/vps'
+import { onEventStreamStatus, subscribeToEngineEvent } from '@/lib/events'
+
+// Uploads are transcoded in a background queue on the VPS (see TRANSCODE JOBS in
+// scripts/server.js); these follow a job until the video lands in the library.
+
+export type TranscodeStage = 'downloading' | 'measuring' | 'normalizing' | 'finishing'
+
+export interface TranscodeJob {
+  id: string
+  type: 'upload' | 'url'
+  title: string
+  status: 'queued' | 'running' | 'completed' | 'failed'
+  stage: TranscodeStage | null
+  percent: number
+  etaSeconds: number | null
+  error: string | null
+  video: { id: string; filename: string; title: string } | null
+  createdAt: string
+  startedAt: string | null
+  finishedAt: string | null
+}
+
+export const STAGE_LABELS: Record<TranscodeStage, string> = {
+  downloading: 'Downloading',
+  measuring: 'Measuring loudness',
+  normalizing: 'Transcoding',
+  finishing: 'Finishing',
+}
+
+const JOB_POLL_INTERVAL_MS = 2000
+
+export async function getJob(id: string): Promise<TranscodeJob> {
+  const res = await vpsFetch(`/jobs/${id}`)
+  const body = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(body.error || `Request failed (${res.status})`)
+  return body
+}
+
+/**
+ * Follows a job until it completes or fails, reporting every update along the way.
+ * Updates are pushed over the event stream; while that is down the job is polled.
+ */
+export function waitForJob(id: string, onUpdate: (job: TranscodeJob) => void) {
+  return new Promise<TranscodeJob>((resolve, reject) => {
+    let done = false
+    let poll: ReturnType<typeof setInterval> | null = null
+
+    const stop = () => {
+      done = true
+      unsubscribe()
+      unwatch()
+      if (poll) clearInterval(poll)
+    }
+    const update = (job: TranscodeJob) => {
+      if (done) return
+      onUpdate(job)
+      if (job.status === 'completed' || job.status === 'failed') {
+        stop()
+        resolve(job)
+      }
+    }
+    const fetchJob = () =>
+      getJob(id).then(update, (error) => {
+        if (done) return
+        stop()
+        reject(error)
+      })
+
+    const unsubscribe = subscribeToEngineEvent('job', (job) => {
+      if (job.id === id) update(job)
+    })
+    const unwatch = onEventStreamStatus((connected) => {
+      if (connected) {
+        if (poll) clearInterval(poll)
+        poll = null
+        fetchJob() // Catch up on anything that happened while disconnected
+      } else if (!poll) {
+        fetchJob()
+        poll = setInterval(fetchJob, JOB_POLL_INTERVAL_MS)
+      }
+    })
+  })
+}
+
+export function formatEta(seconds: number | null) {
+  if (seconds === null) return ''
+  if (seconds < 60) return `${seconds}s left`
+  const minutes = Math.round(seconds / 60)
+  return minutes < 60 ? `${minutes}m left` : `${Math.floor(minutes / 60)}h ${minutes % 60}m left`
+}
@@ -0,0 +1,63 @@
+import type { VideoItem } from '@/components/playlist-editor'
+import type { PlaylistSummary } from '@/components/playlist-switcher'
+import { vpsFetch } from '@/lib/vps'
+
+// Playlists live in their own tables and are managed through the VPS API
+// (see the Playlists routes in scripts/server.js).
+
+export interface Playlist {
+  id: string
+  name: string
+  audio_track_id: string | null // Background audio bed while on air; null plays the stream's
+  items: VideoItem[]
+}
+
+async function request<T>(path: string, init?: RequestInit): Promise<T> {
+  const res = await vpsFetch(`/playlists${path}`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init?.headers },
+  })
+  const body = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(body.error || `Request failed (${res.status})`)
+  return body
+}
+
+export function toSummary(playlist: Playlist): PlaylistSummary {
+  return { id: playlist.id, name: playlist.name, itemCount: playlist.items.length }
+}
+
+export function listPlaylists() {
+  return request<Playlist[]>('')
+}
+
+export function getPlaylist(id: string) {
+  return request<Playlist>(`/${id}`)
+}
+
+export function createPlaylist(name: string) {
+  return request<Playlist>('', { method: 'POST', body: JSON.stringify({ name }) })
+}
+
+export function duplicatePlaylist(id: string, name: string) {
+  return request<Playlist>(`/${id}/duplicate`, { method: 'POST', body: JSON.stringify({ name }) })
+}
+
+export function renamePlaylist(id: string, name: string) {
+  return request<{ id: string; name: string }>(`/${id}`, { method: 'PATCH', body: JSON.stringify({ name }) })
+}
+
+export function setPlaylistAudioTrack(id: string, audioTrackId: string | null) {
+  return request<{ id: string; name: string; audio_track_id: string | null }>(`/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ audio_track_id: audioTrackId }),
+  })
+}
+
+export function savePlaylistItems(id: string, items: VideoItem[]) {
+  const rows = items.map((item) => ({ video_id: item.id, volume: item.volume ?? 100, weight: item.weight ?? 1 }))
+  return request<Playlist>(`/${id}/items`, { method: 'PUT', body: JSON.stringify({ items: rows }) })
+}
+
+export function deletePlaylist(id: string) {
+  return request<{ success: boolean }>(`/${id}`, { method: 'DELETE' })
+}
@@ -0,0 +1,100 @@
+import type { VideoItem } from '@/components/playlist-editor'
+import type { StreamOverlaySettings } from '@/components/stream-overlays'
+
+// What Publish is about to change on air, for the preview shown before it goes out.
+
+// stream_config fields the VPS restarts the master encode for; everything else is
+// applied live. Must match MASTER_RESTART_FIELDS in scripts/server.js, which
+// scripts/test/restart-fields.test.js checks. The overlay logo restarts it too (see
+// logoRestartKey()).
+export const RESTART_FIELDS = [
+  'bitrate',
+  'resolution',
+  'frame_rate',
+  'audio_bitrate',
+]
+
+export const SETTING_LABELS: Record<string, string> = {
+  stream_key: 'Stream key',
+  rtmp_url: 'RTMP URL',
+  bitrate: 'Bitrate',
+  resolution: 'Resolution',
+  frame_rate: 'Frame rate',
+  audio_bitrate: 'Audio bitrate',
+  audio_overlay_enabled: 'Background audio',
+  audio_volume: 'Background audio volume',
+  audio_file: 'Background audio file',
+  transition_type: 'Transition',
+  transition_duration: 'Transition length',
+  play_mode: 'Play mode',
+  active_playlist_id: 'Active playlist',
+  overlays: 'Overlays',
+  preview_enabled: 'Preview',
+}
+
+// The overlay logo as the VPS bakes it into the encoder, like getLogoOverlayKey() in
+// scripts/server.js: a change in this key restarts the encoder
+export function logoRestartKey({ logo }: StreamOverlaySettings) {
+  return logo.enabled && logo.file ? `${logo.file}|${logo.position}|${logo.opacity}` : 'none'
+}
+
+export type PublishSettings = Record<string, string | number | boolean | null>
+
+export interface SettingChange {
+  field: string
+  label: string
+  from: string | number | boolean | null
+  to: string | number | boolean | null
+  restart: boolean
+}
+
+export interface PlaylistDiff {
+  added: VideoItem[]
+  removed: VideoItem[]
+  reordered: boolean
+  adjusted: { id: string; title: string; changes: string[] }[]
+}
+
+export function diffSettings(before: PublishSettings, after: PublishSettings): SettingChange[] {
+  return Object.keys(after)
+    .filter((field) => (before[field] ?? null) !== (after[field] ?? null))
+    .map((field) => ({
+      field,
+      label: SETTING_LABELS[field] || field,
+      from: before[field] ?? null,
+      to: after[field] ?? null,
+      restart: RESTART_FIELDS.includes(field),
+    }))
+}
+
+export function diffPlaylist(before: VideoItem[], after: VideoItem[]): PlaylistDiff {
+  const beforeById = new Map(before.map((item) => [item.id, item]))
+  const afterIds = new Set(after.map((item) => item.id))
+
+  const added = after.filter((item) => !beforeById.has(item.id))
+  const removed = before.filter((item) => !afterIds.has(item.id))
+
+  // Only the relative order of tracks in both versions counts as a reorder
+  const keptBefore = before.filter((item) => afterIds.has(item.id)).map((item) => item.id)
+  const keptAfter = after.filter((item) => beforeById.has(item.id)).map((item) => item.id)
+  const reordered = keptBefore.some((id, index) => id !== keptAfter[index])
+
+  const adjusted = after.flatMap((item) => {
+    const previous = beforeById.get(item.id)
+    if (!previous) return []
+    const changes: string[] = []
+    if ((previous.volume ?? 100) !== (item.volume ?? 100)) {
+      changes.push(`volume ${previous.volume ?? 100}% → ${item.volume ?? 100}%`)
+    }
+    if ((previous.weight ?? 1) !== (item.weight ?? 1)) {
+      changes.push(`weight ×${previous.weight ?? 1} → ×${item.weight ?? 1}`)
+    }
+    return changes.length > 0 ? [{ id: item.id, title: item.title, changes }] : []
+  })
+
+  return { added, removed, reordered, adjusted }
+}
+
+export function isPlaylistUnchanged(diff: PlaylistDiff) {
+  return diff.added.length === 0 && diff.removed.length === 0 && !diff.reordered && diff.adjusted.length === 0
+}
@@ -0,0 +1,176 @@
+import { getAuthHeaders, VPS_URL } from '@/lib/vps'
+
+// Client for the VPS's chunked upload API (see RESUMABLE UPLOADS in scripts/server.js).
+// Each chunk carries its SHA-256 so the server can reject a corrupted one, and the
+// upload ID is remembered per file, so picking the same file again after a reload or a
+// dropped connection carries on from the last chunk the server has.
+
+export interface UploadProgress {
+  uploadedBytes: number
+  totalBytes: number
+  paused: boolean
+  error: string | null // Set when retries ran out; resume() tries again
+}
+
+export interface ResumableUpload {
+  /** Resolves with the transcode job ID once the file is assembled on the VPS */
+  start: () => Promise<{ jobId: string }>
+  pause: () => void
+  resume: () => void
+  cancel: () => Promise<void>
+}
+
+interface UploadSession {
+  uploadId: string
+  size: number
+  receivedBytes: number
+  chunkSize: number
+}
+
+const MAX_CHUNK_ATTEMPTS = 5
+const RETRY_BASE_DELAY_MS = 1000
+
+class UploadRequestError extends Error {
+  constructor(message: string, readonly status: number, readonly receivedBytes?: number) {
+    super(message)
+  }
+}
+
+function storageKey(file: File) {
+  return `resumable-upload:${file.name}:${file.size}:${file.lastModified}`
+}
+
+async function request<T>(path: string, init?: RequestInit): Promise<T> {
+  const res = await fetch(`${VPS_URL}/uploads${path}`, {
+    ...init,
+    headers: { ...(await getAuthHeaders()), ...init?.headers },
+  })
+  const body = await res.json().catch(() => ({}))
+  if (!res.ok) throw new UploadRequestError(body.error || `Request failed (${res.status})`, res.status, body.receivedBytes)
+  return body
+}
+
+async function sha256Hex(data: ArrayBuffer) {
+  const digest = await crypto.subtle.digest('SHA-256', data)
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Picks up this file's earlier upload if the server still has it, else starts a new one
+ */
+async function openSession(file: File): Promise<UploadSession> {
+  const savedId = localStorage.getItem(storageKey(file))
+  if (savedId) {
+    try {
+      const session = await request<UploadSession>(`/${savedId}`)
+      if (session.size === file.size) return session
+    } catch {
+      // Expired or already assembled; start over
+    }
+  }
+
+  const session = await request<UploadSession>('', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filename: file.name, size: file.size, mimeType: file.type }),
+  })
+  localStorage.setItem(storageKey(file), session.uploadId)
+  return session
+}
+
+export function createResumableUpload(file: File, onProgress: (progress: UploadProgress) => void): ResumableUpload {
+  let session: UploadSession | null = null
+  let uploadedBytes = 0
+  let paused = false
+  let cancelled = false
+  let error: string | null = null
+  let inFlight: AbortController | null = null
+  let wake: (() => void) | null = null
+
+  const report = () => onProgress({ uploadedBytes, totalBytes: file.size, paused, error })
+
+  const waitWhilePaused = async () => {
+    while (paused && !cancelled) {
+      await new Promise<void>((resolve) => (wake = resolve))
+    }
+  }
+
+  const sendChunk = async (uploadId: string, offset: number, chunk: Blob) => {
+    const data = await chunk.arrayBuffer()
+    inFlight = new AbortController()
+    try {
+      return await request<{ receivedBytes: number }>(`/${uploadId}/chunks?offset=${offset}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-SHA256': await sha256Hex(data) },
+        body: data,
+        signal: inFlight.signal,
+      })
+    } finally {
+      inFlight = null
+    }
+  }
+
+  const start = async () => {
+    session = await openSession(file)
+    uploadedBytes = session.receivedBytes
+    report()
+
+    let failures = 0
+    while (uploadedBytes < file.size) {
+      await waitWhilePaused()
+      if (cancelled) throw new Error('Upload cancelled')
+
+      const chunk = file.slice(uploadedBytes, uploadedBytes + session.chunkSize)
+      try {
+        uploadedBytes = (await sendChunk(session.uploadId, uploadedBytes, chunk)).receivedBytes
+        failures = 0
+        error = null
+      } catch (err) {
+        if (paused || cancelled) continue // Aborted on purpose
+
+        if (err instanceof UploadRequestError && err.status === 409 && err.receivedBytes !== undefined) {
+          // The server got further (or less far) than we thought; go from where it is
+          uploadedBytes = err.receivedBytes
+        } else if (err instanceof UploadRequestError && err.status < 500 && err.status !== 422) {
+          throw err // Not something a retry will fix
+        } else if (++failures >= MAX_CHUNK_ATTEMPTS) {
+          // Probably offline: wait for the user rather than give up on the upload
+          failures = 0
+          paused = true
+          error = err instanceof Error ? err.message : 'Upload interrupted'
+        } else {
+          await new Promise((resolve) => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** (failures - 1)))
+        }
+      }
+      report()
+    }
+
+    const result = await request<{ jobId: string }>(`/${session.uploadId}/complete`, { method: 'POST' })
+    localStorage.removeItem(storageKey(file))
+    return result
+  }
+
+  return {
+    start,
+    pause: () => {
+      if (paused) return
+      paused = true
+      inFlight?.abort()
+      report()
+    },
+    resume: () => {
+      paused = false
+      error = null
+      wake?.()
+      report()
+    },
+    cancel: async () => {
+      cancelled = true
+      paused = false
+      inFlight?.abort()
+      wake?.()
+      localStorage.removeItem(storageKey(file))
+      if (session) await request(`/${session.uploadId}`, { method: 'DELETE' }).catch(() => { })
+    },
+  }
+}
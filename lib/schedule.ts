@@ -0,0 +1,61 @@
+import { findActiveBlock as findBlock } from '@/scripts/schedule'
+
+// The block times themselves are scripts/schedule.js, which the VPS also uses to decide
+// what actually goes on air, so the calendar cannot disagree with the engine.
+export { WEEKDAYS, isValidTimeZone, getZonedClock, parseClockMinutes, blockCoversClock } from '@/scripts/schedule'
+
+export interface ScheduleBlock {
+  id: string
+  playlist_id: string
+  days: number[] // 0 = Sunday
+  start: string // "HH:MM"
+  end: string // "HH:MM", at or before start runs past midnight
+  enabled: boolean
+}
+
+export interface ScheduleSegment {
+  playlistId: string | null // null is the dashboard's active playlist
+  blockId: string | null
+  start: Date
+  end: Date
+}
+
+/**
+ * The block on air at `date`: the first enabled one covering it whose playlist still exists
+ */
+export function findActiveBlock(blocks: ScheduleBlock[], playlists: { id: string }[], timeZone: string, date: Date) {
+  return findBlock(blocks, playlists, timeZone, date)
+}
+
+/**
+ * What will be on air from `from` for the next `hours`, as consecutive segments. Walks
+ * real time a minute at a time, so DST changes in the schedule's timezone come out right.
+ */
+export function getUpcomingSegments(
+  blocks: ScheduleBlock[],
+  playlists: { id: string }[],
+  timeZone: string,
+  from: Date,
+  hours = 7 * 24,
+): ScheduleSegment[] {
+  const segments: ScheduleSegment[] = []
+  const start = Math.floor(from.getTime() / 60000) * 60000
+  const end = start + hours * 3600 * 1000
+
+  for (let t = start; t < end; t += 60000) {
+    const block = findActiveBlock(blocks, playlists, timeZone, new Date(t))
+    const last = segments[segments.length - 1]
+    if (last && last.blockId === (block?.id ?? null)) {
+      last.end = new Date(t + 60000)
+    } else {
+      segments.push({
+        playlistId: block?.playlist_id ?? null,
+        blockId: block?.id ?? null,
+        start: new Date(t),
+        end: new Date(t + 60000),
+      })
+    }
+  }
+
+  return segments
+}
@@ -0,0 +1,22 @@
+import { supabase } from '@/lib/supabase'
+
+// stream_config only takes writes from operators and admins (row level security, see
+// scripts/017-enforce-dashboard-roles.sql). Postgres answers a write the policy refuses
+// with an update of no rows rather than an error, so that is reported here as one.
+
+const NOT_ALLOWED = 'Your account can view the stream but not change it. Ask an admin for the operator role.'
+
+/**
+ * Save `changes` to the stream_config row, resolving with the revision it became
+ */
+export async function updateStreamConfig(configId: string, changes: Record<string, unknown>) {
+  const { data, error } = await supabase
+    .from('stream_config')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', configId)
+    .select('revision')
+
+  if (error) return { revision: null, error }
+  if (!data || data.length === 0) return { revision: null, error: { message: NOT_ALLOWED } }
+  return { revision: data[0].revision as number, error: null }
+}
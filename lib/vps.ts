@@ -0,0 +1,23 @@
+import { supabase } from '@/lib/supabase'
+
+// Every VPS API route needs the signed-in user's Supabase access token; the VPS maps
+// it to a viewer, operator or admin role (see AUTHENTICATION in scripts/server.js).
+
+// Uploads go straight to the VPS, bypassing the Vercel proxy's timeout and size limits
+export const VPS_URL = 'https://stream.musicalbasics.com'
+
+export async function getAuthHeaders(): Promise<Record<string, string>> {
+  const { data } = await supabase.auth.getSession()
+  const token = data.session?.access_token
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
+/**
+ * fetch() against the VPS through the /api/proxy rewrite, with credentials attached
+ */
+export async function vpsFetch(path: string, init?: RequestInit) {
+  return fetch(`/api/proxy${path}`, {
+    ...init,
+    headers: { ...(await getAuthHeaders()), ...init?.headers },
+  })
+}
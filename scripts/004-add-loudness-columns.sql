@@ -0,0 +1,13 @@
+-- Add EBU R128 loudness measurements to the videos table
+-- Run this migration in your Supabase SQL editor
+
+-- Measured on the normalized file written by the upload pipeline
+ALTER TABLE videos
+ADD COLUMN IF NOT EXISTS loudness_lufs NUMERIC(5, 1),
+ADD COLUMN IF NOT EXISTS true_peak_dbtp NUMERIC(5, 1),
+ADD COLUMN IF NOT EXISTS loudness_range_lu NUMERIC(5, 1);
+
+-- Update the column comments
+COMMENT ON COLUMN videos.loudness_lufs IS 'Integrated loudness (LUFS) after normalization';
+COMMENT ON COLUMN videos.true_peak_dbtp IS 'True peak (dBTP) after normalization';
+COMMENT ON COLUMN videos.loudness_range_lu IS 'Loudness range (LU) after normalization';
@@ -0,0 +1,12 @@
+-- Add track transition settings to stream_config
+-- Run this migration in your Supabase SQL editor
+
+-- cut: hard cut (default), audio: audio crossfade with a video cut,
+-- dissolve: audio and video crossfade, fade_black: crossfade audio, fade video through black
+ALTER TABLE stream_config
+ADD COLUMN IF NOT EXISTS transition_type TEXT DEFAULT 'cut',
+ADD COLUMN IF NOT EXISTS transition_duration NUMERIC(4, 1) DEFAULT 3;
+
+-- Update the column comments
+COMMENT ON COLUMN stream_config.transition_type IS 'Transition between playlist tracks: cut, audio, dissolve or fade_black';
+COMMENT ON COLUMN stream_config.transition_duration IS 'Transition length in seconds (2-10)';
@@ -0,0 +1,10 @@
+-- Add simulcast destinations to stream_config
+-- Run this migration in your Supabase SQL editor
+
+-- Extra RTMP targets pushed alongside the primary rtmp_url/stream_key, e.g.
+-- [{"id": "...", "name": "Twitch", "rtmp_url": "rtmp://live.twitch.tv/app", "stream_key": "...", "enabled": true}]
+ALTER TABLE stream_config
+ADD COLUMN IF NOT EXISTS destinations JSONB DEFAULT '[]'::jsonb;
+
+-- Update the column comment
+COMMENT ON COLUMN stream_config.destinations IS 'Additional simulcast destinations (name, rtmp_url, stream_key, enabled)';
@@ -0,0 +1,10 @@
+-- Add playlist play mode to stream_config
+-- Run this migration in your Supabase SQL editor
+
+-- sequential: playlist order (default), shuffle: every track once per cycle in random order,
+-- repeat_one: loop the current track, weighted: random pick biased by each item's "weight" (default 1)
+ALTER TABLE stream_config
+ADD COLUMN IF NOT EXISTS play_mode TEXT DEFAULT 'sequential';
+
+-- Update the column comment
+COMMENT ON COLUMN stream_config.play_mode IS 'Order tracks are played in: sequential, shuffle, repeat_one or weighted';
@@ -0,0 +1,16 @@
+-- Add named playlists and a time-of-day schedule to stream_config
+-- Run this migration in your Supabase SQL editor
+
+-- named_playlists: [{"id": "...", "name": "Prayer", "items": [...same shape as playlist...]}]
+-- schedule: [{"id": "...", "playlist_id": "...", "days": [0], "start": "08:00", "end": "11:00", "enabled": true}]
+--   days are 0 (Sunday) to 6; an end at or before the start runs past midnight.
+--   Outside every block the main playlist column plays.
+ALTER TABLE stream_config
+ADD COLUMN IF NOT EXISTS named_playlists JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS schedule JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS schedule_timezone TEXT DEFAULT 'UTC';
+
+-- Update the column comments
+COMMENT ON COLUMN stream_config.named_playlists IS 'Playlists the schedule can put on air (id, name, items)';
+COMMENT ON COLUMN stream_config.schedule IS 'Schedule blocks (playlist_id, days, start, end, enabled), first match wins';
+COMMENT ON COLUMN stream_config.schedule_timezone IS 'IANA timezone the schedule block times are in, e.g. Europe/Berlin';
@@ -0,0 +1,86 @@
+-- Move playlists out of stream_config into their own tables
+-- Run this migration in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS playlists (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per track. Deleting a video removes it from every playlist, deleting a
+-- playlist removes its items.
+CREATE TABLE IF NOT EXISTS playlist_items (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  playlist_id UUID NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  video_id UUID NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  volume INTEGER DEFAULT 100,
+  weight NUMERIC(5, 2) DEFAULT 1,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_playlist_items_playlist_position ON playlist_items(playlist_id, position);
+CREATE INDEX IF NOT EXISTS idx_playlist_items_video_id ON playlist_items(video_id);
+
+-- Enable Row Level Security
+ALTER TABLE playlists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE playlist_items ENABLE ROW LEVEL SECURITY;
+
+-- No policies: until 017 grants the dashboard roles, only the VPS (service role) can
+-- reach these tables
+
+-- The playlist the dashboard puts on air (outside scheduled blocks)
+ALTER TABLE stream_config
+ADD COLUMN IF NOT EXISTS active_playlist_id UUID REFERENCES playlists(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN stream_config.active_playlist_id IS 'Playlist on air outside scheduled blocks';
+
+-- Replace all items of a playlist in one transaction, so the broadcast engine never
+-- reads a half-written playlist. p_items: [{"video_id": "...", "volume": 100, "weight": 1}]
+-- in play order; ids of videos that no longer exist are skipped.
+CREATE OR REPLACE FUNCTION replace_playlist_items(p_playlist_id UUID, p_items JSONB)
+RETURNS VOID AS $$
+BEGIN
+  DELETE FROM playlist_items WHERE playlist_id = p_playlist_id;
+
+  INSERT INTO playlist_items (playlist_id, video_id, position, volume, weight)
+  SELECT p_playlist_id, v.id, t.ord - 1,
+    COALESCE((t.item->>'volume')::INTEGER, 100),
+    COALESCE((t.item->>'weight')::NUMERIC, 1)
+  FROM jsonb_array_elements(COALESCE(p_items, '[]'::jsonb)) WITH ORDINALITY AS t(item, ord)
+  JOIN videos v ON v.id::TEXT = t.item->>'video_id';
+
+  UPDATE playlists SET updated_at = NOW() WHERE id = p_playlist_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Carry over the inline playlist as "Main" (made active) and the schedule's named
+-- playlists under their existing ids, so schedule blocks keep pointing at them
+DO $$
+DECLARE
+  cfg RECORD;
+  named JSONB;
+  main_id UUID;
+BEGIN
+  FOR cfg IN SELECT * FROM stream_config WHERE active_playlist_id IS NULL LOOP
+    INSERT INTO playlists (name) VALUES ('Main') RETURNING id INTO main_id;
+    PERFORM replace_playlist_items(main_id, (
+      SELECT COALESCE(jsonb_agg(jsonb_build_object('video_id', item->>'id', 'volume', item->'volume', 'weight', item->'weight') ORDER BY ord), '[]'::jsonb)
+      FROM jsonb_array_elements(COALESCE(cfg.playlist, '[]'::jsonb)) WITH ORDINALITY AS t(item, ord)
+    ));
+    UPDATE stream_config SET active_playlist_id = main_id WHERE id = cfg.id;
+
+    FOR named IN SELECT * FROM jsonb_array_elements(COALESCE(cfg.named_playlists, '[]'::jsonb)) LOOP
+      INSERT INTO playlists (id, name) VALUES ((named->>'id')::UUID, named->>'name') ON CONFLICT (id) DO NOTHING;
+      PERFORM replace_playlist_items((named->>'id')::UUID, (
+        SELECT COALESCE(jsonb_agg(jsonb_build_object('video_id', item->>'id', 'volume', item->'volume', 'weight', item->'weight') ORDER BY ord), '[]'::jsonb)
+        FROM jsonb_array_elements(COALESCE(named->'items', '[]'::jsonb)) WITH ORDINALITY AS t(item, ord)
+      ));
+    END LOOP;
+  END LOOP;
+END $$;
+
+-- The inline columns are no longer read; kept for now so this migration can be rolled back
+COMMENT ON COLUMN stream_config.playlist IS 'Deprecated: replaced by playlists/playlist_items (009)';
+COMMENT ON COLUMN stream_config.named_playlists IS 'Deprecated: replaced by playlists/playlist_items (009)';
@@ -0,0 +1,78 @@
+-- Push config changes to the VPS and let it acknowledge them
+-- Run this migration in your Supabase SQL editor
+
+-- revision goes up on every change the engine cares about; the engine writes the
+-- revision it has put into effect back to applied_revision
+ALTER TABLE stream_config
+ADD COLUMN IF NOT EXISTS revision BIGINT NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS applied_revision BIGINT,
+ADD COLUMN IF NOT EXISTS applied_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN stream_config.revision IS 'Bumped on every config or playlist change';
+COMMENT ON COLUMN stream_config.applied_revision IS 'Latest revision the broadcast engine has applied';
+COMMENT ON COLUMN stream_config.applied_at IS 'When the broadcast engine applied applied_revision';
+
+-- Bump on any real change, but not on the engine's own acknowledgement
+CREATE OR REPLACE FUNCTION bump_stream_config_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (to_jsonb(NEW) - 'revision' - 'applied_revision' - 'applied_at' - 'updated_at')
+    IS DISTINCT FROM (to_jsonb(OLD) - 'revision' - 'applied_revision' - 'applied_at' - 'updated_at') THEN
+    NEW.revision := OLD.revision + 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS stream_config_revision ON stream_config;
+CREATE TRIGGER stream_config_revision
+  BEFORE UPDATE ON stream_config
+  FOR EACH ROW EXECUTE FUNCTION bump_stream_config_revision();
+
+-- Playlist edits are config changes too, for the configs that play the playlist: as
+-- the active playlist or in a schedule block
+CREATE OR REPLACE FUNCTION bump_revision_on_playlist_change()
+RETURNS TRIGGER AS $$
+DECLARE
+  changed TEXT[];
+BEGIN
+  IF TG_TABLE_NAME = 'playlists' THEN
+    changed := ARRAY[NEW.id::TEXT, OLD.id::TEXT];
+  ELSE
+    changed := ARRAY[NEW.playlist_id::TEXT, OLD.playlist_id::TEXT];
+  END IF;
+
+  UPDATE stream_config SET revision = revision + 1
+  WHERE active_playlist_id::TEXT = ANY(changed)
+    OR EXISTS (
+      SELECT 1 FROM jsonb_array_elements(COALESCE(schedule, '[]'::jsonb)) AS block
+      WHERE block->>'playlist_id' = ANY(changed)
+    );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS playlists_revision ON playlists;
+CREATE TRIGGER playlists_revision
+  AFTER INSERT OR UPDATE OR DELETE ON playlists
+  FOR EACH ROW EXECUTE FUNCTION bump_revision_on_playlist_change();
+
+DROP TRIGGER IF EXISTS playlist_items_revision ON playlist_items;
+CREATE TRIGGER playlist_items_revision
+  AFTER INSERT OR UPDATE OR DELETE ON playlist_items
+  FOR EACH ROW EXECUTE FUNCTION bump_revision_on_playlist_change();
+
+-- Deliver changes to these tables over Supabase Realtime
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['stream_config', 'playlists', 'playlist_items'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', t);
+    END IF;
+  END LOOP;
+END $$;
@@ -0,0 +1,11 @@
+-- Add alert webhooks to stream_config
+-- Run this migration in your Supabase SQL editor
+
+-- Where the VPS sends alerts (stream down, tracks failing, low disk, ...), e.g.
+-- [{"id": "...", "name": "Ops channel", "url": "https://discord.com/api/webhooks/...", "format": "discord", "enabled": true}]
+-- format is json (our own payload), discord or slack
+ALTER TABLE stream_config
+ADD COLUMN IF NOT EXISTS alert_webhooks JSONB DEFAULT '[]'::jsonb;
+
+-- Update the column comment
+COMMENT ON COLUMN stream_config.alert_webhooks IS 'Outbound alert webhooks (name, url, format, enabled)';
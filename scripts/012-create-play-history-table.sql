@@ -0,0 +1,43 @@
+-- Record every track the broadcast engine puts on air
+-- Run this migration in your Supabase SQL editor
+
+-- One row per cue. A track resumed after a restart gets a new row. The title and
+-- playlist name are copied in, so history still reads right after a video or
+-- playlist is renamed or deleted.
+-- end_reason: finished (played to the end), skipped (/control/skip), failed (the
+-- feeder died or the file was missing) or stopped (the stream stopped or restarted).
+-- It stays NULL while the track is on air.
+CREATE TABLE IF NOT EXISTS play_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  video_id UUID REFERENCES videos(id) ON DELETE SET NULL,
+  title TEXT NOT NULL,
+  playlist_id UUID REFERENCES playlists(id) ON DELETE SET NULL,
+  playlist_name TEXT,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMP WITH TIME ZONE,
+  end_reason TEXT CHECK (end_reason IN ('finished', 'skipped', 'failed', 'stopped')),
+  start_offset_seconds NUMERIC(10, 3) DEFAULT 0 -- Where in the file it started (a resume or after a crossfade)
+);
+
+CREATE INDEX IF NOT EXISTS idx_play_history_started_at ON play_history(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_play_history_video_id ON play_history(video_id);
+
+-- Enable Row Level Security
+ALTER TABLE play_history ENABLE ROW LEVEL SECURITY;
+
+-- No policies: until 017 grants the dashboard roles, only the VPS (service role) can
+-- reach this table
+
+-- Per-video play counts and airtime for the history page. Failed cues are not plays;
+-- rows still on air count as plays but not yet as airtime.
+CREATE OR REPLACE VIEW play_history_stats AS
+SELECT
+  video_id,
+  (ARRAY_AGG(title ORDER BY started_at DESC))[1] AS title,
+  COUNT(*) AS play_count,
+  COUNT(*) FILTER (WHERE end_reason = 'finished') AS finished_count,
+  COALESCE(SUM(EXTRACT(EPOCH FROM ended_at - started_at)), 0)::BIGINT AS airtime_seconds,
+  MAX(started_at) AS last_played_at
+FROM play_history
+WHERE end_reason IS DISTINCT FROM 'failed'
+GROUP BY video_id;
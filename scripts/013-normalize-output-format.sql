@@ -0,0 +1,22 @@
+-- Output format of the master encode (resolution, frame rate, audio bitrate)
+-- Run this migration in your Supabase SQL editor
+
+-- The settings page stores the resolution with its orientation, e.g. "1080p-horizontal"
+-- or "720p-vertical" (9:16, for Shorts-style streams). Older rows hold just "1080p".
+UPDATE stream_config
+SET resolution = resolution || '-horizontal'
+WHERE resolution IN ('1080p', '720p', '480p');
+
+ALTER TABLE stream_config
+ALTER COLUMN resolution SET DEFAULT '1080p-horizontal';
+
+-- The engine reads the video bitrate from "bitrate" (set on the dashboard and the
+-- settings page); video_bitrate from the original schema is not used
+ALTER TABLE stream_config
+ADD COLUMN IF NOT EXISTS bitrate INTEGER DEFAULT 8000;
+
+-- Update the column comments
+COMMENT ON COLUMN stream_config.resolution IS 'Master output size and orientation: 1080p, 720p or 480p, then -horizontal or -vertical';
+COMMENT ON COLUMN stream_config.frame_rate IS 'Master output frame rate: 24, 25, 30, 50 or 60';
+COMMENT ON COLUMN stream_config.audio_bitrate IS 'Master AAC bitrate in Kbps';
+COMMENT ON COLUMN stream_config.video_bitrate IS 'Unused: the engine reads bitrate';
@@ -0,0 +1,50 @@
+-- Background audio library: ambience beds (rain, fireplace, ocean, ...) mixed under the music
+-- Run this migration in your Supabase SQL editor
+
+-- One row per file in public/audio on the VPS. The VPS fills in the duration on upload
+-- and the loudness shortly after; files uploaded before this table existed are added
+-- (untagged, titled after their filename) when the VPS starts.
+CREATE TABLE IF NOT EXISTS audio_tracks (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  filename TEXT NOT NULL UNIQUE,
+  title TEXT NOT NULL,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  duration_seconds NUMERIC(10, 3),
+  loudness_lufs NUMERIC(5, 1),
+  true_peak_dbtp NUMERIC(5, 1),
+  loudness_range_lu NUMERIC(5, 1),
+  file_size BIGINT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audio_tracks_tags ON audio_tracks USING GIN (tags);
+
+-- Enable Row Level Security
+ALTER TABLE audio_tracks ENABLE ROW LEVEL SECURITY;
+
+-- No policies: until 017 grants the dashboard roles, only the VPS (service role) can
+-- reach this table
+
+-- How the stream's beds play. single: the first bed on a loop; rotate: each bed for
+-- audio_bed_minutes, then a cut to the next; crossfade: the same, blending into the next
+-- over audio_bed_crossfade_seconds. With no beds chosen, audio_file is looped as before.
+ALTER TABLE stream_config
+ADD COLUMN IF NOT EXISTS audio_bed_mode TEXT DEFAULT 'single' CHECK (audio_bed_mode IN ('single', 'rotate', 'crossfade')),
+ADD COLUMN IF NOT EXISTS audio_bed_ids UUID[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS audio_bed_minutes INTEGER DEFAULT 30,
+ADD COLUMN IF NOT EXISTS audio_bed_crossfade_seconds INTEGER DEFAULT 8;
+
+-- A playlist can bring its own bed, which replaces the stream's while it is on air
+-- (including when a schedule block puts it there)
+ALTER TABLE playlists
+ADD COLUMN IF NOT EXISTS audio_track_id UUID REFERENCES audio_tracks(id) ON DELETE SET NULL;
+
+-- Update the column comments
+COMMENT ON COLUMN audio_tracks.filename IS 'File in public/audio on the VPS';
+COMMENT ON COLUMN audio_tracks.tags IS 'Free-form tags such as rain, fireplace or ocean';
+COMMENT ON COLUMN audio_tracks.loudness_lufs IS 'Integrated loudness (LUFS) as uploaded; beds are leveled to the stream target from it';
+COMMENT ON COLUMN stream_config.audio_bed_mode IS 'How the stream beds play: single, rotate or crossfade';
+COMMENT ON COLUMN stream_config.audio_bed_ids IS 'audio_tracks ids in rotation order; empty falls back to audio_file';
+COMMENT ON COLUMN stream_config.audio_bed_minutes IS 'How long each bed plays before the next in rotate and crossfade mode';
+COMMENT ON COLUMN stream_config.audio_bed_crossfade_seconds IS 'Overlap between beds in crossfade mode';
+COMMENT ON COLUMN playlists.audio_track_id IS 'Bed played while this playlist is on air, instead of the stream beds';
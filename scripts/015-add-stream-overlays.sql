@@ -0,0 +1,17 @@
+-- Overlays drawn into the stream: now-playing lower third, logo watermark, clock and ticker
+-- Run this migration in your Supabase SQL editor
+
+-- One object, edited from Stream Settings > Overlays:
+-- {
+--   "now_playing": { "enabled": true },
+--   "logo": { "enabled": true, "file": "logo_1718000000000.png", "position": "top-right", "opacity": 0.8 },
+--   "clock": { "mode": "off" | "clock" | "countdown", "countdown_to": "2026-01-01T00:00:00Z", "label": "Live in" },
+--   "ticker": { "enabled": true, "text": "New pieces every Friday" }
+-- }
+-- The text overlays change on air without interrupting the stream; a logo change
+-- restarts the encoder.
+ALTER TABLE stream_config
+ADD COLUMN IF NOT EXISTS overlays JSONB DEFAULT '{}'::jsonb;
+
+-- Update the column comments
+COMMENT ON COLUMN stream_config.overlays IS 'Branding overlays: now_playing, logo (file in public/overlays on the VPS), clock and ticker';
@@ -0,0 +1,11 @@
+-- Local HLS preview of exactly what is being broadcast
+-- Run this migration in your Supabase SQL editor
+
+-- While live, the VPS also encodes a small, low-bitrate HLS rendition of its output
+-- (GET /preview/index.m3u8) for the dashboard's preview player. It counts as a
+-- destination, so with it on the stream runs even without an RTMP server to push to.
+ALTER TABLE stream_config
+ADD COLUMN IF NOT EXISTS preview_enabled BOOLEAN DEFAULT true;
+
+-- Update the column comments
+COMMENT ON COLUMN stream_config.preview_enabled IS 'Encode the local HLS preview while live (costs a little CPU on the VPS)';
@@ -0,0 +1,103 @@
+-- Enforce the dashboard roles in the database, not only on the VPS
+-- Run this migration in your Supabase SQL editor
+
+-- The dashboard reads and writes these tables directly with the signed-in user's
+-- session, so they get the roles the VPS API checks: app_metadata.role is viewer,
+-- operator or admin, and no role means viewer (users cannot change app_metadata
+-- themselves). Signed-in users can read; operators can change the stream settings and
+-- playlists; admins also the media libraries. The anon key on its own gets nothing,
+-- and the VPS uses the service role key, which row level security does not apply to.
+
+-- True when the caller's role is `required` or above
+CREATE OR REPLACE FUNCTION has_dashboard_role(required TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE(
+    array_position(ARRAY['viewer', 'operator', 'admin'],
+      COALESCE(auth.jwt() -> 'app_metadata' ->> 'role', 'viewer'))
+    >= array_position(ARRAY['viewer', 'operator', 'admin'], required),
+    false
+  );
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE stream_config ENABLE ROW LEVEL SECURITY;
+ALTER TABLE videos ENABLE ROW LEVEL SECURITY;
+ALTER TABLE playlists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE playlist_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE play_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audio_tracks ENABLE ROW LEVEL SECURITY;
+
+-- Replace the open policies of 002, 009, 012 and 014 (where they were created)
+DROP POLICY IF EXISTS "Allow all operations on videos" ON videos;
+DROP POLICY IF EXISTS "Allow all operations on playlists" ON playlists;
+DROP POLICY IF EXISTS "Allow all operations on playlist_items" ON playlist_items;
+DROP POLICY IF EXISTS "Allow all operations on play_history" ON play_history;
+DROP POLICY IF EXISTS "Allow all operations on audio_tracks" ON audio_tracks;
+
+-- Reads, for every signed-in user
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['stream_config', 'videos', 'playlists', 'playlist_items', 'play_history', 'audio_tracks'] LOOP
+    EXECUTE format('DROP POLICY IF EXISTS "Signed-in users can read" ON %I', t);
+    EXECUTE format('CREATE POLICY "Signed-in users can read" ON %I FOR SELECT TO authenticated USING (true)', t);
+  END LOOP;
+END $$;
+
+-- Publish and the settings pages. The config row itself is only ever created by a
+-- migration.
+DROP POLICY IF EXISTS "Operators can change the stream config" ON stream_config;
+CREATE POLICY "Operators can change the stream config" ON stream_config
+  FOR UPDATE TO authenticated
+  USING (has_dashboard_role('operator'))
+  WITH CHECK (has_dashboard_role('operator'));
+
+-- Starting and stopping goes through the VPS (POST /stream/start and /stream/stop),
+-- which checks the role and logs it; policies cannot single out a column, so a
+-- trigger turns away is_active changes made with a dashboard session
+CREATE OR REPLACE FUNCTION keep_stream_start_on_vps()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.is_active IS DISTINCT FROM OLD.is_active AND current_user IN ('authenticated', 'anon') THEN
+    RAISE EXCEPTION 'Start and stop the stream from the dashboard controls'
+      USING ERRCODE = 'insufficient_privilege';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS stream_config_start_on_vps ON stream_config;
+CREATE TRIGGER stream_config_start_on_vps
+  BEFORE UPDATE ON stream_config
+  FOR EACH ROW EXECUTE FUNCTION keep_stream_start_on_vps();
+
+DROP POLICY IF EXISTS "Operators can edit playlists" ON playlists;
+CREATE POLICY "Operators can edit playlists" ON playlists
+  FOR ALL TO authenticated
+  USING (has_dashboard_role('operator'))
+  WITH CHECK (has_dashboard_role('operator'));
+
+DROP POLICY IF EXISTS "Operators can edit playlist items" ON playlist_items;
+CREATE POLICY "Operators can edit playlist items" ON playlist_items
+  FOR ALL TO authenticated
+  USING (has_dashboard_role('operator'))
+  WITH CHECK (has_dashboard_role('operator'));
+
+-- Rows for uploaded files; the files themselves only change through the VPS
+DROP POLICY IF EXISTS "Admins can edit videos" ON videos;
+CREATE POLICY "Admins can edit videos" ON videos
+  FOR ALL TO authenticated
+  USING (has_dashboard_role('admin'))
+  WITH CHECK (has_dashboard_role('admin'));
+
+DROP POLICY IF EXISTS "Admins can edit audio tracks" ON audio_tracks;
+CREATE POLICY "Admins can edit audio tracks" ON audio_tracks
+  FOR ALL TO authenticated
+  USING (has_dashboard_role('admin'))
+  WITH CHECK (has_dashboard_role('admin'));
+
+-- play_history is written by the broadcast engine alone: no write policy at all
+
+-- Views run as their owner unless told otherwise, which would read play_history past
+-- the policies above
+ALTER VIEW play_history_stats SET (security_invoker = true);
@@ -0,0 +1,504 @@
+/**
+ * Local stand-in for the Supabase client, backed by a JSON file
+ *
+ * Lets the server run with no Supabase project at all (SUPABASE_URL=file:./local-db.json),
+ * which is how the test suite runs it, and handy for trying the engine on a laptop.
+ * It covers the part of supabase-js that server.js uses:
+ *   - from(table): select (with embedded relations), insert, update, delete; the eq,
+ *     neq, in, is, contains and or filters; order, limit, range, single, maybeSingle
+ *   - rpc('replace_playlist_items')
+ *   - the play_history_stats view
+ *   - channel(): postgres_changes events for every write made through this client
+ * and mirrors what the migrations add on top of the tables: column defaults, foreign
+ * key cascades, and the stream_config revision triggers (010).
+ *
+ * The file holds one array of rows per table, e.g. { "stream_config": [{ ... }] }. It is
+ * rewritten after every write, and reloaded when something else changes it, so editing
+ * it by hand while the server runs works like editing the rows in Supabase.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+// Columns filled in on insert when missing (the DEFAULTs in the migrations)
+const COLUMN_DEFAULTS = {
+  stream_config: () => ({ revision: 0, is_active: false, destinations: [], schedule: [] }),
+  videos: () => ({ created_at: new Date().toISOString() }),
+  playlists: () => ({ audio_track_id: null, created_at: new Date().toISOString(), updated_at: new Date().toISOString() }),
+  playlist_items: () => ({ volume: 100, weight: 1, created_at: new Date().toISOString() }),
+  audio_tracks: () => ({ tags: [], created_at: new Date().toISOString() }),
+  play_history: () => ({ started_at: new Date().toISOString(), ended_at: null, end_reason: null, start_offset_seconds: 0 })
+};
+
+// Foreign keys, for cascades and for embedding one table in a select on another
+const FOREIGN_KEYS = [
+  { table: 'playlist_items', column: 'playlist_id', references: 'playlists', onDelete: 'cascade' },
+  { table: 'playlist_items', column: 'video_id', references: 'videos', onDelete: 'cascade' },
+  { table: 'stream_config', column: 'active_playlist_id', references: 'playlists', onDelete: 'set null' },
+  { table: 'playlists', column: 'audio_track_id', references: 'audio_tracks', onDelete: 'set null' },
+  { table: 'play_history', column: 'video_id', references: 'videos', onDelete: 'set null' },
+  { table: 'play_history', column: 'playlist_id', references: 'playlists', onDelete: 'set null' }
+];
+
+// The engine's own bookkeeping, which does not count as a config change (010)
+const REVISION_EXEMPT_COLUMNS = ['revision', 'applied_revision', 'applied_at', 'updated_at'];
+const PLAYLIST_TABLES = ['playlists', 'playlist_items'];
+
+const VIEWS = {
+  // 012: plays and airtime per video, failed cues left out
+  play_history_stats(tables) {
+    const byVideo = new Map();
+    for (const row of tables.play_history || []) {
+      if (row.end_reason === 'failed') continue;
+      const stats = byVideo.get(row.video_id) || {
+        video_id: row.video_id, title: row.title, play_count: 0, finished_count: 0, airtime_seconds: 0, last_played_at: row.started_at
+      };
+      stats.play_count++;
+      if (row.end_reason === 'finished') stats.finished_count++;
+      if (row.ended_at) stats.airtime_seconds += Math.round((Date.parse(row.ended_at) - Date.parse(row.started_at)) / 1000);
+      if (row.started_at >= stats.last_played_at) {
+        stats.last_played_at = row.started_at;
+        stats.title = row.title;
+      }
+      byVideo.set(row.video_id, stats);
+    }
+    return [...byVideo.values()];
+  }
+};
+
+function dbError(message, code = 'LOCAL') {
+  return { message, code, details: null, hint: null };
+}
+
+/**
+ * "id, name, playlist_items(position, videos(*))" -> [{ column }, { relation, columns }]
+ */
+function parseSelect(columns) {
+  const fields = [];
+  let depth = 0;
+  let current = '';
+  for (const char of `${columns || '*'},`) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      const field = current.trim();
+      current = '';
+      if (!field) continue;
+      const open = field.indexOf('(');
+      fields.push(open === -1
+        ? { column: field }
+        : { relation: field.slice(0, open).trim(), columns: parseSelect(field.slice(open + 1, -1)) });
+      continue;
+    }
+    current += char;
+  }
+  return fields;
+}
+
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false; // SQL: NULL equals nothing
+  return a === b || String(a) === String(b);
+}
+
+/**
+ * One condition of an or() filter: "end_reason.is.null", "end_reason.neq.failed"
+ */
+function parseCondition(condition) {
+  const [column, operator, ...rest] = condition.split('.');
+  const raw = rest.join('.');
+  const value = raw === 'null' ? null : raw === 'true' ? true : raw === 'false' ? false : raw;
+  switch (operator) {
+    case 'eq': return row => sameValue(row[column], value);
+    case 'neq': return row => row[column] != null && !sameValue(row[column], value);
+    case 'is': return row => (row[column] ?? null) === value;
+    default: throw new Error(`Unsupported filter operator in or(): ${operator}`);
+  }
+}
+
+class LocalDatabase {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.tables = {};
+    this.listeners = new Set(); // { table, callback } from channel().on()
+    this.saveScheduled = false;
+    this.lastSavedMtimeMs = 0;
+    this.load();
+
+    // Pick up edits made to the file by anything else
+    fs.watchFile(filePath, { interval: 1000 }, (current) => {
+      if (!current.mtimeMs || current.mtimeMs === this.lastSavedMtimeMs) return;
+      this.load();
+      for (const table of Object.keys(this.tables)) this.emit(table, 'UPDATE', null, null);
+    });
+  }
+
+  load() {
+    try {
+      this.tables = fs.existsSync(this.filePath) ? JSON.parse(fs.readFileSync(this.filePath, 'utf8')) : {};
+    } catch (error) {
+      console.error(`⚠️ Could not read the local database ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Write the tables back to the file once the current burst of writes is done
+   */
+  save() {
+    if (this.saveScheduled) return;
+    this.saveScheduled = true;
+    setImmediate(() => {
+      this.saveScheduled = false;
+      try {
+        // Renamed into place, so nothing reading the file catches it half-written
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.tables, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+        this.lastSavedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+      } catch (error) {
+        console.error(`⚠️ Could not write the local database ${this.filePath}:`, error.message);
+      }
+    });
+  }
+
+  rows(table) {
+    if (VIEWS[table]) return VIEWS[table](this.tables);
+    if (!this.tables[table]) this.tables[table] = [];
+    return this.tables[table];
+  }
+
+  emit(table, eventType, newRow, oldRow) {
+    for (const listener of this.listeners) {
+      if (listener.table !== table && listener.table !== '*') continue;
+      setImmediate(() => listener.callback({
+        schema: 'public', table, eventType, new: newRow || {}, old: oldRow || {}, commit_timestamp: new Date().toISOString()
+      }));
+    }
+  }
+
+  insert(table, values) {
+    const inserted = (Array.isArray(values) ? values : [values]).map(value => ({
+      id: crypto.randomUUID(),
+      ...(COLUMN_DEFAULTS[table]?.() || {}),
+      ...structuredClone(value)
+    }));
+    this.rows(table).push(...inserted);
+    inserted.forEach(row => this.emit(table, 'INSERT', row, null));
+    this.afterWrite(table, inserted);
+    return inserted;
+  }
+
+  update(table, rows, values) {
+    const changed = [];
+    for (const row of rows) {
+      const old = { ...row };
+      Object.assign(row, structuredClone(values));
+      if (table === 'stream_config' && this.isConfigChange(old, row)) row.revision = (old.revision || 0) + 1;
+      this.emit(table, 'UPDATE', row, old);
+      changed.push(old, row);
+    }
+    if (rows.length > 0) this.afterWrite(table, changed);
+    return rows;
+  }
+
+  delete(table, rows) {
+    const doomed = new Set(rows);
+    this.tables[table] = this.rows(table).filter(row => !doomed.has(row));
+    for (const row of rows) {
+      this.emit(table, 'DELETE', null, row);
+      this.cascade(table, row);
+    }
+    if (rows.length > 0) this.afterWrite(table, rows);
+    return rows;
+  }
+
+  cascade(table, deleted) {
+    for (const key of FOREIGN_KEYS) {
+      if (key.references !== table) continue;
+      const referencing = this.rows(key.table).filter(row => sameValue(row[key.column], deleted.id));
+      if (referencing.length === 0) continue;
+      if (key.onDelete === 'cascade') this.delete(key.table, referencing);
+      else this.update(key.table, referencing, { [key.column]: null });
+    }
+  }
+
+  isConfigChange(before, after) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].some(key =>
+      !REVISION_EXEMPT_COLUMNS.includes(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  }
+
+  /**
+   * `changed` are the rows written, before and after for updates
+   */
+  afterWrite(table, changed) {
+    // 010: playlist edits are config changes too, for the configs that play the playlist
+    if (PLAYLIST_TABLES.includes(table)) {
+      const playlistIds = new Set(changed.map(row => String(table === 'playlists' ? row.id : row.playlist_id)));
+      for (const config of this.rows('stream_config')) {
+        const playsIt = playlistIds.has(String(config.active_playlist_id)) ||
+          (config.schedule || []).some(block => playlistIds.has(String(block.playlist_id)));
+        if (!playsIt) continue;
+        const old = { ...config };
+        config.revision = (config.revision || 0) + 1;
+        this.emit('stream_config', 'UPDATE', config, old);
+      }
+    }
+    this.save();
+  }
+
+  /**
+   * `row` shaped by a parsed select list, with related rows embedded
+   */
+  project(table, row, fields) {
+    const result = {};
+    for (const field of fields) {
+      if (field.column === '*') Object.assign(result, structuredClone(row));
+      else if (field.column) result[field.column] = structuredClone(row[field.column] ?? null);
+      else result[field.relation] = this.embed(table, row, field);
+    }
+    return result;
+  }
+
+  embed(table, row, { relation, columns }) {
+    // Many-to-one: this row points at the related one (playlist_items.video_id -> videos)
+    const outgoing = FOREIGN_KEYS.find(key => key.table === table && key.references === relation);
+    if (outgoing) {
+      const related = this.rows(relation).find(other => sameValue(other.id, row[outgoing.column]));
+      return related ? this.project(relation, related, columns) : null;
+    }
+    // One-to-many: related rows point at this one (playlist_items.playlist_id -> playlists)
+    const incoming = FOREIGN_KEYS.find(key => key.table === relation && key.references === table);
+    if (incoming) {
+      return this.rows(relation)
+        .filter(other => sameValue(other[incoming.column], row.id))
+        .map(other => this.project(relation, other, columns));
+    }
+    throw new Error(`No relationship between ${table} and ${relation}`);
+  }
+}
+
+/**
+ * A query on one table, run when awaited, like supabase-js's
+ */
+class LocalQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.values = null;
+    this.fields = null; // null: no select(), so a write returns no rows
+    this.count = null;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = 0;
+    this.rangeTo = null;
+    this.expect = 'many'; // or 'single', 'maybeSingle'
+  }
+
+  select(columns = '*', options = {}) {
+    this.fields = parseSelect(columns);
+    if (options.count) this.count = options.count;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = values;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => sameValue(row[column], value));
+    return this;
+  }
+
+  neq(column, value) {
+    this.filters.push(row => row[column] != null && !sameValue(row[column], value));
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push(row => values.some(value => sameValue(row[column], value)));
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push(row => (row[column] ?? null) === value);
+    return this;
+  }
+
+  contains(column, values) {
+    this.filters.push(row => Array.isArray(row[column]) && values.every(value => row[column].includes(value)));
+    return this;
+  }
+
+  or(conditions) {
+    const parsed = conditions.split(',').map(parseCondition);
+    this.filters.push(row => parsed.some(condition => condition(row)));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.expect = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.expect = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.run();
+    } catch (error) {
+      result = { data: null, error: dbError(error.message), count: null };
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  run() {
+    const { db, table } = this;
+    const matching = () => db.rows(table).filter(row => this.filters.every(filter => filter(row)));
+
+    let rows;
+    let count = null;
+    if (this.action === 'insert') {
+      rows = db.insert(table, this.values);
+    } else if (this.action === 'update') {
+      rows = db.update(table, matching(), this.values);
+    } else if (this.action === 'delete') {
+      rows = db.delete(table, matching());
+    } else {
+      rows = matching();
+      for (const { column, ascending } of [...this.orders].reverse()) {
+        rows = [...rows].sort((a, b) => {
+          if (a[column] === b[column]) return 0;
+          if (a[column] == null) return 1; // NULLS LAST
+          if (b[column] == null) return -1;
+          return (a[column] < b[column] ? -1 : 1) * (ascending ? 1 : -1);
+        });
+      }
+      count = rows.length;
+      rows = rows.slice(this.rangeFrom, this.rangeTo === null ? undefined : this.rangeTo + 1);
+    }
+
+    // Writes only hand rows back when asked to with select(), as with PostgREST
+    if (this.action !== 'select' && !this.fields) return { data: null, error: null, count: null };
+    const data = rows.map(row => db.project(table, row, this.fields || parseSelect('*')));
+
+    if (this.expect === 'many') return { data, error: null, count: this.count ? count : null };
+    if (data.length > 1 || (data.length === 0 && this.expect === 'single')) {
+      return { data: null, error: dbError('JSON object requested, multiple (or no) rows returned', 'PGRST116'), count: null };
+    }
+    return { data: data[0] ?? null, error: null, count: null };
+  }
+}
+
+/**
+ * The database functions server.js calls
+ */
+const FUNCTIONS = {
+  // 009: swap a playlist's items in one go
+  replace_playlist_items(db, { p_playlist_id: playlistId, p_items: items }) {
+    const videoIds = new Set(db.rows('videos').map(video => String(video.id)));
+    const rows = (items || [])
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => videoIds.has(String(item.video_id)))
+      .map(({ item, index }) => ({
+        playlist_id: playlistId,
+        video_id: item.video_id,
+        position: index,
+        volume: item.volume ?? 100,
+        weight: item.weight ?? 1
+      }));
+
+    db.delete('playlist_items', db.rows('playlist_items').filter(row => sameValue(row.playlist_id, playlistId)));
+    if (rows.length > 0) db.insert('playlist_items', rows);
+    db.update('playlists', db.rows('playlists').filter(row => sameValue(row.id, playlistId)), {
+      updated_at: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * A Supabase client stand-in over the JSON file at `filePath` (created on first write)
+ */
+export function createLocalSupabase(filePath) {
+  const db = new LocalDatabase(filePath);
+
+  return {
+    from: (table) => new LocalQuery(db, table),
+
+    async rpc(name, params) {
+      if (!FUNCTIONS[name]) return { data: null, error: dbError(`Function ${name} does not exist in the local database`) };
+      try {
+        return { data: FUNCTIONS[name](db, params || {}) ?? null, error: null };
+      } catch (error) {
+        return { data: null, error: dbError(error.message) };
+      }
+    },
+
+    channel() {
+      const subscriptions = [];
+      const channel = {
+        on(type, { table = '*' } = {}, callback) {
+          subscriptions.push({ table, callback });
+          return channel;
+        },
+        subscribe(callback) {
+          subscriptions.forEach(subscription => db.listeners.add(subscription));
+          if (callback) setImmediate(() => callback('SUBSCRIBED'));
+          return channel;
+        },
+        unsubscribe() {
+          subscriptions.forEach(subscription => db.listeners.delete(subscription));
+          return Promise.resolve('ok');
+        }
+      };
+      return channel;
+    },
+
+    removeChannel: (channel) => channel.unsubscribe(),
+
+    // Dashboard sign-in needs a real project; API_TOKENS work as usual
+    auth: {
+      getUser: async () => ({
+        data: { user: null },
+        error: dbError('Sign-in is not available with a local database; use API_TOKENS')
+      })
+    },
+
+    storage: {
+      from: () => ({ remove: async () => ({ data: [], error: null }) })
+    }
+  };
+}
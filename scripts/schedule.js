@@ -0,0 +1,106 @@
+/**
+ * Schedule block times, shared by the broadcast engine (server.js), which decides what
+ * goes on air, and the dashboard's schedule calendar (lib/schedule.ts), which shows it
+ *
+ * A block is { id, playlist_id, days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM',
+ * enabled }, in the schedule's IANA timezone. A block whose end is at or before its
+ * start runs past midnight into the next day. Blocks come from stream_config as stored,
+ * so anything malformed is skipped rather than trusted.
+ */
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatters = new Map();
+
+/**
+ * @param {string} timeZone
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Weekday (0 = Sunday) and minutes since midnight of `date` on the wall clock of `timeZone`
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ weekday: number, minutes: number }}
+ */
+export function getZonedClock(date, timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  const parts = formatter.formatToParts(date);
+  /** @param {string} type */
+  const get = (type) => parts.find(part => part.type === type)?.value || '';
+
+  return {
+    weekday: WEEKDAYS.indexOf(get('weekday')),
+    minutes: Number(get('hour')) * 60 + Number(get('minute'))
+  };
+}
+
+/**
+ * Parse "HH:MM" (00:00 to 24:00) to minutes since midnight, or null
+ *
+ * @param {string} value
+ * @returns {number | null}
+ */
+export function parseClockMinutes(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * @param {{ days: number[], start: string, end: string }} block
+ * @param {{ weekday: number, minutes: number }} clock
+ */
+export function blockCoversClock(block, { weekday, minutes }) {
+  const start = parseClockMinutes(block.start);
+  const end = parseClockMinutes(block.end);
+  const days = Array.isArray(block.days) ? block.days : [];
+  if (start === null || end === null) return false;
+
+  if (end > start) return days.includes(weekday) && minutes >= start && minutes < end;
+  // Past midnight: the late part on its own days, the early part on the day after
+  return (days.includes(weekday) && minutes >= start) ||
+    (days.includes((weekday + 6) % 7) && minutes < end);
+}
+
+/**
+ * The block on air at `date`: the first enabled one covering it whose playlist still
+ * exists. Where blocks overlap the first one in the list wins.
+ *
+ * @template {{ playlist_id: string, days: number[], start: string, end: string, enabled?: boolean }} Block
+ * @param {Block[]} blocks
+ * @param {{ id: string }[]} playlists
+ * @param {string} timeZone
+ * @param {Date} date
+ * @returns {Block | null}
+ */
+export function findActiveBlock(blocks, playlists, timeZone, date) {
+  if (!Array.isArray(blocks) || blocks.length === 0) return null;
+
+  const clock = getZonedClock(date, timeZone);
+  return blocks.find(block =>
+    block && block.enabled !== false &&
+    playlists.some(playlist => playlist.id === block.playlist_id) &&
+    blockCoversClock(block, clock)
+  ) || null;
+}
@@ -5,9 +5,20 @@
  * - Express server with static file serving
  * - Video upload with Multer
  * - FFmpeg thumbnail generation
+ * - EBU R128 loudness normalization of uploads
+ * - Resumable chunked uploads
+ * - Background transcode queue with progress reporting
  * - Supabase integration for metadata storage
- * - Broadcast engine with polling
+ * - Broadcast engine driven by Realtime config updates (polling fallback)
  * - Audio overlay mixing
+ * - Multi-destination simulcast
+ * - Stream health metrics (JSON and Prometheus)
+ * - Webhook alerts (generic JSON, Discord, Slack)
+ * - Timezone-aware playlist schedule
+ * - Play history with a public "recently played" feed
+ * - Server-Sent Events feed of engine events
+ * - Role-based API access (Supabase sessions or API tokens)
+ * - Offline mode against a local JSON database (SUPABASE_URL=file:...)
  * 
  * Run with: node --env-file=.env server.js
  */
@@ -16,10 +27,20 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import net from 'net';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
-import { spawn, execFileSync } from 'child_process';
+import { spawn, execFile, execFileSync } from 'child_process';
 import { createClient } from '@supabase/supabase-js';
 import ffmpeg from 'fluent-ffmpeg';
+import { createLocalSupabase } from './local-supabase.js';
+import { isValidTimeZone, findActiveBlock as findScheduleBlock } from './schedule.js';
 
 // ES Module __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -30,15 +51,133 @@ const __dirname = path.dirname(__filename);
 // =============================================================================
 
 const PORT = process.env.PORT || 3000;
-const VIDEOS_DIR = path.join(__dirname, 'public', 'videos');
-const THUMBNAILS_DIR = path.join(__dirname, 'public', 'thumbnails');
-const RAIN_AUDIO_PATH = path.join(__dirname, 'public', 'rain.mp3');
-const PLAYLIST_FILE = path.join(__dirname, 'list.txt');
-const POLL_INTERVAL = 10000; // 10 seconds
-const STATE_FILE = path.join(__dirname, 'stream_state.json');
+// Media, state and temp files live here; next to this file unless set (the tests use a scratch dir)
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : __dirname;
+const VIDEOS_DIR = path.join(DATA_DIR, 'public', 'videos');
+const THUMBNAILS_DIR = path.join(DATA_DIR, 'public', 'thumbnails');
+const AUDIO_DIR = path.join(DATA_DIR, 'public', 'audio'); // Background audio library
+const OVERLAY_IMAGES_DIR = path.join(DATA_DIR, 'public', 'overlays'); // Logos for the watermark
+const OVERLAY_TEXT_DIR = path.join(DATA_DIR, 'overlay_text'); // What the master's text overlays show
+const PREVIEW_DIR = path.join(DATA_DIR, 'public', 'preview'); // HLS preview of the broadcast, rewritten while live
+const RAIN_AUDIO_PATH = path.join(DATA_DIR, 'public', 'rain.mp3');
+const PLAYLIST_FILE = path.join(DATA_DIR, 'list.txt');
+const POLL_INTERVAL = 10000; // 10 seconds, while Realtime config updates are down
+const FALLBACK_POLL_INTERVAL = 60000; // Safety-net poll while Realtime is connected
+const CONFIG_EVENT_DEBOUNCE_MS = 150; // Coalesces the burst of change events one save produces
+const MASTER_RESTART_DELAY_MS = 2000; // Between stopping and restarting the master for a critical change
+const STATE_FILE = path.join(DATA_DIR, 'stream_state.json');
+const JOBS_FILE = path.join(DATA_DIR, 'transcode_jobs.json');
 // On restart, only pick an interrupted track back up if this much of it is still left;
 // with less remaining it is tidier to move on to the next one.
 const RESUME_MIN_REMAINING_SECONDS = 20;
+// EBU R128 targets applied to every upload. -14 LUFS matches what YouTube normalizes
+// playback to, so our stream neither gets turned down nor sounds quiet next to others.
+const LOUDNESS_TARGET_LUFS = parseFloat(process.env.LOUDNESS_TARGET_LUFS || '-14');
+const LOUDNESS_TRUE_PEAK_DBTP = parseFloat(process.env.LOUDNESS_TRUE_PEAK_DBTP || '-1.5');
+const LOUDNESS_RANGE_LU = parseFloat(process.env.LOUDNESS_RANGE_LU || '11');
+// Upload transcodes run in a background queue. They share the box with the master
+// encode, so only a few run at once, at a lower CPU priority than the broadcast.
+const TRANSCODE_CONCURRENCY = Math.max(1, parseInt(process.env.TRANSCODE_CONCURRENCY || '1', 10) || 1);
+const TRANSCODE_NICENESS = 10;
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000; // Finished jobs stay queryable this long
+const VIDEO_MIME_TYPES = ['video/mp4', 'video/webm', 'video/quicktime', 'video/x-msvideo', 'video/x-matroska'];
+const MAX_VIDEO_UPLOAD_BYTES = 5 * 1024 * 1024 * 1024; // 5GB
+// Resumable uploads: chunks are buffered in memory to be checksummed, so keep them modest
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000; // Untouched this long counts as abandoned
+// URL imports (the Supabase dropzone or any HTTPS source) stream to disk, retrying
+// network and server errors with exponential backoff
+const IMPORT_MAX_ATTEMPTS = 4;
+const IMPORT_RETRY_BASE_MS = 5000;
+const IMPORT_MAX_REDIRECTS = 5;
+const IMPORT_SOCKET_TIMEOUT_MS = 5 * 60 * 1000; // A source that sends nothing for this long is retried
+// Generic servers often label video as octet-stream; ffmpeg has the final say
+const IMPORT_CONTENT_TYPES = [...VIDEO_MIME_TYPES, 'application/octet-stream', 'binary/octet-stream'];
+// Crossfade length bounds. Uploads are normalized with a 2s GOP, so anything shorter
+// could end before the incoming track's first keyframe after 0 and there would be
+// nothing to fade into.
+const TRANSITION_TYPES = ['cut', 'audio', 'dissolve', 'fade_black'];
+const TRANSITION_MIN_SECONDS = 2;
+const TRANSITION_MAX_SECONDS = 10;
+const PLAY_MODES = ['sequential', 'shuffle', 'repeat_one', 'weighted'];
+// stream_config fields the master encode is started with; changing one restarts it.
+// The dashboard warns about the same list (RESTART_FIELDS in lib/publish-diff.ts, kept
+// in step by test/restart-fields.test.js).
+// Background audio is not among them: the bed feeder switches beds live, and the
+// volume and on/off switch are filter commands to the running master (applyBedLevel()),
+// which is only restarted if it does not confirm one. Neither are the text overlays
+// (applyOverlays()); a logo change does restart it.
+const MASTER_RESTART_FIELDS = ['bitrate', 'resolution', 'frame_rate', 'audio_bitrate'];
+const MASTER_COMMAND_TIMEOUT_MS = 5000; // For the master to confirm a filter command
+// Output sizes for stream_config.resolution ("720p-vertical" etc.), landscape width x height
+const OUTPUT_RESOLUTIONS = { '1080p': [1920, 1080], '720p': [1280, 720], '480p': [854, 480] };
+const OUTPUT_FRAME_RATES = [24, 25, 30, 50, 60];
+const OUTPUT_AUDIO_BITRATES = [64, 96, 128, 160, 192, 256, 320];
+const KEYFRAME_INTERVAL_SECONDS = 2; // What YouTube and Twitch ask for
+// Background audio beds (see BACKGROUND AUDIO BEDS)
+const AUDIO_MIME_TYPES = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/x-wav', 'audio/aac', 'audio/flac', 'audio/mp4'];
+const AUDIO_BED_MODES = ['single', 'rotate', 'crossfade'];
+const BED_MIN_MINUTES = 1;
+const BED_MAX_MINUTES = 240;
+const BED_CROSSFADE_MIN_SECONDS = 1;
+const BED_CROSSFADE_MAX_SECONDS = 30;
+const BED_MAX_GAIN_DB = 20; // Leveling never boosts a quiet bed (or cuts a loud one) by more than this
+const BED_RETRY_SECONDS = 30; // Silence between a bed failing and trying the next one
+// Packets of bed audio the master reads ahead (~23ms each), so a switch is heard within a couple of seconds
+const BED_INPUT_QUEUE_PACKETS = 64;
+// Overlays (stream_config.overlays, see OVERLAYS)
+const OVERLAY_IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const OVERLAY_LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const OVERLAY_CLOCK_MODES = ['off', 'clock', 'countdown'];
+const OVERLAY_FONT_FILE = process.env.OVERLAY_FONT_FILE || ''; // Unset: fontconfig's default sans-serif
+const OVERLAY_TICKER_SECONDS = 12; // How long ticker text takes to cross the frame
+const OVERLAY_CLOCK_INTERVAL_MS = 1000;
+// Simulcast pushers: a destination that fails is retried on its own with exponential
+// backoff, and one whose socket stops draining is cut loose before it can eat our RAM.
+const DESTINATION_RETRY_MIN_MS = 2000;
+const DESTINATION_RETRY_MAX_MS = 60000;
+const DESTINATION_STABLE_MS = 60000; // Running this long resets the backoff
+const DESTINATION_MAX_BUFFER_BYTES = 32 * 1024 * 1024;
+// Local HLS preview (see SIMULCAST): a small rendition of the master's output for the
+// dashboard, encoded as cheaply as it will go and at a lower CPU priority than the broadcast
+const PREVIEW_MAX_SIZE = 640; // Longest side, so 640x360 landscape or 360x640 vertical
+const PREVIEW_FRAME_RATE = 15;
+const PREVIEW_VIDEO_BITRATE = 600; // Kbps
+const PREVIEW_AUDIO_BITRATE = 64; // Kbps
+const PREVIEW_SEGMENT_SECONDS = 2;
+const PREVIEW_PLAYLIST_SEGMENTS = 5; // Segments listed (and kept on disk) at a time
+const PREVIEW_NICENESS = 10;
+// Master watchdog: a master that exits, stops producing frames or stops reading its
+// input is torn down and restarted with exponential backoff.
+const WATCHDOG_CHECK_INTERVAL_MS = 5000;
+const MASTER_STALL_MS = 30000; // No new frames (or a full input queue) for this long is a stall
+const MASTER_STALL_QUEUE_BYTES = 16 * 1024 * 1024;
+const MASTER_RETRY_MIN_MS = 2000;
+const MASTER_RETRY_MAX_MS = 60000;
+const MASTER_STABLE_MS = 120000; // Running this long resets the backoff
+const MASTER_INCIDENT_LIMIT = 50;
+const HISTORY_MAX_PAGE_SIZE = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i; // Row ids in Supabase
+const RECENTLY_PLAYED_LIMIT = 50; // Most the public feed returns
+const RECENTLY_PLAYED_CACHE_MS = 15000; // The feed is public, so Supabase is asked at most this often
+// Live event feed (GET /events)
+const EVENT_HEARTBEAT_MS = 15000; // Keeps proxies from closing an idle stream
+const EVENT_REPLAY_LIMIT = 200; // Recent events kept for clients reconnecting with Last-Event-ID
+const JOB_EVENT_INTERVAL_MS = 1000; // Progress events per job at most this often
+// Alert webhooks (stream_config.alert_webhooks)
+const ALERT_COOLDOWN_MS = 10 * 60 * 1000; // An alert that clears and comes back within this waits it out
+const ALERT_MAX_PER_MINUTE = 10; // Across all alerts, so a cascade cannot flood a channel
+const ALERT_TIMEOUT_MS = 10000;
+const ALERT_CHECK_INTERVAL_MS = 60000;
+const FEEDER_FAILURE_ALERT_THRESHOLD = 3; // Consecutive feeder failures before it is worth waking someone
+const DISK_ALERT_FREE_PERCENT = parseFloat(process.env.DISK_ALERT_FREE_PERCENT || '10');
+// Browser origins allowed to call the API (comma-separated). Server-to-server calls,
+// including the dashboard's /api/proxy rewrite, are not subject to CORS.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+  .split(',').map(origin => origin.trim()).filter(Boolean);
+// Each role can do everything the ones before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+const AUTH_CACHE_MS = 60000; // How long a verified session token is trusted without asking Supabase again
 
 // =============================================================================
 // SUPABASE INITIALIZATION
@@ -46,29 +185,34 @@ const RESUME_MIN_REMAINING_SECONDS = 20;
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+// SUPABASE_URL=file:<path> runs against a JSON file instead of a project (local-supabase.js)
+const localDatabaseFile = supabaseUrl?.startsWith('file:') ? path.resolve(supabaseUrl.slice('file:'.length)) : null;
 
-if (!supabaseUrl || !supabaseServiceKey) {
+if (!supabaseUrl || (!supabaseServiceKey && !localDatabaseFile)) {
   console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_KEY environment variables');
   console.log('Please create a .env file with:');
   console.log('  SUPABASE_URL=your-project-url');
   console.log('  SUPABASE_SERVICE_KEY=your-service-role-key');
+  console.log('or run without Supabase using SUPABASE_URL=file:./local-db.json');
   process.exit(1);
 }
 
-const supabase = createClient(supabaseUrl, supabaseServiceKey);
+const supabase = localDatabaseFile ? createLocalSupabase(localDatabaseFile) : createClient(supabaseUrl, supabaseServiceKey);
+if (localDatabaseFile) console.log(`🗄️ Using the local database ${localDatabaseFile}`);
 
 // =============================================================================
 // DIRECTORY SETUP
 // =============================================================================
 
 // Ensure directories exist
-const TEMP_DIR = path.join(__dirname, 'public', 'temp');
-[VIDEOS_DIR, THUMBNAILS_DIR, TEMP_DIR].forEach(dir => {
+const TEMP_DIR = path.join(DATA_DIR, 'public', 'temp');
+[VIDEOS_DIR, THUMBNAILS_DIR, TEMP_DIR, AUDIO_DIR, OVERLAY_IMAGES_DIR, OVERLAY_TEXT_DIR, PREVIEW_DIR].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
     console.log(`📁 Created directory: ${dir}`);
   }
 });
+clearPreviewDir(); // Left over from a preview that was running when the server went down
 
 // =============================================================================
 // EXPRESS APP SETUP
@@ -79,20 +223,115 @@ const app = express();
 // Middleware
 app.use(express.json());
 
-// CORS for frontend access
+// CORS for the dashboard only
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  const origin = req.headers.origin;
+  if (origin && CORS_ORIGINS.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+  }
+  res.header('Vary', 'Origin');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Chunk-SHA256, Last-Event-ID');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
   next();
 });
 
-// Static file serving
+// Static file serving. Public on purpose: thumbnails are loaded by plain <img> tags
 app.use('/videos', express.static(VIDEOS_DIR));
 app.use('/thumbnails', express.static(THUMBNAILS_DIR));
+app.use('/overlays', express.static(OVERLAY_IMAGES_DIR)); // Logo previews in the dashboard
+
+// =============================================================================
+// AUTHENTICATION
+// =============================================================================
+//
+// Every API route needs a bearer token, either a Supabase session access token from
+// the dashboard or a static API token for scripts and integrations:
+//   - Session users get the role in their app_metadata.role (set it from the Supabase
+//     SQL editor; users cannot change app_metadata themselves). No role means viewer.
+//   - API_TOKENS lists role:token pairs, comma-separated, e.g. "operator:abc,admin:def".
+// viewer reads status, operator also controls playback and playlists, admin also
+// uploads and deletes media.
+
+const apiTokens = (process.env.API_TOKENS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .flatMap(entry => {
+    const separator = entry.indexOf(':');
+    const role = entry.slice(0, separator);
+    const token = entry.slice(separator + 1);
+    if (separator === -1 || !ROLES.includes(role) || !token) {
+      console.warn(`⚠️ Ignoring malformed API_TOKENS entry (expected role:token)`);
+      return [];
+    }
+    return [{ role, token: Buffer.from(token) }];
+  });
+
+const sessionCache = new Map(); // access token -> { role, userId, expiresAt }
+
+function findApiTokenRole(token) {
+  const candidate = Buffer.from(token);
+  const match = apiTokens.find(entry =>
+    entry.token.length === candidate.length && crypto.timingSafeEqual(entry.token, candidate));
+  return match ? match.role : null;
+}
+
+/**
+ * Who is calling: { role, userId } or null for a missing or invalid token
+ */
+async function authenticate(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return null;
+  const token = match[1].trim();
+
+  const apiRole = findApiTokenRole(token);
+  if (apiRole) return { role: apiRole, userId: null };
+
+  const cached = sessionCache.get(token);
+  if (cached && cached.expiresAt > Date.now()) return cached;
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    sessionCache.delete(token);
+    return null;
+  }
+
+  const role = ROLES.includes(data.user.app_metadata?.role) ? data.user.app_metadata.role : 'viewer';
+  const session = { role, userId: data.user.id, expiresAt: Date.now() + AUTH_CACHE_MS };
+
+  // Forget expired entries rather than letting every token ever seen pile up
+  for (const [key, entry] of sessionCache) {
+    if (entry.expiresAt <= Date.now()) sessionCache.delete(key);
+  }
+  sessionCache.set(token, session);
+  return session;
+}
+
+/**
+ * Route guard: 401 without valid credentials, 403 below `minRole`. Put it before any
+ * upload handling so rejected requests never touch the disk.
+ */
+function requireRole(minRole) {
+  return async (req, res, next) => {
+    try {
+      const auth = await authenticate(req);
+      if (!auth) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (ROLES.indexOf(auth.role) < ROLES.indexOf(minRole)) {
+        return res.status(403).json({ error: `Requires ${minRole} role` });
+      }
+      req.auth = auth;
+      next();
+    } catch (error) {
+      console.error('Auth error:', error);
+      res.status(500).json({ error: 'Authentication failed' });
+    }
+  };
+}
 
 // =============================================================================
 // MULTER CONFIGURATION (File Uploads)
@@ -114,11 +353,10 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage,
   limits: {
-    fileSize: 5 * 1024 * 1024 * 1024, // 5GB max
+    fileSize: MAX_VIDEO_UPLOAD_BYTES,
   },
   fileFilter: (req, file, cb) => {
-    const allowedMimes = ['video/mp4', 'video/webm', 'video/quicktime', 'video/x-msvideo', 'video/x-matroska'];
-    if (allowedMimes.includes(file.mimetype)) {
+    if (VIDEO_MIME_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('Invalid file type. Only video files are allowed.'));
@@ -177,16 +415,77 @@ function generateThumbnail(videoPath, thumbnailPath) {
   });
 }
 
+/**
+ * Pull the JSON summary that loudnorm prints (print_format=json) out of ffmpeg's stderr
+ */
+function parseLoudnormOutput(stderr) {
+  const blocks = (stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!blocks) return null;
+  try {
+    return JSON.parse(blocks[blocks.length - 1]);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Loudness pass 1: measure a file against the R128 targets without writing anything.
+ * Resolves with loudnorm's measurement, or null when the file has no usable audio
+ * (no audio stream, or digital silence that cannot be normalized).
+ */
+function measureLoudness(inputPath, onProgress) {
+  return new Promise((resolve) => {
+    console.log(`🔊 Measuring loudness: ${path.basename(inputPath)}`);
+
+    ffmpeg(inputPath)
+      .renice(TRANSCODE_NICENESS)
+      .noVideo()
+      .audioFilters(`loudnorm=I=${LOUDNESS_TARGET_LUFS}:TP=${LOUDNESS_TRUE_PEAK_DBTP}:LRA=${LOUDNESS_RANGE_LU}:print_format=json`)
+      .format('null')
+      .on('progress', (progress) => {
+        if (onProgress && progress.percent) onProgress(progress.percent);
+      })
+      .on('end', (stdout, stderr) => {
+        const measured = parseLoudnormOutput(stderr);
+        if (!measured || !Number.isFinite(parseFloat(measured.input_i))) {
+          console.log('   ⚠️ No measurable audio, skipping loudness normalization');
+          resolve(null);
+          return;
+        }
+        console.log(`   Measured: ${measured.input_i} LUFS, ${measured.input_tp} dBTP, LRA ${measured.input_lra} LU`);
+        resolve(measured);
+      })
+      .on('error', (err) => {
+        // Not fatal: the upload is still usable, just not loudness-matched
+        console.error(`   ⚠️ Loudness measurement failed: ${err.message}`);
+        resolve(null);
+      })
+      .save('-');
+  });
+}
+
 /**
  * Normalize video to consistent format for concat demuxer
- * Target: 1920x1080, 30fps, H.264, AAC 44.1kHz stereo, MP4
+ * Target: 1920x1080, 30fps, H.264, AAC 44.1kHz stereo, MP4, R128 loudness
+ *
+ * Runs loudnorm in two passes: the first measures the file, the second feeds those
+ * measurements back in so the gain can be applied linearly instead of with the
+ * single-pass dynamic compressor, which audibly pumps on solo piano.
+ * Resolves with the loudness of the normalized output ({ integrated, truePeak, range })
+ * or null when the file had no audio to measure.
+ * onProgress(stage, percent) reports each pass as 'measuring' then 'normalizing'.
  */
-function normalizeVideo(inputPath, outputPath) {
+async function normalizeVideo(inputPath, outputPath, onProgress = () => { }) {
+  onProgress('measuring', 0);
+  const measured = await measureLoudness(inputPath, (percent) => onProgress('measuring', percent));
+  onProgress('normalizing', 0);
+
   return new Promise((resolve, reject) => {
     console.log(`🔄 Normalizing video: ${path.basename(inputPath)}`);
-    console.log(`   → Target: 1080p30fps H.264/AAC MP4`);
+    console.log(`   → Target: 1080p30fps H.264/AAC MP4${measured ? `, ${LOUDNESS_TARGET_LUFS} LUFS` : ''}`);
 
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath)
+      .renice(TRANSCODE_NICENESS)
       // Video: Scale to 1080p with padding to maintain aspect ratio
       .videoCodec('libx264')
       .outputOptions([
@@ -198,8 +497,24 @@ function normalizeVideo(inputPath, outputPath) {
         '-profile:v', 'main', // Main profile for better compatibility
         '-pix_fmt', 'yuv420p',
         '-movflags', '+faststart'
-      ])
-      // Audio: AAC 44.1kHz stereo
+      ]);
+
+    if (measured) {
+      // Loudness pass 2
+      command.audioFilters([
+        `loudnorm=I=${LOUDNESS_TARGET_LUFS}:TP=${LOUDNESS_TRUE_PEAK_DBTP}:LRA=${LOUDNESS_RANGE_LU}`,
+        `measured_I=${measured.input_i}`,
+        `measured_TP=${measured.input_tp}`,
+        `measured_LRA=${measured.input_lra}`,
+        `measured_thresh=${measured.input_thresh}`,
+        `offset=${measured.target_offset}`,
+        'linear=true',
+        'print_format=json'
+      ].join(':'));
+    }
+
+    command
+      // Audio: AAC 44.1kHz stereo (loudnorm works at 192kHz internally, so this also resamples back)
       .audioCodec('aac')
       .audioFrequency(44100)
       .audioChannels(2)
@@ -210,22 +525,43 @@ function normalizeVideo(inputPath, outputPath) {
         console.log(`   FFmpeg command: ${cmd.substring(0, 100)}...`);
       })
       .on('progress', (progress) => {
-        if (progress.percent) {
-          process.stdout.write(`\r   Progress: ${Math.round(progress.percent)}%`);
-        }
+        if (progress.percent) onProgress('normalizing', progress.percent);
       })
-      .on('end', () => {
-        console.log(`\n✅ Normalization complete: ${path.basename(outputPath)}`);
-        resolve(outputPath);
+      .on('end', (stdout, stderr) => {
+        console.log(`✅ Normalization complete: ${path.basename(outputPath)}`);
+        const result = measured ? parseLoudnormOutput(stderr) : null;
+        if (!result) {
+          resolve(null);
+          return;
+        }
+        const loudness = {
+          integrated: parseFloat(result.output_i),
+          truePeak: parseFloat(result.output_tp),
+          range: parseFloat(result.output_lra)
+        };
+        console.log(`   🔊 Output loudness: ${loudness.integrated} LUFS, ${loudness.truePeak} dBTP, LRA ${loudness.range} LU`);
+        resolve(loudness);
       })
       .on('error', (err) => {
-        console.error(`\n❌ Normalization failed: ${err.message}`);
+        console.error(`❌ Normalization failed: ${err.message}`);
         reject(err);
       })
       .save(outputPath);
   });
 }
 
+/**
+ * Loudness columns for the videos table (null when nothing was measured)
+ */
+function loudnessColumns(loudness) {
+  const toColumn = (value) => (Number.isFinite(value) ? value : null);
+  return {
+    loudness_lufs: toColumn(loudness?.integrated),
+    true_peak_dbtp: toColumn(loudness?.truePeak),
+    loudness_range_lu: toColumn(loudness?.range)
+  };
+}
+
 /**
  * Format file size
  */
@@ -237,270 +573,740 @@ function formatFileSize(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-// =============================================================================
-// API ENDPOINTS
-// =============================================================================
+const PLAYLIST_SELECT = 'id, name, audio_track_id, created_at, updated_at, playlist_items(position, volume, weight, videos(*))';
 
 /**
- * Health check
+ * Shape a playlists row (with its joined items) the way the dashboard and the DJ engine
+ * use playlists: items in order, each carrying its video's metadata under the video id
  */
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    isStreaming,
-    uptime: process.uptime()
-  });
-});
+function toPlaylist(row) {
+  const items = (row.playlist_items || [])
+    .filter(item => item.videos)
+    .sort((a, b) => a.position - b.position)
+    .map(({ videos: video, volume, weight }) => ({
+      id: video.id,
+      title: video.title,
+      duration: video.duration,
+      filename: video.filename,
+      url: `/videos/${video.filename}`,
+      thumbnail: video.thumbnail_url || `/thumbnails/${video.filename.replace(/\.[^/.]+$/, '.jpg')}`,
+      thumbnail_url: video.thumbnail_url,
+      volume,
+      weight: Number(weight)
+    }));
+
+  return {
+    id: row.id,
+    name: row.name,
+    audio_track_id: row.audio_track_id ?? null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    items
+  };
+}
 
 /**
- * Upload Video Endpoint
+ * All playlists with their items, oldest first
  */
-app.post('/upload', upload.single('video'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No video file provided' });
-    }
+async function fetchPlaylists() {
+  const { data, error } = await supabase
+    .from('playlists')
+    .select(PLAYLIST_SELECT)
+    .order('created_at', { ascending: true });
 
-    const { originalname, path: tempFilePath, size } = req.file;
-    console.log(`📤 Received upload: ${originalname} (${formatFileSize(size)})`);
+  if (error) throw new Error(error.message);
+  return data.map(toPlaylist);
+}
 
-    // Generate normalized filename (always .mp4)
-    const baseName = path.basename(originalname, path.extname(originalname))
-      .replace(/[^a-zA-Z0-9_-]/g, '_');
-    const timestamp = Date.now();
-    const normalizedFilename = `${baseName}_${timestamp}.mp4`;
-    const normalizedPath = path.join(VIDEOS_DIR, normalizedFilename);
+/**
+ * One playlist with its items, or null if there is none with that id
+ */
+async function fetchPlaylist(playlistId) {
+  const { data, error } = await supabase
+    .from('playlists')
+    .select(PLAYLIST_SELECT)
+    .eq('id', playlistId)
+    .maybeSingle();
 
-    // Step 1: Normalize video to 1080p30fps H.264/AAC
-    console.log('🎬 Starting normalization...');
-    try {
-      await normalizeVideo(tempFilePath, normalizedPath);
-    } catch (err) {
-      console.error('❌ Normalization failed:', err.message);
-      // Clean up temp file
-      fs.unlink(tempFilePath, () => { });
-      return res.status(500).json({ error: 'Video normalization failed: ' + err.message });
-    }
+  if (error) throw new Error(error.message);
+  return data ? toPlaylist(data) : null;
+}
 
-    // Step 2: Delete temp file
-    fs.unlink(tempFilePath, (err) => {
-      if (err) console.error('Could not delete temp file:', err.message);
-      else console.log('🗑️ Temp file deleted');
+/**
+ * Replace a playlist's items in one transaction (see replace_playlist_items() in
+ * 009-create-playlists-tables.sql), so the engine never sees it half-written
+ */
+async function replacePlaylistItems(playlistId, items) {
+  const rows = items.map(item => ({
+    video_id: item.video_id || item.id,
+    volume: item.volume ?? 100,
+    weight: item.weight ?? 1
+  }));
+  const { error } = await supabase.rpc('replace_playlist_items', { p_playlist_id: playlistId, p_items: rows });
+  if (error) throw new Error(error.message);
+}
+
+/**
+ * Duration of an audio file in seconds, or null if it cannot be probed
+ */
+function probeAudioDuration(filePath) {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      const duration = Number(metadata?.format?.duration);
+      resolve(!err && Number.isFinite(duration) && duration > 0 ? duration : null);
     });
+  });
+}
 
-    // Step 3: Get duration from normalized video
-    let duration = '0:00';
-    try {
-      duration = await getVideoDuration(normalizedPath);
-      console.log(`⏱️ Duration: ${duration}`);
-    } catch (err) {
-      console.error('Could not get duration:', err.message);
-    }
+/**
+ * Tags as stored on audio_tracks: lowercase, trimmed, unique. Accepts an array or a
+ * comma-separated string (the upload form).
+ */
+function parseAudioTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+}
 
-    // Step 4: Generate thumbnail from normalized video
-    const thumbnailFilename = normalizedFilename.replace(/\.mp4$/, '.jpg');
-    const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailFilename);
+let audioMeasureQueue = Promise.resolve(); // One loudness measurement at a time
 
-    try {
-      await generateThumbnail(normalizedPath, thumbnailPath);
-    } catch (err) {
-      console.error('Thumbnail generation failed, using placeholder');
-    }
+/**
+ * Measure a library track's loudness in the background and store it. The bed feeder
+ * levels beds from it; until then a bed plays as uploaded.
+ */
+function measureAudioTrack(track) {
+  audioMeasureQueue = audioMeasureQueue.then(async () => {
+    const filePath = path.join(AUDIO_DIR, track.filename);
+    if (!fs.existsSync(filePath)) return;
+
+    const measured = await measureLoudness(filePath);
+    if (!measured) return;
+
+    const { error } = await supabase
+      .from('audio_tracks')
+      .update(loudnessColumns({
+        integrated: parseFloat(measured.input_i),
+        truePeak: parseFloat(measured.input_tp),
+        range: parseFloat(measured.input_lra)
+      }))
+      .eq('id', track.id);
+    if (error) console.error(`⚠️ Failed to save the loudness of ${track.filename}:`, error.message);
+  });
+}
 
-    // Step 5: Get file size of normalized video
-    const normalizedStats = fs.statSync(normalizedPath);
-    const normalizedSize = formatFileSize(normalizedStats.size);
+/**
+ * Add a file in AUDIO_DIR to the audio library. Without a title it is named after the
+ * file, minus the upload timestamp.
+ */
+async function registerAudioTrack(filename, { title, tags } = {}) {
+  const filePath = path.join(AUDIO_DIR, filename);
+  const fallbackTitle = path.parse(filename).name.replace(/_\d{10,}$/, '').replace(/_/g, ' ').trim();
 
-    // Step 6: Insert into Supabase
-    const videoData = {
-      filename: normalizedFilename,
-      title: baseName.replace(/[-_]/g, ' '),
-      duration,
-      size: normalizedSize,
-      thumbnail_url: `/thumbnails/${thumbnailFilename}`,
-    };
+  const { data, error } = await supabase
+    .from('audio_tracks')
+    .insert({
+      filename,
+      title: (typeof title === 'string' && title.trim()) || fallbackTitle || filename,
+      tags: parseAudioTags(tags),
+      duration_seconds: await probeAudioDuration(filePath),
+      file_size: fs.statSync(filePath).size
+    })
+    .select('*')
+    .single();
 
-    const { data, error } = await supabase
-      .from('videos')
-      .insert(videoData)
-      .select()
-      .single();
+  if (error) throw new Error(error.message);
+  measureAudioTrack(data);
+  return data;
+}
 
-    if (error) {
-      console.error('❌ Supabase insert error:', error.message);
-      return res.status(500).json({ error: 'Failed to save video metadata' });
-    }
+/**
+ * Bring the library in line with AUDIO_DIR at startup: files it does not know yet
+ * (uploaded before it existed, or whose registration failed) are added, and tracks
+ * never measured are measured
+ */
+async function syncAudioLibrary() {
+  const { data, error } = await supabase.from('audio_tracks').select('*');
+  if (error) {
+    console.error('⚠️ Could not read the audio library:', error.message);
+    return;
+  }
 
-    console.log(`✅ Upload complete: ${normalizedFilename}`);
+  const known = new Set(data.map(track => track.filename));
+  for (const filename of fs.readdirSync(AUDIO_DIR)) {
+    if (known.has(filename) || filename.startsWith('.')) continue;
+    try {
+      await registerAudioTrack(filename);
+      console.log(`🎵 Added to the audio library: ${filename}`);
+    } catch (err) {
+      console.error(`⚠️ Could not add ${filename} to the audio library:`, err.message);
+    }
+  }
 
-    res.json({
-      id: data.id,
-      filename: data.filename,
-      title: data.title,
-      duration: data.duration,
-      size: data.size,
-      thumbnail: data.thumbnail_url,
-      url: `/videos/${normalizedFilename}`,
-      created_at: data.created_at
-    });
+  data.filter(track => track.loudness_lufs === null).forEach(measureAudioTrack);
+}
 
-  } catch (error) {
-    console.error('❌ Upload error:', error);
-    res.status(500).json({ error: error.message });
+// =============================================================================
+// TRANSCODE JOBS
+// =============================================================================
+//
+// Uploads return as soon as the source file is on disk, with a job ID; normalizing it
+// into the library happens here, in the background. Jobs are kept in JOBS_FILE and a
+// job's source file is only deleted once the job is done, so a job cut short by a
+// restart simply runs again from the start.
+
+const jobs = new Map(); // id -> job
+let runningJobCount = 0;
+
+// Share of the overall percentage each stage covers, by job type. The download's
+// share is a guess; it varies far more than the transcode's.
+const JOB_STAGE_RANGES = {
+  upload: {
+    measuring: [0, 15],
+    normalizing: [15, 97],
+    finishing: [97, 100]
+  },
+  url: {
+    downloading: [0, 30],
+    measuring: [30, 40],
+    normalizing: [40, 98],
+    finishing: [98, 100]
   }
-});
+};
 
 /**
- * Upload from Supabase Dropzone Endpoint
- * Downloads a file from Supabase storage and processes it locally
+ * A job as the API returns it, without the file paths it works on
  */
-app.post('/upload-from-url', async (req, res) => {
+function toPublicJob(job) {
+  const { input, progressStartedAt, ...rest } = job;
+  return rest;
+}
+
+function saveJobs() {
   try {
-    const { filename, originalName } = req.body;
+    fs.writeFileSync(JOBS_FILE, JSON.stringify([...jobs.values()], null, 2));
+  } catch (err) {
+    console.error('⚠️ Failed to save transcode jobs:', err.message);
+  }
+}
 
-    if (!filename) {
-      return res.status(400).json({ error: 'Missing filename' });
+/**
+ * Pick up the queue where the last run left off. Jobs that were running go back in
+ * the queue; ones whose uploaded source file is gone can only fail.
+ */
+function loadJobs() {
+  try {
+    if (!fs.existsSync(JOBS_FILE)) return;
+    for (const job of JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'))) {
+      if (job.status === 'running' || job.status === 'queued') {
+        const sourceLost = job.type === 'upload' && !fs.existsSync(job.input.tempFilePath);
+        Object.assign(job, sourceLost
+          ? { status: 'failed', error: 'Source file was lost in a server restart', finishedAt: new Date().toISOString() }
+          : { status: 'queued', stage: null, percent: 0, etaSeconds: null });
+      }
+      jobs.set(job.id, job);
     }
+    const queued = [...jobs.values()].filter(job => job.status === 'queued').length;
+    if (queued > 0) console.log(`🧾 Resuming ${queued} queued transcode job(s)`);
+  } catch (err) {
+    console.error('⚠️ Failed to load transcode jobs:', err.message);
+  }
+}
 
-    console.log(`📥 Downloading from Supabase dropzone: ${filename}`);
+/**
+ * Forget finished jobs older than JOB_RETENTION_MS
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) jobs.delete(id);
+  }
+}
 
-    // Construct the public URL for the file in dropzone bucket
-    const publicUrl = `${supabaseUrl}/storage/v1/object/public/dropzone/${filename}`;
-    console.log(`🔗 Fetching from: ${publicUrl}`);
+/**
+ * Queue a transcode. `input` says what to ingest: { tempFilePath } for an upload
+ * already on disk, or { url, dropzoneFilename? } for an import.
+ */
+function enqueueJob(type, title, input) {
+  const baseName = title.replace(/[^a-zA-Z0-9_-]/g, '_');
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    title,
+    status: 'queued',
+    stage: null,
+    percent: 0,
+    etaSeconds: null,
+    error: null,
+    video: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    input: { ...input, outputFilename: `${baseName}_${Date.now()}.mp4` }
+  };
 
-    // Download the file
-    const response = await fetch(publicUrl);
+  jobs.set(job.id, job);
+  saveJobs();
+  publishJobUpdate(job, { force: true });
+  console.log(`🧾 Queued transcode job ${job.id}: "${title}"`);
+  pumpJobs();
+  return job;
+}
 
-    if (!response.ok) {
-      console.error(`❌ Failed to download: ${response.status} ${response.statusText}`);
-      return res.status(400).json({ error: `Failed to download file: ${response.statusText}` });
-    }
+/**
+ * Start queued jobs, oldest first, up to TRANSCODE_CONCURRENCY at a time
+ */
+function pumpJobs() {
+  while (runningJobCount < TRANSCODE_CONCURRENCY) {
+    const next = [...jobs.values()].find(job => job.status === 'queued');
+    if (!next) return;
+    runJob(next);
+  }
+}
 
-    // Save to temp directory first
-    const tempFilename = `${Date.now()}_${filename}`;
-    const tempFilePath = path.join(TEMP_DIR, tempFilename);
+async function runJob(job) {
+  runningJobCount++;
+  Object.assign(job, { status: 'running', startedAt: new Date().toISOString() });
+  saveJobs();
+  publishJobUpdate(job, { force: true });
 
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-    fs.writeFileSync(tempFilePath, buffer);
-    const size = buffer.length;
-    console.log(`💾 Downloaded to temp: ${tempFilePath} (${formatFileSize(size)})`);
+  try {
+    job.video = await processJob(job);
+    Object.assign(job, { status: 'completed', stage: null, percent: 100, etaSeconds: 0 });
+    console.log(`✅ Transcode job ${job.id} complete: ${job.video.filename}`);
+  } catch (err) {
+    Object.assign(job, { status: 'failed', error: err.message, etaSeconds: null });
+    console.error(`❌ Transcode job ${job.id} failed:`, err.message);
+    sendAlert({
+      event: 'transcode_failed',
+      status: 'alert',
+      title: 'Upload could not be processed',
+      message: `"${job.title}": ${err.message}`,
+      details: { jobId: job.id, type: job.type }
+    });
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    runningJobCount--;
+    pruneJobs();
+    saveJobs();
+    publishJobUpdate(job, { force: true });
+    pumpJobs();
+  }
+}
 
-    // Generate normalized filename
-    const baseName = path.basename(filename, path.extname(filename))
-      .replace(/[^a-zA-Z0-9_-]/g, '_');
-    const timestamp = Date.now();
-    const normalizedFilename = `${baseName}_${timestamp}.mp4`;
-    const normalizedPath = path.join(VIDEOS_DIR, normalizedFilename);
+/**
+ * Record progress through a stage, with an ETA extrapolated from the time spent so far
+ */
+function setJobProgress(job, stage, stagePercent) {
+  if (job.stage !== stage) console.log(`   🧾 Job ${job.id}: ${stage}`);
+  const [from, to] = JOB_STAGE_RANGES[job.type][stage];
+  job.stage = stage;
+  job.percent = Math.round((from + (to - from) * Math.min(stagePercent, 100) / 100) * 10) / 10;
+
+  const elapsed = (Date.now() - job.progressStartedAt) / 1000;
+  job.etaSeconds = job.percent >= 1 ? Math.round(elapsed * (100 - job.percent) / job.percent) : null;
+  publishJobUpdate(job);
+}
 
-    // Normalize
-    try {
-      await normalizeVideo(tempFilePath, normalizedPath);
-    } catch (err) {
-      console.error('❌ Normalization failed:', err.message);
-      fs.unlink(tempFilePath, () => { }); // Cleanup
-      return res.status(500).json({ error: 'Video normalization failed' });
-    }
+/**
+ * An import failure that retrying will not fix
+ */
+function permanentError(message) {
+  return Object.assign(new Error(message), { permanent: true });
+}
 
-    // Cleanup temp
-    fs.unlink(tempFilePath, () => { });
+/**
+ * Loopback, private, link-local and CGNAT addresses, which an import must never reach
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+  return lower === '::' || lower === '::1' || lower.startsWith('fc') || lower.startsWith('fd') || lower.startsWith('fe80');
+}
 
-    // Get video duration from normalized file
-    let duration = '0:00';
-    try {
-      duration = await getVideoDuration(normalizedPath);
-      console.log(`⏱️ Duration: ${duration}`);
-    } catch (err) {
-      console.error('Could not get duration:', err.message);
-    }
+/**
+ * dns.lookup that refuses private addresses. It is the lookup of publicHttpsAgent's
+ * connections, so the address checked is the one connected to: a host cannot pass
+ * assertPublicHttpsUrl() and then resolve to 127.0.0.1 for the request itself (DNS
+ * rebinding).
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(permanentError(`Cannot resolve ${hostname}`));
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) return callback(permanentError(`${hostname} is not a public host`));
+    callback(null, address, family);
+  });
+}
 
-    // Generate thumbnail from normalized file
-    const thumbnailFilename = normalizedFilename.replace(/\.mp4$/, '.jpg');
-    const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailFilename);
+// For every request to a user-supplied URL (imports and alert webhooks). No keep-alive,
+// so each request connects, and checks, afresh.
+const publicHttpsAgent = new https.Agent({ lookup: lookupPublicAddress, keepAlive: false });
 
-    try {
-      await generateThumbnail(normalizedPath, thumbnailPath);
-    } catch (err) {
-      console.error('Thumbnail generation failed, using placeholder');
-    }
+/**
+ * One HTTP(S) request, resolving with the response (an http.IncomingMessage) as soon as
+ * its headers arrive. Redirects are not followed.
+ */
+function requestUrl(url, { method = 'GET', headers = {}, body, agent, timeout } = {}) {
+  const client = new URL(url).protocol === 'http:' ? http : https;
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, { method, headers, agent, timeout }, resolve);
+    request.on('timeout', () => request.destroy(new Error(`No response from ${new URL(url).hostname}`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
 
-    // Get normalized size
-    const normalizedStats = fs.statSync(normalizedPath);
-    const normalizedSize = formatFileSize(normalizedStats.size);
+/**
+ * Throws unless `rawUrl` is an HTTPS URL on a public host. Requests to it must still go
+ * through publicHttpsAgent, which checks the address it actually connects to.
+ */
+async function assertPublicHttpsUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (err) {
+    throw permanentError('Invalid URL');
+  }
+  if (url.protocol !== 'https:') throw permanentError('Only HTTPS URLs can be imported');
 
-    // Derive title
-    const titleSource = originalName || filename;
-    const title = path.basename(titleSource, path.extname(titleSource))
-      .replace(/[-_]/g, ' ')
-      .replace(/_\d+$/, '');
+  const addresses = await dns.promises.lookup(url.hostname, { all: true })
+    .catch(() => { throw permanentError(`Cannot resolve ${url.hostname}`); });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw permanentError(`${url.hostname} is not a public host`);
+  }
+  return url;
+}
 
-    // Insert into Supabase videos table
-    const videoData = {
-      filename: normalizedFilename,
-      title,
-      duration,
-      size: normalizedSize,
-      thumbnail_url: `/thumbnails/${thumbnailFilename}`,
-    };
+/**
+ * True for a path inside the dropzone bucket: no leading slash and no empty, `.` or
+ * `..` segments, so it cannot reach other objects in storage
+ */
+function isDropzoneFilename(filename) {
+  return typeof filename === 'string' && filename !== '' &&
+    filename.split('/').every(segment => segment !== '' && segment !== '.' && segment !== '..' && !segment.includes('\\'));
+}
 
-    const { data, error } = await supabase
-      .from('videos')
-      .insert(videoData)
-      .select()
-      .single();
+function dropzoneUrl(filename) {
+  return `${supabaseUrl}/storage/v1/object/public/dropzone/${filename.split('/').map(encodeURIComponent).join('/')}`;
+}
 
-    if (error) {
-      console.error('❌ Supabase insert error:', error.message);
-      return res.status(500).json({ error: 'Failed to save video metadata' });
-    }
+/**
+ * One attempt at streaming a job's source URL into TEMP_DIR. Checks the type and size
+ * up front where the server says them, and keeps counting while the bytes arrive.
+ */
+async function downloadImportOnce(job) {
+  const { url, dropzoneFilename } = job.input;
+
+  // Redirects are followed by hand so every hop gets the public-host check (the
+  // dropzone is our own Supabase and needs none)
+  let target = url;
+  let response;
+  for (let hops = 0; ; hops++) {
+    if (!dropzoneFilename) await assertPublicHttpsUrl(target);
+    response = await requestUrl(target, {
+      agent: dropzoneFilename ? undefined : publicHttpsAgent,
+      timeout: IMPORT_SOCKET_TIMEOUT_MS
+    });
+    const { location } = response.headers;
+    if (response.statusCode < 300 || response.statusCode >= 400 || !location) break;
 
-    console.log(`✅ Upload and normalization complete: ${normalizedFilename}`);
+    response.destroy();
+    if (hops >= IMPORT_MAX_REDIRECTS) throw permanentError('Too many redirects');
+    target = new URL(location, target).toString();
+  }
 
-    // Return the new video object
-    res.json({
-      id: data.id,
-      filename: data.filename,
-      title: data.title,
-      duration: data.duration,
-      size: data.size,
-      thumbnail: data.thumbnail_url,
-      url: `/videos/${normalizedFilename}`,
-      created_at: data.created_at
-    });
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    response.destroy();
+    const message = `Download failed: ${response.statusCode} ${response.statusMessage}`;
+    // Client errors other than timeouts and rate limits will not go away on a retry
+    const retryable = response.statusCode >= 500 || response.statusCode === 408 || response.statusCode === 429;
+    throw retryable ? new Error(message) : permanentError(message);
+  }
 
-  } catch (error) {
-    console.error('❌ Upload from URL error:', error);
-    res.status(500).json({ error: error.message });
+  const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!IMPORT_CONTENT_TYPES.includes(contentType)) {
+    response.destroy();
+    throw permanentError(`Not a video file (content type "${contentType || 'none'}")`);
   }
-});
 
-/**
- * Upload Audio Endpoint (for background audio/rain sounds)
- */
-const audioUpload = multer({
-  storage: multer.diskStorage({
-    destination: (req, file, cb) => {
-      // Store in public/audio directory for better organization
-      const audioDir = path.join(__dirname, 'public', 'audio');
-      if (!fs.existsSync(audioDir)) {
-        fs.mkdirSync(audioDir, { recursive: true });
+  const totalBytes = Number(response.headers['content-length']) || null;
+  if (totalBytes && totalBytes > MAX_VIDEO_UPLOAD_BYTES) {
+    response.destroy();
+    throw permanentError(`File is ${formatFileSize(totalBytes)}, over the ${formatFileSize(MAX_VIDEO_UPLOAD_BYTES)} limit`);
+  }
+
+  const tempFilePath = path.join(TEMP_DIR, `${job.id}_import${path.extname(new URL(target).pathname)}`);
+  let receivedBytes = 0;
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      receivedBytes += chunk.length;
+      if (receivedBytes > MAX_VIDEO_UPLOAD_BYTES) {
+        callback(permanentError(`File is over the ${formatFileSize(MAX_VIDEO_UPLOAD_BYTES)} limit`));
+        return;
       }
-      cb(null, audioDir);
-    },
-    filename: (req, file, cb) => {
-      // Sanitize and timestamp
-      const ext = path.extname(file.originalname);
-      const basename = path.basename(file.originalname, ext).replace(/[^a-zA-Z0-9_-]/g, '_');
-      const filename = `${basename}_${Date.now()}${ext}`;
-      cb(null, filename);
+      if (totalBytes) setJobProgress(job, 'downloading', (receivedBytes / totalBytes) * 100);
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(response, meter, fs.createWriteStream(tempFilePath));
+  } catch (err) {
+    fs.rmSync(tempFilePath, { force: true });
+    throw err;
+  }
+
+  console.log(`💾 Downloaded to temp: ${tempFilePath} (${formatFileSize(receivedBytes)})`);
+  return tempFilePath;
+}
+
+/**
+ * Stream a job's source URL to disk, retrying with backoff on network and server errors
+ */
+async function downloadImport(job) {
+  console.log(`📥 Importing ${job.input.dropzoneFilename ? `from Supabase dropzone: ${job.input.dropzoneFilename}` : job.input.url}`);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await downloadImportOnce(job);
+    } catch (err) {
+      if (err.permanent || attempt >= IMPORT_MAX_ATTEMPTS) throw err;
+      const delay = IMPORT_RETRY_BASE_MS * 2 ** (attempt - 1);
+      console.warn(`⚠️ Download attempt ${attempt} failed (${err.message}), retrying in ${delay / 1000}s`);
+      setJobProgress(job, 'downloading', 0);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Turn a job's source file into a library video: normalize it, probe it, thumbnail it
+ * and insert it into the videos table. Resolves with the new video.
+ */
+async function processJob(job) {
+  const { outputFilename } = job.input;
+  const normalizedPath = path.join(VIDEOS_DIR, outputFilename);
+  // Whatever an interrupted earlier attempt left behind
+  fs.rmSync(normalizedPath, { force: true });
+
+  job.progressStartedAt = Date.now();
+  if (job.type === 'url') {
+    setJobProgress(job, 'downloading', 0);
+    job.input.tempFilePath = await downloadImport(job);
+    saveJobs();
+  }
+  const { tempFilePath } = job.input;
+
+  // Step 1: Normalize video to 1080p30fps H.264/AAC at the target loudness
+  let loudness = null;
+  try {
+    loudness = await normalizeVideo(tempFilePath, normalizedPath, (stage, percent) => setJobProgress(job, stage, percent));
+  } catch (err) {
+    fs.rmSync(normalizedPath, { force: true });
+    throw new Error('Video normalization failed: ' + err.message);
+  } finally {
+    // Step 2: Delete temp file
+    fs.unlink(tempFilePath, (err) => {
+      if (err) console.error('Could not delete temp file:', err.message);
+      else console.log('🗑️ Temp file deleted');
+    });
+  }
+
+  setJobProgress(job, 'finishing', 0);
+
+  // Step 3: Get duration from normalized video
+  let duration = '0:00';
+  try {
+    duration = await getVideoDuration(normalizedPath);
+    console.log(`⏱️ Duration: ${duration}`);
+  } catch (err) {
+    console.error('Could not get duration:', err.message);
+  }
+
+  // Step 4: Generate thumbnail from normalized video
+  const thumbnailFilename = outputFilename.replace(/\.mp4$/, '.jpg');
+  const thumbnailPath = path.join(THUMBNAILS_DIR, thumbnailFilename);
+
+  try {
+    await generateThumbnail(normalizedPath, thumbnailPath);
+  } catch (err) {
+    console.error('Thumbnail generation failed, using placeholder');
+  }
+
+  // Step 5: Get file size of normalized video
+  const normalizedSize = formatFileSize(fs.statSync(normalizedPath).size);
+
+  // Step 6: Insert into Supabase
+  const { data, error } = await supabase
+    .from('videos')
+    .insert({
+      filename: outputFilename,
+      title: job.title,
+      duration,
+      size: normalizedSize,
+      thumbnail_url: `/thumbnails/${thumbnailFilename}`,
+      ...loudnessColumns(loudness),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error('Failed to save video metadata: ' + error.message);
+  }
+
+  // The dropzone is only a staging area; the video now lives here
+  if (job.input.dropzoneFilename) {
+    const { error: removeError } = await supabase.storage.from('dropzone').remove([job.input.dropzoneFilename]);
+    if (removeError) console.error(`⚠️ Could not remove ${job.input.dropzoneFilename} from the dropzone:`, removeError.message);
+    else console.log(`🗑️ Removed ${job.input.dropzoneFilename} from the dropzone`);
+  }
+
+  return {
+    id: data.id,
+    filename: data.filename,
+    title: data.title,
+    duration: data.duration,
+    size: data.size,
+    thumbnail: data.thumbnail_url,
+    url: `/videos/${data.filename}`,
+    loudness_lufs: data.loudness_lufs,
+    true_peak_dbtp: data.true_peak_dbtp,
+    loudness_range_lu: data.loudness_range_lu,
+    created_at: data.created_at
+  };
+}
+
+// =============================================================================
+// API ENDPOINTS
+// =============================================================================
+
+/**
+ * Health check
+ */
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    isStreaming,
+    uptime: process.uptime()
+  });
+});
+
+/**
+ * Upload Video Endpoint
+ * Answers 202 with a transcode job as soon as the file is on disk; poll GET /jobs/:id.
+ * Single request, so a dropped connection starts over; the dashboard uses /uploads.
+ */
+app.post('/upload', requireRole('admin'), upload.single('video'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No video file provided' });
+  }
+
+  const { originalname, path: tempFilePath, size } = req.file;
+  console.log(`📤 Received upload: ${originalname} (${formatFileSize(size)})`);
+
+  const title = path.basename(originalname, path.extname(originalname)).replace(/[-_]/g, ' ');
+  const job = enqueueJob('upload', title, { tempFilePath });
+  res.status(202).json({ jobId: job.id, job: toPublicJob(job) });
+});
+
+/**
+ * Import Endpoint
+ * Queues a job that streams a video to disk and processes it locally. Takes either
+ * { filename, originalName } for a file in the Supabase dropzone (removed from the
+ * bucket once ingested) or { url, title } for any public HTTPS URL.
+ */
+app.post('/upload-from-url', requireRole('admin'), async (req, res) => {
+  const { filename, originalName, url, title: requestedTitle } = req.body;
+
+  if (!filename && !url) {
+    return res.status(400).json({ error: 'Provide a dropzone filename or an HTTPS url' });
+  }
+  if (filename && !isDropzoneFilename(filename)) {
+    return res.status(400).json({ error: 'Invalid dropzone filename' });
+  }
+  if (!filename && typeof url !== 'string') {
+    return res.status(400).json({ error: 'Invalid url' });
+  }
+  for (const [field, value] of [['originalName', originalName], ['title', requestedTitle]]) {
+    if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+      return res.status(400).json({ error: `${field} must be a non-empty string` });
+    }
+  }
+
+  let input;
+  let titleSource;
+  if (filename) {
+    input = { url: dropzoneUrl(filename), dropzoneFilename: filename };
+    titleSource = originalName || filename;
+  } else {
+    try {
+      const parsed = await assertPublicHttpsUrl(url);
+      input = { url: parsed.toString() };
+      titleSource = decodeURIComponent(path.basename(parsed.pathname)) || parsed.hostname;
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+
+  // Derive title
+  const title = requestedTitle || path.basename(titleSource, path.extname(titleSource))
+    .replace(/[-_]/g, ' ')
+    .replace(/_\d+$/, '');
+
+  const job = enqueueJob('url', title, input);
+  res.status(202).json({ jobId: job.id, job: toPublicJob(job) });
+});
+
+/**
+ * Transcode jobs, newest first
+ */
+app.get('/jobs', requireRole('viewer'), (req, res) => {
+  const list = [...jobs.values()]
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toPublicJob);
+  res.json(list);
+});
+
+/**
+ * One transcode job: status, stage, percent, ETA and error
+ */
+app.get('/jobs/:id', requireRole('viewer'), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(toPublicJob(job));
+});
+
+/**
+ * Upload Audio Endpoint (for background audio/rain sounds). The file joins the audio
+ * library; optional `title` and `tags` (comma-separated) form fields describe it.
+ */
+const audioUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, AUDIO_DIR);
+    },
+    filename: (req, file, cb) => {
+      // Sanitize and timestamp
+      const ext = path.extname(file.originalname);
+      const basename = path.basename(file.originalname, ext).replace(/[^a-zA-Z0-9_-]/g, '_');
+      const filename = `${basename}_${Date.now()}${ext}`;
+      cb(null, filename);
     }
   }),
   limits: {
     fileSize: 500 * 1024 * 1024, // 500MB max
   },
   fileFilter: (req, file, cb) => {
-    const allowedMimes = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/x-wav', 'audio/aac'];
-    if (allowedMimes.includes(file.mimetype) || file.originalname.endsWith('.mp3')) {
+    if (AUDIO_MIME_TYPES.includes(file.mimetype) || file.originalname.endsWith('.mp3')) {
       cb(null, true);
     } else {
       cb(new Error('Invalid file type. Only audio files are allowed.'));
@@ -508,7 +1314,7 @@ const audioUpload = multer({
   }
 });
 
-app.post('/upload-audio', audioUpload.single('audio'), async (req, res) => {
+app.post('/upload-audio', requireRole('admin'), audioUpload.single('audio'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No audio file provided' });
@@ -518,11 +1324,15 @@ app.post('/upload-audio', audioUpload.single('audio'), async (req, res) => {
     console.log(`🎵 Received audio upload: ${originalname} -> ${filename}`);
     console.log(`📦 Size: ${(size / 1024 / 1024).toFixed(2)} MB`);
 
+    // The file stays on disk if this fails; syncAudioLibrary() adds it on the next start
+    const track = await registerAudioTrack(filename, { title: req.body?.title, tags: req.body?.tags });
+
     res.json({
       success: true,
       filename: filename, // Return the actual filename
       originalName: originalname,
       size: `${(size / 1024 / 1024).toFixed(2)} MB`,
+      track,
       message: 'Background audio uploaded successfully.'
     });
 
@@ -532,11 +1342,149 @@ app.post('/upload-audio', audioUpload.single('audio'), async (req, res) => {
   }
 });
 
+/**
+ * The background audio library, newest first (?tag=rain for one tag)
+ */
+app.get('/audio-tracks', requireRole('viewer'), async (req, res) => {
+  let query = supabase
+    .from('audio_tracks')
+    .select('*')
+    .order('created_at', { ascending: false });
+
+  if (typeof req.query.tag === 'string' && req.query.tag.trim()) {
+    query = query.contains('tags', [req.query.tag.trim().toLowerCase()]);
+  }
+
+  const { data, error } = await query;
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+/**
+ * Rename or retag a background audio track ({ title, tags })
+ */
+app.patch('/audio-tracks/:id', requireRole('operator'), async (req, res) => {
+  const updates = {};
+  if (req.body?.title !== undefined) {
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!title) return res.status(400).json({ error: 'Title cannot be empty' });
+    updates.title = title;
+  }
+  if (req.body?.tags !== undefined) updates.tags = parseAudioTags(req.body.tags);
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update (title, tags)' });
+  }
+
+  const { data, error } = await supabase
+    .from('audio_tracks')
+    .update(updates)
+    .eq('id', req.params.id)
+    .select('*')
+    .maybeSingle();
+
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: 'Audio track not found' });
+  res.json(data);
+});
+
+/**
+ * Delete a background audio track and its file. It is taken out of the stream's beds,
+ * and playlists that had it as their bed go back to those (ON DELETE SET NULL).
+ */
+app.delete('/audio-tracks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { data: track, error: fetchError } = await supabase
+      .from('audio_tracks')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (fetchError) return res.status(500).json({ error: fetchError.message });
+    if (!track) return res.status(404).json({ error: 'Audio track not found' });
+
+    const { error: deleteError } = await supabase
+      .from('audio_tracks')
+      .delete()
+      .eq('id', track.id);
+
+    if (deleteError) return res.status(500).json({ error: deleteError.message });
+
+    const { data: config } = await supabase
+      .from('stream_config')
+      .select('id, audio_bed_ids, audio_file')
+      .limit(1)
+      .maybeSingle();
+    const bedIds = config?.audio_bed_ids || [];
+    if (config && (bedIds.includes(track.id) || config.audio_file === track.filename)) {
+      await supabase
+        .from('stream_config')
+        .update({
+          audio_bed_ids: bedIds.filter(id => id !== track.id),
+          audio_file: config.audio_file === track.filename ? null : config.audio_file,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', config.id);
+    }
+
+    // The bed feeder has the file open if it is on air; it moves on once the config
+    // change above reaches it
+    const filePath = path.join(AUDIO_DIR, track.filename);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+
+    console.log(`🗑️ Deleted audio track: ${track.filename}`);
+    res.json({ success: true, deleted: track.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Upload a logo for the watermark overlay. It only goes on air once the dashboard saves
+ * it as stream_config.overlays.logo.file.
+ */
+const overlayUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, OVERLAY_IMAGES_DIR);
+    },
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      const basename = path.basename(file.originalname, ext).replace(/[^a-zA-Z0-9_-]/g, '_');
+      cb(null, `${basename}_${Date.now()}${ext}`);
+    }
+  }),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max
+  },
+  fileFilter: (req, file, cb) => {
+    if (OVERLAY_IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only PNG, JPEG and WebP images are allowed.'));
+    }
+  }
+});
+
+app.post('/upload-overlay', requireRole('admin'), overlayUpload.single('image'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No image provided' });
+  }
+
+  console.log(`🖼️ Received overlay image: ${req.file.originalname} -> ${req.file.filename}`);
+  res.json({
+    success: true,
+    filename: req.file.filename,
+    url: `/overlays/${req.file.filename}`
+  });
+});
+
 
 /**
  * List all videos
  */
-app.get('/videos', async (req, res) => {
+app.get('/videos', requireRole('viewer'), async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('videos')
@@ -556,7 +1504,7 @@ app.get('/videos', async (req, res) => {
 /**
  * Delete a video
  */
-app.delete('/videos/:id', async (req, res) => {
+app.delete('/videos/:id', requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -588,37 +1536,15 @@ app.delete('/videos/:id', async (req, res) => {
     if (fs.existsSync(videoPath)) {
       fs.unlinkSync(videoPath);
     }
+    mediaTimingCache.delete(videoPath);
     if (fs.existsSync(thumbnailPath)) {
       fs.unlinkSync(thumbnailPath);
     }
 
+    // Its playlist_items rows went with the videos row (ON DELETE CASCADE), so every
+    // playlist is already clean; the engine picks that up on its next poll.
     console.log(`🗑️ Deleted video: ${video.filename}`);
 
-    // Update Playlist: Remove deleted video from active stream config
-    try {
-      const { data: config } = await getStreamConfig();
-      if (config && Array.isArray(config.playlist)) {
-        const originalLength = config.playlist.length;
-        const newPlaylist = config.playlist.filter(item => {
-          // Check by ID or Filename
-          if (item.id && item.id === video.id) return false;
-          if (item.filename && item.filename === video.filename) return false;
-          return true;
-        });
-
-        if (newPlaylist.length < originalLength) {
-          console.log(`🧹 Removing deleted video from playlist (${originalLength} -> ${newPlaylist.length})`);
-          await supabase
-            .from('stream_config')
-            .update({ playlist: newPlaylist })
-            .eq('id', config.id);
-          console.log('✅ Playlist updated');
-        }
-      }
-    } catch (err) {
-      console.error('⚠️ Failed to cleanup playlist:', err.message);
-    }
-
     res.json({ success: true, deleted: video.id });
 
   } catch (error) {
@@ -626,528 +1552,3481 @@ app.delete('/videos/:id', async (req, res) => {
   }
 });
 
+// -----------------------------------------------------------------------------
+// Playlists
+// -----------------------------------------------------------------------------
+
 /**
- * Get stream status
+ * List playlists with their items
  */
-app.get('/stream/status', (req, res) => {
-  res.json({
-    isStreaming,
-    currentConfigId,
-    uptime: process.uptime()
-  });
+app.get('/playlists', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await fetchPlaylists());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
- * Parse duration string (e.g., "3:45" or "1:23:45") to seconds
+ * Get one playlist with its items
  */
+app.get('/playlists/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const playlist = await fetchPlaylist(req.params.id);
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+    res.json(playlist);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
- * Get currently playing video info based on DJ index
+ * Create a playlist, optionally with items ({ name, items: [{ video_id, volume, weight }] })
  */
-app.get('/now-playing', (req, res) => {
-  if (!isStreaming || currentPlaylist.length === 0) {
-    return res.json({
-      current: null,
-      next: null,
-      index: 0,
-      total: 0,
-      isStreaming: false
-    });
-  }
+app.post('/playlists', requireRole('operator'), async (req, res) => {
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!name) return res.status(400).json({ error: 'Name is required' });
 
-  // With DJ Mode, we always know exactly which index is feeding the master stream
-  const current = currentPlaylist[currentIndex];
-  // Next is simply index + 1 (wrapping around)
-  const nextIndex = (currentIndex + 1) % currentPlaylist.length;
-  const next = currentPlaylist[nextIndex];
+  const { data, error } = await supabase
+    .from('playlists')
+    .insert({ name })
+    .select('id')
+    .single();
 
-  // We don't have exact "elapsed" time within the file easily available 
-  // without parsing the feeder ffmpeg output, but for now we can omit it 
-  // or return 0. The frontend uses it for progress bars.
-  // TODO: Improved elapsed time tracking by monitoring start time of current feeder.
+  if (error) return res.status(500).json({ error: error.message });
 
-  res.json({
-    current: current ? {
-      id: current.id,
-      title: current.title,
-      thumbnail: current.thumbnail || current.thumbnail_url,
-      duration: current.duration,
-      filename: current.filename
-    } : null,
-    next: next ? {
-      id: next.id,
-      title: next.title,
-      thumbnail: next.thumbnail || next.thumbnail_url,
-      duration: next.duration,
-      filename: next.filename
-    } : null,
-    index: currentIndex,
-    total: currentPlaylist.length,
-    isStreaming: true,
-    elapsedSeconds: 0 // Placeholder
-  });
+  try {
+    if (Array.isArray(req.body.items) && req.body.items.length > 0) {
+      await replacePlaylistItems(data.id, req.body.items);
+    }
+    console.log(`📋 Playlist created: "${name}"`);
+    res.status(201).json(await fetchPlaylist(data.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// =============================================================================
-// BROADCAST ENGINE (DJ MODE)
-// =============================================================================
-
-let masterFfmpeg = null; // The persistent process sending to RTMP
-let currentFeederProcess = null; // The process reading the current file
-let isStreaming = false;
-let currentConfigId = null;
-let lastConfig = null;
-
-// Playlist State
-let currentPlaylist = [];
-let currentIndex = 0;
-let skipToTarget = false; // Flag to indicate manual skip
-let masterStdin = null; // Stream to write video data to
-let masterStartedAt = 0; // Wall-clock ms when the master process began, used to keep feeder timestamps monotonic
-let pendingSeekSeconds = 0; // Set on restart to resume an interrupted track where it left off
-
 /**
- * Fetch stream configuration from Supabase
+ * Duplicate a playlist and its items under a new name
  */
-async function getStreamConfig() {
+app.post('/playlists/:id/duplicate', requireRole('operator'), async (req, res) => {
+  try {
+    const source = await fetchPlaylist(req.params.id);
+    if (!source) return res.status(404).json({ error: 'Playlist not found' });
+
+    const name = typeof req.body?.name === 'string' && req.body.name.trim() ? req.body.name.trim() : `${source.name} (copy)`;
+    const { data, error } = await supabase
+      .from('playlists')
+      .insert({ name })
+      .select('id')
+      .single();
+
+    if (error) return res.status(500).json({ error: error.message });
+
+    await replacePlaylistItems(data.id, source.items);
+    console.log(`📋 Playlist duplicated: "${source.name}" → "${name}"`);
+    res.status(201).json(await fetchPlaylist(data.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rename a playlist and/or set its background audio bed ({ name, audio_track_id }, null
+ * for the stream's beds)
+ */
+app.patch('/playlists/:id', requireRole('operator'), async (req, res) => {
+  const updates = {};
+  if (req.body?.name !== undefined) {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) return res.status(400).json({ error: 'Name is required' });
+    updates.name = name;
+  }
+  if (req.body?.audio_track_id !== undefined) {
+    if (req.body.audio_track_id !== null && typeof req.body.audio_track_id !== 'string') {
+      return res.status(400).json({ error: 'audio_track_id must be an id or null' });
+    }
+    updates.audio_track_id = req.body.audio_track_id;
+  }
+  if (Object.keys(updates).length === 0) return res.status(400).json({ error: 'Name is required' });
+
   const { data, error } = await supabase
-    .from('stream_config')
-    .select('*')
-    .limit(1)
-    .single();
+    .from('playlists')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', req.params.id)
+    .select('id, name, audio_track_id')
+    .maybeSingle();
+
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: 'Playlist not found' });
+  res.json(data);
+});
 
-  if (error) {
-    console.error('Error fetching stream config:', error.message);
+/**
+ * Replace a playlist's items ({ items: [{ video_id, volume, weight }] }, in play order)
+ */
+app.put('/playlists/:id/items', requireRole('operator'), async (req, res) => {
+  if (!Array.isArray(req.body?.items)) {
+    return res.status(400).json({ error: 'items must be an array' });
+  }
+
+  try {
+    // Checked first: items for an unknown playlist would only fail on the foreign key
+    const { data: existing, error } = await supabase
+      .from('playlists')
+      .select('id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!existing) return res.status(404).json({ error: 'Playlist not found' });
+
+    await replacePlaylistItems(req.params.id, req.body.items);
+    const playlist = await fetchPlaylist(req.params.id);
+    if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+    res.json(playlist);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a playlist. The active playlist cannot be deleted; schedule blocks that
+ * pointed at it are dropped.
+ */
+app.delete('/playlists/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const config = await getStreamConfig();
+    if (config?.active_playlist_id === req.params.id) {
+      return res.status(409).json({ error: 'This is the active playlist. Switch to another one first.' });
+    }
+
+    const { error } = await supabase
+      .from('playlists')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) return res.status(500).json({ error: error.message });
+
+    const schedule = Array.isArray(config?.schedule) ? config.schedule : [];
+    const remaining = schedule.filter(block => block.playlist_id !== req.params.id);
+    if (config && remaining.length < schedule.length) {
+      await supabase
+        .from('stream_config')
+        .update({ schedule: remaining })
+        .eq('id', config.id);
+      console.log(`🗓️ Removed ${schedule.length - remaining.length} schedule block(s) of the deleted playlist`);
+    }
+
+    res.json({ success: true, deleted: req.params.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get stream status
+ */
+app.get('/stream/status', requireRole('viewer'), (req, res) => {
+  res.json({
+    isStreaming,
+    currentConfigId,
+    destinations: getDestinationHealth(),
+    appliedRevision: lastAckedRevision,
+    realtimeConnected,
+    uptime: process.uptime()
+  });
+});
+
+/**
+ * Encoder, feeder and destination health, with recent history for charts
+ */
+app.get('/stream/health', requireRole('viewer'), (req, res) => {
+  res.json(getHealthReport());
+});
+
+/**
+ * The same health data for Prometheus
+ */
+app.get('/metrics', requireRole('viewer'), (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderPrometheusMetrics());
+});
+
+/**
+ * Send a test alert to a webhook from the settings page, saved or not
+ */
+app.post('/alerts/test', requireRole('operator'), async (req, res) => {
+  const { url, format, name } = req.body || {};
+  if (!url || !ALERT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `url and a format (${ALERT_FORMATS.join(', ')}) are required` });
+  }
+
+  const error = await deliverAlert({ url, format, name }, {
+    event: 'test',
+    status: 'test',
+    title: 'Test alert',
+    message: 'StreamFlow alerts will arrive here.',
+    at: new Date().toISOString()
+  });
+  if (error) return res.status(502).json({ error });
+  res.json({ success: true });
+});
+
+/**
+ * Simulcast destinations and their health
+ */
+app.get('/stream/destinations', requireRole('viewer'), (req, res) => {
+  res.json(getDestinationHealth());
+});
+
+/**
+ * The HLS preview (/preview/index.m3u8 and its segments), while it is running. Nothing
+ * here may be cached: the playlist is rewritten with every segment.
+ */
+app.use('/preview', requireRole('viewer'), express.static(PREVIEW_DIR, {
+  setHeaders: (res) => res.set('Cache-Control', 'no-store')
+}));
+
+/**
+ * Start or stop the broadcast. Goes through here rather than a direct stream_config
+ * write from the browser so it can be limited to operators.
+ */
+async function setStreamActive(isActive, res) {
+  try {
+    const { data: current, error: findError } = await supabase
+      .from('stream_config')
+      .select('id')
+      .limit(1)
+      .single();
+    if (findError) throw findError;
+
+    const { data, error } = await supabase
+      .from('stream_config')
+      .update({ is_active: isActive, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .select('is_active, revision')
+      .single();
+    if (error) throw error;
+
+    console.log(`${isActive ? '▶️' : '⏹️'} Stream ${isActive ? 'start' : 'stop'} requested via API`);
+    refreshStreamConfig();
+    res.json({ isActive: data.is_active, revision: data.revision });
+  } catch (error) {
+    console.error('Stream toggle error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.post('/stream/start', requireRole('operator'), (req, res) => setStreamActive(true, res));
+
+app.post('/stream/stop', requireRole('operator'), (req, res) => setStreamActive(false, res));
+
+/**
+ * Parse duration string (e.g., "3:45" or "1:23:45") to seconds
+ */
+function parseDurationToSeconds(duration) {
+  if (typeof duration === 'number') return Number.isFinite(duration) ? duration : 0;
+  if (typeof duration !== 'string' || !duration) return 0;
+  const parts = duration.split(':').map(Number);
+  if (parts.some(part => !Number.isFinite(part))) return 0;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Get currently playing video info based on DJ index
+ */
+app.get('/now-playing', requireRole('viewer'), (req, res) => {
+  res.json(getNowPlaying());
+});
+
+/**
+ * What /now-playing returns, also pushed as the now-playing event
+ */
+function getNowPlaying() {
+  if (!isStreaming || currentPlaylist.length === 0) {
+    return {
+      current: null,
+      next: null,
+      index: 0,
+      total: 0,
+      isStreaming: false
+    };
+  }
+
+  // With DJ Mode, we always know exactly which index is feeding the master stream
+  const current = currentPlaylist[currentIndex];
+  // Next depends on the play mode; shuffle and weighted picks are drawn ahead of time,
+  // so this is what will really play
+  const playlistSwitch = peekPlaylistSwitch();
+  const next = playlistSwitch ? playlistSwitch.next : currentPlaylist[peekNextIndex()];
+
+  // Timing comes from the feeder that is actually on air, so it only describes
+  // `current` once that feeder has started (there is a brief gap during a skip).
+  const timing = trackTiming && current && trackTiming.videoId === current.id ? trackTiming : null;
+  const now = Date.now();
+  const elapsedSeconds = timing ? getTrackElapsedSeconds(timing) : 0;
+  const durationSeconds = timing ? timing.durationSeconds : parseDurationToSeconds(current?.duration);
+  const remainingSeconds = durationSeconds ? Math.max(0, durationSeconds - elapsedSeconds) : null;
+
+  return {
+    current: current ? {
+      id: current.id,
+      title: current.title,
+      thumbnail: current.thumbnail || current.thumbnail_url,
+      duration: current.duration,
+      durationSeconds,
+      filename: current.filename
+    } : null,
+    next: next ? {
+      id: next.id,
+      title: next.title,
+      thumbnail: next.thumbnail || next.thumbnail_url,
+      duration: next.duration,
+      durationSeconds: parseDurationToSeconds(next.duration),
+      filename: next.filename
+    } : null,
+    index: currentIndex,
+    total: currentPlaylist.length,
+    playMode: getPlayMode(),
+    playlist: { id: onAirPlaylistId, name: getPlaylistName(lastConfig, onAirPlaylistId) },
+    nextPlaylist: playlistSwitch
+      ? { id: playlistSwitch.playlistId, name: getPlaylistName(lastConfig, playlistSwitch.playlistId) }
+      : null,
+    isStreaming: true,
+    bed: bedOnAir,
+    elapsedSeconds: Math.round(elapsedSeconds * 10) / 10,
+    remainingSeconds: remainingSeconds === null ? null : Math.round(remainingSeconds * 10) / 10,
+    // Wall-clock time the current piece would have begun (accounts for a resume seek)
+    startedAt: timing ? new Date(now - elapsedSeconds * 1000).toISOString() : null,
+    nextStartsAt: remainingSeconds === null ? null : new Date(now + remainingSeconds * 1000).toISOString()
+  };
+}
+
+/**
+ * Everything that went on air, newest first: ?page=1&pageSize=50, optionally ?videoId=
+ */
+app.get('/history', requireRole('viewer'), async (req, res) => {
+  // video_id is a uuid column, which Postgres fails to compare with anything else
+  const { videoId } = req.query;
+  if (videoId && (typeof videoId !== 'string' || !UUID_PATTERN.test(videoId))) {
+    return res.status(400).json({ error: 'videoId must be a video id' });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(HISTORY_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 50));
+  const from = (page - 1) * pageSize;
+
+  try {
+    let query = supabase
+      .from('play_history')
+      .select('*', { count: 'exact' })
+      .order('started_at', { ascending: false })
+      .range(from, from + pageSize - 1);
+    if (videoId) query = query.eq('video_id', videoId);
+
+    const { data, error, count } = await query;
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({ items: data, page, pageSize, total: count });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Play count and airtime per video, most played first
+ */
+app.get('/history/stats', requireRole('viewer'), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('play_history_stats')
+      .select('*')
+      .order('play_count', { ascending: false })
+      .order('airtime_seconds', { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json(data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+let recentlyPlayedCache = null; // { rows, fetchedAt }
+
+/**
+ * Public "recently played" feed for the website widget: ?limit=10 (up to 50).
+ * No auth and any origin, so it only ever exposes titles, times and thumbnails.
+ */
+app.get('/public/recently-played', async (req, res) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  const limit = Math.min(RECENTLY_PLAYED_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 10));
+
+  try {
+    if (!recentlyPlayedCache || Date.now() - recentlyPlayedCache.fetchedAt > RECENTLY_PLAYED_CACHE_MS) {
+      const { data, error } = await supabase
+        .from('play_history')
+        .select('title, started_at, ended_at, videos(filename, thumbnail_url)')
+        .or('end_reason.is.null,end_reason.neq.failed')
+        .order('started_at', { ascending: false })
+        .limit(RECENTLY_PLAYED_LIMIT + 1);
+
+      if (error) {
+        return res.status(500).json({ error: 'History unavailable' });
+      }
+      recentlyPlayedCache = { rows: data, fetchedAt: Date.now() };
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const toTrack = (row) => {
+      const video = row.videos;
+      const thumbnail = video?.thumbnail_url ||
+        (video?.filename ? `/thumbnails/${video.filename.replace(/\.[^/.]+$/, '.jpg')}` : null);
+      return {
+        title: row.title,
+        startedAt: row.started_at,
+        endedAt: row.ended_at,
+        thumbnailUrl: thumbnail && thumbnail.startsWith('/') ? baseUrl + thumbnail : thumbnail
+      };
+    };
+
+    const rows = recentlyPlayedCache.rows;
+    const onAir = isStreaming && rows[0] && !rows[0].ended_at ? rows[0] : null;
+    const played = rows.filter(row => row !== onAir && row.ended_at).slice(0, limit);
+
+    res.set('Cache-Control', `public, max-age=${RECENTLY_PLAYED_CACHE_MS / 1000}`);
+    res.json({
+      nowPlaying: onAir ? toTrack(onAir) : null,
+      recentlyPlayed: played.map(toTrack)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'History unavailable' });
+  }
+});
+
+// =============================================================================
+// RESUMABLE UPLOADS
+// =============================================================================
+//
+// Chunked uploads that survive a dropped connection:
+//   POST   /uploads                 { filename, size, mimeType } -> session
+//   GET    /uploads/:id             how many bytes have arrived, to resume from
+//   PUT    /uploads/:id/chunks?offset=N  raw bytes, X-Chunk-SHA256 = hex digest
+//   POST   /uploads/:id/complete    assemble and queue the transcode job
+//   DELETE /uploads/:id             give up
+// Chunks must arrive in order; one at the wrong offset gets a 409 with the offset
+// the server expects. Sessions live in UPLOADS_DIR, so a restart loses nothing. A
+// completed session keeps its job ID until it is pruned, so a complete that is
+// retried (its response lost to a dropped connection) gets the same job back.
+
+const UPLOADS_DIR = path.join(TEMP_DIR, 'uploads');
+fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+
+const uploadSessionsBusy = new Set(); // Sessions with a chunk being written
+const uploadCompletions = new Map(); // id -> Promise of the job ID, while a complete is assembling
+
+function uploadSessionPath(id) {
+  return path.join(UPLOADS_DIR, `${id}.json`);
+}
+
+function uploadDataPath(id) {
+  return path.join(UPLOADS_DIR, `${id}.part`);
+}
+
+function loadUploadSession(id) {
+  // Session IDs are UUIDs; anything else never names a file of ours
+  if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(uploadSessionPath(id), 'utf8'));
+  } catch (err) {
     return null;
   }
+}
+
+function saveUploadSession(session) {
+  session.updatedAt = new Date().toISOString();
+  fs.writeFileSync(uploadSessionPath(session.id), JSON.stringify(session, null, 2));
+}
+
+function removeUploadSession(id) {
+  fs.rmSync(uploadSessionPath(id), { force: true });
+  fs.rmSync(uploadDataPath(id), { force: true });
+}
+
+function toPublicUploadSession(session) {
+  return {
+    uploadId: session.id,
+    filename: session.filename,
+    size: session.size,
+    receivedBytes: session.receivedBytes,
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    jobId: session.jobId || null
+  };
+}
+
+/**
+ * Move a fully received upload to TEMP_DIR and queue its transcode. The session stays,
+ * without its data, to answer a repeated complete with the same job.
+ */
+async function assembleUpload(session) {
+  const ext = path.extname(session.filename);
+  const tempFilePath = path.join(TEMP_DIR, `${session.id}${ext}`);
+  await fs.promises.truncate(uploadDataPath(session.id), session.size);
+  await fs.promises.rename(uploadDataPath(session.id), tempFilePath);
+
+  console.log(`📤 Resumable upload complete: ${session.filename} (${formatFileSize(session.size)})`);
+  const title = path.basename(session.filename, ext).replace(/[-_]/g, ' ');
+  const job = enqueueJob('upload', title, { tempFilePath });
+  saveUploadSession({ ...session, jobId: job.id });
+  return job.id;
+}
+
+/**
+ * Drop sessions nobody has touched for UPLOAD_SESSION_TTL_MS
+ */
+function pruneUploadSessions() {
+  const cutoff = Date.now() - UPLOAD_SESSION_TTL_MS;
+  for (const file of fs.readdirSync(UPLOADS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    const session = loadUploadSession(path.basename(file, '.json'));
+    if (!session || new Date(session.updatedAt).getTime() < cutoff) {
+      console.log(`🧹 Removing abandoned upload ${file}`);
+      removeUploadSession(path.basename(file, '.json'));
+    }
+  }
+}
+
+/**
+ * Start a resumable upload
+ */
+app.post('/uploads', requireRole('admin'), (req, res) => {
+  const { filename, size, mimeType } = req.body;
+
+  if (!filename || typeof filename !== 'string') {
+    return res.status(400).json({ error: 'Missing filename' });
+  }
+  if (!Number.isSafeInteger(size) || size <= 0 || size > MAX_VIDEO_UPLOAD_BYTES) {
+    return res.status(400).json({ error: `Size must be between 1 byte and ${formatFileSize(MAX_VIDEO_UPLOAD_BYTES)}` });
+  }
+  if (!VIDEO_MIME_TYPES.includes(mimeType)) {
+    return res.status(400).json({ error: 'Invalid file type. Only video files are allowed.' });
+  }
+
+  const session = {
+    id: crypto.randomUUID(),
+    filename: path.basename(filename),
+    size,
+    mimeType,
+    receivedBytes: 0,
+    createdAt: new Date().toISOString()
+  };
+  fs.writeFileSync(uploadDataPath(session.id), '');
+  saveUploadSession(session);
+
+  console.log(`📤 Resumable upload started: ${session.filename} (${formatFileSize(size)})`);
+  res.status(201).json(toPublicUploadSession(session));
+});
+
+/**
+ * Where an upload stands, to resume it
+ */
+app.get('/uploads/:id', requireRole('admin'), (req, res) => {
+  const session = loadUploadSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  res.json(toPublicUploadSession(session));
+});
+
+/**
+ * Append one chunk
+ */
+app.put('/uploads/:id/chunks', requireRole('admin'),
+  express.raw({ type: 'application/octet-stream', limit: UPLOAD_CHUNK_SIZE }),
+  async (req, res) => {
+    const { id } = req.params;
+    const session = loadUploadSession(id);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const offset = Number(req.query.offset);
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (offset !== session.receivedBytes) {
+      return res.status(409).json({ error: 'Unexpected offset', receivedBytes: session.receivedBytes });
+    }
+    if (chunk.length === 0 || offset + chunk.length > session.size) {
+      return res.status(400).json({ error: 'Chunk is empty or runs past the end of the file' });
+    }
+
+    const expected = String(req.headers['x-chunk-sha256'] || '').toLowerCase();
+    const actual = crypto.createHash('sha256').update(chunk).digest('hex');
+    if (expected !== actual) {
+      return res.status(422).json({ error: 'Chunk checksum mismatch', receivedBytes: session.receivedBytes });
+    }
+
+    if (uploadSessionsBusy.has(id)) {
+      return res.status(409).json({ error: 'Another chunk is being written', receivedBytes: session.receivedBytes });
+    }
+    uploadSessionsBusy.add(id);
+
+    try {
+      // Written at the offset rather than appended, so the remains of a write cut
+      // short by a crash are simply overwritten
+      const handle = await fs.promises.open(uploadDataPath(id), 'r+');
+      try {
+        await handle.write(chunk, 0, chunk.length, offset);
+      } finally {
+        await handle.close();
+      }
+
+      session.receivedBytes = offset + chunk.length;
+      saveUploadSession(session);
+      res.json({ receivedBytes: session.receivedBytes });
+    } catch (error) {
+      console.error('❌ Chunk write error:', error);
+      res.status(500).json({ error: error.message });
+    } finally {
+      uploadSessionsBusy.delete(id);
+    }
+  });
+
+/**
+ * Assemble the file and hand it to the transcode queue
+ */
+app.post('/uploads/:id/complete', requireRole('admin'), async (req, res) => {
+  const { id } = req.params;
+  const session = loadUploadSession(id);
+  if (!session) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+
+  // Claimed before anything is awaited, so a concurrent or retried complete waits for
+  // this one's job instead of assembling the file a second time
+  if (!session.jobId && !uploadCompletions.has(id)) {
+    if (session.receivedBytes !== session.size || uploadSessionsBusy.has(id)) {
+      return res.status(409).json({ error: 'Upload is not finished', receivedBytes: session.receivedBytes });
+    }
+    uploadCompletions.set(id, assembleUpload(session).finally(() => uploadCompletions.delete(id)));
+  }
+
+  try {
+    const jobId = session.jobId || await uploadCompletions.get(id);
+    const job = jobs.get(jobId);
+    res.status(202).json({ jobId, job: job ? toPublicJob(job) : null });
+  } catch (error) {
+    console.error('❌ Upload assembly error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Abandon an upload
+ */
+app.delete('/uploads/:id', requireRole('admin'), (req, res) => {
+  if (!loadUploadSession(req.params.id)) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  removeUploadSession(req.params.id);
+  res.json({ success: true });
+});
+
+// =============================================================================
+// BROADCAST ENGINE (DJ MODE)
+// =============================================================================
+
+let masterFfmpeg = null; // The persistent process sending to RTMP
+let currentFeederProcess = null; // The process reading the current file
+let isStreaming = false;
+let currentConfigId = null;
+let lastConfig = null;
+
+// Playlist State
+let currentPlaylist = [];
+let currentIndex = 0;
+let skipToTarget = false; // Flag to indicate manual skip
+let masterInput = null; // Stream to write video data to (the master's input 0 socket)
+let masterStartedAt = 0; // Wall-clock ms when the master process began, used to keep feeder timestamps monotonic
+let pendingSeekSeconds = 0; // Set on restart to resume an interrupted track where it left off
+let pendingSeekReason = null; // 'resume' or 'transition', only used for logging
+let trackTiming = null; // { videoId, startedAt, seekSeconds, progressSeconds, durationSeconds } of the feeder on air
+const mediaTimingCache = new Map(); // filePath -> { value, promise } from probeMediaTiming()
+
+// Play Order State (see PLAY ORDER below)
+let shuffleRemaining = []; // Keys still to play in this shuffle cycle, in order
+let shufflePlayed = new Set(); // Keys already played in this shuffle cycle
+let weightedNextKey = null; // Weighted mode draws the next track ahead so /now-playing can show it
+let cueHistory = []; // Keys of recent cues, oldest first, for "previous" in the random modes
+const CUE_HISTORY_LIMIT = 100;
+
+// Schedule State (see SCHEDULE below)
+let onAirPlaylistId = null; // Playlist on air: the active one, or the one the schedule switched to
+const playlistResumeKeys = new Map(); // playlist id -> key of the track it picks up with when it comes back on air
+
+/**
+ * Fetch stream configuration from Supabase, with the playlists it can put on air (the
+ * active one, the scheduled ones and the one on air now) and their items attached as
+ * `playlists`
+ */
+async function getStreamConfig() {
+  const { data, error } = await supabase
+    .from('stream_config')
+    .select('*')
+    .limit(1)
+    .single();
+
+  if (error) {
+    console.error('Error fetching stream config:', error.message);
+    return null;
+  }
+
+  const playlistIds = new Set([
+    data.active_playlist_id,
+    ...(Array.isArray(data.schedule) ? data.schedule.map(block => block?.playlist_id) : []),
+    onAirPlaylistId
+  ].filter(id => typeof id === 'string'));
+
+  try {
+    const { data: playlists, error: playlistsError } = playlistIds.size === 0
+      ? { data: [] }
+      : await supabase.from('playlists').select(PLAYLIST_SELECT).in('id', [...playlistIds]);
+    if (playlistsError) throw new Error(playlistsError.message);
+    data.playlists = playlists.map(toPlaylist);
+  } catch (err) {
+    console.error('Error fetching playlists:', err.message);
+    return null;
+  }
+
+  // The tracks getBedPlan() can pick: the stream's beds, the playlists' own and the
+  // legacy audio_file. Not fatal: without them the beds fall back to audio_file.
+  const bedIds = [...new Set([
+    ...(Array.isArray(data.audio_bed_ids) ? data.audio_bed_ids : []),
+    ...data.playlists.map(playlist => playlist.audio_track_id)
+  ].filter(id => typeof id === 'string'))];
+  const [byId, legacy] = await Promise.all([
+    bedIds.length > 0 ? supabase.from('audio_tracks').select('*').in('id', bedIds) : { data: [] },
+    supabase.from('audio_tracks').select('*').eq('filename', path.basename(data.audio_file || 'rain.mp3'))
+  ]);
+  const audioError = byId.error || legacy.error;
+  if (audioError) console.error('Error fetching audio tracks:', audioError.message);
+  data.audioTracks = [...(byId.data || []), ...(legacy.data || []).filter(track => !bedIds.includes(track.id))];
+
+  return data;
+}
+
+/**
+ * Save current stream state to file
+ */
+function saveStreamState(data) {
+  try {
+    fs.writeFileSync(STATE_FILE, JSON.stringify(data, null, 2));
+    // console.log('💾 Stream state saved:', data.lastPlayedVideoId); // verbose
+  } catch (err) {
+    console.error('⚠️ Failed to save stream state:', err.message);
+  }
+}
+
+/**
+ * Load stream state from file
+ */
+function loadStreamState() {
+  try {
+    if (fs.existsSync(STATE_FILE)) {
+      const data = fs.readFileSync(STATE_FILE, 'utf8');
+      return JSON.parse(data);
+    }
+  } catch (err) {
+    console.error('⚠️ Failed to load stream state:', err.message);
+  }
+  return null;
+}
+
+/**
+ * Handle skip controls
+ */
+app.post('/control/skip', requireRole('operator'), (req, res) => {
+  if (!isStreaming) {
+    return res.status(400).json({ error: 'Stream not active' });
+  }
+
+  const { direction } = req.body;
+  if (!direction || (direction !== 'next' && direction !== 'previous')) {
+    return res.status(400).json({ error: 'Invalid direction' });
+  }
+
+  console.log(`⏭️ specific Manual skip requested: ${direction}`);
+
+  // Calculate new index
+  if (direction === 'next') {
+    advanceToNext({ manual: true });
+  } else {
+    goToPrevious();
+  }
+
+  // Set flag so the exit handler knows NOT to auto-increment
+  skipToTarget = true;
+  publishEvent('skip', { direction, index: currentIndex });
+
+  // Kill feeder to force switch. Skips always hard-cut: the target is cued from its
+  // start with no transition, even if a crossfade was running when the skip came in.
+  if (currentFeederProcess) {
+    currentFeederProcess.kill();
+  }
+
+  res.json({ success: true, newIndex: currentIndex });
+});
+
+// =============================================================================
+// PLAY ORDER
+// =============================================================================
+//
+// sequential: playlist order, wrapping at the end
+// shuffle:    a fresh permutation every cycle; the first track of a cycle is never
+//             the last one of the previous cycle
+// repeat_one: the current track again when it finishes; a manual skip moves on
+// weighted:   a random pick on every cue, proportional to each item's `weight`
+//
+// Random picks are keyed by playlist item rather than by index, so they survive the
+// pointer correction in pollStreamConfig() when the playlist is edited on air.
+
+function getPlayMode() {
+  return PLAY_MODES.includes(lastConfig?.play_mode) ? lastConfig.play_mode : 'sequential';
+}
+
+/**
+ * Stable identity for a playlist item
+ */
+function playlistItemKey(item) {
+  if (!item) return null;
+  if (typeof item === 'string') return item;
+  return item.id || item.filename || item.url || item.path || null;
+}
+
+function indexOfKey(key) {
+  return currentPlaylist.findIndex(item => playlistItemKey(item) === key);
+}
+
+/**
+ * Forget shuffle cycles and pre-drawn picks, e.g. when the mode changes
+ */
+function resetPlayOrder() {
+  shuffleRemaining = [];
+  shufflePlayed = new Set();
+  weightedNextKey = null;
+}
+
+/**
+ * Remember what went on air, for goToPrevious()
+ */
+function recordCue(item) {
+  const key = playlistItemKey(item);
+  if (!key || cueHistory[cueHistory.length - 1] === key) return;
+  cueHistory.push(key);
+  if (cueHistory.length > CUE_HISTORY_LIMIT) cueHistory.shift();
+  shufflePlayed.add(key);
+}
+
+function shuffleInPlace(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Bring the shuffle cycle in line with the current playlist: drop removed items, slot
+ * newly added ones in at random, and deal a new cycle once this one is used up.
+ */
+function syncShuffleCycle() {
+  const keys = currentPlaylist.map(playlistItemKey).filter(Boolean);
+  const keySet = new Set(keys);
+  const currentKey = playlistItemKey(currentPlaylist[currentIndex]);
+
+  shuffleRemaining = shuffleRemaining.filter(key => keySet.has(key) && !shufflePlayed.has(key));
+  for (const key of keys) {
+    if (shufflePlayed.has(key) || shuffleRemaining.includes(key) || key === currentKey) continue;
+    shuffleRemaining.splice(Math.floor(Math.random() * (shuffleRemaining.length + 1)), 0, key);
+  }
+
+  if (shuffleRemaining.length === 0 && keys.length > 0) {
+    shuffleRemaining = shuffleInPlace([...keys]);
+    shufflePlayed = new Set();
+    // No track twice in a row across the cycle boundary
+    if (shuffleRemaining.length > 1 && shuffleRemaining[0] === currentKey) {
+      const swapWith = 1 + Math.floor(Math.random() * (shuffleRemaining.length - 1));
+      [shuffleRemaining[0], shuffleRemaining[swapWith]] = [shuffleRemaining[swapWith], shuffleRemaining[0]];
+    }
+  }
+}
+
+/**
+ * Draw a track at random, proportional to `weight` (default 1), avoiding the current
+ * one whenever anything else is eligible
+ */
+function drawWeightedKey() {
+  const currentKey = playlistItemKey(currentPlaylist[currentIndex]);
+  const candidates = currentPlaylist
+    .map(item => ({ key: playlistItemKey(item), weight: Math.max(0, Number(item?.weight ?? 1) || 0) }))
+    .filter(c => c.key);
+  const others = candidates.filter(c => c.key !== currentKey);
+  let pool = others.some(c => c.weight > 0) ? others : candidates;
+  if (!pool.some(c => c.weight > 0)) pool = pool.map(c => ({ ...c, weight: 1 }));
+  if (pool.length === 0) return null;
+
+  let roll = Math.random() * pool.reduce((sum, c) => sum + c.weight, 0);
+  for (const c of pool) {
+    roll -= c.weight;
+    if (roll < 0) return c.key;
+  }
+  return pool[pool.length - 1].key;
+}
+
+/**
+ * Index of the track that plays after the current one, without moving there.
+ * `manual` is a skip (or a failure), which leaves repeat-one.
+ */
+function peekNextIndex({ manual = false } = {}) {
+  if (currentPlaylist.length === 0) return -1;
+  const sequentialNext = (currentIndex + 1) % currentPlaylist.length;
+
+  switch (getPlayMode()) {
+    case 'repeat_one':
+      return manual ? sequentialNext : Math.min(currentIndex, currentPlaylist.length - 1);
+    case 'shuffle': {
+      syncShuffleCycle();
+      const index = indexOfKey(shuffleRemaining[0]);
+      return index === -1 ? sequentialNext : index;
+    }
+    case 'weighted': {
+      if (weightedNextKey === null || indexOfKey(weightedNextKey) === -1) weightedNextKey = drawWeightedKey();
+      const index = indexOfKey(weightedNextKey);
+      return index === -1 ? sequentialNext : index;
+    }
+    default:
+      return sequentialNext;
+  }
+}
+
+/**
+ * Move currentIndex to the next track per the play mode
+ */
+function advanceToNext({ manual = false } = {}) {
+  const nextIndex = peekNextIndex({ manual });
+  if (nextIndex === -1) return;
+
+  const mode = getPlayMode();
+  if (mode === 'shuffle') shuffleRemaining.shift();
+  if (mode === 'weighted') weightedNextKey = null;
+  currentIndex = nextIndex;
+}
+
+/**
+ * Move currentIndex back: the previous playlist position in the ordered modes, the
+ * previously played track in the random ones
+ */
+function goToPrevious() {
+  if (currentPlaylist.length === 0) return;
+  const mode = getPlayMode();
+
+  if (mode === 'shuffle' || mode === 'weighted') {
+    const currentKey = playlistItemKey(currentPlaylist[currentIndex]);
+    const history = cueHistory[cueHistory.length - 1] === currentKey ? cueHistory.slice(0, -1) : [...cueHistory];
+    while (history.length > 0 && indexOfKey(history[history.length - 1]) === -1) history.pop();
+
+    if (history.length > 0) {
+      const previousKey = history.pop();
+      cueHistory = history; // The previous track is re-recorded when it is cued
+      // Come back to the track we left once the previous one has played again
+      if (mode === 'shuffle' && currentKey) {
+        shufflePlayed.delete(currentKey);
+        shufflePlayed.delete(previousKey);
+        shuffleRemaining = [currentKey, ...shuffleRemaining.filter(key => key !== currentKey && key !== previousKey)];
+      } else {
+        weightedNextKey = currentKey;
+      }
+      currentIndex = indexOfKey(previousKey);
+      return;
+    }
+  }
+
+  currentIndex--;
+  if (currentIndex < 0) currentIndex = currentPlaylist.length - 1;
+}
+
+// =============================================================================
+// SCHEDULE
+// =============================================================================
+//
+// stream_config.schedule is a list of blocks, each putting one of the playlists on air
+// at set times in stream_config.schedule_timezone (see schedule.js, which the
+// dashboard's calendar shares). Where blocks overlap the first one in the list wins;
+// outside every block the dashboard's active playlist (stream_config.active_playlist_id)
+// plays.
+//
+// Switches, whether scheduled or from picking another active playlist, only ever
+// happen at a track boundary (the top of playNextVideo()), so a piece is never cut off.
+// Until then the outgoing playlist stays in currentPlaylist, and the pointer correction
+// in pollStreamConfig() keeps tracking that one.
+
+/**
+ * The schedule's IANA timezone, or UTC if it is missing or unknown
+ */
+function getScheduleTimezone(config) {
+  const timeZone = config?.schedule_timezone || 'UTC';
+  return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+/**
+ * A playlist with its items, from those getStreamConfig() attaches to the config
+ */
+function getPlaylist(config, playlistId) {
+  const playlists = Array.isArray(config?.playlists) ? config.playlists : [];
+  return playlists.find(p => p.id === playlistId) || null;
+}
+
+/**
+ * The schedule block on air at `date`, skipping disabled blocks and any whose playlist
+ * has since been deleted
+ */
+function getActiveBlock(config, date = new Date()) {
+  const playlists = Array.isArray(config?.playlists) ? config.playlists : [];
+  return findScheduleBlock(config?.schedule, playlists, getScheduleTimezone(config), date);
+}
+
+/**
+ * Id of the playlist that should be on air right now: the scheduled one, else the active one
+ */
+function getScheduledPlaylistId(config) {
+  return getActiveBlock(config)?.playlist_id ?? config?.active_playlist_id ?? null;
+}
+
+function getPlaylistItems(config, playlistId) {
+  return getPlaylist(config, playlistId)?.items || [];
+}
+
+function getPlaylistName(config, playlistId) {
+  if (playlistId === null) return 'No playlist';
+  return getPlaylist(config, playlistId)?.name || 'Deleted playlist';
+}
+
+/**
+ * Put a playlist on air. The caller decides where in it to start.
+ */
+function loadPlaylist(config, playlistId) {
+  const { validPlaylist, removedItems } = cleanPlaylist(getPlaylistItems(config, playlistId));
+  onAirPlaylistId = playlistId;
+  currentPlaylist = validPlaylist;
+
+  if (removedItems.length > 0) {
+    const titles = removedItems.map(item => item.title || item.filename || 'unknown');
+    raiseAlert('missing_files', {
+      event: 'missing_files',
+      title: 'Tracks missing from disk',
+      message: `${titles.length} track(s) in "${getPlaylistName(config, playlistId)}" were skipped because their file is gone: ${titles.slice(0, 10).join(', ')}${titles.length > 10 ? ', ...' : ''}`,
+      details: { playlistId, titles }
+    });
+  } else {
+    resolveAlert('missing_files', `Every track in "${getPlaylistName(config, playlistId)}" is on disk`);
+  }
+}
+
+/**
+ * What plays next if a different playlist is due on air at the coming track boundary,
+ * or null if it is not
+ */
+function peekPlaylistSwitch() {
+  const playlistId = getScheduledPlaylistId(lastConfig);
+  if (playlistId === onAirPlaylistId) return null;
+
+  const items = getPlaylistItems(lastConfig, playlistId);
+  const resumeKey = playlistResumeKeys.get(playlistId);
+  return { playlistId, next: items.find(item => playlistItemKey(item) === resumeKey) || items[0] || null };
+}
+
+/**
+ * At a track boundary, switch to the playlist that should be on air now.
+ *
+ * currentIndex has already moved on to the next track of the outgoing playlist. That
+ * track is remembered, so the playlist picks up there when it comes back on air.
+ */
+function applyPlaylistSwitch() {
+  const pending = peekPlaylistSwitch();
+  if (!pending) return;
+
+  const leaving = currentPlaylist[currentIndex];
+  if (leaving) playlistResumeKeys.set(onAirPlaylistId, playlistItemKey(leaving));
+
+  console.log(`\n📋 PLAYLIST: "${getPlaylistName(lastConfig, onAirPlaylistId)}" → "${getPlaylistName(lastConfig, pending.playlistId)}"`);
+  loadPlaylist(lastConfig, pending.playlistId);
+  resetPlayOrder();
+  syncBeds(lastConfig); // The new playlist may bring its own background audio
+
+  const resumeIndex = indexOfKey(playlistResumeKeys.get(pending.playlistId));
+  currentIndex = resumeIndex === -1 ? 0 : resumeIndex;
+  // A pending seek belonged to a track of the outgoing playlist
+  pendingSeekSeconds = 0;
+  pendingSeekReason = null;
+}
+
+/**
+ * Play the next video in the playlist (The DJ Logic)
+ */
+function playNextVideo() {
+  if (!isStreaming || !masterInput) return;
+  applyPlaylistSwitch();
+  if (currentPlaylist.length === 0) {
+    console.log('⚠️ Playlist empty. Waiting...');
+    raiseAlert('playlist_empty', {
+      event: 'playlist_empty',
+      title: 'Nothing to play',
+      message: `"${getPlaylistName(lastConfig, onAirPlaylistId)}" has no playable tracks; the stream is waiting for some.`
+    });
+    setTimeout(playNextVideo, 2000);
+    return;
+  }
+
+  // Ensure index is valid (sanity check)
+  if (currentIndex < 0) currentIndex = 0;
+  if (currentIndex >= currentPlaylist.length) currentIndex = 0;
+
+  const video = currentPlaylist[currentIndex];
+
+  // A pending seek (a restart resume, or the head already played during a crossfade)
+  // belongs to this cue alone. Consume it up front so it can never leak onto a later
+  // track if this one turns out to be unplayable.
+  const seekSeconds = pendingSeekSeconds;
+  const seekReason = pendingSeekReason;
+  pendingSeekSeconds = 0;
+  pendingSeekReason = null;
+
+  const filePath = getVideoPath(video);
+
+  if (!filePath || !fs.existsSync(filePath)) {
+    console.error(`❌ File not found for index ${currentIndex}: ${video.title}`);
+    recordTrackFailure(video, 'File not found');
+    recordFailedCue(video);
+    advanceToNext({ manual: true });
+    playNextVideo();
+    return;
+  }
+
+  console.log(`\n🎵 DJ CUE: [${currentIndex + 1}/${currentPlaylist.length}] "${video.title}"`);
+  resolveAlert('playlist_empty', `Playing "${video.title}"`);
+  console.log(`   File: ${path.basename(filePath)}`);
+  recordCue(video);
+  recordPlayStart(video, seekSeconds);
+  setNowPlayingOverlay(video);
+
+  // PERSIST STATE: Save current video ID so we can resume if restarted.
+  // seekSeconds matters when this cue is itself a resume: the track was already that
+  // far in at `timestamp`, so a second restart must not rewind it to the first one's point.
+  saveStreamState({
+    lastPlayedVideoId: video.id,
+    timestamp: Date.now(),
+    seekSeconds
+  });
+
+  // Spawn Feeder Process
+  // Convert MP4 to MPEG-TS and pipe to stdout
+  const feederArgs = [
+    '-re',                // Read at native framerate (crucial for streaming)
+  ];
+
+  // Per-track volume from the playlist editor. At 100% the feeder stays a pure copy;
+  // anything else needs the audio re-encoded, which is cheap next to the master's video
+  // encode. Video is still copied, so the timeline below is unaffected either way.
+  const gain = getTrackGain(video);
+
+  if (seekSeconds > 0) {
+    // Seeking before -i keeps the copy fast; it lands on the nearest keyframe at or
+    // before this point, so playback repeats at most one ~2s GOP. After a crossfade
+    // the seek point is itself a keyframe, so nothing repeats.
+    if (seekReason === 'transition') {
+      console.log(`   ⏩ Continuing after the crossfade from ${formatClock(seekSeconds)}`);
+    } else {
+      console.log(`   ⏩ Picking up where the restart interrupted it: ${formatClock(seekSeconds)}`);
+    }
+    feederArgs.push('-ss', seekSeconds.toFixed(3));
+    if (gain !== 1) {
+      // A re-encoded stream would otherwise seek frame-accurately while the copied
+      // video still starts at the keyframe, leaving the two out of sync.
+      feederArgs.push('-noaccurate_seek');
+    }
+  }
+
+  feederArgs.push('-i', filePath);
+
+  if (gain === 1) {
+    feederArgs.push('-c', 'copy'); // Copy streams (fast, requires normalization)
+  } else {
+    console.log(`   🔉 Track volume: ${Math.round(gain * 100)}%`);
+    feederArgs.push(
+      '-c:v', 'copy',
+      '-af', `volume=${gain.toFixed(2)}`,
+      // Match normalizeVideo() so the master sees the same audio format from every feeder
+      '-c:a', 'aac',
+      '-b:a', '128k',
+      '-ar', '44100',
+      '-ac', '2'
+    );
+  }
+
+  // With transitions on, stop the copy short of the end and leave the tail to
+  // playTransition(), which mixes it with the head of whatever comes next. A track
+  // not probed yet (the first cue of it) is planned on the duration in its videos row,
+  // whole seconds, until the probe below has the exact one for the tail.
+  const mediaTiming = getCachedMediaTiming(filePath);
+  const transitionOut = planTransitionOut(
+    mediaTiming || { durationSeconds: parseDurationToSeconds(video.duration) },
+    seekSeconds
+  );
+  if (transitionOut) {
+    console.log(`   🎚️ ${transitionOut.type === 'audio' ? 'Audio crossfade' : 'Crossfade'} into the next track over the last ${transitionOut.seconds}s`);
+    feederArgs.push('-t', (transitionOut.tailStart - seekSeconds).toFixed(3));
+  }
+
+  feederArgs.push(
+    '-bsf:v', 'h264_mp4toannexb', // Convert to Annex B bitstream for MPEG-TS
+    ...feederOutputArgs()
+  );
+
+  const timing = spawnFeeder(feederArgs, {
+    videoId: video.id,
+    seekSeconds,
+    durationSeconds: mediaTiming?.durationSeconds || parseDurationToSeconds(video.duration)
+  });
+  publishEvent('now-playing', getNowPlaying());
+  if (!mediaTiming) {
+    probeMediaTiming(filePath).then((info) => {
+      if (!info?.durationSeconds) return;
+      timing.durationSeconds = info.durationSeconds;
+      if (transitionOut) transitionOut.durationSeconds = info.durationSeconds;
+    });
+  }
+
+  // Probe the next track now, so its keyframes and duration are on hand by the time
+  // this one hands over to it
+  const upNext = currentPlaylist[peekNextIndex()];
+  const upNextPath = upNext ? getVideoPath(upNext) : null;
+  if (upNextPath && fs.existsSync(upNextPath)) probeMediaTiming(upNextPath);
+
+  currentFeederProcess.on('error', (err) => {
+    console.error('❌ Feeder Error:', err);
+    recordFeederFailure(video, err.message);
+    recordPlayEnd('failed');
+    // Try next
+    if (currentFeederProcess) currentFeederProcess.kill();
+    advanceToNext({ manual: true });
+    setTimeout(playNextVideo, 1000);
+  });
+
+  currentFeederProcess.on('close', (code) => {
+    if (skipToTarget) {
+      console.log('⏭️ Skipping to target video...');
+      skipToTarget = false;
+      recordPlayEnd('skipped');
+      // Do NOT increment currentIndex, just play the one we set
+      playNextVideo();
+    } else {
+      // No tail left: the probe found the file ends before the cut planned on its
+      // stored duration
+      if (code === 0 && transitionOut && transitionOut.durationSeconds > transitionOut.tailStart) {
+        playTransition(video, filePath, transitionOut);
+      } else if (code === 0) {
+        console.log(`✅ Finished: "${video.title}"`);
+        recordTrackFinished();
+        recordPlayEnd('finished');
+        // Normal flow: Move to next
+        advanceToNext();
+        playNextVideo();
+      } else if (code !== null) {
+        console.log(`⚠️ Feeder exited with code ${code}, trying next...`);
+        recordFeederFailure(video, `Feeder exited with code ${code}`);
+        recordPlayEnd('failed');
+        advanceToNext({ manual: true });
+        setTimeout(playNextVideo, 1000);
+      }
+    }
+  });
+}
+
+/**
+ * Play the transition out of `fromVideo`: its last few seconds mixed with the head of
+ * the next track, re-encoded into a single short feeder.
+ *
+ * The incoming head runs up to a keyframe, so the next track's own feeder can carry on
+ * from exactly that point with a plain copy. If the next track cannot be probed in time,
+ * the tail is still played out on its own and the next track simply starts from 0.
+ */
+function playTransition(fromVideo, fromPath, transitionOut) {
+  if (!isStreaming || !masterInput) return;
+
+  // A playlist switch is due at this boundary: the next track comes from a different
+  // playlist, so just play out the tail and let it start clean
+  const nextVideo = peekPlaylistSwitch() ? null : currentPlaylist[peekNextIndex()];
+  const nextPath = nextVideo ? getVideoPath(nextVideo) : null;
+  const nextTiming = nextPath && fs.existsSync(nextPath) ? getCachedMediaTiming(nextPath) : null;
+  const headSeconds = nextTiming ? pickHeadKeyframe(nextTiming.headKeyframes, transitionOut.seconds) : 0;
+
+  const tailSeconds = transitionOut.durationSeconds - transitionOut.tailStart;
+  const fadeSeconds = Math.min(tailSeconds, headSeconds);
+  const fromGain = getTrackGain(fromVideo).toFixed(2);
+
+  // Every input is conformed to the normalized 1080p30 format; xfade refuses to mix
+  // streams whose timebases or pixel formats differ even slightly.
+  const conform = 'fps=30,format=yuv420p,setsar=1,settb=AVTB,setpts=PTS-STARTPTS';
+  let filterGraph;
+
+  const transitionArgs = [
+    '-re', '-ss', transitionOut.tailStart.toFixed(3), '-t', tailSeconds.toFixed(3), '-i', fromPath
+  ];
+
+  if (fadeSeconds > 0) {
+    const toGain = getTrackGain(nextVideo).toFixed(2);
+    const audio = `[0:a]volume=${fromGain},asetpts=PTS-STARTPTS[a0];[1:a]volume=${toGain},asetpts=PTS-STARTPTS[a1];` +
+      `[a0][a1]acrossfade=d=${fadeSeconds.toFixed(3)}[aout]`;
+    let video;
+    if (transitionOut.type === 'audio') {
+      // Hard video cut halfway through the audio overlap, so both run the same length
+      const cutAt = tailSeconds - fadeSeconds / 2;
+      video = `[0:v]${conform},trim=end=${cutAt.toFixed(3)}[v0];` +
+        `[1:v]${conform},trim=start=${(fadeSeconds / 2).toFixed(3)},setpts=PTS-STARTPTS[v1];` +
+        `[v0][v1]concat=n=2:v=1:a=0[vout]`;
+    } else {
+      const xfade = transitionOut.type === 'fade_black' ? 'fadeblack' : 'fade';
+      video = `[0:v]${conform}[v0];[1:v]${conform}[v1];` +
+        `[v0][v1]xfade=transition=${xfade}:duration=${fadeSeconds.toFixed(3)}:offset=${(tailSeconds - fadeSeconds).toFixed(3)}[vout]`;
+    }
+    filterGraph = `${video};${audio}`;
+    transitionArgs.push('-re', '-t', headSeconds.toFixed(3), '-i', nextPath);
+    console.log(`\n🎚️ TRANSITION: "${fromVideo.title}" → "${nextVideo.title}" (${fadeSeconds.toFixed(1)}s)`);
+  } else {
+    filterGraph = `[0:v]${conform}[vout];[0:a]volume=${fromGain}[aout]`;
+    console.log(`\n🎚️ TRANSITION: next track not ready, playing out the tail of "${fromVideo.title}"`);
+  }
+
+  transitionArgs.push(
+    '-filter_complex', filterGraph,
+    '-map', '[vout]',
+    '-map', '[aout]',
+    // Same format normalizeVideo() produces, so the master cannot tell this feeder apart
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '23',
+    '-g', '60',
+    '-profile:v', 'main',
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac',
+    '-b:a', '128k',
+    '-ar', '44100',
+    '-ac', '2',
+    ...feederOutputArgs()
+  );
+
+  // Until the transition finishes, the outgoing track is still the one "on air"
+  spawnFeeder(transitionArgs, {
+    videoId: fromVideo.id,
+    seekSeconds: transitionOut.tailStart,
+    durationSeconds: transitionOut.durationSeconds
+  });
+
+  currentFeederProcess.on('error', (err) => {
+    console.error('❌ Transition Error:', err);
+    recordFeederFailure(fromVideo, err.message);
+    recordPlayEnd('failed');
+    if (currentFeederProcess) currentFeederProcess.kill();
+    advanceToNext({ manual: true });
+    setTimeout(playNextVideo, 1000);
+  });
+
+  currentFeederProcess.on('close', (code) => {
+    if (skipToTarget) {
+      console.log('⏭️ Skipping to target video...');
+      skipToTarget = false;
+      recordPlayEnd('skipped');
+      playNextVideo();
+      return;
+    }
+    if (code === null) return;
+    if (code !== 0) {
+      console.log(`⚠️ Transition exited with code ${code}, cutting to the next track...`);
+      recordFeederFailure(fromVideo, `Transition exited with code ${code}`);
+    } else {
+      console.log(`✅ Finished: "${fromVideo.title}"`);
+      recordTrackFinished();
+    }
+    recordPlayEnd(code === 0 ? 'finished' : 'failed');
+
+    // The playlist or play mode may have changed while the transition played. Only
+    // skip the head we already faded in if we really landed on that track.
+    advanceToNext({ manual: code !== 0 });
+    const landed = currentPlaylist[currentIndex];
+    if (code === 0 && fadeSeconds > 0 && landed && playlistItemKey(landed) === playlistItemKey(nextVideo)) {
+      pendingSeekSeconds = headSeconds;
+      pendingSeekReason = 'transition';
+    }
+    playNextVideo();
+  });
+}
+
+/**
+ * Output options shared by every feeder: MPEG-TS on stdout, on the master's timeline.
+ *
+ * Each feeder is a separate ffmpeg process, so its timestamps would restart near
+ * zero for every track. The master would then see DTS jump backwards at each
+ * handoff and drop the packet, producing a visible hitch between pieces. Offsetting
+ * each feeder by the elapsed wall-clock keeps one continuous timeline across tracks.
+ * Wall-clock (rather than summed durations) stays correct when a track is skipped
+ * or a feeder dies part-way through, and can never run backwards.
+ *
+ * Caveat: MPEG-TS timestamps are 33 bits at 90kHz, so they wrap after 26.5h of
+ * master uptime. ffmpeg's demuxer corrects for that wrap, but if a hitch ever shows
+ * up roughly once a day this is the first place to look.
+ */
+function feederOutputArgs() {
+  const tsOffsetSeconds = masterStartedAt
+    ? Math.max(0, (Date.now() - masterStartedAt) / 1000)
+    : 0;
+
+  return [
+    '-muxdelay', '0',     // No mux buffering, so the offset below lands exactly
+    '-muxpreload', '0',
+    '-output_ts_offset', tsOffsetSeconds.toFixed(3), // toFixed keeps the leading zero ffmpeg requires
+    '-f', 'mpegts',       // Output formatted as MPEG-TS
+    'pipe:1'              // Write to stdout
+  ];
+}
+
+/**
+ * Spawn a feeder, pipe it into the master and make it the one on air.
+ * Returns its timing object; the caller attaches the error and close handlers.
+ */
+function spawnFeeder(args, { videoId, seekSeconds, durationSeconds }) {
+  currentFeederProcess = spawn('ffmpeg', args);
+
+  // Each feeder gets its own timing object, so late output from a feeder that was just
+  // killed by a skip can never overwrite the progress of the one replacing it.
+  const timing = {
+    videoId,
+    startedAt: Date.now(),
+    seekSeconds,
+    progressSeconds: null,
+    durationSeconds
+  };
+  trackTiming = timing;
+
+  // Pipe feeder stdout -> master input
+  currentFeederProcess.stdout.pipe(masterInput, { end: false }); // Don't close master when feeder ends
+  currentFeederProcess.stdout.once('data', recordHandoff);
+
+  // CRITICAL: We MUST consume stderr, otherwise the process hangs when the buffer fills (64KB)!
+  currentFeederProcess.stderr.on('data', (data) => {
+    // While draining, keep the latest progress report. ffmpeg's time= counts from the
+    // start of this feeder's output and excludes -output_ts_offset (libavformat applies
+    // that later), so it is how far into the file we are, minus the seek.
+    const progress = parseProgressTime(data.toString());
+    if (progress !== null) timing.progressSeconds = progress;
+  });
+
+  return timing;
+}
+
+/**
+ * Current transition settings from stream_config, or null for a plain cut
+ */
+function getTransitionSettings(config) {
+  const type = config?.transition_type;
+  if (!TRANSITION_TYPES.includes(type) || type === 'cut') return null;
+  const seconds = Math.min(
+    TRANSITION_MAX_SECONDS,
+    Math.max(TRANSITION_MIN_SECONDS, Number(config.transition_duration) || 3)
+  );
+  return { type, seconds };
+}
+
+/**
+ * Where to hand a track over to the transition feeder, or null to play it to the end.
+ * Needs a duration, and enough of the track left that the tail is not most of it.
+ */
+function planTransitionOut(mediaTiming, seekSeconds) {
+  const settings = getTransitionSettings(lastConfig);
+  if (!settings || !mediaTiming?.durationSeconds) return null;
+
+  const tailStart = mediaTiming.durationSeconds - settings.seconds;
+  if (tailStart - seekSeconds < settings.seconds) return null;
+
+  return { ...settings, tailStart, durationSeconds: mediaTiming.durationSeconds };
+}
+
+/**
+ * Latest keyframe within the first `seconds` of a track (0 if there is none after the start)
+ */
+function pickHeadKeyframe(keyframes, seconds) {
+  let best = 0;
+  for (const time of keyframes || []) {
+    if (time > 0 && time <= seconds + 0.001 && time > best) best = time;
+  }
+  return best;
+}
+
+/**
+ * Probed duration and opening keyframes of a file, cached per path.
+ * Uploaded files are never rewritten (names are timestamped), so entries stay valid.
+ * Resolves with { durationSeconds, headKeyframes } or null if the probe fails.
+ */
+function probeMediaTiming(filePath) {
+  const cached = mediaTimingCache.get(filePath);
+  if (cached) return cached.promise;
+
+  const entry = { value: null, promise: null };
+  entry.promise = new Promise((resolve) => {
+    execFile(
+      'ffprobe',
+      [
+        '-v', 'error',
+        '-select_streams', 'v:0',
+        '-skip_frame', 'nokey', // Only decode keyframes
+        '-read_intervals', `%+${TRANSITION_MAX_SECONDS + 1}`,
+        '-show_entries', 'format=duration:frame=pts_time',
+        '-of', 'json',
+        filePath
+      ],
+      { timeout: 15000 },
+      (err, stdout) => {
+        try {
+          if (err) throw err;
+          const info = JSON.parse(stdout);
+          entry.value = {
+            durationSeconds: parseFloat(info.format?.duration) || 0,
+            headKeyframes: (info.frames || []).map(frame => parseFloat(frame.pts_time)).filter(Number.isFinite)
+          };
+        } catch (probeErr) {
+          console.error(`⚠️ Could not probe ${path.basename(filePath)}:`, probeErr.message);
+          mediaTimingCache.delete(filePath); // Let a later cue try again
+        }
+        resolve(entry.value);
+      }
+    );
+  });
+
+  mediaTimingCache.set(filePath, entry);
+  return entry.promise;
+}
+
+/**
+ * Cached probe result for a file, if the probe has already finished
+ */
+function getCachedMediaTiming(filePath) {
+  return mediaTimingCache.get(filePath)?.value || null;
+}
+
+/**
+ * Duration of a media file in seconds, or 0 if it cannot be determined.
+ * Synchronous because the only caller runs once, during restart, before streaming begins.
+ */
+function getDurationSeconds(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return 0;
+  try {
+    const out = execFileSync(
+      'ffprobe',
+      ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', filePath],
+      { encoding: 'utf8', timeout: 10000 }
+    );
+    const seconds = parseFloat(out.trim());
+    return Number.isFinite(seconds) ? seconds : 0;
+  } catch (err) {
+    console.error(`⚠️ Could not read duration of ${path.basename(filePath)}:`, err.message);
+    return 0;
+  }
+}
+
+/**
+ * Linear gain for a playlist item's volume (0-100, default 100), clamped to 0..1
+ */
+function getTrackGain(item) {
+  if (!item || item.volume === undefined || item.volume === null) return 1;
+  const volume = Number(item.volume);
+  if (!Number.isFinite(volume)) return 1;
+  return Math.min(100, Math.max(0, volume)) / 100;
+}
+
+/**
+ * Last `time=HH:MM:SS.xx` value in a chunk of ffmpeg stats output, in seconds (null if none)
+ */
+function parseProgressTime(text) {
+  const matches = [...text.matchAll(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g)];
+  if (matches.length === 0) return null;
+  const [, hours, minutes, seconds] = matches[matches.length - 1];
+  return Number(hours) * 3600 + Number(minutes) * 60 + parseFloat(seconds);
+}
+
+/**
+ * Position within the file of the track on air, in seconds.
+ * Prefers the feeder's own progress report and falls back to wall-clock (the feeder
+ * reads with -re, so the two agree) until the first report arrives.
+ */
+function getTrackElapsedSeconds(timing) {
+  const played = timing.progressSeconds !== null
+    ? timing.progressSeconds
+    : Math.max(0, (Date.now() - timing.startedAt) / 1000);
+  const elapsed = timing.seekSeconds + played;
+  return timing.durationSeconds ? Math.min(elapsed, timing.durationSeconds) : elapsed;
+}
+
+/**
+ * Format seconds as m:ss for logging
+ */
+function formatClock(seconds) {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Get absolute file path for a playlist item
+ */
+function getVideoPath(item) {
+  let filePath = null;
+
+  if (typeof item === 'string') {
+    filePath = item;
+  } else if (item.filename) {
+    filePath = path.join(VIDEOS_DIR, item.filename);
+  } else if (item.url) {
+    // Has url property - need to extract the filename and construct local path
+    let extractedPath = item.url;
+    // If it's a full HTTP URL, extract just the path part
+    if (item.url.startsWith('http')) {
+      try {
+        const urlObj = new URL(item.url);
+        extractedPath = urlObj.pathname;
+      } catch (e) {
+        return null;
+      }
+    }
+    // Convert /videos/filename.mp4 to local path
+    if (extractedPath.startsWith('/videos/')) {
+      const filename = extractedPath.replace('/videos/', '');
+      filePath = path.join(VIDEOS_DIR, filename);
+    } else if (extractedPath.startsWith('/')) {
+      filePath = path.join(DATA_DIR, 'public', extractedPath);
+    } else {
+      filePath = extractedPath;
+    }
+  } else if (item.path) {
+    filePath = item.path;
+  }
+  return filePath;
+}
+
+/**
+ * Validate and clean playlist (remove missing files)
+ */
+function cleanPlaylist(playlist) {
+  if (!Array.isArray(playlist)) return { validPlaylist: [], hasChanges: false, removedCount: 0, removedItems: [] };
+
+  const validPlaylist = [];
+  const removedItems = [];
+  let removedCount = 0;
+
+  for (const item of playlist) {
+    const filePath = getVideoPath(item);
+
+    if (filePath && fs.existsSync(filePath)) {
+      validPlaylist.push(item);
+    } else {
+      removedCount++;
+      removedItems.push(item);
+      console.log(`⚠️ Removing missing file from playlist: ${item.title || item.filename || 'unknown'}`);
+    }
+  }
+
+  return {
+    validPlaylist,
+    hasChanges: removedCount > 0,
+    removedCount,
+    removedItems
+  };
+}
+
+/**
+ * Output format of the master encode from stream_config. Unknown or missing values fall
+ * back to 1080p landscape, 30fps and 128 Kbps audio.
+ */
+function getOutputFormat(config) {
+  const [, size = '1080p', orientation = 'horizontal'] = /^(\d+p)(?:-(horizontal|vertical))?$/.exec(config.resolution || '') || [];
+  const [landscapeWidth, landscapeHeight] = OUTPUT_RESOLUTIONS[size] || OUTPUT_RESOLUTIONS['1080p'];
+  const vertical = orientation === 'vertical';
+  const frameRate = OUTPUT_FRAME_RATES.includes(Number(config.frame_rate)) ? Number(config.frame_rate) : 30;
+  const audioBitrate = OUTPUT_AUDIO_BITRATES.includes(Number(config.audio_bitrate)) ? Number(config.audio_bitrate) : 128;
+
+  return {
+    width: vertical ? landscapeHeight : landscapeWidth,
+    height: vertical ? landscapeWidth : landscapeHeight,
+    vertical,
+    frameRate,
+    gopFrames: frameRate * KEYFRAME_INTERVAL_SECONDS,
+    audioBitrate
+  };
+}
+
+// The master's inputs are loopback sockets it connects to, not inherited pipes: ffmpeg
+// stops reading commands from stdin as soon as any input is a "pipe:", which would cut
+// off sendMasterCommand(). (Its unix: protocol cannot be probed for MPEG-TS, hence TCP.)
+let masterFeedPort = null;
+let masterBedPort = null;
+
+/**
+ * Listen on a loopback port for one of the master's inputs. `onConnect` takes the
+ * socket, or returns false if no master is waiting for it.
+ */
+function listenForMasterInput(onConnect) {
+  const server = net.createServer((socket) => {
+    // The master going away must not surface as an unhandled EPIPE
+    socket.on('error', () => { });
+    if (!onConnect(socket)) socket.destroy();
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+async function listenForMasterInputs() {
+  // Input 0: the feeders' MPEG-TS, so the first track starts once the master is there
+  masterFeedPort = await listenForMasterInput((socket) => {
+    if (!masterFfmpeg || masterInput) return false;
+    masterInput = socket;
+    playNextVideo();
+    return true;
+  });
+  // Input 1: bed PCM, which the master opens once it has probed input 0
+  masterBedPort = await listenForMasterInput((socket) => {
+    if (!masterFfmpeg || bedInput) return false;
+    startBeds(socket, lastConfig);
+    return true;
+  });
+}
+
+/**
+ * Start the Master FFmpeg Process
+ * This process reads MPEG-TS from the feeders on input 0 and pushes to RTMP. Its stdin
+ * takes runtime filter commands (see sendMasterCommand()).
+ */
+function startMasterStream(config) {
+  if (masterFfmpeg) return;
+
+  const { bitrate } = config;
+  const output = getOutputFormat(config);
+
+  const destinations = resolveDestinations(config).filter(d => d.enabled);
+  if (destinations.length === 0) {
+    console.error('❌ No enabled destination (missing RTMP URL or stream key, and the preview is off)');
+    return;
+  }
+
+  const vBitrate = bitrate || 8000;
+
+  console.log('');
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('🎬 STARTING MASTER STREAM ENGINE (STABLE MODE)');
+  console.log('═══════════════════════════════════════════════════════════');
+  destinations.forEach(d => console.log(`📡 Destination: ${d.name} (${d.type === 'hls' ? 'local HLS' : d.rtmp_url})`));
+  console.log('📊 Bitrate:', vBitrate, 'kbps');
+  console.log(`🖥️ Output: ${output.width}x${output.height}${output.vertical ? ' (vertical)' : ''} @ ${output.frameRate}fps, audio ${output.audioBitrate} Kbps`);
+  console.log('');
+
+  // Audio Overlay Setup. Which bed plays is up to the bed feeder (BACKGROUND AUDIO BEDS).
+  // The bed is always mixed in, even when switched off, so that switching it back on
+  // (or changing its volume) is a runtime filter command rather than a restart.
+  const bedLevel = getBedLevel(config);
+
+  // Master Input Args
+  const masterArgs = [
+    // Machine-readable progress on stderr for STREAM HEALTH, instead of the stats line
+    '-progress', 'pipe:2',
+    '-nostats',
+    // discardcorrupt is deliberately absent: every feeder starts a fresh MPEG-TS
+    // stream, so its continuity counters restart and the demuxer flags the first
+    // packet of each track as corrupt. The data is fine, and discarding it is what
+    // put a hole in the stream at every transition.
+    '-fflags', '+genpts',
+    '-thread_queue_size', '1024',        // Added: Buffers input data
+    '-f', 'mpegts',
+    '-i', `tcp://127.0.0.1:${masterFeedPort}`,
+    // Raw PCM from the bed feeder. The short queue is what lets a bed switch come
+    // through quickly: the feeder blocks once the master is this far ahead.
+    '-thread_queue_size', String(BED_INPUT_QUEUE_PACKETS),
+    '-f', 's16le', '-ar', '44100', '-ac', '2',
+    '-i', `tcp://127.0.0.1:${masterBedPort}`
+  ];
+
+  // Overlays (OVERLAYS): the logo, if any, is input 2
+  prepareOverlays(config);
+  const overlayGraph = buildOverlayGraph(config, output, 2);
+  masterArgs.push(...overlayGraph.inputArgs);
+
+  console.log(bedLevel.enabled
+    ? `🎵 Background Audio: Enabled (${Math.round(bedLevel.gain * 100)}%)`
+    : '🔇 Background Audio: Disabled');
+
+  // Re-encoding here (rather than '-c:v copy') is what lets the master rebuild a
+  // clean, evenly-keyframed timeline out of the separately-encoded feeder segments.
+  // Copying passes each feeder's timing straight through to YouTube instead.
+  const videoEncodingArgs = [
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    // REMOVED: '-tune', 'zerolatency' -> This was causing the pink artifacts
+    '-b:v', `${vBitrate}k`,
+    '-maxrate', `${vBitrate}k`,
+    '-bufsize', `${vBitrate * 2}k`,
+    '-g', String(output.gopFrames), // Keyframe every 2 seconds (Critical for YouTube)
+    '-keyint_min', String(output.gopFrames),
+    '-pix_fmt', 'yuv420p',
+    '-max_muxing_queue_size', '4096' // Added: Prevents buffer overflows
+  ];
+  masterArgs.push(...videoEncodingArgs);
+
+  // Feeders are all normalized 1080p30 landscape. Fit that inside the output frame
+  // (black bars where the aspect differs, e.g. top and bottom for 9:16) at the output
+  // frame rate.
+  const videoFilter = `scale=${output.width}:${output.height}:force_original_aspect_ratio=decrease,` +
+    `pad=${output.width}:${output.height}:(ow-iw)/2:(oh-ih)/2:black,setsar=1,fps=${output.frameRate}`;
+
+  // Audio Encoding & Mixing. volume@bed and amix@mix are named so applyBedLevel() can
+  // address them; switched off, the bed's weight is 0 and amix leaves the music at
+  // full level, exactly as without the bed.
+  masterArgs.push(
+    '-filter_complex', `[0:v]${videoFilter}[base];${overlayGraph.filter};[0:a]volume=1.0[a1];[1:a]volume@bed=${bedLevel.gain.toFixed(2)}[a2];` +
+    `[a1][a2]amix@mix=inputs=2:duration=first:dropout_transition=2:weights='${getBedMixWeights(bedLevel)}'[aout]`,
+    '-map', '[vout]',
+    '-map', '[aout]'
+  );
+
+  // Output Settings
+  // The master encodes exactly once, to MPEG-TS on stdout. Node fans that out to one
+  // pusher per destination (see SIMULCAST below), copy-only except for the preview, so
+  // a dead ingest only ever takes down its own pusher, never the encode or the other
+  // destinations.
+  masterArgs.push(
+    '-c:a', 'aac',
+    '-b:a', `${output.audioBitrate}k`,
+    '-ar', '44100',
+    '-ac', '2',
+    '-f', 'mpegts',
+    'pipe:1'
+  );
+
+  console.log('🚀 Master Command: ffmpeg ' + masterArgs.join(' '));
+
+  // stdin: filter commands, 1: output, 2: progress and logs. The feeders and the bed
+  // start once it connects for them (listenForMasterInputs()).
+  const master = spawn('ffmpeg', masterArgs, { stdio: ['pipe', 'pipe', 'pipe'] });
+  masterFfmpeg = master;
+  // A master that has died must not surface as an unhandled EPIPE on a command
+  master.stdin.on('error', () => { });
+  masterStartedAt = Date.now(); // Anchor for the feeder timestamp offsets
+  resetMasterHealth();
+  resetWatchdog();
+
+  isStreaming = true;
+  publishEvent('stream', { isStreaming });
+
+  masterFfmpeg.stdout.on('data', broadcastToDestinations);
+  syncDestinations(config);
+
+  masterFfmpeg.stderr.on('data', (data) => {
+    if (masterFfmpeg !== master) return;
+    for (const line of consumeMasterStderr(data.toString())) {
+      // Filter spam logs
+      if (line.includes('metadata:') || line.includes('Stream #')) continue;
+      if (line.startsWith('Enter command:')) continue; // ffmpeg's prompt for each sendMasterCommand()
+      if (handleMasterCommandReply(line)) continue;
+
+      console.log(`[MASTER] ${line}`);
+    }
+  });
+
+  masterFfmpeg.on('error', (err) => {
+    console.error('❌ Master Error:', err);
+  });
+
+  masterFfmpeg.on('close', (code, signal) => {
+    console.log(`🛑 Master process exited with code ${code}`);
+    // After a restart the replacement may already be running; leave it alone
+    if (masterFfmpeg && masterFfmpeg !== master) return;
+    // stopStream() lets go of the master before it exits, so still holding it here
+    // means nobody asked it to stop
+    const unexpected = masterFfmpeg === master;
+    masterFfmpeg = null;
+    masterInput?.destroy();
+    masterInput = null;
+    failMasterCommand('The encoder exited');
+    isStreaming = false;
+    stopAllDestinations();
+    stopBeds();
+    if (currentFeederProcess) {
+      currentFeederProcess.kill();
+      currentFeederProcess = null;
+    }
+    if (unexpected) recoverMaster('exited', signal ? `Killed by ${signal}` : `Exited with code ${code}`);
+  });
+}
+
+
+
+/**
+ * Stop Everything
+ */
+function stopStream() {
+  console.log('🛑 Stopping Stream Config...');
+  trackTiming = null;
+  recordPlayEnd('stopped');
+  if (currentFeederProcess) {
+    currentFeederProcess.kill();
+    currentFeederProcess = null;
+  }
+  if (masterFfmpeg) {
+    masterFfmpeg.kill(); // This will close the stream
+    masterFfmpeg = null;
+    masterInput?.destroy();
+    masterInput = null;
+    failMasterCommand('The encoder was stopped');
+  }
+  stopAllDestinations();
+  stopBeds();
+  isStreaming = false;
+  publishEvent('stream', { isStreaming });
+  publishEvent('now-playing', getNowPlaying());
+}
+
+// =============================================================================
+// BACKGROUND AUDIO BEDS
+// =============================================================================
+//
+// The ambience under the music (rain, fireplace, ocean...) comes from its own ffmpeg
+// process, the bed feeder, writing raw PCM into the master's second input. Like
+// the video feeders it plays one segment at a time:
+//   single     the bed on a loop, until something changes
+//   rotate     each bed for audio_bed_minutes, then a cut to the next
+//   crossfade  the same, but each segment ends blended into the opening of the next
+//              bed, and the next segment carries on from the end of that overlap
+// The beds are the on-air playlist's own if it has one, else the stream's (audio_bed_ids,
+// or the legacy audio_file). When those change, or another playlist comes on air, the
+// segment is cut short and the new beds start, without touching the master. Beds are
+// leveled to LOUDNESS_TARGET_LUFS from their measured loudness, so the volume slider
+// means the same whichever one is playing.
+//
+// The master waits for this input like any other, and its video stalls with it, so it
+// is never left empty: with no bed, or for a while after one fails, it gets silence.
+//
+// The volume and on/off switch live in the master's filter graph and change while it
+// runs: ffmpeg reads "c<target> <time> <command> <argument>" lines on stdin, hands them
+// to the named filter and prints a "Command reply" with the result. A change the master
+// does not confirm (an ffmpeg too old for the command, or one that is not answering)
+// restarts it with the new settings instead.
+
+const BED_FRAME_BYTES = 4; // s16le stereo
+
+let bedInput = null; // The master's input 1 socket
+let bedBytesWritten = 0;
+let bedFeeder = null; // The bed feeder process writing into it
+let bedPlan = null; // What should be playing, from getBedPlan()
+let bedIndex = 0; // Position in bedPlan.beds
+let bedSeekSeconds = 0; // Where the next segment starts in its bed (past a crossfade)
+let bedOnAir = null; // { id, title } of the bed playing, for /now-playing
+
+/**
+ * The bed's level in the mix from stream_config: audio_volume (0-100, default 35) as a
+ * linear gain, and whether background audio is on at all
+ */
+function getBedLevel(config) {
+  const volume = Number(config?.audio_volume ?? 35);
+  return {
+    gain: Math.min(100, Math.max(0, Number.isFinite(volume) ? volume : 35)) / 100,
+    enabled: config?.audio_overlay_enabled !== false // Default true
+  };
+}
+
+/**
+ * amix weights for the music and the bed. amix divides by their sum, so a bed switched
+ * off (weight 0) leaves the music exactly as loud as a master without one.
+ */
+function getBedMixWeights({ enabled }) {
+  return enabled ? '1 1' : '1 0';
+}
+
+let masterCommandQueue = Promise.resolve();
+let pendingMasterCommand = null; // { description, timer, resolve, reject } awaiting its reply
+
+/**
+ * Send a runtime command to a named filter in the master's graph. Resolves once the
+ * master replies that it applied it, rejects if it refuses or does not answer within
+ * MASTER_COMMAND_TIMEOUT_MS. Commands go one at a time, as the replies do not say which
+ * command they answer.
+ */
+function sendMasterCommand(target, command, argument) {
+  const description = `${target} ${command} ${argument}`;
+  const send = () => new Promise((resolve, reject) => {
+    if (!masterFfmpeg || !masterFfmpeg.stdin.writable) {
+      reject(new Error(`The encoder is not running (${description})`));
+      return;
+    }
+    // Until its filter graph is up, ffmpeg drops commands without a reply
+    if (!(streamHealth.master?.frame > 0)) {
+      reject(new Error(`The encoder is still starting (${description})`));
+      return;
+    }
+    const timer = setTimeout(() => {
+      failMasterCommand(`The encoder did not answer ${description}`);
+    }, MASTER_COMMAND_TIMEOUT_MS);
+    pendingMasterCommand = { description, timer, resolve, reject };
+    masterFfmpeg.stdin.write(`c${target} -1 ${command} ${argument}\n`);
+  });
+
+  const result = masterCommandQueue.then(send);
+  masterCommandQueue = result.catch(() => { });
+  return result;
+}
+
+/**
+ * Settle the command awaiting a reply, if any, from a "Command reply" line of the
+ * master's stderr. Returns whether `line` was one.
+ */
+function handleMasterCommandReply(line) {
+  const match = /^Command reply for (?:stream|filtergraph) \d+: ret:(-?\d+)/.exec(line);
+  if (!match) return false;
+
+  const command = pendingMasterCommand;
+  if (!command) return true;
+  pendingMasterCommand = null;
+  clearTimeout(command.timer);
+  const ret = parseInt(match[1], 10);
+  if (ret < 0) {
+    command.reject(new Error(`The encoder refused ${command.description} (error ${ret})`));
+  } else {
+    console.log(`🎛️ Encoder applied ${command.description}`);
+    command.resolve();
+  }
+  return true;
+}
+
+/**
+ * Fail the command awaiting a reply, if any
+ */
+function failMasterCommand(message) {
+  const command = pendingMasterCommand;
+  if (!command) return;
+  pendingMasterCommand = null;
+  clearTimeout(command.timer);
+  command.reject(new Error(message));
+}
+
+/**
+ * Bring the running master's bed volume and on/off switch in line with `config`,
+ * sending only what changed since `previous`. Resolves once the master has applied it.
+ */
+function applyBedLevel(config, previous) {
+  const level = getBedLevel(config);
+  const before = getBedLevel(previous);
+  console.log(level.enabled
+    ? `🎵 Background Audio: ${Math.round(level.gain * 100)}%`
+    : '🔇 Background Audio: Off');
+
+  const commands = [];
+  if (level.gain !== before.gain) commands.push(sendMasterCommand('volume@bed', 'volume', level.gain.toFixed(2)));
+  if (level.enabled !== before.enabled) commands.push(sendMasterCommand('amix@mix', 'weights', getBedMixWeights(level)));
+  return Promise.all(commands);
+}
+
+/**
+ * Gain (dB) that brings a library track to the stream's loudness target, 0 until measured
+ */
+function getBedGainDb(track) {
+  if (track?.loudness_lufs == null) return 0;
+  const gain = LOUDNESS_TARGET_LUFS - Number(track.loudness_lufs);
+  return Number.isFinite(gain) ? Math.min(BED_MAX_GAIN_DB, Math.max(-BED_MAX_GAIN_DB, gain)) : 0;
+}
+
+/**
+ * The one bed from before the library: audio_file (default rain.mp3) in public/audio or public/
+ */
+function getLegacyBedPath(config) {
+  const audioFile = path.basename(config?.audio_file || 'rain.mp3');
+  return [path.join(AUDIO_DIR, audioFile), path.join(DATA_DIR, 'public', audioFile)].find(fs.existsSync) || null;
+}
+
+/**
+ * The beds that should be playing while `playlistId` is on air. `key` changes exactly
+ * when what is heard would, including a bed's level once its loudness has been measured.
+ */
+function getBedPlan(config, playlistId) {
+  const tracks = Array.isArray(config?.audioTracks) ? config.audioTracks : [];
+  const toBed = (track) => ({
+    id: track.id,
+    title: track.title,
+    path: path.join(AUDIO_DIR, track.filename),
+    durationSeconds: Number(track.duration_seconds) || null,
+    gainDb: getBedGainDb(track)
+  });
+
+  let mode = AUDIO_BED_MODES.includes(config?.audio_bed_mode) ? config.audio_bed_mode : 'single';
+  let beds;
+  const playlistBed = tracks.find(track => track.id === getPlaylist(config, playlistId)?.audio_track_id);
+  if (playlistBed) {
+    mode = 'single';
+    beds = [toBed(playlistBed)];
+  } else {
+    const ids = Array.isArray(config?.audio_bed_ids) ? config.audio_bed_ids : [];
+    beds = ids.map(id => tracks.find(track => track.id === id)).filter(Boolean).map(toBed);
+  }
+  beds = beds.filter(bed => fs.existsSync(bed.path));
+
+  if (beds.length === 0) {
+    const legacyPath = getLegacyBedPath(config);
+    const legacyTrack = tracks.find(track => path.join(AUDIO_DIR, track.filename) === legacyPath);
+    if (legacyTrack) {
+      beds = [toBed(legacyTrack)];
+    } else if (legacyPath) {
+      beds = [{ id: null, title: path.basename(legacyPath), path: legacyPath, durationSeconds: null, gainDb: 0 }];
+    }
+  }
+  if (beds.length < 2) mode = 'single';
+
+  const minutes = Math.min(BED_MAX_MINUTES, Math.max(BED_MIN_MINUTES, Number(config?.audio_bed_minutes) || 30));
+  const crossfadeSeconds = Math.min(
+    BED_CROSSFADE_MAX_SECONDS,
+    Math.max(BED_CROSSFADE_MIN_SECONDS, Number(config?.audio_bed_crossfade_seconds) || 8)
+  );
+  const timing = mode === 'single' ? [] : [minutes, mode === 'crossfade' ? crossfadeSeconds : 0];
+
+  return {
+    key: JSON.stringify([mode, beds.map(bed => [bed.path, bed.gainDb]), ...timing]),
+    mode,
+    beds,
+    segmentSeconds: minutes * 60,
+    crossfadeSeconds
+  };
+}
+
+/**
+ * Start feeding beds into a new master's input 1
+ */
+function startBeds(input, config) {
+  bedInput = input;
+  bedBytesWritten = 0;
+  bedPlan = null;
+  syncBeds(config);
+}
+
+/**
+ * Switch to the beds `config` calls for with the current playlist on air, if they differ
+ * from what is playing. Called on every config change and playlist switch.
+ */
+function syncBeds(config) {
+  if (!bedInput) return;
+  const plan = getBedPlan(config, onAirPlaylistId);
+  if (bedPlan?.key === plan.key) return;
+
+  bedPlan = plan;
+  bedIndex = 0;
+  bedSeekSeconds = 0;
+  console.log(`🌧️ Background audio (${plan.mode}): ${plan.beds.map(bed => bed.title).join(', ') || 'none, playing silence'}`);
+  stopBedFeeder();
+  playNextBed();
+}
+
+function stopBedFeeder() {
+  const feeder = bedFeeder;
+  bedFeeder = null; // First, so its close handler knows it was asked to stop
+  if (feeder) feeder.kill();
+}
+
+function stopBeds() {
+  stopBedFeeder();
+  bedInput?.destroy();
+  bedInput = null;
+  bedPlan = null;
+  bedOnAir = null;
+}
+
+/**
+ * Spawn the next bed segment, or silence: BED_RETRY_SECONDS of it after a failure, or
+ * for as long as there is no bed at all
+ */
+function playNextBed({ silence = false } = {}) {
+  if (!bedInput || !bedPlan) return;
+
+  const { mode, beds, segmentSeconds, crossfadeSeconds } = bedPlan;
+  const args = ['-hide_banner', '-nostats', '-loglevel', 'error'];
+  const level = (bed) => `volume=${bed.gainDb.toFixed(1)}dB,aformat=sample_fmts=s16:sample_rates=44100:channel_layouts=stereo`;
+  const bed = silence || beds.length === 0 ? null : beds[bedIndex];
+
+  if (!bed) {
+    args.push('-f', 'lavfi');
+    if (silence) args.push('-t', String(BED_RETRY_SECONDS));
+    args.push('-i', 'anullsrc=r=44100:cl=stereo');
+  } else {
+    args.push('-stream_loop', '-1');
+    if (bedSeekSeconds > 0) args.push('-ss', bedSeekSeconds.toFixed(3));
+    if (mode !== 'single') args.push('-t', String(segmentSeconds));
+    args.push('-i', bed.path);
+    bedSeekSeconds = 0;
+
+    if (mode === 'crossfade') {
+      // The opening of the next bed, blended in over the last seconds of this one
+      const next = beds[(bedIndex + 1) % beds.length];
+      args.push(
+        '-stream_loop', '-1', '-t', String(crossfadeSeconds), '-i', next.path,
+        '-filter_complex', `[0:a]${level(bed)}[a0];[1:a]${level(next)}[a1];[a0][a1]acrossfade=d=${crossfadeSeconds}[bed]`,
+        '-map', '[bed]'
+      );
+      bedSeekSeconds = next.durationSeconds ? crossfadeSeconds % next.durationSeconds : crossfadeSeconds;
+    } else {
+      args.push('-af', level(bed));
+    }
+  }
+  args.push('-f', 's16le', '-ar', '44100', '-ac', '2', 'pipe:1');
+
+  // A feeder killed part-way through a sample frame would shift every sample after it
+  // into the wrong channel, so the new one starts on a frame boundary
+  const partial = bedBytesWritten % BED_FRAME_BYTES;
+  if (partial) {
+    bedInput.write(Buffer.alloc(BED_FRAME_BYTES - partial));
+    bedBytesWritten += BED_FRAME_BYTES - partial;
+  }
+
+  const feeder = spawn('ffmpeg', args);
+  bedFeeder = feeder;
+  if (bedOnAir?.id !== bed?.id || bedOnAir?.title !== bed?.title) {
+    bedOnAir = bed ? { id: bed.id, title: bed.title } : null;
+    publishEvent('now-playing', getNowPlaying());
+  }
+
+  // Written by hand rather than piped, so a replaced feeder's last buffered chunk is
+  // dropped instead of landing after the new one's
+  feeder.stdout.on('data', (chunk) => {
+    if (bedFeeder !== feeder || !bedInput) return;
+    bedBytesWritten += chunk.length;
+    if (!bedInput.write(chunk)) {
+      feeder.stdout.pause();
+      bedInput.once('drain', () => feeder.stdout.resume());
+    }
+  });
+
+  let lastError = '';
+  feeder.stderr.on('data', (data) => {
+    lastError = data.toString().trim().split('\n').pop() || lastError;
+  });
+
+  feeder.on('error', (err) => {
+    console.error('❌ Bed feeder error:', err.message);
+  });
+
+  feeder.on('close', (code) => {
+    if (bedFeeder !== feeder) return; // Stopped or replaced on purpose
+    bedFeeder = null;
+
+    if (code === 0) {
+      if (bed && mode !== 'single') bedIndex = (bedIndex + 1) % beds.length;
+      playNextBed();
+      return;
+    }
+
+    console.error(`⚠️ Background audio ${bed ? `"${bed.title}"` : '(silence)'} failed with code ${code}${lastError ? `: ${lastError}` : ''}`);
+    bedSeekSeconds = 0;
+    if (bed) {
+      bedIndex = (bedIndex + 1) % beds.length;
+      playNextBed({ silence: true });
+    } else {
+      setTimeout(() => {
+        if (!bedFeeder) playNextBed();
+      }, BED_RETRY_SECONDS * 1000);
+    }
+  });
+}
+
+// =============================================================================
+// OVERLAYS
+// =============================================================================
+//
+// Branding drawn into the master's encode, set in stream_config.overlays:
+//   now_playing  a "Now playing: <title>" lower third, updated at every cue
+//   logo         an image watermark in one corner, at a set opacity
+//   clock        the time in the schedule's timezone, or a countdown to a moment
+//   ticker       a line of text scrolling along the bottom edge
+// The text overlays are always in the master's filter graph, each a drawtext that
+// re-reads its text from a file in OVERLAY_TEXT_DIR on every frame. The engine changes
+// what they show by rewriting those files, and switches them on and off with an
+// `enable` filter command (sendMasterCommand()), all without touching the master unless
+// it fails to confirm one. The logo is an input of its own, so changing it restarts
+// the master.
+
+const OVERLAY_TEXT_FILES = { now_playing: 'now_playing.txt', clock: 'clock.txt', ticker: 'ticker.txt' };
+const OVERLAY_FILTERS = { now_playing: 'drawtext@nowplaying', clock: 'drawtext@clock', ticker: 'drawtext@ticker' };
+const overlayTexts = new Map(); // What each text file last had written to it
+
+/**
+ * stream_config.overlays with defaults filled in and anything invalid dropped
+ */
+function getOverlaySettings(config) {
+  const overlays = config?.overlays && typeof config.overlays === 'object' ? config.overlays : {};
+  const logo = overlays.logo || {};
+  const clock = overlays.clock || {};
+  const ticker = overlays.ticker || {};
+  const opacity = Number(logo.opacity ?? 0.8);
+  const countdownTo = Date.parse(clock.countdown_to || '');
+  const file = typeof logo.file === 'string' && logo.file ? path.basename(logo.file) : null;
+
+  return {
+    nowPlaying: { enabled: overlays.now_playing?.enabled === true },
+    logo: {
+      enabled: logo.enabled === true && !!file,
+      file,
+      position: OVERLAY_LOGO_POSITIONS.includes(logo.position) ? logo.position : 'top-right',
+      opacity: Number.isFinite(opacity) ? Math.min(1, Math.max(0.05, opacity)) : 0.8
+    },
+    clock: {
+      mode: OVERLAY_CLOCK_MODES.includes(clock.mode) ? clock.mode : 'off',
+      countdownTo: Number.isFinite(countdownTo) ? countdownTo : null,
+      label: typeof clock.label === 'string' ? clock.label.trim() : ''
+    },
+    ticker: {
+      enabled: ticker.enabled === true,
+      text: typeof ticker.text === 'string' ? ticker.text.replace(/\s+/g, ' ').trim() : ''
+    }
+  };
+}
+
+/**
+ * Everything about the logo that is baked into the master when it starts. Two configs
+ * with different keys need a restart between them.
+ */
+function getLogoOverlayKey(config) {
+  const { logo } = getOverlaySettings(config);
+  return logo.enabled ? `${logo.file}|${logo.position}|${logo.opacity}` : 'none';
+}
 
-  return data;
+/**
+ * Escape a value (a file path) for use as a filter option inside -filter_complex: once
+ * for the option parser and once more for the graph parser around it
+ */
+function escapeFilterOption(value) {
+  return String(value)
+    .replace(/[\\':]/g, '\\$&')
+    .replace(/[\\'[\],;]/g, '\\$&');
 }
 
 /**
- * Save current stream state to file
+ * Point a text overlay at new text. The file is swapped in with a rename so drawtext
+ * never reads it half-written; a single space stands in for no text.
  */
-function saveStreamState(data) {
+function writeOverlayText(name, text) {
+  const value = text || ' ';
+  if (overlayTexts.get(name) === value) return;
+
+  const filePath = path.join(OVERLAY_TEXT_DIR, OVERLAY_TEXT_FILES[name]);
   try {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(data, null, 2));
-    // console.log('💾 Stream state saved:', data.lastPlayedVideoId); // verbose
-  } catch (err) {
-    console.error('⚠️ Failed to save stream state:', err.message);
+    fs.writeFileSync(`${filePath}.tmp`, value);
+    fs.renameSync(`${filePath}.tmp`, filePath);
+    overlayTexts.set(name, value);
+  } catch (error) {
+    console.error(`⚠️ Could not update the ${name} overlay:`, error.message);
   }
 }
 
 /**
- * Load stream state from file
+ * What the clock overlay shows right now: the time in the schedule's timezone, or the
+ * label and the time left until the countdown's moment (0:00:00 once it has passed)
  */
-function loadStreamState() {
-  try {
-    if (fs.existsSync(STATE_FILE)) {
-      const data = fs.readFileSync(STATE_FILE, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (err) {
-    console.error('⚠️ Failed to load stream state:', err.message);
+function getClockText(config) {
+  const { clock } = getOverlaySettings(config);
+  if (clock.mode !== 'countdown') {
+    return new Intl.DateTimeFormat('en-GB', {
+      timeZone: getScheduleTimezone(config),
+      hour: '2-digit',
+      minute: '2-digit'
+    }).format(new Date());
   }
-  return null;
+  if (clock.countdownTo == null) return clock.label;
+
+  const left = Math.max(0, Math.ceil((clock.countdownTo - Date.now()) / 1000));
+  const remaining = `${Math.floor(left / 3600)}:${String(Math.floor(left % 3600 / 60)).padStart(2, '0')}:${String(left % 60).padStart(2, '0')}`;
+  return clock.label ? `${clock.label} ${remaining}` : remaining;
 }
 
 /**
- * Handle skip controls
+ * Which text overlays should be showing. The ticker stays off while it has no text.
  */
-app.post('/control/skip', (req, res) => {
-  if (!isStreaming) {
-    return res.status(400).json({ error: 'Stream not active' });
-  }
+function getOverlayToggles(config) {
+  const settings = getOverlaySettings(config);
+  return {
+    now_playing: settings.nowPlaying.enabled,
+    clock: settings.clock.mode !== 'off',
+    ticker: settings.ticker.enabled && settings.ticker.text !== ''
+  };
+}
 
-  const { direction } = req.body;
-  if (!direction || (direction !== 'next' && direction !== 'previous')) {
-    return res.status(400).json({ error: 'Invalid direction' });
+/**
+ * Show `video` in the now-playing lower third (nothing for null)
+ */
+function setNowPlayingOverlay(video) {
+  writeOverlayText('now_playing', video ? `Now playing: ${video.title}` : '');
+}
+
+/**
+ * The overlay stage of the master's filter graph, from the scaled feeder video [base]
+ * to [vout], and the input args for the logo, which becomes input `logoInput`. Sizes
+ * follow the shorter side of the frame, so vertical output gets the same proportions.
+ */
+function buildOverlayGraph(config, output, logoInput) {
+  const { logo } = getOverlaySettings(config);
+  const logoPath = logo.enabled ? path.join(OVERLAY_IMAGES_DIR, logo.file) : null;
+  const hasLogo = !!logoPath && fs.existsSync(logoPath);
+  if (logo.enabled && !hasLogo) console.warn(`⚠️ Overlay logo ${logo.file} not found; starting without it`);
+
+  const toggles = getOverlayToggles(config);
+  const unit = Math.min(output.width, output.height);
+  const fontSize = Math.round(unit / 24);
+  const tickerSize = Math.round(fontSize * 0.8);
+  const margin = Math.round(unit / 30);
+  const font = OVERLAY_FONT_FILE ? `fontfile=${escapeFilterOption(OVERLAY_FONT_FILE)}` : 'font=Sans';
+  const drawtext = (name, options) =>
+    `${OVERLAY_FILTERS[name]}=${font}:textfile=${escapeFilterOption(path.join(OVERLAY_TEXT_DIR, OVERLAY_TEXT_FILES[name]))}` +
+    `:reload=1:expansion=none:fontcolor=white:box=1:${options}:enable=${toggles[name] ? 1 : 0}`;
+
+  // The clock takes whichever top corner the logo leaves free
+  const clockX = hasLogo && logo.position === 'top-left' ? `w-tw-${margin}` : String(margin);
+  const [logoY, logoX] = logo.position.split('-');
+
+  const steps = [];
+  let video = 'base';
+  if (hasLogo) {
+    steps.push(
+      `[${logoInput}:v]scale=-1:${Math.round(unit / 8)},format=rgba,colorchannelmixer=aa=${logo.opacity.toFixed(2)}[logo]`,
+      `[base][logo]overlay@logo=x=${logoX === 'left' ? margin : `W-w-${margin}`}:y=${logoY === 'top' ? margin : `H-h-${margin}`}[branded]`
+    );
+    video = 'branded';
   }
+  steps.push(`[${video}]` + [
+    drawtext('now_playing', `fontsize=${fontSize}:boxcolor=black@0.55:boxborderw=${Math.round(fontSize * 0.4)}:x=${margin}:y=h-th-${margin * 3}`),
+    drawtext('clock', `fontsize=${fontSize}:boxcolor=black@0.4:boxborderw=${Math.round(fontSize * 0.3)}:x=${clockX}:y=${margin}`),
+    // Enters on the right, leaves on the left, then starts over
+    drawtext('ticker', `fontsize=${tickerSize}:boxcolor=black@0.6:boxborderw=${Math.round(tickerSize * 0.4)}` +
+      `:x=w-mod(t*${Math.round(output.width / OVERLAY_TICKER_SECONDS)}\\,w+tw):y=h-th-${Math.round(margin / 2)}`)
+  ].join(',') + '[vout]');
 
-  console.log(`⏭️ specific Manual skip requested: ${direction}`);
+  return {
+    // One frame a second is plenty for a still image; overlay holds the latest
+    inputArgs: hasLogo ? ['-loop', '1', '-framerate', '1', '-i', logoPath] : [],
+    filter: steps.join(';')
+  };
+}
 
-  // Calculate new index
-  if (direction === 'next') {
-    currentIndex++;
-    if (currentIndex >= currentPlaylist.length) currentIndex = 0;
-  } else {
-    currentIndex--;
-    if (currentIndex < 0) currentIndex = currentPlaylist.length - 1;
-  }
+/**
+ * Write every text overlay's file before the master opens them
+ */
+function prepareOverlays(config) {
+  setNowPlayingOverlay(null);
+  writeOverlayText('clock', getClockText(config));
+  writeOverlayText('ticker', getOverlaySettings(config).ticker.text);
+}
 
-  // Set flag so the exit handler knows NOT to auto-increment
-  skipToTarget = true;
+/**
+ * Bring the running master's text overlays in line with `config`, switching only those
+ * that changed since `previous`. Resolves once the master has applied the switches.
+ */
+function applyOverlays(config, previous) {
+  const toggles = getOverlayToggles(config);
+  const before = getOverlayToggles(previous);
+  writeOverlayText('clock', getClockText(config));
+  writeOverlayText('ticker', getOverlaySettings(config).ticker.text);
+
+  const shown = Object.keys(toggles).filter(name => toggles[name]);
+  console.log(`🖼️ Text overlays: ${shown.length > 0 ? shown.join(', ') : 'none'}`);
+
+  return Promise.all(Object.entries(toggles)
+    .filter(([name, enabled]) => enabled !== before[name])
+    .map(([name, enabled]) => sendMasterCommand(OVERLAY_FILTERS[name], 'enable', enabled ? '1' : '0')));
+}
 
-  // Kill feeder to force switch
-  if (currentFeederProcess) {
-    currentFeederProcess.kill();
+// Keep the clock (or countdown) current while on air
+setInterval(() => {
+  if (masterFfmpeg && lastConfig && getOverlaySettings(lastConfig).clock.mode !== 'off') {
+    writeOverlayText('clock', getClockText(lastConfig));
   }
+}, OVERLAY_CLOCK_INTERVAL_MS);
 
-  res.json({ success: true, newIndex: currentIndex });
-});
+// =============================================================================
+// PLAY HISTORY
+// =============================================================================
+//
+// Every cue becomes a play_history row when it goes on air, and gets its end time and
+// how it ended (finished, skipped, failed, stopped) when it comes off. A crossfade
+// belongs to the outgoing track. Writes never hold up the engine: failures are logged
+// and the broadcast carries on.
+
+let currentPlay = null; // { rowId: Promise<id | null> } of the cue on air
+
+function recordPlayStart(video, seekSeconds) {
+  recordPlayEnd('stopped'); // Nothing should still be open, but never leave a row dangling
+
+  const rowId = supabase
+    .from('play_history')
+    .insert({
+      video_id: video.id,
+      title: video.title || 'Untitled',
+      playlist_id: onAirPlaylistId,
+      playlist_name: getPlaylistName(lastConfig, onAirPlaylistId),
+      start_offset_seconds: Math.round(seekSeconds * 1000) / 1000
+    })
+    .select('id')
+    .single()
+    .then(({ data, error }) => {
+      if (error) {
+        console.error('⚠️ Failed to record play history:', error.message);
+        return null;
+      }
+      return data.id;
+    });
+
+  currentPlay = { rowId };
+}
+
+function recordPlayEnd(reason) {
+  const play = currentPlay;
+  if (!play) return;
+  currentPlay = null;
+
+  const endedAt = new Date().toISOString();
+  play.rowId.then(async (id) => {
+    if (!id) return;
+    const { error } = await supabase
+      .from('play_history')
+      .update({ ended_at: endedAt, end_reason: reason })
+      .eq('id', id);
+    if (error) console.error('⚠️ Failed to close play history entry:', error.message);
+  });
+}
 
 /**
- * Play the next video in the playlist (The DJ Logic)
+ * A cue that never made it on air (its file is gone)
  */
-function playNextVideo() {
-  if (!isStreaming || !masterStdin) return;
-  if (currentPlaylist.length === 0) {
-    console.log('⚠️ Playlist empty. Waiting...');
-    setTimeout(playNextVideo, 2000);
-    return;
-  }
+function recordFailedCue(video) {
+  const now = new Date().toISOString();
+  supabase
+    .from('play_history')
+    .insert({
+      video_id: video.id,
+      title: video.title || 'Untitled',
+      playlist_id: onAirPlaylistId,
+      playlist_name: getPlaylistName(lastConfig, onAirPlaylistId),
+      started_at: now,
+      ended_at: now,
+      end_reason: 'failed'
+    })
+    .then(({ error }) => {
+      if (error) console.error('⚠️ Failed to record play history:', error.message);
+    });
+}
 
-  // Ensure index is valid (sanity check)
-  if (currentIndex < 0) currentIndex = 0;
-  if (currentIndex >= currentPlaylist.length) currentIndex = 0;
+// =============================================================================
+// STREAM HEALTH
+// =============================================================================
+//
+// The master runs with -progress on stderr, so twice a second it reports fps, bitrate,
+// speed and dropped/duplicated frames as a block of key=value lines. Those, plus what
+// the DJ engine sees (feeder restarts, tracks that fail, when a feeder last went on
+// air), make up the report behind /stream/health and /metrics.
+
+const HEALTH_SAMPLE_INTERVAL_MS = 5000;
+const HEALTH_HISTORY_SAMPLES = 360; // 30 minutes at one sample every 5s
+// ffmpeg's complaints that a queue in front of the encoder or muxer is full
+const MASTER_QUEUE_WARNINGS = ['Thread message queue blocking', 'Too many packets buffered'];
+
+const streamHealth = {
+  master: null,         // Latest progress block from the master on air
+  masterStarts: 0,
+  queueWarnings: 0,
+  feederRestarts: 0,    // Feeders that died and were replaced by the next track
+  consecutiveFeederFailures: 0, // Since a track last played to the end
+  trackFailures: new Map(), // videoId -> { videoId, title, failures, lastError, lastFailedAt }
+  lastHandoffAt: null,  // When a feeder last got its first bytes into the master
+  history: []           // Samples for the dashboard chart, oldest first
+};
+
+let masterStderrBuffer = '';
+let pendingMasterProgress = {};
 
-  const video = currentPlaylist[currentIndex];
-  // ... (rest of playNextVideo remains similar until close handler)
+/**
+ * "7998.3kbits/s" -> 7998.3, "1.01x" -> 1.01, "N/A" -> null
+ */
+function parseProgressNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
 
-  // A pending resume seek belongs to this cue alone. Consume it up front so it can
-  // never leak onto a later track if this one turns out to be unplayable.
-  const seekSeconds = pendingSeekSeconds;
-  pendingSeekSeconds = 0;
+/**
+ * Feed a chunk of master stderr through the progress parser. Progress lines update
+ * streamHealth.master; everything else comes back as log lines.
+ */
+function consumeMasterStderr(text) {
+  masterStderrBuffer += text;
+  const lines = masterStderrBuffer.split(/\r?\n|\r/);
+  masterStderrBuffer = lines.pop();
+
+  const logLines = [];
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const match = /^([a-z_0-9]+)=(.*)$/.exec(line);
+    if (!match) {
+      if (MASTER_QUEUE_WARNINGS.some(warning => line.includes(warning))) streamHealth.queueWarnings++;
+      logLines.push(line);
+      continue;
+    }
 
-  const filePath = getVideoPath(video);
+    const [, key, value] = match;
+    pendingMasterProgress[key] = value.trim();
+    if (key !== 'progress') continue;
+
+    // "progress" closes each block
+    const block = pendingMasterProgress;
+    pendingMasterProgress = {};
+    streamHealth.master = {
+      frame: parseProgressNumber(block.frame),
+      fps: parseProgressNumber(block.fps),
+      bitrateKbps: parseProgressNumber(block.bitrate),
+      speed: parseProgressNumber(block.speed),
+      droppedFrames: parseProgressNumber(block.drop_frames) ?? 0,
+      duplicatedFrames: parseProgressNumber(block.dup_frames) ?? 0,
+      updatedAt: Date.now()
+    };
+  }
+  return logLines;
+}
 
-  if (!filePath || !fs.existsSync(filePath)) {
-    console.error(`❌ File not found for index ${currentIndex}: ${video.title}`);
-    currentIndex++;
-    playNextVideo();
-    return;
+function resetMasterHealth() {
+  masterStderrBuffer = '';
+  pendingMasterProgress = {};
+  streamHealth.master = null;
+  streamHealth.masterStarts++;
+}
+
+function recordHandoff() {
+  streamHealth.lastHandoffAt = Date.now();
+}
+
+/**
+ * A track that could not be played, for the per-track failure counts
+ */
+function recordTrackFailure(video, reason) {
+  const entry = streamHealth.trackFailures.get(video.id) || { videoId: video.id, title: video.title, failures: 0 };
+  entry.failures++;
+  entry.lastError = reason;
+  entry.lastFailedAt = new Date().toISOString();
+  streamHealth.trackFailures.set(video.id, entry);
+}
+
+/**
+ * A feeder that died on air (not one killed for a skip), which the engine replaces
+ */
+function recordFeederFailure(video, reason) {
+  streamHealth.feederRestarts++;
+  recordTrackFailure(video, reason);
+
+  if (++streamHealth.consecutiveFeederFailures >= FEEDER_FAILURE_ALERT_THRESHOLD) {
+    raiseAlert('feeder_failures', {
+      event: 'feeder_failures',
+      title: 'Tracks keep failing',
+      message: `${streamHealth.consecutiveFeederFailures} tracks in a row failed on air; the last was "${video.title}" (${reason}).`,
+      details: { videoId: video.id }
+    });
   }
+}
 
-  console.log(`\n🎵 DJ CUE: [${currentIndex + 1}/${currentPlaylist.length}] "${video.title}"`);
-  console.log(`   File: ${path.basename(filePath)}`);
+function recordTrackFinished() {
+  streamHealth.consecutiveFeederFailures = 0;
+  resolveAlert('feeder_failures', 'A track played through to the end again');
+}
 
-  // PERSIST STATE: Save current video ID so we can resume if restarted
-  saveStreamState({
-    lastPlayedVideoId: video.id,
-    timestamp: Date.now()
+/**
+ * Bytes written to the master's input that it has not read yet. It grows when the
+ * encoder cannot keep up with the feeders.
+ */
+function getMasterInputQueueBytes() {
+  return masterInput ? masterInput.writableLength : 0;
+}
+
+function getHealthReport() {
+  const master = streamHealth.master;
+  return {
+    isStreaming,
+    master: master && {
+      ...master,
+      updatedAt: new Date(master.updatedAt).toISOString(),
+      // A master that stopped reporting is stuck even if the process is alive
+      stale: Date.now() - master.updatedAt > HEALTH_SAMPLE_INTERVAL_MS
+    },
+    inputQueueBytes: getMasterInputQueueBytes(),
+    queueWarnings: streamHealth.queueWarnings,
+    masterStarts: streamHealth.masterStarts,
+    feederRestarts: streamHealth.feederRestarts,
+    trackFailures: [...streamHealth.trackFailures.values()].sort((a, b) => b.failures - a.failures),
+    secondsSinceLastHandoff: streamHealth.lastHandoffAt
+      ? Math.round((Date.now() - streamHealth.lastHandoffAt) / 1000)
+      : null,
+    destinations: getDestinationHealth(),
+    watchdog: getWatchdogReport(),
+    history: streamHealth.history
+  };
+}
+
+function sampleHealth() {
+  if (!isStreaming) return;
+  const master = streamHealth.master;
+  streamHealth.history.push({
+    time: new Date().toISOString(),
+    fps: master?.fps ?? null,
+    bitrateKbps: master?.bitrateKbps ?? null,
+    speed: master?.speed ?? null,
+    droppedFrames: master?.droppedFrames ?? null,
+    duplicatedFrames: master?.duplicatedFrames ?? null,
+    inputQueueBytes: getMasterInputQueueBytes()
   });
+  if (streamHealth.history.length > HEALTH_HISTORY_SAMPLES) streamHealth.history.shift();
+}
 
-  // Spawn Feeder Process
-  // Convert MP4 to MPEG-TS and pipe to stdout
-  //
-  // Each feeder is a separate ffmpeg process, so its timestamps would restart near
-  // zero for every track. The master would then see DTS jump backwards at each
-  // handoff and drop the packet, producing a visible hitch between pieces. Offsetting
-  // each feeder by the elapsed wall-clock keeps one continuous timeline across tracks.
-  // Wall-clock (rather than summed durations) stays correct when a track is skipped
-  // or a feeder dies part-way through, and can never run backwards.
-  //
-  // Caveat: MPEG-TS timestamps are 33 bits at 90kHz, so they wrap after 26.5h of
-  // master uptime. ffmpeg's demuxer corrects for that wrap, but if a hitch ever shows
-  // up roughly once a day this is the first place to look.
-  const tsOffsetSeconds = masterStartedAt
-    ? Math.max(0, (Date.now() - masterStartedAt) / 1000)
-    : 0;
+setInterval(sampleHealth, HEALTH_SAMPLE_INTERVAL_MS);
 
-  const feederArgs = [
-    '-re',                // Read at native framerate (crucial for streaming)
-  ];
+function escapeMetricLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
 
-  if (seekSeconds > 0) {
-    // Seeking before -i keeps the copy fast; it lands on the nearest keyframe at or
-    // before this point, so playback repeats at most one ~2s GOP.
-    console.log(`   ⏩ Picking up where the restart interrupted it: ${formatClock(seekSeconds)}`);
-    feederArgs.push('-ss', seekSeconds.toFixed(3));
-  }
+/**
+ * The health report in Prometheus text exposition format
+ */
+function renderPrometheusMetrics() {
+  const report = getHealthReport();
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP streamflow_${name} ${help}`, `# TYPE streamflow_${name} ${type}`);
+    for (const [labels, value] of samples) {
+      if (value === null || value === undefined) continue;
+      const labelText = Object.entries(labels).map(([key, label]) => `${key}="${escapeMetricLabel(label)}"`).join(',');
+      lines.push(`streamflow_${name}${labelText ? `{${labelText}}` : ''} ${Number(value)}`);
+    }
+  };
+  const master = report.master && !report.master.stale ? report.master : null;
+
+  metric('streaming', 'gauge', 'Whether the broadcast is running.', [[{}, report.isStreaming ? 1 : 0]]);
+  metric('master_fps', 'gauge', 'Frames per second the master is encoding.', [[{}, master?.fps]]);
+  metric('master_bitrate_kbps', 'gauge', 'Output bitrate of the master encode.', [[{}, master?.bitrateKbps]]);
+  metric('master_speed', 'gauge', 'Encode speed relative to real time.', [[{}, master?.speed]]);
+  metric('master_dropped_frames_total', 'counter', 'Frames the master dropped since it started.', [[{}, report.master?.droppedFrames]]);
+  metric('master_duplicated_frames_total', 'counter', 'Frames the master duplicated since it started.', [[{}, report.master?.duplicatedFrames]]);
+  metric('master_input_queue_bytes', 'gauge', 'Bytes waiting on the master\'s input.', [[{}, report.inputQueueBytes]]);
+  metric('master_queue_warnings_total', 'counter', 'Times ffmpeg reported a full encoder or muxer queue.', [[{}, report.queueWarnings]]);
+  metric('master_starts_total', 'counter', 'Master encodes started, including restarts.', [[{}, report.masterStarts]]);
+  metric('feeder_restarts_total', 'counter', 'Feeders that died on air and were replaced.', [[{}, report.feederRestarts]]);
+  metric('track_failures_total', 'counter', 'Failed attempts to play a track.',
+    report.trackFailures.map(entry => [{ video_id: entry.videoId, title: entry.title }, entry.failures]));
+  metric('seconds_since_last_handoff', 'gauge', 'Seconds since a track last went on air.', [[{}, report.secondsSinceLastHandoff]]);
+  metric('master_recoveries_total', 'counter', 'Times the watchdog restarted a failed master, by cause.',
+    Object.entries(report.watchdog.recoveries).map(([cause, count]) => [{ cause }, count]));
+  metric('destination_up', 'gauge', 'Whether a simulcast destination is live.',
+    report.destinations.map(d => [{ destination: d.name }, d.status === 'live' ? 1 : 0]));
+  metric('destination_restarts_total', 'counter', 'Reconnects of a simulcast destination.',
+    report.destinations.map(d => [{ destination: d.name }, d.restarts]));
+
+  return lines.join('\n') + '\n';
+}
 
-  feederArgs.push(
-    '-i', filePath,
-    '-c', 'copy',         // Copy streams (fast, requires normalization)
-    '-bsf:v', 'h264_mp4toannexb', // Convert to Annex B bitstream for MPEG-TS
-    '-muxdelay', '0',     // No mux buffering, so the offset below lands exactly
-    '-muxpreload', '0',
-    '-output_ts_offset', tsOffsetSeconds.toFixed(3), // toFixed keeps the leading zero ffmpeg requires
-    '-f', 'mpegts',       // Output formatted as MPEG-TS
-    'pipe:1'              // Write to stdout
-  );
+// =============================================================================
+// MASTER WATCHDOG
+// =============================================================================
+//
+// A master that exits used to leave the broadcast down until the next config poll
+// noticed, and one that hung without exiting (say, wedged on a stalled socket) was
+// never noticed at all. The watchdog treats three things as a failed master:
+//   - exited:       the process went away without stopStream() asking it to
+//   - stalled:      its frame count has not moved for MASTER_STALL_MS
+//   - backpressure: it has left more than MASTER_STALL_QUEUE_BYTES of feeder output
+//                   unread for MASTER_STALL_MS
+// It then stops everything and starts a fresh master after an exponential backoff,
+// picking the track on air back up where it was via pendingSeekSeconds.
+
+const masterWatchdog = {
+  failures: 0,          // Recoveries since the master last ran for MASTER_STABLE_MS; drives the backoff
+  restartTimer: null,   // Pending restart, while backing off
+  lastFrame: null,
+  lastFrameAt: 0,       // When the frame count last moved
+  queueFullSince: null, // When the input queue went over MASTER_STALL_QUEUE_BYTES
+  recoveries: { exited: 0, stalled: 0, backpressure: 0 }, // Totals by cause, for /metrics
+  incidents: []         // Oldest first, capped at MASTER_INCIDENT_LIMIT
+};
+
+/**
+ * A freshly started master gets the full stall window before it must show frames
+ */
+function resetWatchdog() {
+  masterWatchdog.lastFrame = null;
+  masterWatchdog.lastFrameAt = Date.now();
+  masterWatchdog.queueFullSince = null;
+}
 
-  currentFeederProcess = spawn('ffmpeg', feederArgs);
+/**
+ * Where to pick up the track on air after a restart, or null if nothing was playing
+ */
+function getResumePoint() {
+  const video = currentPlaylist[currentIndex];
+  if (!trackTiming || !video || trackTiming.videoId !== video.id) return null;
 
-  // Pipe feeder stdout -> master stdin
-  currentFeederProcess.stdout.pipe(masterStdin, { end: false }); // Don't close master when feeder ends
+  const seconds = getTrackElapsedSeconds(trackTiming);
+  const remaining = trackTiming.durationSeconds ? trackTiming.durationSeconds - seconds : 0;
+  return { video, seconds, finished: remaining <= RESUME_MIN_REMAINING_SECONDS };
+}
 
-  // CRITICAL: We MUST consume stderr, otherwise the process hangs when the buffer fills (64KB)!
-  currentFeederProcess.stderr.on('data', (data) => {
-    // Drain buffer
+/**
+ * Record the incident, stop the broadcast and schedule a fresh master after the backoff
+ */
+function recoverMaster(cause, detail) {
+  if (masterWatchdog.restartTimer) return;
+
+  const resume = getResumePoint();
+  const delay = Math.min(MASTER_RETRY_MIN_MS * 2 ** masterWatchdog.failures, MASTER_RETRY_MAX_MS);
+  masterWatchdog.failures++;
+  masterWatchdog.recoveries[cause]++;
+
+  const incident = {
+    at: new Date().toISOString(),
+    cause,
+    detail,
+    videoId: resume?.video.id ?? null,
+    title: resume?.video.title ?? null,
+    resumeAtSeconds: resume && !resume.finished ? Math.round(resume.seconds) : null,
+    restartInMs: delay,
+    restartedAt: null
+  };
+  masterWatchdog.incidents.push(incident);
+  if (masterWatchdog.incidents.length > MASTER_INCIDENT_LIMIT) masterWatchdog.incidents.shift();
+
+  console.error(`🐕 Watchdog: master ${cause} (${detail}). Restarting in ${delay / 1000}s...`);
+  raiseAlert('master_down', {
+    event: 'master_down',
+    title: 'Stream is down',
+    message: `The master encoder ${cause === 'exited' ? 'exited' : 'stalled'}: ${detail}. Restarting automatically.`,
+    details: { cause }
   });
 
-  currentFeederProcess.on('error', (err) => {
-    console.error('❌ Feeder Error:', err);
-    // Try next
-    if (currentFeederProcess) currentFeederProcess.kill();
-    currentIndex++;
-    setTimeout(playNextVideo, 1000);
-  });
+  // A hung master may not react to the SIGTERM stopStream() sends
+  if (cause !== 'exited' && masterFfmpeg) masterFfmpeg.kill('SIGKILL');
+  stopStream();
 
-  currentFeederProcess.on('close', (code) => {
-    if (skipToTarget) {
-      console.log('⏭️ Skipping to target video...');
-      skipToTarget = false;
-      // Do NOT increment currentIndex, just play the one we set
-      playNextVideo();
-    } else {
-      if (code === 0) {
-        console.log(`✅ Finished: "${video.title}"`);
-        // Normal flow: Move to next
-        currentIndex++;
-        playNextVideo();
-      } else if (code !== null) {
-        console.log(`⚠️ Feeder exited with code ${code}, trying next...`);
-        currentIndex++;
-        setTimeout(playNextVideo, 1000);
-      }
+  masterWatchdog.restartTimer = setTimeout(() => {
+    masterWatchdog.restartTimer = null;
+    if (isStreaming || !lastConfig) return;
+
+    if (resume?.finished) {
+      advanceToNext();
+    } else if (resume) {
+      pendingSeekSeconds = resume.seconds;
+      pendingSeekReason = 'resume';
     }
-  });
+
+    console.log(`🐕 Watchdog: restarting the master (attempt ${masterWatchdog.failures})`);
+    incident.restartedAt = new Date().toISOString();
+    startMasterStream(lastConfig);
+    // Apply anything that was published while we were backing off
+    refreshStreamConfig();
+  }, delay);
 }
 
 /**
- * Duration of a media file in seconds, or 0 if it cannot be determined.
- * Synchronous because the only caller runs once, during restart, before streaming begins.
+ * Drop a pending restart, e.g. because the stream was switched off meanwhile
  */
-function getDurationSeconds(filePath) {
-  if (!filePath || !fs.existsSync(filePath)) return 0;
+function cancelMasterRecovery() {
+  clearTimeout(masterWatchdog.restartTimer);
+  masterWatchdog.restartTimer = null;
+  masterWatchdog.failures = 0;
+  resolveAlert('master_down', 'The stream was switched off, so it is no longer being restarted');
+}
+
+function checkMaster() {
+  if (!isStreaming || !masterFfmpeg) return;
+  const now = Date.now();
+
+  if (masterWatchdog.failures > 0 && now - masterStartedAt > MASTER_STABLE_MS) {
+    masterWatchdog.failures = 0;
+  }
+
+  // With nothing to play the master has no input, so no frames are expected
+  const frame = streamHealth.master?.frame ?? null;
+  if (frame !== null && frame !== masterWatchdog.lastFrame) {
+    resolveAlert('master_down', 'The master encoder is producing frames again');
+  }
+  if (currentPlaylist.length === 0 || (frame !== null && frame !== masterWatchdog.lastFrame)) {
+    masterWatchdog.lastFrame = frame;
+    masterWatchdog.lastFrameAt = now;
+  }
+
+  if (getMasterInputQueueBytes() > MASTER_STALL_QUEUE_BYTES) {
+    masterWatchdog.queueFullSince ??= now;
+  } else {
+    masterWatchdog.queueFullSince = null;
+  }
+
+  if (now - masterWatchdog.lastFrameAt > MASTER_STALL_MS) {
+    recoverMaster('stalled', `No new frames for ${Math.round((now - masterWatchdog.lastFrameAt) / 1000)}s`);
+  } else if (masterWatchdog.queueFullSince && now - masterWatchdog.queueFullSince > MASTER_STALL_MS) {
+    const queuedMb = Math.round(getMasterInputQueueBytes() / 1024 / 1024);
+    recoverMaster('backpressure', `${queuedMb} MB of input unread for ${Math.round((now - masterWatchdog.queueFullSince) / 1000)}s`);
+  }
+}
+
+setInterval(checkMaster, WATCHDOG_CHECK_INTERVAL_MS);
+
+function getWatchdogReport() {
+  return {
+    restartPending: masterWatchdog.restartTimer !== null,
+    consecutiveFailures: masterWatchdog.failures,
+    recoveries: masterWatchdog.recoveries,
+    incidents: masterWatchdog.incidents
+  };
+}
+
+// =============================================================================
+// ALERTS
+// =============================================================================
+//
+// Outbound webhooks (stream_config.alert_webhooks, managed on the settings page), so
+// the team hears about trouble before viewers do. Conditions that can clear (stream
+// down, tracks failing, missing files, empty playlist, low disk) are raised once and
+// followed by a recovery notice when they clear. One that clears and comes back
+// within ALERT_COOLDOWN_MS is held until the cooldown runs out, and only sent if it
+// is still going on then. One-off events (a failed transcode) are sent as they happen.
+// Everything but recovery notices goes through ALERT_MAX_PER_MINUTE: a recovery only
+// follows an alert that went out, and holding one back would leave the last word with
+// an alert that no longer holds.
+
+const ALERT_FORMATS = ['json', 'discord', 'slack'];
+
+let alertWebhooks = []; // From the latest stream_config
+const alertStates = new Map(); // key -> { active, since, lastSentAt, held, alert }
+let recentAlertSends = []; // Timestamps of sends in the last minute
+
+/**
+ * The body a webhook of the given format expects
+ */
+function formatAlertPayload(format, alert) {
+  const icon = alert.status === 'recovered' ? '✅' : alert.status === 'test' ? '🔔' : '🔴';
+  if (format === 'discord') {
+    return { username: 'StreamFlow', content: `${icon} **${alert.title}**\n${alert.message}`.slice(0, 2000) };
+  }
+  if (format === 'slack') {
+    return { text: `${icon} *${alert.title}*\n${alert.message}` };
+  }
+  return alert;
+}
+
+/**
+ * POST one alert to one webhook. Resolves with an error message, or null on success.
+ */
+async function deliverAlert(webhook, alert) {
   try {
-    const out = execFileSync(
-      'ffprobe',
-      ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', filePath],
-      { encoding: 'utf8', timeout: 10000 }
-    );
-    const seconds = parseFloat(out.trim());
-    return Number.isFinite(seconds) ? seconds : 0;
+    const url = await assertPublicHttpsUrl(webhook.url);
+    const response = await requestUrl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(formatAlertPayload(webhook.format, alert)),
+      agent: publicHttpsAgent,
+      timeout: ALERT_TIMEOUT_MS
+    });
+    response.resume();
+    // Redirects count as failures, as they are not followed
+    if (response.statusCode < 200 || response.statusCode >= 300) throw new Error(`HTTP ${response.statusCode}`);
+    return null;
   } catch (err) {
-    console.error(`⚠️ Could not read duration of ${path.basename(filePath)}:`, err.message);
-    return 0;
+    console.error(`⚠️ Alert webhook "${webhook.name || webhook.url}" failed: ${err.message}`);
+    return err.message;
   }
 }
 
 /**
- * Format seconds as m:ss for logging
+ * Send an alert to every enabled webhook. Returns false if the rate limit held it back,
+ * which it never does for a recovery.
  */
-function formatClock(seconds) {
-  const whole = Math.floor(seconds);
-  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+function sendAlert(alert) {
+  const now = Date.now();
+  recentAlertSends = recentAlertSends.filter(sentAt => now - sentAt < 60000);
+  if (alert.status !== 'recovered' && recentAlertSends.length >= ALERT_MAX_PER_MINUTE) {
+    console.warn(`🔕 Alert rate limit reached, not sending: ${alert.title}`);
+    return false;
+  }
+  recentAlertSends.push(now);
+
+  const payload = { ...alert, at: new Date(now).toISOString() };
+  console.log(`🔔 Alert (${alert.status}): ${alert.title}. ${alert.message}`);
+  for (const webhook of alertWebhooks) {
+    if (webhook.enabled !== false && webhook.url) deliverAlert(webhook, payload);
+  }
+  return true;
+}
+
+/**
+ * Start of a condition. Repeats while it is still active are ignored.
+ */
+function raiseAlert(key, alert) {
+  const state = alertStates.get(key) || { active: false, since: 0, lastSentAt: 0, held: false, alert: null };
+  alertStates.set(key, state);
+  if (state.active) return;
+
+  const now = Date.now();
+  Object.assign(state, { active: true, since: now, alert: { ...alert, status: 'alert' } });
+  state.held = now - state.lastSentAt < ALERT_COOLDOWN_MS || !sendAlert(state.alert);
+  if (!state.held) state.lastSentAt = now;
+}
+
+/**
+ * End of a condition: sends the recovery notice, if the alert itself went out
+ */
+function resolveAlert(key, message) {
+  const state = alertStates.get(key);
+  if (!state?.active) return;
+  state.active = false;
+
+  if (state.held) {
+    state.held = false; // Never announced, so there is nothing to take back
+    return;
+  }
+  const minutes = Math.round((Date.now() - state.since) / 60000);
+  sendAlert({
+    event: state.alert.event,
+    status: 'recovered',
+    title: `Resolved: ${state.alert.title}`,
+    message: `${message} (after ${minutes} min).`,
+    details: state.alert.details
+  });
 }
 
 /**
- * Get absolute file path for a playlist item
+ * Send held alerts whose cooldown is over and that are still going on
  */
-function getVideoPath(item) {
-  let filePath = null;
-
-  if (typeof item === 'string') {
-    filePath = item;
-  } else if (item.filename) {
-    filePath = path.join(VIDEOS_DIR, item.filename);
-  } else if (item.url) {
-    // Has url property - need to extract the filename and construct local path
-    let extractedPath = item.url;
-    // If it's a full HTTP URL, extract just the path part
-    if (item.url.startsWith('http')) {
-      try {
-        const urlObj = new URL(item.url);
-        extractedPath = urlObj.pathname;
-      } catch (e) {
-        return null;
-      }
+function flushHeldAlerts() {
+  const now = Date.now();
+  for (const state of alertStates.values()) {
+    if (!state.active || !state.held || now - state.lastSentAt < ALERT_COOLDOWN_MS) continue;
+    if (sendAlert(state.alert)) {
+      state.held = false;
+      state.lastSentAt = now;
     }
-    // Convert /videos/filename.mp4 to local path
-    if (extractedPath.startsWith('/videos/')) {
-      const filename = extractedPath.replace('/videos/', '');
-      filePath = path.join(VIDEOS_DIR, filename);
-    } else if (extractedPath.startsWith('/')) {
-      filePath = path.join(__dirname, 'public', extractedPath);
-    } else {
-      filePath = extractedPath;
+  }
+}
+
+function checkDiskSpace() {
+  try {
+    const stats = fs.statfsSync(VIDEOS_DIR);
+    const freePercent = (stats.bavail / stats.blocks) * 100;
+    const freeGb = (stats.bavail * stats.bsize) / 1024 ** 3;
+    if (freePercent < DISK_ALERT_FREE_PERCENT) {
+      raiseAlert('disk_low', {
+        event: 'disk_low',
+        title: 'Disk almost full',
+        message: `Only ${freeGb.toFixed(1)} GB (${freePercent.toFixed(1)}%) left on the video disk. Uploads will start failing when it runs out.`,
+        details: { freeBytes: stats.bavail * stats.bsize, freePercent }
+      });
+    } else if (freePercent >= DISK_ALERT_FREE_PERCENT + 1) {
+      resolveAlert('disk_low', `${freeGb.toFixed(1)} GB (${freePercent.toFixed(1)}%) free again`);
     }
-  } else if (item.path) {
-    filePath = item.path;
+  } catch (err) {
+    console.error('⚠️ Failed to check disk space:', err.message);
   }
-  return filePath;
+}
+
+setInterval(() => {
+  checkDiskSpace();
+  flushHeldAlerts();
+}, ALERT_CHECK_INTERVAL_MS);
+
+// =============================================================================
+// LIVE EVENTS (SSE)
+// =============================================================================
+//
+// GET /events streams what the dashboard would otherwise poll for, as it happens:
+//   stream       { isStreaming }              the broadcast started or stopped
+//   now-playing  same body as /now-playing    a track went on air, or what is next changed
+//   skip         { direction, index }         someone pressed skip
+//   job          same body as /jobs/:id       a transcode job was queued, moved or finished
+//   config       { revision }                 a stream_config revision was applied
+// A client that reconnects with Last-Event-ID gets the events it missed replayed (as
+// long as they are still in the buffer), and every connection starts with a snapshot
+// of stream, now-playing and config.
+
+const eventClients = new Set(); // Open /events responses
+const recentEvents = []; // { id, type, data }, oldest first, for replay
+let nextEventId = 1;
+const jobEventSentAt = new WeakMap(); // job -> when its last event went out
+
+function formatEvent(type, data, id) {
+  return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function publishEvent(type, data) {
+  const event = { id: nextEventId++, type, data };
+  recentEvents.push(event);
+  if (recentEvents.length > EVENT_REPLAY_LIMIT) recentEvents.shift();
+
+  const text = formatEvent(type, data, event.id);
+  for (const res of eventClients) res.write(text);
 }
 
 /**
- * Validate and clean playlist (remove missing files)
+ * Job events, at most one per JOB_EVENT_INTERVAL_MS per job unless forced (status changes)
  */
-function cleanPlaylist(playlist) {
-  if (!Array.isArray(playlist)) return { validPlaylist: [], hasChanges: false, removedCount: 0 };
-
-  const validPlaylist = [];
-  let removedCount = 0;
+function publishJobUpdate(job, { force = false } = {}) {
+  const now = Date.now();
+  if (!force && now - (jobEventSentAt.get(job) || 0) < JOB_EVENT_INTERVAL_MS) return;
+  jobEventSentAt.set(job, now);
+  publishEvent('job', toPublicJob(job));
+}
 
-  for (const item of playlist) {
-    const filePath = getVideoPath(item);
+app.get('/events', requireRole('viewer'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Tell nginx not to buffer the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
 
-    if (filePath && fs.existsSync(filePath)) {
-      validPlaylist.push(item);
-    } else {
-      removedCount++;
-      console.log(`⚠️ Removing missing file from playlist: ${item.title || item.filename || 'unknown'}`);
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+  if (Number.isFinite(lastEventId)) {
+    for (const event of recentEvents) {
+      if (event.id > lastEventId) res.write(formatEvent(event.type, event.data, event.id));
     }
   }
 
-  return {
-    validPlaylist,
-    hasChanges: removedCount > 0,
-    removedCount
-  };
-}
+  // Snapshots carry no id, so they never move a client's Last-Event-ID
+  res.write(formatEvent('stream', { isStreaming }));
+  res.write(formatEvent('now-playing', getNowPlaying()));
+  if (lastAckedRevision !== null) res.write(formatEvent('config', { revision: lastAckedRevision }));
 
-/**
- * Start the Master FFmpeg Process
- * This process listens to stdin (MPEG-TS) and pushes to RTMP
- */
-function startMasterStream(config) {
-  if (masterFfmpeg) return;
+  eventClients.add(res);
+  req.on('close', () => eventClients.delete(res));
+});
+
+setInterval(() => {
+  for (const res of eventClients) res.write(': ping\n\n');
+}, EVENT_HEARTBEAT_MS);
+
+// =============================================================================
+// SIMULCAST (DESTINATION PUSHERS)
+// =============================================================================
 
-  const {
-    stream_key,
-    bitrate
-  } = config;
+const destinationPushers = new Map(); // destination id -> pusher entry
 
+/**
+ * Destinations to push to: the dashboard's RTMP URL and stream key as "Primary",
+ * followed by the extra simulcast targets in stream_config.destinations, and the
+ * local HLS preview (stream_config.preview_enabled, on by default). The preview is a
+ * destination like any other, so it alone is enough to run the whole pipeline without
+ * an RTMP server.
+ */
+function resolveDestinations(config) {
   // RTMP_URL_OVERRIDE lets a specific server target a different YouTube ingest
   // (e.g. primary vs backup) than the shared Supabase config specifies.
-  const rtmp_url = process.env.RTMP_URL_OVERRIDE || config.rtmp_url;
-
-  if (!rtmp_url || !stream_key) {
-    console.error('❌ Missing RTMP URL or stream key');
-    return;
+  const rtmp_url = process.env.RTMP_URL_OVERRIDE || config?.rtmp_url;
+  const destinations = [];
+
+  if (rtmp_url && config?.stream_key) {
+    destinations.push({
+      id: 'primary',
+      name: 'Primary',
+      rtmp_url: rtmp_url.replace(/\/+$/, ''),
+      stream_key: config.stream_key,
+      type: 'rtmp',
+      enabled: true
+    });
   }
 
-  const outputUrl = `${rtmp_url}/${stream_key}`;
-  const vBitrate = bitrate || 8000;
-
-  console.log('');
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('🎬 STARTING MASTER STREAM ENGINE (STABLE MODE)');
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('📡 RTMP URL:', rtmp_url);
-  console.log('📊 Bitrate:', vBitrate, 'kbps');
-  console.log('');
+  for (const d of Array.isArray(config?.destinations) ? config.destinations : []) {
+    if (!d || !d.id) continue;
+    destinations.push({
+      id: String(d.id),
+      name: d.name || d.rtmp_url || 'Destination',
+      rtmp_url: (d.rtmp_url || '').replace(/\/+$/, ''),
+      stream_key: d.stream_key || '',
+      type: 'rtmp',
+      enabled: d.enabled !== false && Boolean(d.rtmp_url) && Boolean(d.stream_key)
+    });
+  }
 
-  // Audio Overlay Setup
-  const audioEnabled = config.audio_overlay_enabled !== false; // Default true
-  const audioVolumeRaw = config.audio_volume || 35;
-  const audioFile = config.audio_file || 'rain.mp3';
+  destinations.push({
+    id: 'preview',
+    name: 'Preview',
+    rtmp_url: null,
+    stream_key: null,
+    type: 'hls',
+    enabled: config?.preview_enabled !== false
+  });
 
-  let audioInputPath = null;
-  const audioDirFile = path.join(__dirname, 'public', 'audio', audioFile);
-  const publicDirFile = path.join(__dirname, 'public', audioFile);
+  return destinations;
+}
 
-  if (fs.existsSync(audioDirFile)) {
-    audioInputPath = audioDirFile;
-  } else if (fs.existsSync(publicDirFile)) {
-    audioInputPath = publicDirFile;
+/**
+ * Bring the running pushers in line with the configured destinations: start new or
+ * re-enabled ones, stop removed or disabled ones, reconnect any whose URL or key changed.
+ * Never touches the master.
+ */
+function syncDestinations(config) {
+  const wanted = resolveDestinations(config);
+  const wantedIds = new Set(wanted.map(d => d.id));
+
+  for (const [id, entry] of destinationPushers) {
+    if (!wantedIds.has(id)) {
+      console.log(`📡 [${entry.destination.name}] Removed`);
+      stopPusher(entry);
+      destinationPushers.delete(id);
+    }
   }
 
-  // Master Input Args
-  const masterArgs = [
-    // discardcorrupt is deliberately absent: every feeder starts a fresh MPEG-TS
-    // stream, so its continuity counters restart and the demuxer flags the first
-    // packet of each track as corrupt. The data is fine, and discarding it is what
-    // put a hole in the stream at every transition.
-    '-fflags', '+genpts',
-    '-thread_queue_size', '1024',        // Added: Buffers input data
-    '-f', 'mpegts',
-    '-i', 'pipe:0'
-  ];
+  for (const destination of wanted) {
+    const entry = destinationPushers.get(destination.id);
+    if (!entry) {
+      const created = createPusherEntry(destination);
+      destinationPushers.set(destination.id, created);
+      if (destination.enabled) startPusher(created);
+      continue;
+    }
 
-  if (audioEnabled && audioInputPath) {
-    console.log(`🎵 Background Audio: Enabled (${audioVolumeRaw}%) - ${path.basename(audioInputPath)}`);
-    masterArgs.push('-stream_loop', '-1', '-i', audioInputPath);
-  } else {
-    console.log('🔇 Background Audio: Disabled or not found');
+    const changed =
+      entry.destination.rtmp_url !== destination.rtmp_url ||
+      entry.destination.stream_key !== destination.stream_key ||
+      entry.destination.enabled !== destination.enabled;
+    entry.destination = destination;
+    if (!changed) continue;
+
+    stopPusher(entry);
+    entry.backoffMs = DESTINATION_RETRY_MIN_MS;
+    if (destination.enabled) {
+      console.log(`📡 [${destination.name}] Settings changed, reconnecting`);
+      startPusher(entry);
+    } else {
+      console.log(`📡 [${destination.name}] Disabled`);
+      entry.health.status = 'disabled';
+    }
   }
+}
 
-  // Re-encoding here (rather than '-c:v copy') is what lets the master rebuild a
-  // clean, evenly-keyframed timeline out of the separately-encoded feeder segments.
-  // Copying passes each feeder's timing straight through to YouTube instead.
-  const videoEncodingArgs = [
+function createPusherEntry(destination) {
+  return {
+    destination,
+    process: null,
+    restartTimer: null,
+    backoffMs: DESTINATION_RETRY_MIN_MS,
+    health: {
+      status: destination.enabled ? 'connecting' : 'disabled',
+      connectedAt: null,
+      restarts: 0,
+      lastError: null,
+      lastErrorAt: null,
+      bytesSent: 0
+    }
+  };
+}
+
+/**
+ * ffmpeg args for the HLS preview: the master's output scaled down and re-encoded on a
+ * single thread with the cheapest x264 preset, into a rolling playlist in PREVIEW_DIR.
+ * ffmpeg deletes segments as they drop off the playlist.
+ */
+function getPreviewArgs() {
+  const gopFrames = PREVIEW_FRAME_RATE * PREVIEW_SEGMENT_SECONDS; // A keyframe to start every segment on
+  return [
+    '-f', 'mpegts',
+    '-i', 'pipe:0',
+    '-map', '0:v:0',
+    '-map', '0:a:0',
+    '-vf', `scale=${PREVIEW_MAX_SIZE}:${PREVIEW_MAX_SIZE}:force_original_aspect_ratio=decrease:force_divisible_by=2:flags=fast_bilinear,fps=${PREVIEW_FRAME_RATE}`,
     '-c:v', 'libx264',
-    '-preset', 'veryfast',
-    // REMOVED: '-tune', 'zerolatency' -> This was causing the pink artifacts
-    '-b:v', `${vBitrate}k`,
-    '-maxrate', `${vBitrate}k`,
-    '-bufsize', `${vBitrate * 2}k`,
-    '-g', '60',            // Keyframe every 2 seconds (Critical for YouTube)
+    '-preset', 'ultrafast',
+    '-threads', '1',
+    '-b:v', `${PREVIEW_VIDEO_BITRATE}k`,
+    '-maxrate', `${PREVIEW_VIDEO_BITRATE}k`,
+    '-bufsize', `${PREVIEW_VIDEO_BITRATE * 2}k`,
+    '-g', String(gopFrames),
+    '-keyint_min', String(gopFrames),
+    '-sc_threshold', '0',
     '-pix_fmt', 'yuv420p',
-    '-max_muxing_queue_size', '4096' // Added: Prevents buffer overflows
-  ];
-  masterArgs.push(...videoEncodingArgs);
-
-  // Audio Encoding & Mixing
-  if (audioEnabled && audioInputPath) {
-    const vol = (audioVolumeRaw / 100).toFixed(2);
-    masterArgs.push(
-      '-filter_complex', `[0:a]volume=1.0[a1];[1:a]volume=${vol}[a2];[a1][a2]amix=inputs=2:duration=first:dropout_transition=2[aout]`,
-      '-map', '0:v',
-      '-map', '[aout]'
-    );
-  }
-
-  // Output Settings
-  masterArgs.push(
     '-c:a', 'aac',
-    '-b:a', '128k',
-    '-ar', '44100',
+    '-b:a', `${PREVIEW_AUDIO_BITRATE}k`,
     '-ac', '2',
-    '-f', 'flv',
-    outputUrl
-  );
+    '-f', 'hls',
+    '-hls_time', String(PREVIEW_SEGMENT_SECONDS),
+    '-hls_list_size', String(PREVIEW_PLAYLIST_SEGMENTS),
+    // temp_file: the playlist is swapped in whole, never served half-written
+    '-hls_flags', 'delete_segments+temp_file+omit_endlist',
+    // Segment numbers carry on across restarts, so a player never mistakes new for old
+    '-hls_start_number_source', 'epoch',
+    '-hls_segment_filename', path.join(PREVIEW_DIR, 'segment_%d.ts'),
+    path.join(PREVIEW_DIR, 'index.m3u8')
+  ];
+}
 
-  console.log('🚀 Master Command: ffmpeg ' + masterArgs.join(' '));
+/**
+ * Remove the preview's playlist and segments, so a stopped preview is not served stale
+ */
+function clearPreviewDir() {
+  try {
+    for (const file of fs.readdirSync(PREVIEW_DIR)) {
+      fs.rmSync(path.join(PREVIEW_DIR, file), { force: true });
+    }
+  } catch (error) {
+    console.error('⚠️ Could not clear the preview:', error.message);
+  }
+}
 
-  masterFfmpeg = spawn('ffmpeg', masterArgs);
-  masterStdin = masterFfmpeg.stdin;
-  masterStartedAt = Date.now(); // Anchor for the feeder timestamp offsets
+/**
+ * Spawn the ffmpeg for one destination: a copy-only relay of the master's MPEG-TS to
+ * an RTMP ingest, or the HLS preview encoder
+ */
+function startPusher(entry) {
+  if (!isStreaming || entry.process) return;
+  const { destination, health } = entry;
 
-  isStreaming = true;
+  const pusher = spawn('ffmpeg', destination.type === 'hls' ? getPreviewArgs() : [
+    '-f', 'mpegts',
+    '-i', 'pipe:0',
+    '-map', '0',
+    '-c', 'copy',
+    '-bsf:a', 'aac_adtstoasc', // ADTS (as carried in TS) -> raw AAC for FLV
+    '-flvflags', 'no_duration_filesize',
+    '-f', 'flv',
+    `${destination.rtmp_url}/${destination.stream_key}`
+  ]);
+  entry.process = pusher;
+  health.status = 'connecting';
+  const startedAt = Date.now();
+  let lastLine = '';
+
+  if (destination.type === 'hls') {
+    console.log(`📡 [${destination.name}] Writing HLS to ${PREVIEW_DIR}`);
+    try {
+      os.setPriority(pusher.pid, PREVIEW_NICENESS); // The broadcast comes first
+    } catch (error) {
+      console.error(`⚠️ [${destination.name}] Could not lower its priority:`, error.message);
+    }
+  } else {
+    console.log(`📡 [${destination.name}] Connecting to ${destination.rtmp_url}`);
+  }
 
-  masterFfmpeg.stderr.on('data', (data) => {
-    const line = data.toString().trim();
-    if (!line) return;
-    if (line.includes('frame=') && line.includes('size=')) return;
+  // A destination going away must not surface as an unhandled EPIPE
+  pusher.stdin.on('error', () => { });
 
-    // Filter spam logs
-    if (line.includes('metadata:') || line.includes('Stream #')) return;
+  pusher.stderr.on('data', (data) => {
+    const text = data.toString();
+    if (text.includes('frame=') || text.includes('size=')) {
+      if (health.status !== 'live') {
+        health.status = 'live';
+        health.connectedAt = new Date().toISOString();
+        console.log(`📡 [${destination.name}] Live`);
+      }
+      return;
+    }
+    const line = text.trim().split('\n').pop();
+    if (line) lastLine = line;
+  });
 
-    console.log(`[MASTER] ${line}`);
+  pusher.on('error', (err) => {
+    lastLine = err.message;
   });
 
-  masterFfmpeg.on('close', (code) => {
-    console.log(`🛑 Master process exited with code ${code}`);
-    masterFfmpeg = null;
-    masterStdin = null;
-    isStreaming = false;
-    if (currentFeederProcess) {
-      currentFeederProcess.kill();
-      currentFeederProcess = null;
-    }
+  pusher.on('close', (code) => {
+    if (entry.process !== pusher) return; // Replaced or stopped on purpose
+    entry.process = null;
+    health.connectedAt = null;
+
+    if (health.status !== 'stalled') health.status = 'failed';
+    health.lastError = health.status === 'stalled' ? 'Ingest stopped accepting data' : (lastLine || `Exited with code ${code}`);
+    health.lastErrorAt = new Date().toISOString();
+
+    if (Date.now() - startedAt >= DESTINATION_STABLE_MS) entry.backoffMs = DESTINATION_RETRY_MIN_MS;
+    const delay = entry.backoffMs;
+    entry.backoffMs = Math.min(entry.backoffMs * 2, DESTINATION_RETRY_MAX_MS);
+
+    console.error(`❌ [${destination.name}] ${health.lastError} - retrying in ${delay / 1000}s`);
+    entry.restartTimer = setTimeout(() => {
+      entry.restartTimer = null;
+      health.restarts++;
+      startPusher(entry);
+    }, delay);
   });
 
-  playNextVideo();
+  // After the handler above: once the preview is gone, stopped or waiting to retry,
+  // so are its files
+  if (destination.type === 'hls') {
+    pusher.on('close', () => {
+      if (!entry.process) clearPreviewDir();
+    });
+  }
 }
 
+function stopPusher(entry) {
+  if (entry.restartTimer) {
+    clearTimeout(entry.restartTimer);
+    entry.restartTimer = null;
+  }
+  if (entry.process) {
+    const pusher = entry.process;
+    entry.process = null; // Before kill(), so the close handler knows this was on purpose
+    pusher.kill();
+  }
+  entry.health.connectedAt = null;
+}
 
+function stopAllDestinations() {
+  for (const entry of destinationPushers.values()) stopPusher(entry);
+  destinationPushers.clear();
+}
 
 /**
- * Stop Everything
+ * Hand one chunk of master output to every live pusher.
+ * The master's stdout is never paused: a slow destination gets dropped and reconnected
+ * rather than holding back the encode for everyone else.
  */
-function stopStream() {
-  console.log('🛑 Stopping Stream Config...');
-  if (currentFeederProcess) {
-    currentFeederProcess.kill();
-    currentFeederProcess = null;
-  }
-  if (masterFfmpeg) {
-    masterFfmpeg.kill(); // This will close the stream
-    masterFfmpeg = null;
-    masterStdin = null;
+function broadcastToDestinations(chunk) {
+  for (const entry of destinationPushers.values()) {
+    const pusher = entry.process;
+    if (!pusher || !pusher.stdin.writable) continue;
+
+    if (pusher.stdin.writableLength > DESTINATION_MAX_BUFFER_BYTES) {
+      entry.health.status = 'stalled';
+      pusher.kill('SIGKILL'); // The close handler schedules the reconnect
+      continue;
+    }
+
+    pusher.stdin.write(chunk);
+    entry.health.bytesSent += chunk.length;
   }
-  isStreaming = false;
+}
+
+/**
+ * Per-destination health, without stream keys
+ */
+function getDestinationHealth() {
+  return [...destinationPushers.values()].map(({ destination, health }) => ({
+    id: destination.id,
+    name: destination.name,
+    type: destination.type,
+    rtmp_url: destination.rtmp_url,
+    enabled: destination.enabled,
+    ...health
+  }));
 }
 
 /**
@@ -1157,17 +5036,29 @@ async function pollStreamConfig() {
   try {
     const config = await getStreamConfig();
     if (!config) return;
+    alertWebhooks = Array.isArray(config.alert_webhooks) ? config.alert_webhooks : [];
+
+    // The watchdog brings a failed master back itself once its backoff runs out
+    if (masterWatchdog.restartTimer) {
+      if (config.is_active) return;
+      console.log('⏹️ Stream deactivated. Cancelling the watchdog restart.');
+      cancelMasterRecovery();
+      await acknowledgeConfig(config);
+      return;
+    }
 
     // 1. Handle ON/OFF Toggle
     if (config.is_active && !isStreaming) {
       console.log('▶️ Stream activated. Initializing...');
-      // Clean playlist first
-      const { validPlaylist, hasChanges } = cleanPlaylist(config.playlist);
-      if (hasChanges) {
-        // Should update DB, but for now just use valid in memory
-        config.playlist = validPlaylist;
-      }
-      currentPlaylist = config.playlist;
+      // Start on whatever playlist should be on air right now, the scheduled one or the
+      // active one (missing files are dropped in memory only)
+      loadPlaylist(config, getScheduledPlaylistId(config));
+      console.log(`📋 Playlist: "${getPlaylistName(config, onAirPlaylistId)}"`);
+
+      // Set this early: the play mode decides where a restart resumes to, and the
+      // first cue reads its transition settings from it
+      lastConfig = config;
+      resetPlayOrder();
 
       // Smart Restart Logic: Try to find where we left off (from FILE)
       currentIndex = 0;
@@ -1182,7 +5073,7 @@ async function pollStreamConfig() {
           // cut a piece off mid-performance for listeners. Pick the interrupted piece
           // back up instead, and only move on when it had all but finished anyway.
           const elapsed = savedState.timestamp
-            ? Math.max(0, (Date.now() - savedState.timestamp) / 1000)
+            ? (savedState.seekSeconds || 0) + Math.max(0, (Date.now() - savedState.timestamp) / 1000)
             : 0;
           const duration = getDurationSeconds(getVideoPath(currentPlaylist[foundIndex]));
           const remaining = duration ? duration - elapsed : 0;
@@ -1190,11 +5081,12 @@ async function pollStreamConfig() {
           if (remaining > RESUME_MIN_REMAINING_SECONDS) {
             currentIndex = foundIndex;
             pendingSeekSeconds = elapsed;
+            pendingSeekReason = 'resume';
             console.log(`📍 Resuming "${currentPlaylist[foundIndex].title}" at ${formatClock(elapsed)} of ${formatClock(duration)} (${formatClock(remaining)} left)`);
           } else {
-            const nextIndex = (foundIndex + 1) % currentPlaylist.length;
-            currentIndex = nextIndex;
-            console.log(`📍 "${currentPlaylist[foundIndex].title}" had already finished. Resuming from index ${nextIndex} ("${currentPlaylist[nextIndex].title}")`);
+            currentIndex = foundIndex;
+            advanceToNext();
+            console.log(`📍 "${currentPlaylist[foundIndex].title}" had already finished. Resuming from index ${currentIndex} ("${currentPlaylist[currentIndex].title}")`);
           }
         } else {
           console.log('⚠️ Last played video not found in new playlist. Starting from beginning.');
@@ -1202,48 +5094,59 @@ async function pollStreamConfig() {
       }
 
       startMasterStream(config);
-      lastConfig = config;
     }
     else if (!config.is_active && isStreaming) {
       console.log('⏹️ Stream deactivated. Stopping.');
       stopStream();
+      await acknowledgeConfig(config);
       return;
     }
 
     // 2. Handle Runtime Updates (if streaming)
     if (isStreaming && config.is_active) {
-      // CHECK FOR CRITICAL CHANGES (Stream Key, URL, Audio)
-      // If these change, we MUST restart the master process
-      const criticalChanged =
-        config.stream_key !== lastConfig.stream_key ||
-        config.rtmp_url !== lastConfig.rtmp_url ||
-        config.audio_overlay_enabled !== lastConfig.audio_overlay_enabled ||
-        config.audio_volume !== lastConfig.audio_volume ||
-        config.audio_file !== lastConfig.audio_file;
+      // CHECK FOR CRITICAL CHANGES
+      // These are baked into the master's encode, so we MUST restart the master process.
+      // Everything below (playlist, play mode, transitions, schedule, destinations) is
+      // applied live, which is what lets Publish avoid dropping the broadcast.
+      const criticalChanged = MASTER_RESTART_FIELDS.filter(field => config[field] !== lastConfig[field]);
+      if (getLogoOverlayKey(config) !== getLogoOverlayKey(lastConfig)) criticalChanged.push('overlay logo');
 
-      if (criticalChanged) {
-        console.log('⚠️ Critical Configuration Changed (Key/URL/Audio) - Restarting Stream...');
+      if (criticalChanged.length > 0) {
+        console.log(`⚠️ Critical Configuration Changed (${criticalChanged.join(', ')}) - Restarting Stream...`);
 
         // Save state before stopping
         // No need to manually save state here, as it's saved every time a song starts
 
         stopStream();
-        // The next poll will pick it up as is_active=true but isStreaming=false and start fresh
+        // The next refresh picks it up as is_active=true but isStreaming=false and starts
+        // fresh, and only acknowledges the revision once it has. The pause gives the
+        // ingests a moment to let go of the old connection.
+        setTimeout(refreshStreamConfig, MASTER_RESTART_DELAY_MS);
         return;
       }
 
-      // Check for Playlist Changes
-      const oldJson = JSON.stringify(lastConfig?.playlist || []);
-      const newJson = JSON.stringify(config.playlist || []);
+      // Destinations (the legacy key/URL and the preview too) only concern the pushers, which are
+      // reconnected individually without interrupting the encode
+      if (config.stream_key !== lastConfig.stream_key ||
+        config.rtmp_url !== lastConfig.rtmp_url ||
+        config.preview_enabled !== lastConfig.preview_enabled ||
+        JSON.stringify(config.destinations || []) !== JSON.stringify(lastConfig.destinations || [])) {
+        console.log('📡 Destinations updated');
+        syncDestinations(config);
+      }
+
+      // Check for Playlist Changes. Only the playlist on air matters here: edits to the
+      // others are picked up when they come on air.
+      const oldJson = JSON.stringify(getPlaylistItems(lastConfig, onAirPlaylistId));
+      const newJson = JSON.stringify(getPlaylistItems(config, onAirPlaylistId));
 
       if (oldJson !== newJson) {
-        console.log('🔄 Playlist updated!');
+        console.log(`🔄 Playlist updated! ("${getPlaylistName(config, onAirPlaylistId)}")`);
 
         const oldVideo = currentPlaylist[currentIndex];
 
         // Update playlist in memory
-        const { validPlaylist } = cleanPlaylist(config.playlist);
-        currentPlaylist = validPlaylist;
+        loadPlaylist(config, onAirPlaylistId);
 
         // POINTER CORRECTION
         // Find where the currently playing video went
@@ -1262,16 +5165,154 @@ async function pollStreamConfig() {
             if (currentIndex >= currentPlaylist.length) currentIndex = 0;
           }
         }
+      }
+
+      if (config.play_mode !== lastConfig.play_mode) {
+        console.log(`🔀 Play mode: ${config.play_mode || 'sequential'}`);
+        resetPlayOrder();
+      }
 
-        lastConfig = config;
+      if (config.active_playlist_id !== lastConfig.active_playlist_id) {
+        // Applied by playNextVideo() at the next track boundary, unless a schedule block overrides it
+        console.log(`📋 Active playlist: "${getPlaylistName(config, config.active_playlist_id)}"`);
+      }
+
+      if (JSON.stringify(config.schedule || []) !== JSON.stringify(lastConfig.schedule || []) ||
+        config.schedule_timezone !== lastConfig.schedule_timezone) {
+        // Applied by playNextVideo() at the next track boundary
+        const playlistId = getScheduledPlaylistId(config);
+        console.log(`🗓️ Schedule updated (${getScheduleTimezone(config)}), now scheduled: "${getPlaylistName(config, playlistId)}"`);
+      }
+
+      // Filter commands to the running master, confirmed below
+      const liveChanges = [];
+      if (config.audio_volume !== lastConfig.audio_volume ||
+        config.audio_overlay_enabled !== lastConfig.audio_overlay_enabled) {
+        liveChanges.push(applyBedLevel(config, lastConfig));
+      }
+
+      if (JSON.stringify(config.overlays || {}) !== JSON.stringify(lastConfig.overlays || {})) {
+        liveChanges.push(applyOverlays(config, lastConfig));
+      }
+
+      if (config.transition_type !== lastConfig.transition_type ||
+        config.transition_duration !== lastConfig.transition_duration) {
+        // Picked up from the next cue on; no restart needed
+        console.log(`🎚️ Transition updated: ${config.transition_type || 'cut'} (${config.transition_duration || 3}s)`);
+      }
+
+      lastConfig = config;
+      // Background audio (the beds, their library entries or the playlist's own) is
+      // switched live, like everything above
+      syncBeds(config);
+      // The playlist, play mode or schedule may have changed what plays next
+      publishEvent('now-playing', getNowPlaying());
+
+      // A change the master did not take is applied the way a critical one is, by a
+      // restart, and only acknowledged once that has happened
+      const master = masterFfmpeg;
+      const failed = (await Promise.allSettled(liveChanges)).find(result => result.status === 'rejected');
+      if (failed && master && masterFfmpeg === master) {
+        console.log(`⚠️ ${failed.reason.message} - Restarting Stream...`);
+        stopStream();
+        setTimeout(refreshStreamConfig, MASTER_RESTART_DELAY_MS);
+        return;
       }
     }
 
+    await acknowledgeConfig(config);
   } catch (error) {
     console.error('Poll Error:', error);
   }
 } // End pollStreamConfig
 
+// =============================================================================
+// CONFIG UPDATES (REALTIME + POLLING FALLBACK)
+// =============================================================================
+//
+// Supabase Realtime pushes every write to stream_config, playlists and playlist_items,
+// and each one triggers an immediate re-read, so Publish, start and stop apply within
+// a second. Polling stays as the fallback: every POLL_INTERVAL while Realtime is down,
+// and every FALLBACK_POLL_INTERVAL while it is up, in case an event is ever missed.
+//
+// After applying a config the engine writes its revision back to applied_revision,
+// which is how the dashboard knows a publish has actually gone live.
+
+let realtimeConnected = false;
+let lastConfigRefreshAt = 0;
+let configRefreshRunning = null; // Promise of the refresh in flight
+let configRefreshQueued = false; // A change arrived while one was in flight
+let configRefreshTimer = null;
+let lastAckedRevision = null;
+
+/**
+ * Re-read and apply the config now. Never runs two at once: a request that comes in
+ * during a refresh queues exactly one more, so the newest change is always applied.
+ */
+function refreshStreamConfig() {
+  if (configRefreshRunning) {
+    configRefreshQueued = true;
+    return configRefreshRunning;
+  }
+
+  lastConfigRefreshAt = Date.now();
+  configRefreshRunning = pollStreamConfig().finally(() => {
+    configRefreshRunning = null;
+    if (configRefreshQueued) {
+      configRefreshQueued = false;
+      refreshStreamConfig();
+    }
+  });
+  return configRefreshRunning;
+}
+
+function scheduleConfigRefresh() {
+  clearTimeout(configRefreshTimer);
+  configRefreshTimer = setTimeout(refreshStreamConfig, CONFIG_EVENT_DEBOUNCE_MS);
+}
+
+/**
+ * Listen for config changes. The Realtime client rejoins on its own after a drop;
+ * polling covers the gap.
+ */
+function subscribeToConfigChanges() {
+  const channel = supabase.channel('stream-config-changes');
+  for (const table of ['stream_config', 'playlists', 'playlist_items', 'audio_tracks']) {
+    channel.on('postgres_changes', { event: '*', schema: 'public', table }, scheduleConfigRefresh);
+  }
+
+  channel.subscribe((status, err) => {
+    const connected = status === 'SUBSCRIBED';
+    if (connected && !realtimeConnected) {
+      console.log('⚡ Realtime config updates connected');
+      // Catch up on anything that changed while we were not listening
+      scheduleConfigRefresh();
+    } else if (!connected && realtimeConnected) {
+      console.log(`⚠️ Realtime config updates ${status}${err ? ` (${err.message})` : ''}, polling every ${POLL_INTERVAL / 1000}s`);
+    }
+    realtimeConnected = connected;
+  });
+}
+
+/**
+ * Tell the dashboard this config revision is now in effect
+ */
+async function acknowledgeConfig(config) {
+  if (config.revision == null || config.revision === lastAckedRevision) return;
+
+  const { error } = await supabase
+    .from('stream_config')
+    .update({ applied_revision: config.revision, applied_at: new Date().toISOString() })
+    .eq('id', config.id);
+
+  if (error) {
+    console.error('⚠️ Failed to acknowledge config revision:', error.message);
+    return;
+  }
+  lastAckedRevision = config.revision;
+  publishEvent('config', { revision: config.revision });
+}
+
 // =============================================================================
 // GRACEFUL SHUTDOWN
 // =============================================================================
@@ -1301,23 +5342,58 @@ app.listen(PORT, () => {
   console.log(`  📁 Videos:     ${VIDEOS_DIR}`);
   console.log(`  📸 Thumbnails: ${THUMBNAILS_DIR}`);
   console.log(`  🔊 Rain Audio: ${RAIN_AUDIO_PATH}`);
+  console.log(`  🎵 Audio:      ${AUDIO_DIR}`);
+  console.log(`  🖼️ Overlays:   ${OVERLAY_IMAGES_DIR}`);
   console.log('');
   console.log('  📡 Endpoints:');
-  console.log(`     POST   /upload         - Upload video`);
+  console.log(`     POST   /upload         - Upload video (queues a transcode job)`);
   console.log(`     GET    /videos         - List all videos`);
   console.log(`     DELETE /videos/:id     - Delete a video`);
+  console.log(`     POST   /uploads        - Start a resumable upload (PUT chunks, POST complete)`);
+  console.log(`     GET    /jobs/:id       - Transcode job progress`);
+  console.log(`     GET    /playlists      - List playlists (also POST, PATCH, PUT items, DELETE)`);
+  console.log(`     GET    /audio-tracks   - Background audio library (POST /upload-audio, PATCH, DELETE)`);
+  console.log(`     POST   /upload-overlay - Upload a logo for the watermark overlay`);
   console.log(`     GET    /stream/status  - Stream status`);
+  console.log(`     POST   /stream/start   - Start the broadcast (also /stream/stop)`);
+  console.log(`     GET    /stream/destinations - Simulcast health`);
+  console.log(`     GET    /preview/index.m3u8 - Low-bitrate HLS preview of the broadcast`);
+  console.log(`     GET    /stream/health  - Encoder and feeder health (also /metrics for Prometheus)`);
+  console.log(`     GET    /history        - Play history (also /history/stats)`);
+  console.log(`     GET    /events         - Live engine events (Server-Sent Events)`);
+  console.log(`     GET    /public/recently-played - Public recently played feed (no auth)`);
+  console.log(`     POST   /alerts/test    - Send a test alert to a webhook`);
   console.log(`     GET    /health         - Health check`);
   console.log('═══════════════════════════════════════════════════════════');
+  console.log(`  🔐 CORS origins: ${CORS_ORIGINS.join(', ')}`);
+  console.log(`  🔑 API tokens:   ${apiTokens.length}`);
   console.log('');
 });
 
-// Start polling for stream config
-console.log(`⏱️ Starting stream config polling (every ${POLL_INTERVAL / 1000}s)...`);
+// Resume any transcodes a restart interrupted
+loadJobs();
+pumpJobs();
+
+// Add audio files the library does not know about yet
+syncAudioLibrary();
+
+// Clear out resumable uploads that were never finished
+pruneUploadSessions();
+setInterval(pruneUploadSessions, 60 * 60 * 1000);
+
+// Start watching the stream config
+console.log(`⏱️ Starting stream config updates (Realtime, polling every ${POLL_INTERVAL / 1000}s until it connects)...`);
 console.log('⏳ Waiting for is_active to be true in stream_config table...\n');
 
-// Initial poll
-pollStreamConfig();
+// Nothing can go on air before the master has somewhere to connect for its inputs
+await listenForMasterInputs();
+subscribeToConfigChanges();
+
+// Initial read
+refreshStreamConfig();
 
-// Poll every 10 seconds
-setInterval(pollStreamConfig, POLL_INTERVAL);
+// Fallback polling, sparser while Realtime is delivering changes
+setInterval(() => {
+  const interval = realtimeConnected ? FALLBACK_POLL_INTERVAL : POLL_INTERVAL;
+  if (Date.now() - lastConfigRefreshAt >= interval - 1000) refreshStreamConfig();
+}, POLL_INTERVAL);
@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startServer, streamConfig, waitFor, TOKEN } from './helpers.js';
+
+// The API against the local database, no ffmpeg needed: nothing is put on air
+
+let server;
+const config = streamConfig();
+const videos = [
+  { id: 'v1', title: 'One', filename: 'one.mp4', duration: '3:00' },
+  { id: 'v2', title: 'Two', filename: 'two.mp4', duration: '4:00' }
+];
+
+before(async () => {
+  server = await startServer({ tables: { stream_config: [config], videos } });
+});
+
+after(() => server?.stop());
+
+test('boots without Supabase credentials and applies the config', async () => {
+  const health = await fetch(`${server.url}/health`).then(response => response.json());
+  assert.equal(health.status, 'ok');
+  assert.equal(health.isStreaming, false);
+  assert.match(server.logs(), /Using the local database/);
+
+  // The engine acknowledges the revision it has put into effect
+  await waitFor(() => server.readTables().stream_config[0].applied_revision === 0, { message: 'the config to be applied' });
+});
+
+test('rejects requests without a valid token', async () => {
+  assert.equal((await server.api('GET', '/videos', undefined, { token: null })).status, 401);
+  assert.equal((await server.api('GET', '/videos', undefined, { token: 'wrong' })).status, 401);
+  assert.equal((await server.api('GET', '/videos')).status, 200);
+});
+
+test('playlists are created, filled, reordered and deleted', async () => {
+  const created = await server.api('POST', '/playlists', { name: 'Evening', items: [{ video_id: 'v1' }] });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.items.map(item => item.id), ['v1']);
+  const { id } = created.body;
+
+  const reordered = await server.api('PUT', `/playlists/${id}/items`, {
+    items: [{ video_id: 'v2', volume: 60 }, { video_id: 'v1', weight: 2 }]
+  });
+  assert.equal(reordered.status, 200);
+  assert.deepEqual(reordered.body.items.map(item => [item.id, item.volume, item.weight]), [['v2', 60, 1], ['v1', 100, 2]]);
+
+  // Playlist edits only count as config changes for a config that plays the playlist
+  assert.equal(server.readTables().stream_config[0].revision, 0);
+
+  const listed = await server.api('GET', '/playlists');
+  assert.deepEqual(listed.body.map(playlist => playlist.name), ['Evening']);
+
+  assert.equal((await server.api('DELETE', `/playlists/${id}`)).status, 200);
+  assert.equal((await server.api('GET', `/playlists/${id}`)).status, 404);
+  assert.deepEqual(server.readTables().playlist_items, []);
+
+  const orphaned = await server.api('PUT', `/playlists/${id}/items`, { items: [{ video_id: 'v1' }] });
+  assert.equal(orphaned.status, 404);
+  assert.deepEqual(server.readTables().playlist_items, []);
+});
+
+test('the active playlist cannot be deleted', async () => {
+  const { body: playlist } = await server.api('POST', '/playlists', { name: 'On air' });
+  // Edit the file only once the server is done writing it, or the edit would be lost:
+  // the config acknowledged, and the new playlist (written just after the response) saved
+  await waitFor(() => {
+    const tables = server.readTables();
+    return tables.stream_config[0].applied_revision === tables.stream_config[0].revision &&
+      tables.playlists.some(row => row.id === playlist.id);
+  }, { message: 'the new playlist to be saved' });
+
+  // As if set in the Supabase dashboard, where the trigger bumps the revision
+  let revision;
+  server.updateTables(tables => {
+    const row = tables.stream_config[0];
+    row.active_playlist_id = playlist.id;
+    revision = ++row.revision;
+  });
+  await waitFor(() => server.readTables().stream_config[0].applied_revision >= revision, {
+    message: 'the server to pick up the edited file'
+  });
+
+  assert.equal((await server.api('DELETE', `/playlists/${playlist.id}`)).status, 409);
+
+  // Edits to the playlist on air are config changes
+  await server.api('PUT', `/playlists/${playlist.id}/items`, { items: [{ video_id: 'v1' }] });
+  await waitFor(() => server.readTables().stream_config[0].revision > revision, { message: 'the revision to go up' });
+});
+
+test('a repeated upload complete returns the same job', async () => {
+  const data = crypto.randomBytes(1024);
+  const { body: session } = await server.api('POST', '/uploads', { filename: 'retried.mp4', size: data.length, mimeType: 'video/mp4' });
+  const chunk = await fetch(`${server.url}/uploads/${session.uploadId}/chunks?offset=0`, {
+    method: 'PUT',
+    headers: {
+      Authorization: `Bearer ${TOKEN}`,
+      'Content-Type': 'application/octet-stream',
+      'X-Chunk-SHA256': crypto.createHash('sha256').update(data).digest('hex')
+    },
+    body: data
+  });
+  assert.equal(chunk.status, 200);
+
+  // As from a client that retried while the first request was still assembling
+  const route = `/uploads/${session.uploadId}/complete`;
+  const [first, second] = await Promise.all([server.api('POST', route), server.api('POST', route)]);
+  assert.deepEqual([first.status, second.status], [202, 202]);
+  assert.equal(second.body.jobId, first.body.jobId);
+
+  // And after it finished, as from a client that never saw the response
+  const retried = await server.api('POST', route);
+  assert.equal(retried.status, 202);
+  assert.equal(retried.body.jobId, first.body.jobId);
+  assert.equal((await server.api('GET', `/uploads/${session.uploadId}`)).body.jobId, first.body.jobId);
+});
+
+test('URL imports reject malformed fields before touching storage', async () => {
+  for (const body of [
+    { filename: 42 },
+    { filename: { name: 'clip.mp4' } },
+    { filename: '../videos/clip.mp4' },
+    { filename: '/clip.mp4' },
+    { filename: 'nested//clip.mp4' },
+    { filename: 'clip.mp4', originalName: ['clip.mp4'] },
+    { filename: 'clip.mp4', title: 7 },
+    { url: { href: 'https://example.com/clip.mp4' } }
+  ]) {
+    const response = await server.api('POST', '/upload-from-url', body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+  }
+  assert.equal((await server.api('GET', '/jobs')).body.filter(job => job.type === 'url').length, 0);
+
+  // The server is still up
+  assert.equal((await server.api('GET', '/videos')).status, 200);
+});
+
+test('history only filters by a well-formed video id', async () => {
+  assert.equal((await server.api('GET', '/history?videoId=not-a-uuid')).status, 400);
+  assert.equal((await server.api('GET', '/history?videoId=a&videoId=b')).status, 400);
+
+  const filtered = await server.api('GET', `/history?videoId=${crypto.randomUUID()}`);
+  assert.equal(filtered.status, 200);
+  assert.deepEqual(filtered.body.items, []);
+  assert.equal((await server.api('GET', '/history?videoId=')).status, 200);
+});
@@ -0,0 +1,300 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import {
+  startServer, streamConfig, playlistRows, makeClip, makeTempDir, probe, waitFor, sleep, skipWithoutFfmpeg
+} from './helpers.js';
+
+// The DJ engine end to end: real feeders and master encode, output to a file sink
+
+const skip = skipWithoutFfmpeg;
+const ENGINE_TEST_TIMEOUT_MS = 120000;
+
+let clipDir;
+
+// Long enough that nothing ends on its own during a test, unless the test wants it to
+const LONG_SECONDS = 40;
+const SHORT_SECONDS = 3;
+
+before(() => {
+  if (skip) return;
+  clipDir = makeTempDir();
+  for (const [index, name] of ['one', 'two', 'three'].entries()) {
+    makeClip(path.join(clipDir, `${name}.mp4`), { seconds: LONG_SECONDS, frequency: 330 + index * 110 });
+    makeClip(path.join(clipDir, `${name}-short.mp4`), { seconds: SHORT_SECONDS, frequency: 330 + index * 110 });
+  }
+  spawnSync('ffmpeg', ['-y', '-v', 'error', '-f', 'lavfi', '-i', 'color=red:size=32x32', '-frames:v', '1', path.join(clipDir, 'logo.png')]);
+  spawnSync('ffmpeg', ['-y', '-v', 'error', '-f', 'lavfi', '-i', 'sine=frequency=220:duration=10', '-c:a', 'aac', path.join(clipDir, 'bed.m4a')]);
+});
+
+after(() => {
+  if (clipDir) fs.rmSync(clipDir, { recursive: true, force: true });
+});
+
+/**
+ * Start a server with `count` clips in the active playlist, on air unless `active` is false.
+ * `missing` names clips that are in the library but not on disk.
+ */
+async function startEngine(t, { short = false, missing = [], active = true, files = {}, config = {}, tables = {} } = {}) {
+  const seconds = short ? SHORT_SECONDS : LONG_SECONDS;
+  const videos = ['one', 'two', 'three'].map(name => ({
+    id: name,
+    title: name[0].toUpperCase() + name.slice(1),
+    filename: `${name}${short ? '-short' : ''}.mp4`,
+    duration: `0:${String(seconds).padStart(2, '0')}`
+  }));
+  const { playlist, items } = playlistRows(videos);
+  const sinkDir = makeTempDir();
+
+  const clips = {};
+  for (const video of videos) {
+    if (missing.includes(video.id)) continue;
+    clips[`public/videos/${video.filename}`] = { copy: path.join(clipDir, video.filename) };
+  }
+
+  const server = await startServer({
+    tables: {
+      stream_config: [streamConfig({ sinkDir, is_active: active, active_playlist_id: playlist.id, ...config })],
+      videos,
+      playlists: [playlist],
+      playlist_items: items,
+      ...tables
+    },
+    files: { ...clips, ...files }
+  });
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(sinkDir, { recursive: true, force: true });
+  });
+
+  server.playlistId = playlist.id;
+  server.sinkFile = path.join(sinkDir, 'sink.flv');
+  return server;
+}
+
+/**
+ * Wait until `id` is on air with its feeder running, and return /now-playing
+ */
+function waitForOnAir(server, id, { after: minElapsed = 0 } = {}) {
+  return waitFor(async () => {
+    const nowPlaying = await server.nowPlaying();
+    return nowPlaying.current?.id === id && nowPlaying.startedAt && nowPlaying.elapsedSeconds >= minElapsed && nowPlaying;
+  }, { timeout: 60000, message: `"${id}" to be on air` });
+}
+
+/**
+ * Wait until the encoder is on air and running its filter graph, which is when it
+ * takes filter commands
+ */
+async function waitForEncoder(server) {
+  await waitForOnAir(server, 'one');
+  await waitFor(async () => (await server.api('GET', '/stream/health')).body.master?.frame > 0, {
+    message: 'the encoder to produce frames'
+  });
+}
+
+/**
+ * Change stream_config as the dashboard's Publish does, wait for the engine to apply
+ * it, and return /stream/health
+ */
+async function publish(server, change) {
+  let revision;
+  server.updateTables(tables => {
+    const row = tables.stream_config[0];
+    Object.assign(row, change);
+    revision = ++row.revision;
+  });
+  await waitFor(() => server.readTables().stream_config[0].applied_revision >= revision, {
+    message: `revision ${revision} to be applied`
+  });
+  return (await server.api('GET', '/stream/health')).body;
+}
+
+test('tracks whose file is missing are left out of the rotation', { skip, timeout: ENGINE_TEST_TIMEOUT_MS }, async (t) => {
+  const server = await startEngine(t, { short: true, missing: ['two'] });
+
+  const first = await waitForOnAir(server, 'one');
+  assert.equal(first.total, 2);
+  assert.equal(first.next.id, 'three');
+  await waitForOnAir(server, 'three');
+  await waitForOnAir(server, 'one');
+
+  assert.match(server.logs(), /Removing missing file from playlist: Two/);
+  const cued = server.readTables().play_history.map(row => row.video_id);
+  assert.ok(!cued.includes('two'), `"two" was never cued (cued: ${cued.join(', ')})`);
+});
+
+test('skip moves to the next and previous track', { skip, timeout: ENGINE_TEST_TIMEOUT_MS }, async (t) => {
+  const server = await startEngine(t);
+  await waitForOnAir(server, 'one', { after: 1 });
+
+  const next = await server.api('POST', '/control/skip', { direction: 'next' });
+  assert.deepEqual(next.body, { success: true, newIndex: 1 });
+  const two = await waitForOnAir(server, 'two');
+  assert.ok(two.elapsedSeconds < 5, 'the skipped-to track starts from the top');
+
+  const previous = await server.api('POST', '/control/skip', { direction: 'previous' });
+  assert.equal(previous.body.newIndex, 0);
+  await waitForOnAir(server, 'one');
+
+  assert.equal((await server.api('POST', '/control/skip', { direction: 'sideways' })).status, 400);
+
+  const history = server.readTables().play_history.sort((a, b) => a.started_at.localeCompare(b.started_at));
+  assert.deepEqual(history.map(row => [row.video_id, row.end_reason]).slice(0, 2), [['one', 'skipped'], ['two', 'skipped']]);
+});
+
+test('skip is refused while off air', { skip, timeout: ENGINE_TEST_TIMEOUT_MS }, async (t) => {
+  const server = await startEngine(t, { active: false });
+  const response = await server.api('POST', '/control/skip', { direction: 'next' });
+  assert.equal(response.status, 400);
+});
+
+test('reordering the playlist on air keeps the current track playing', { skip, timeout: ENGINE_TEST_TIMEOUT_MS }, async (t) => {
+  const server = await startEngine(t);
+  const before = await waitForOnAir(server, 'one', { after: 1 });
+  assert.equal(before.index, 0);
+
+  const reordered = await server.api('PUT', `/playlists/${server.playlistId}/items`, {
+    items: [{ video_id: 'three' }, { video_id: 'two' }, { video_id: 'one' }]
+  });
+  assert.equal(reordered.status, 200);
+
+  // The pointer follows the track to its new position, without cutting it off
+  const after = await waitFor(async () => {
+    const nowPlaying = await server.nowPlaying();
+    return nowPlaying.index === 2 && nowPlaying;
+  }, { message: 'the pointer correction' });
+  assert.equal(after.current.id, 'one');
+  assert.equal(after.next.id, 'three', 'sequential play wraps to the new first track');
+  assert.ok(after.elapsedSeconds >= before.elapsedSeconds, 'the track was not restarted');
+  assert.match(server.logs(), /Pointer Correction: Index moved from 0 to 2/);
+});
+
+test('a restart picks the interrupted track back up where it was', { skip, timeout: ENGINE_TEST_TIMEOUT_MS }, async (t) => {
+  // "two" was 3s in when it was last cued, 5s before the restart
+  const server = await startEngine(t, {
+    files: { 'stream_state.json': { lastPlayedVideoId: 'two', timestamp: Date.now() - 5000, seekSeconds: 3 } }
+  });
+
+  const resumed = await waitForOnAir(server, 'two');
+  assert.ok(resumed.elapsedSeconds >= 8 && resumed.elapsedSeconds < 20, `resumed at ${resumed.elapsedSeconds}s`);
+
+  const [row] = server.readTables().play_history;
+  assert.equal(row.video_id, 'two');
+  assert.ok(row.start_offset_seconds >= 8, `play history records the resume point (${row.start_offset_seconds}s)`);
+
+  // A second restart must not rewind to the first one's point
+  const state = JSON.parse(fs.readFileSync(path.join(server.dataDir, 'stream_state.json'), 'utf8'));
+  assert.equal(state.lastPlayedVideoId, 'two');
+  assert.ok(state.seekSeconds >= 8);
+});
+
+test('a restart moves on when the interrupted track had nearly finished', { skip, timeout: ENGINE_TEST_TIMEOUT_MS }, async (t) => {
+  const server = await startEngine(t, {
+    files: { 'stream_state.json': { lastPlayedVideoId: 'two', timestamp: Date.now(), seekSeconds: LONG_SECONDS - 10 } }
+  });
+
+  const nowPlaying = await waitForOnAir(server, 'three');
+  assert.ok(nowPlaying.elapsedSeconds < 10, 'the next track starts from the top');
+});
+
+test('the output timeline runs on across feeder handoffs', { skip, timeout: ENGINE_TEST_TIMEOUT_MS }, async (t) => {
+  const server = await startEngine(t, { short: true });
+
+  // Three handoffs: one -> two -> three -> one
+  await waitForOnAir(server, 'two');
+  await waitForOnAir(server, 'three');
+  await waitForOnAir(server, 'one', { after: 1 });
+  await sleep(1000); // Let the sink catch up with the encode
+
+  const { packets } = probe(server.sinkFile, ['-show_entries', 'packet=codec_type,dts_time']);
+  for (const type of ['video', 'audio']) {
+    const times = packets.filter(packet => packet.codec_type === type).map(packet => parseFloat(packet.dts_time));
+    assert.ok(times.length > 0, `the sink has ${type}`);
+
+    let largestGap = 0;
+    for (let i = 1; i < times.length; i++) {
+      assert.ok(times[i] >= times[i - 1], `${type} timestamps go backwards at ${times[i - 1]}s -> ${times[i]}s`);
+      largestGap = Math.max(largestGap, times[i] - times[i - 1]);
+    }
+    assert.ok(largestGap < 0.25, `${type} has a ${largestGap.toFixed(3)}s hole`);
+    assert.ok(times[times.length - 1] - times[0] > SHORT_SECONDS * 3, `${type} spans all three tracks`);
+  }
+});
+
+test('background audio changes reach the running encoder', { skip, timeout: ENGINE_TEST_TIMEOUT_MS }, async (t) => {
+  const server = await startEngine(t, { config: { audio_overlay_enabled: true, audio_volume: 35 } });
+  await waitForEncoder(server);
+
+  const afterVolume = await publish(server, { audio_volume: 80 });
+  assert.match(server.logs(), /Encoder applied volume@bed volume 0\.80/);
+  assert.equal(afterVolume.masterStarts, 1, 'the volume changed without a restart');
+
+  // ffmpeg before 4.4 cannot change amix weights live; then the encoder is restarted
+  // with the bed off rather than the change being acknowledged and lost
+  const afterOff = await publish(server, { audio_overlay_enabled: false });
+  if (/Encoder applied amix@mix weights 1 0/.test(server.logs())) {
+    assert.equal(afterOff.masterStarts, 1);
+  } else {
+    assert.match(server.logs(), /The encoder refused amix@mix weights 1 0/);
+    assert.equal(afterOff.masterStarts, 2);
+    assert.match(server.logs(), /Background Audio: Disabled/);
+  }
+});
+
+test('the beds come from the library tracks the config names', { skip, timeout: ENGINE_TEST_TIMEOUT_MS }, async (t) => {
+  const server = await startEngine(t, {
+    config: { audio_overlay_enabled: true, audio_bed_ids: ['waves'] },
+    tables: {
+      audio_tracks: [
+        { id: 'rain', title: 'Rain', filename: 'rain.m4a', duration_seconds: 10, loudness_lufs: null, tags: [] },
+        { id: 'waves', title: 'Waves', filename: 'waves.m4a', duration_seconds: 10, loudness_lufs: null, tags: [] }
+      ]
+    },
+    files: {
+      'public/audio/rain.m4a': { copy: path.join(clipDir, 'bed.m4a') },
+      'public/audio/waves.m4a': { copy: path.join(clipDir, 'bed.m4a') }
+    }
+  });
+  await waitForEncoder(server);
+  assert.match(server.logs(), /Background audio \(single\): Waves\n/);
+
+  // A playlist's own bed takes over while it is on air
+  server.updateTables(tables => { tables.playlists[0].audio_track_id = 'rain'; });
+  await waitFor(() => /Background audio \(single\): Rain\n/.test(server.logs()), { message: 'the playlist bed' });
+});
+
+test('text overlays are switched on the running encoder', { skip, timeout: ENGINE_TEST_TIMEOUT_MS }, async (t) => {
+  const server = await startEngine(t);
+  await waitForEncoder(server);
+
+  const health = await publish(server, { overlays: { ticker: { enabled: true, text: 'Live from the test suite' } } });
+  assert.match(server.logs(), /Encoder applied drawtext@ticker enable 1/);
+  assert.equal(health.masterStarts, 1, 'the ticker came on without a restart');
+  assert.equal(fs.readFileSync(path.join(server.dataDir, 'overlay_text', 'ticker.txt'), 'utf8'), 'Live from the test suite');
+});
+
+test('changing the overlay logo restarts the encoder, and only then', { skip, timeout: ENGINE_TEST_TIMEOUT_MS }, async (t) => {
+  const logo = { enabled: true, file: 'logo.png', position: 'top-right', opacity: 0.8 };
+  const server = await startEngine(t, {
+    config: { overlays: { logo } },
+    files: { 'public/overlays/logo.png': { copy: path.join(clipDir, 'logo.png') } }
+  });
+  await waitForEncoder(server);
+
+  // The ticker is live; the logo is baked into the encode when it starts
+  const afterTicker = await publish(server, { overlays: { logo, ticker: { enabled: true, text: 'Ticker' } } });
+  assert.equal(afterTicker.masterStarts, 1);
+
+  const afterLogo = await publish(server, { overlays: { logo: { ...logo, opacity: 0.5 }, ticker: { enabled: true, text: 'Ticker' } } });
+  assert.equal(afterLogo.masterStarts, 2);
+  assert.match(server.logs(), /Critical Configuration Changed \(overlay logo\)/);
+});
+
+test('the first cue of a track already plans its transition out', { skip, timeout: ENGINE_TEST_TIMEOUT_MS }, async (t) => {
+  const server = await startEngine(t, { config: { transition_type: 'dissolve', transition_duration: 2 } });
+  await waitForOnAir(server, 'one');
+  assert.match(server.logs(), /Crossfade into the next track over the last 2s/);
+});
@@ -0,0 +1,236 @@
+/**
+ * Shared fixtures for the server tests: a server.js process running offline (local
+ * database file, scratch DATA_DIR, file sink instead of an ingest) and generated clips
+ */
+
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn, spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_FILE = path.join(__dirname, '..', 'server.js');
+const BOOT_TIMEOUT_MS = 15000;
+const STOP_TIMEOUT_MS = 5000;
+
+export const TOKEN = 'test-admin-token';
+
+// The engine tests need a real ffmpeg; without one they are skipped
+export const hasFfmpeg = ['ffmpeg', 'ffprobe'].every(tool => spawnSync(tool, ['-version']).status === 0);
+export const skipWithoutFfmpeg = hasFfmpeg ? false : 'ffmpeg and ffprobe are not on PATH';
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Poll `check` until it returns something truthy, and return that
+ */
+export async function waitFor(check, { timeout = 30000, interval = 250, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+  let lastError = null;
+  while (Date.now() < deadline) {
+    try {
+      const result = await check();
+      if (result) return result;
+    } catch (error) {
+      lastError = error;
+    }
+    await sleep(interval);
+  }
+  throw new Error(`Timed out after ${timeout}ms waiting for ${message}${lastError ? ` (${lastError.message})` : ''}`);
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+export function makeTempDir(prefix = 'streamflow-test-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+/**
+ * Generate a test-pattern clip: H.264 with a 2s GOP and AAC, by default 44.1kHz stereo
+ * like a normalized upload, and small so it encodes quickly. `frequency` is the tone.
+ */
+export function makeClip(filePath, { seconds = 5, size = '320x180', rate = 30, frequency = 440, sampleRate = 44100, channels = 2 } = {}) {
+  const result = spawnSync('ffmpeg', [
+    '-y', '-v', 'error',
+    '-f', 'lavfi', '-i', `testsrc=size=${size}:rate=${rate}:duration=${seconds}`,
+    '-f', 'lavfi', '-i', `sine=frequency=${frequency}:sample_rate=${sampleRate}:duration=${seconds}`,
+    '-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p', '-g', String(rate * 2),
+    '-c:a', 'aac', '-ar', String(sampleRate), '-ac', String(channels),
+    '-shortest', filePath
+  ], { encoding: 'utf8' });
+  if (result.status !== 0) throw new Error(`Could not generate ${filePath}: ${result.stderr}`);
+  return filePath;
+}
+
+/**
+ * ffprobe's JSON for `filePath`, with whatever `-show_*` options are asked for
+ */
+export function probe(filePath, args = ['-show_streams', '-show_format']) {
+  const result = spawnSync('ffprobe', ['-v', 'error', '-of', 'json', ...args, filePath], {
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024
+  });
+  if (result.status !== 0) throw new Error(`ffprobe failed on ${filePath}: ${result.stderr}`);
+  return JSON.parse(result.stdout);
+}
+
+/**
+ * A stream_config row for tests: nothing on air, a 480p encode to keep the machine
+ * free, and (with `sinkDir`) the output written to sinkDir/sink.flv through a regular
+ * destination, in place of an RTMP ingest
+ */
+export function streamConfig({ sinkDir, ...overrides } = {}) {
+  return {
+    id: crypto.randomUUID(),
+    is_active: false,
+    revision: 0,
+    resolution: '480p',
+    frame_rate: 30,
+    bitrate: 800,
+    audio_bitrate: 128,
+    play_mode: 'sequential',
+    transition_type: 'cut',
+    audio_overlay_enabled: false,
+    preview_enabled: false,
+    active_playlist_id: null,
+    schedule: [],
+    overlays: {},
+    destinations: sinkDir
+      ? [{ id: 'sink', name: 'Sink', rtmp_url: `file:${sinkDir}`, stream_key: 'sink.flv', enabled: true }]
+      : [],
+    ...overrides
+  };
+}
+
+/**
+ * Rows for a playlist of `videos` (rows of the videos table)
+ */
+export function playlistRows(videos, { name = 'Main', id = crypto.randomUUID() } = {}) {
+  return {
+    playlist: { id, name, audio_track_id: null, created_at: new Date().toISOString(), updated_at: new Date().toISOString() },
+    items: videos.map((video, position) => ({
+      id: crypto.randomUUID(), playlist_id: id, video_id: video.id, position, volume: 100, weight: 1
+    }))
+  };
+}
+
+/**
+ * Start server.js against a scratch DATA_DIR and a local database seeded with `tables`.
+ * `files` maps paths under DATA_DIR to contents (or to a source path with { copy }).
+ */
+export async function startServer({ tables = {}, files = {}, env = {} } = {}) {
+  const dataDir = makeTempDir();
+  const dbFile = path.join(dataDir, 'db.json');
+  fs.writeFileSync(dbFile, JSON.stringify(tables, null, 2));
+
+  for (const [relative, content] of Object.entries(files)) {
+    const target = path.join(dataDir, relative);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    if (content && content.copy) fs.copyFileSync(content.copy, target);
+    else fs.writeFileSync(target, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER_FILE], {
+    cwd: dataDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      SUPABASE_URL: `file:${dbFile}`,
+      SUPABASE_SERVICE_KEY: '',
+      API_TOKENS: `admin:${TOKEN}`,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+
+  const server = {
+    url,
+    dataDir,
+    dbFile,
+    child,
+    logs: () => output,
+
+    /**
+     * A request as the admin token: { status, body }
+     */
+    async api(method, route, body, { token = TOKEN } = {}) {
+      const headers = token ? { Authorization: `Bearer ${token}` } : {};
+      let payload;
+      if (body instanceof FormData) {
+        payload = body;
+      } else if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        payload = JSON.stringify(body);
+      }
+      const response = await fetch(`${url}${route}`, { method, headers, body: payload });
+      const text = await response.text();
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        json = text;
+      }
+      return { status: response.status, body: json };
+    },
+
+    readTables: () => JSON.parse(fs.readFileSync(dbFile, 'utf8')),
+
+    /**
+     * Change rows behind the server's back, like an edit in the Supabase dashboard
+     */
+    updateTables(change) {
+      const tables = server.readTables();
+      change(tables);
+      fs.writeFileSync(`${dbFile}.edit`, JSON.stringify(tables, null, 2));
+      fs.renameSync(`${dbFile}.edit`, dbFile);
+    },
+
+    nowPlaying: () => server.api('GET', '/now-playing').then(({ body }) => body),
+
+    async stop() {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill('SIGTERM'); // Lets the server stop its ffmpeg processes
+        const timer = setTimeout(() => child.kill('SIGKILL'), STOP_TIMEOUT_MS);
+        await exited;
+        clearTimeout(timer);
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+
+  try {
+    await waitFor(async () => {
+      if (child.exitCode !== null) throw new Error(`server exited with code ${child.exitCode}`);
+      return (await fetch(`${url}/health`)).ok;
+    }, { timeout: BOOT_TIMEOUT_MS, message: 'the server to start' });
+  } catch (error) {
+    await server.stop();
+    throw new Error(`${error.message}\n${output}`);
+  }
+
+  return server;
+}
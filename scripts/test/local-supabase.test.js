@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createLocalSupabase } from '../local-supabase.js';
+import { makeTempDir, sleep } from './helpers.js';
+
+function seededClient(tables) {
+  const dir = makeTempDir();
+  const file = path.join(dir, 'db.json');
+  fs.writeFileSync(file, JSON.stringify(tables));
+  const client = createLocalSupabase(file);
+  client.cleanup = async () => {
+    await sleep(20); // Let the last write reach the file
+    fs.unwatchFile(file);
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  return { client, file };
+}
+
+const seed = () => ({
+  stream_config: [{ id: 'cfg', revision: 3, is_active: false, active_playlist_id: 'p1' }],
+  videos: [
+    { id: 'v1', title: 'One', filename: 'one.mp4' },
+    { id: 'v2', title: 'Two', filename: 'two.mp4' }
+  ],
+  playlists: [{ id: 'p1', name: 'Main', audio_track_id: null, created_at: '2026-01-01T00:00:00Z' }],
+  playlist_items: [
+    { id: 'i1', playlist_id: 'p1', video_id: 'v2', position: 1, volume: 100, weight: 1 },
+    { id: 'i2', playlist_id: 'p1', video_id: 'v1', position: 0, volume: 80, weight: 1 }
+  ]
+});
+
+test('selects embed related rows both ways', async (t) => {
+  const { client } = seededClient(seed());
+  t.after(() => client.cleanup());
+
+  const { data, error } = await client
+    .from('playlists')
+    .select('id, name, playlist_items(position, volume, videos(*))')
+    .order('created_at', { ascending: true });
+
+  assert.equal(error, null);
+  assert.equal(data.length, 1);
+  const items = data[0].playlist_items.sort((a, b) => a.position - b.position);
+  assert.deepEqual(items.map(item => item.videos.title), ['One', 'Two']);
+  assert.equal(items[0].volume, 80);
+  assert.equal(data[0].created_at, undefined, 'only the selected columns come back');
+});
+
+test('single() fails the way PostgREST does when there is not exactly one row', async (t) => {
+  const { client } = seededClient(seed());
+  t.after(() => client.cleanup());
+
+  const none = await client.from('videos').select('*').eq('id', 'missing').single();
+  assert.equal(none.error.code, 'PGRST116');
+
+  const many = await client.from('videos').select('*').single();
+  assert.equal(many.error.code, 'PGRST116');
+
+  const maybe = await client.from('videos').select('*').eq('id', 'missing').maybeSingle();
+  assert.deepEqual([maybe.data, maybe.error], [null, null]);
+});
+
+test('writes return rows only when selected, and are saved to the file', async (t) => {
+  const { client, file } = seededClient(seed());
+  t.after(() => client.cleanup());
+
+  const plain = await client.from('videos').insert({ title: 'Three', filename: 'three.mp4' });
+  assert.deepEqual([plain.data, plain.error], [null, null]);
+
+  const { data } = await client.from('videos').insert({ title: 'Four', filename: 'four.mp4' }).select().single();
+  assert.equal(data.title, 'Four');
+  assert.ok(data.id && data.created_at, 'defaults are filled in');
+
+  await sleep(50);
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(saved.videos.map(video => video.title), ['One', 'Two', 'Three', 'Four']);
+});
+
+test('config and playlist changes bump the revision, bookkeeping does not', async (t) => {
+  const { client } = seededClient(seed());
+  t.after(() => client.cleanup());
+  const revision = async () => (await client.from('stream_config').select('revision').single()).data.revision;
+
+  await client.from('stream_config').update({ applied_revision: 3, applied_at: new Date().toISOString() }).eq('id', 'cfg');
+  assert.equal(await revision(), 3);
+
+  await client.from('stream_config').update({ is_active: true }).eq('id', 'cfg');
+  assert.equal(await revision(), 4);
+
+  await client.from('playlists').update({ name: 'Renamed' }).eq('id', 'p1');
+  assert.equal(await revision(), 5);
+
+  // Only for the playlists the config plays: active or in a schedule block
+  await client.from('playlists').insert({ id: 'p2', name: 'Evening' });
+  await client.from('playlist_items').insert({ playlist_id: 'p2', video_id: 'v1', position: 0 });
+  assert.equal(await revision(), 5);
+
+  await client.from('stream_config').update({ schedule: [{ id: 'b1', playlist_id: 'p2', days: [0], start: '18:00', end: '22:00', enabled: true }] }).eq('id', 'cfg');
+  assert.equal(await revision(), 6);
+  await client.from('playlist_items').update({ volume: 50 }).eq('playlist_id', 'p2');
+  assert.equal(await revision(), 7);
+});
+
+test('replace_playlist_items swaps the items in order and skips unknown videos', async (t) => {
+  const { client } = seededClient(seed());
+  t.after(() => client.cleanup());
+
+  const { error } = await client.rpc('replace_playlist_items', {
+    p_playlist_id: 'p1',
+    p_items: [{ video_id: 'v2', weight: 3 }, { video_id: 'gone' }, { video_id: 'v1', volume: 50 }]
+  });
+  assert.equal(error, null);
+
+  const { data } = await client.from('playlist_items').select('video_id, position, volume, weight').order('position');
+  assert.deepEqual(data, [
+    { video_id: 'v2', position: 0, volume: 100, weight: 3 },
+    { video_id: 'v1', position: 2, volume: 50, weight: 1 }
+  ]);
+});
+
+test('deletes cascade along foreign keys', async (t) => {
+  const { client } = seededClient(seed());
+  t.after(() => client.cleanup());
+
+  await client.from('videos').delete().eq('id', 'v1');
+  const items = await client.from('playlist_items').select('id');
+  assert.deepEqual(items.data, [{ id: 'i1' }]);
+
+  await client.from('playlists').delete().eq('id', 'p1');
+  const config = await client.from('stream_config').select('active_playlist_id').single();
+  assert.equal(config.data.active_playlist_id, null);
+  assert.equal((await client.from('playlist_items').select('id')).data.length, 0);
+});
+
+test('filters, counts and the play_history_stats view', async (t) => {
+  const { client } = seededClient({
+    ...seed(),
+    play_history: [
+      { id: 'h1', video_id: 'v1', title: 'One', started_at: '2026-01-01T00:00:00Z', ended_at: '2026-01-01T00:03:00Z', end_reason: 'finished' },
+      { id: 'h2', video_id: 'v1', title: 'One (live)', started_at: '2026-01-02T00:00:00Z', ended_at: '2026-01-02T00:01:00Z', end_reason: 'skipped' },
+      { id: 'h3', video_id: 'v2', title: 'Two', started_at: '2026-01-03T00:00:00Z', ended_at: null, end_reason: 'failed' },
+      { id: 'h4', video_id: 'v2', title: 'Two', started_at: '2026-01-04T00:00:00Z', ended_at: null, end_reason: null }
+    ]
+  });
+  t.after(() => client.cleanup());
+
+  const page = await client.from('play_history').select('*', { count: 'exact' }).order('started_at', { ascending: false }).range(0, 1);
+  assert.equal(page.count, 4);
+  assert.deepEqual(page.data.map(row => row.id), ['h4', 'h3']);
+
+  const recent = await client.from('play_history').select('title, videos(filename)').or('end_reason.is.null,end_reason.neq.failed');
+  assert.deepEqual(recent.data.map(row => row.videos.filename), ['one.mp4', 'one.mp4', 'two.mp4']);
+
+  const { data: stats } = await client.from('play_history_stats').select('*').eq('video_id', 'v1').single();
+  assert.equal(stats.title, 'One (live)');
+  assert.equal(stats.play_count, 2);
+  assert.equal(stats.finished_count, 1);
+  assert.equal(stats.airtime_seconds, 240);
+});
+
+test('channels hear about writes', async (t) => {
+  const { client } = seededClient(seed());
+  t.after(() => client.cleanup());
+
+  const events = [];
+  const statuses = [];
+  const channel = client.channel('changes')
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'playlist_items' }, payload => events.push(payload))
+    .subscribe(status => statuses.push(status));
+
+  await client.from('playlist_items').delete().eq('id', 'i1');
+  await sleep(20);
+  assert.deepEqual(statuses, ['SUBSCRIBED']);
+  assert.deepEqual(events.map(event => [event.eventType, event.old.id]), [['DELETE', 'i1']]);
+
+  await client.removeChannel(channel);
+  await client.from('playlist_items').delete().eq('id', 'i2');
+  await sleep(20);
+  assert.equal(events.length, 1);
+});
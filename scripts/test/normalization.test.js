@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startServer, streamConfig, makeClip, makeTempDir, probe, waitFor, skipWithoutFfmpeg } from './helpers.js';
+
+// Uploads come out as what the feeders expect: 1080p30 H.264 with a 2s GOP, AAC 44.1kHz stereo
+
+let server;
+let clipDir;
+
+before(async () => {
+  if (skipWithoutFfmpeg) return;
+  clipDir = makeTempDir();
+  server = await startServer({ tables: { stream_config: [streamConfig()] } });
+});
+
+after(async () => {
+  await server?.stop();
+  if (clipDir) fs.rmSync(clipDir, { recursive: true, force: true });
+});
+
+test('an upload is normalized and added to the library', { skip: skipWithoutFfmpeg, timeout: 180000 }, async () => {
+  // 4:3, 25fps, mono 48kHz: nothing like the target
+  const source = makeClip(path.join(clipDir, 'My_Upload-take 2.mp4'), {
+    seconds: 4, size: '640x480', rate: 25, sampleRate: 48000, channels: 1
+  });
+
+  const form = new FormData();
+  form.append('video', new Blob([fs.readFileSync(source)], { type: 'video/mp4' }), path.basename(source));
+  const upload = await server.api('POST', '/upload', form);
+  assert.equal(upload.status, 202);
+
+  const job = await waitFor(async () => {
+    const { body } = await server.api('GET', `/jobs/${upload.body.jobId}`);
+    if (body.status === 'failed') throw new Error(body.error);
+    return body.status === 'completed' && body;
+  }, { timeout: 170000, interval: 1000, message: 'the transcode job' });
+
+  assert.equal(job.video.title, 'My Upload take 2');
+  const [row] = server.readTables().videos;
+  assert.equal(row.filename, job.video.filename);
+  assert.match(row.duration, /^0:0[34]$/);
+
+  const file = path.join(server.dataDir, 'public', 'videos', row.filename);
+  const { streams } = probe(file);
+  const video = streams.find(stream => stream.codec_type === 'video');
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  assert.deepEqual([video.codec_name, video.width, video.height, video.r_frame_rate], ['h264', 1920, 1080, '30/1']);
+  assert.deepEqual([audio.codec_name, audio.sample_rate, audio.channels], ['aac', '44100', 2]);
+
+  // A keyframe every 2 seconds
+  const { frames } = probe(file, ['-select_streams', 'v', '-skip_frame', 'nokey', '-show_entries', 'frame=pkt_pts_time,best_effort_timestamp_time']);
+  const keyframes = frames.map(frame => parseFloat(frame.best_effort_timestamp_time ?? frame.pkt_pts_time));
+  assert.deepEqual(keyframes.map(seconds => Math.round(seconds)), [0, 2]);
+
+  assert.ok(fs.existsSync(path.join(server.dataDir, 'public', 'thumbnails', row.filename.replace(/\.mp4$/, '.jpg'))));
+  const tempDir = path.join(server.dataDir, 'public', 'temp');
+  await waitFor(() => fs.readdirSync(tempDir).every(name => name === 'uploads'), {
+    timeout: 5000, message: 'the raw upload to be cleaned up'
+  });
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The dashboard's warnings about encoder restarts against what the engine restarts for.
+// Neither file can import the other, so they are compared as source.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const serverSource = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+const publishDiffSource = fs.readFileSync(path.join(__dirname, '..', '..', 'lib', 'publish-diff.ts'), 'utf8');
+
+/**
+ * The string items of the array literal assigned to `name` in `source`
+ */
+function readList(source, name) {
+  const match = new RegExp(`const ${name} = \\[([^\\]]*)\\]`).exec(source);
+  assert.ok(match, `${name} is an array literal`);
+  return [...match[1].matchAll(/'([^']+)'/g)].map(([, item]) => item);
+}
+
+test('the dashboard warns about the fields the engine restarts for', () => {
+  const server = readList(serverSource, 'MASTER_RESTART_FIELDS');
+  assert.ok(server.length > 0);
+  assert.deepEqual(readList(publishDiffSource, 'RESTART_FIELDS').sort(), server.sort());
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getZonedClock, parseClockMinutes, blockCoversClock, findActiveBlock, isValidTimeZone } from '../schedule.js';
+
+// The schedule block times the engine puts on air by and the dashboard's calendar shows
+
+const playlists = [{ id: 'morning' }, { id: 'night' }];
+const block = (overrides) => ({ id: 'b', playlist_id: 'morning', days: [1], start: '08:00', end: '11:00', enabled: true, ...overrides });
+
+test('the wall clock follows the timezone, across a DST change', () => {
+  // Monday 2026-03-30 06:30 UTC: 08:30 in Berlin (summer time), 07:30 in London
+  const date = new Date('2026-03-30T06:30:00Z');
+  assert.deepEqual(getZonedClock(date, 'UTC'), { weekday: 1, minutes: 6 * 60 + 30 });
+  assert.deepEqual(getZonedClock(date, 'Europe/Berlin'), { weekday: 1, minutes: 8 * 60 + 30 });
+  // A week earlier Berlin was still on winter time
+  assert.deepEqual(getZonedClock(new Date('2026-03-23T06:30:00Z'), 'Europe/Berlin'), { weekday: 1, minutes: 7 * 60 + 30 });
+  // Midnight is 0, not 24
+  assert.deepEqual(getZonedClock(new Date('2026-03-29T22:00:00Z'), 'Europe/Berlin'), { weekday: 1, minutes: 0 });
+});
+
+test('clock times parse from 00:00 to 24:00', () => {
+  assert.equal(parseClockMinutes('00:00'), 0);
+  assert.equal(parseClockMinutes('8:05'), 485);
+  assert.equal(parseClockMinutes('24:00'), 1440);
+  for (const value of ['24:01', '12:60', '12', '', undefined, 'noon']) assert.equal(parseClockMinutes(value), null);
+});
+
+test('a block covers its days, and one past midnight the early hours of the next', () => {
+  assert.equal(blockCoversClock(block(), { weekday: 1, minutes: 8 * 60 }), true);
+  assert.equal(blockCoversClock(block(), { weekday: 1, minutes: 11 * 60 }), false);
+  assert.equal(blockCoversClock(block(), { weekday: 2, minutes: 9 * 60 }), false);
+
+  const overnight = block({ days: [6], start: '22:00', end: '02:00' });
+  assert.equal(blockCoversClock(overnight, { weekday: 6, minutes: 23 * 60 }), true);
+  assert.equal(blockCoversClock(overnight, { weekday: 0, minutes: 60 }), true);
+  assert.equal(blockCoversClock(overnight, { weekday: 6, minutes: 60 }), false);
+  assert.equal(blockCoversClock(block({ days: 'mon' }), { weekday: 1, minutes: 9 * 60 }), false);
+});
+
+test('the first enabled block whose playlist exists is on air', () => {
+  const monday9 = new Date('2026-03-30T09:00:00Z');
+  const first = block({ id: 'first' });
+  const second = block({ id: 'second', playlist_id: 'night', start: '06:00', end: '12:00' });
+
+  assert.equal(findActiveBlock([first, second], playlists, 'UTC', monday9), first);
+  assert.equal(findActiveBlock([{ ...first, enabled: false }, second], playlists, 'UTC', monday9), second);
+  assert.equal(findActiveBlock([{ ...first, playlist_id: 'deleted' }, second], playlists, 'UTC', monday9), second);
+  assert.equal(findActiveBlock([first], playlists, 'Asia/Tokyo', monday9), null); // 18:00 there
+  assert.equal(findActiveBlock([null, first], playlists, 'UTC', monday9), first);
+  assert.equal(findActiveBlock(undefined, playlists, 'UTC', monday9), null);
+});
+
+test('unknown timezones are told apart', () => {
+  assert.equal(isValidTimeZone('America/New_York'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+});